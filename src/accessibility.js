@@ -0,0 +1,652 @@
+// accessibility.js
+// Rule-based accessibility audit of the page DOM as crawled. Rules follow WCAG 2.x success criteria: accessible names
+// for images, links, buttons and form controls, unique ids, valid ARIA roles and attributes, document title and
+// language, and text contrast computed from the cascade of linked stylesheets, <style> blocks and inline styles.
+// Every failure carries a CSS selector; the page score weights rule outcomes by WCAG level.
+
+import { URL } from 'url';
+import { load } from 'cheerio';
+import { mapLimit } from './util.js';
+
+// a failing A rule costs more than an AA one, AA more than AAA
+const LEVEL_WEIGHTS = { A: 3, AA: 2, AAA: 1 };
+const MAX_NODES = 20; // failing elements kept per rule and page
+const MAX_STYLESHEETS = 20;
+const MAX_CSS_CHARS = 1000000;
+// media queries are evaluated for a desktop screen in light mode
+const VIEWPORT_WIDTH = 1280;
+
+const RULES = {
+  'document-title': { level: 'A', wcag: '2.4.2', description: 'The page has a non-empty <title>' },
+  'html-has-lang': { level: 'A', wcag: '3.1.1', description: '<html> has a lang attribute' },
+  'html-lang-valid': { level: 'A', wcag: '3.1.1', description: '<html lang> is a valid language tag' },
+  'image-alt': { level: 'A', wcag: '1.1.1', description: 'Images have alternative text (alt="" marks decorative images)' },
+  'link-name': { level: 'A', wcag: '2.4.4', description: 'Links have an accessible name' },
+  'button-name': { level: 'A', wcag: '4.1.2', description: 'Buttons have an accessible name' },
+  label: { level: 'A', wcag: '4.1.2', description: 'Form controls have an accessible name (label, aria-label or aria-labelledby)' },
+  'duplicate-id': { level: 'A', wcag: '4.1.1', description: 'id values are unique on the page' },
+  'aria-valid-role': { level: 'A', wcag: '4.1.2', description: 'role values are WAI-ARIA roles' },
+  'aria-valid-attr': { level: 'A', wcag: '4.1.2', description: 'aria-* attributes exist in WAI-ARIA' },
+  'aria-valid-attr-value': { level: 'A', wcag: '4.1.2', description: 'aria-* attributes have valid values and their id references resolve' },
+  'color-contrast': { level: 'AA', wcag: '1.4.3', description: 'Text contrast is at least 4.5:1 (3:1 for large text)' },
+  'color-contrast-enhanced': { level: 'AAA', wcag: '1.4.6', description: 'Text contrast is at least 7:1 (4.5:1 for large text)' }
+};
+
+const ROLES = new Set(('alert alertdialog application article banner blockquote button caption cell checkbox code columnheader combobox ' +
+  'complementary contentinfo definition deletion dialog directory document emphasis feed figure form generic grid gridcell group heading img ' +
+  'insertion link list listbox listitem log main mark marquee math menu menubar menuitem menuitemcheckbox menuitemradio meter navigation none ' +
+  'note option paragraph presentation progressbar radio radiogroup region row rowgroup rowheader scrollbar search searchbox separator slider ' +
+  'spinbutton status strong subscript superscript switch tab table tablist tabpanel term textbox time timer toolbar tooltip tree treegrid treeitem ' +
+  'graphics-document graphics-object graphics-symbol doc-abstract doc-acknowledgments doc-afterword doc-appendix doc-backlink doc-biblioentry ' +
+  'doc-bibliography doc-biblioref doc-chapter doc-colophon doc-conclusion doc-cover doc-credit doc-credits doc-dedication doc-endnote doc-endnotes ' +
+  'doc-epigraph doc-epilogue doc-errata doc-example doc-footnote doc-foreword doc-glossary doc-glossref doc-index doc-introduction doc-noteref ' +
+  'doc-notice doc-pagebreak doc-pagefooter doc-pageheader doc-pagelist doc-part doc-preface doc-prologue doc-pullquote doc-qna doc-subtitle doc-tip doc-toc').split(' '));
+
+// WAI-ARIA 1.2 attributes and the values they take
+const IDREF = { type: 'idref' };
+const IDREFS = { type: 'idrefs' };
+const BOOL = { type: 'token', values: ['true', 'false'] };
+const TRISTATE = { type: 'token', values: ['true', 'false', 'mixed'] };
+const BOOL_UNDEFINED = { type: 'token', values: ['true', 'false', 'undefined'] };
+const INT = { type: 'int' };
+const NUM = { type: 'number' };
+const STRING = { type: 'string' };
+const ARIA_ATTRS = {
+  activedescendant: IDREF, atomic: BOOL, autocomplete: { type: 'token', values: ['inline', 'list', 'both', 'none'] }, braillelabel: STRING,
+  brailleroledescription: STRING, busy: BOOL, checked: TRISTATE, colcount: INT, colindex: INT, colindextext: STRING, colspan: INT, controls: IDREFS,
+  current: { type: 'token', values: ['page', 'step', 'location', 'date', 'time', 'true', 'false'] }, describedby: IDREFS, description: STRING,
+  details: IDREFS, disabled: BOOL, dropeffect: STRING, errormessage: IDREFS, expanded: BOOL_UNDEFINED, flowto: IDREFS, grabbed: BOOL_UNDEFINED,
+  haspopup: { type: 'token', values: ['false', 'true', 'menu', 'listbox', 'tree', 'grid', 'dialog'] }, hidden: BOOL_UNDEFINED,
+  invalid: { type: 'token', values: ['grammar', 'false', 'spelling', 'true'] }, keyshortcuts: STRING, label: STRING, labelledby: IDREFS, level: INT,
+  live: { type: 'token', values: ['assertive', 'off', 'polite'] }, modal: BOOL, multiline: BOOL, multiselectable: BOOL,
+  orientation: { type: 'token', values: ['horizontal', 'vertical', 'undefined'] }, owns: IDREFS, placeholder: STRING, posinset: INT, pressed: TRISTATE,
+  readonly: BOOL, relevant: { type: 'tokens', values: ['additions', 'removals', 'text', 'all'] }, required: BOOL, roledescription: STRING,
+  rowcount: INT, rowindex: INT, rowindextext: STRING, rowspan: INT, selected: BOOL_UNDEFINED, setsize: INT,
+  sort: { type: 'token', values: ['ascending', 'descending', 'none', 'other'] }, valuemax: NUM, valuemin: NUM, valuenow: NUM, valuetext: STRING
+};
+
+// common named colors; an unknown name leaves the color unresolved, so contrast is not judged for that text
+const NAMED_COLORS = {
+  black: '000000', white: 'ffffff', red: 'ff0000', green: '008000', blue: '0000ff', yellow: 'ffff00', orange: 'ffa500', purple: '800080',
+  gray: '808080', grey: '808080', silver: 'c0c0c0', maroon: '800000', navy: '000080', teal: '008080', olive: '808000', lime: '00ff00',
+  aqua: '00ffff', cyan: '00ffff', fuchsia: 'ff00ff', magenta: 'ff00ff', darkgray: 'a9a9a9', darkgrey: 'a9a9a9', dimgray: '696969', dimgrey: '696969',
+  lightgray: 'd3d3d3', lightgrey: 'd3d3d3', gainsboro: 'dcdcdc', whitesmoke: 'f5f5f5', darkblue: '00008b', darkred: '8b0000', darkgreen: '006400',
+  lightblue: 'add8e6', lightgreen: '90ee90', lightyellow: 'ffffe0', pink: 'ffc0cb', brown: 'a52a2a', gold: 'ffd700', beige: 'f5f5dc',
+  ivory: 'fffff0', linen: 'faf0e6', snow: 'fffafa', tomato: 'ff6347', crimson: 'dc143c', coral: 'ff7f50', salmon: 'fa8072', khaki: 'f0e68c',
+  indigo: '4b0082', violet: 'ee82ee', orchid: 'da70d6', plum: 'dda0dd', tan: 'd2b48c', chocolate: 'd2691e', firebrick: 'b22222',
+  slategray: '708090', slategrey: '708090', lightslategray: '778899', steelblue: '4682b4', royalblue: '4169e1', dodgerblue: '1e90ff',
+  skyblue: '87ceeb', midnightblue: '191970', darkslategray: '2f4f4f', darkslategrey: '2f4f4f', forestgreen: '228b22', seagreen: '2e8b57',
+  darkorange: 'ff8c00', orangered: 'ff4500', aliceblue: 'f0f8ff', ghostwhite: 'f8f8ff', mintcream: 'f5fffa', honeydew: 'f0fff0',
+  lavender: 'e6e6fa', floralwhite: 'fffaf0', oldlace: 'fdf5e6', seashell: 'fff5ee', azure: 'f0ffff', cornsilk: 'fff8dc'
+};
+
+// UA defaults that matter for contrast: link color, heading sizes, bold elements, form control colors
+const UA_STYLES = {
+  a: { color: '#0000ee' },
+  h1: { 'font-size': '2em', 'font-weight': '700' }, h2: { 'font-size': '1.5em', 'font-weight': '700' }, h3: { 'font-size': '1.17em', 'font-weight': '700' },
+  h4: { 'font-weight': '700' }, h5: { 'font-size': '0.83em', 'font-weight': '700' }, h6: { 'font-size': '0.67em', 'font-weight': '700' },
+  b: { 'font-weight': '700' }, strong: { 'font-weight': '700' }, th: { 'font-weight': '700' }, small: { 'font-size': '0.83em' },
+  mark: { 'background-color': '#ffff00', color: '#000000' },
+  button: { 'background-color': '#efefef', color: '#000000' }, select: { 'background-color': '#ffffff', color: '#000000' },
+  input: { 'background-color': '#ffffff', color: '#000000' }, textarea: { 'background-color': '#ffffff', color: '#000000' }
+};
+const HIDDEN_TAGS = new Set(['head', 'script', 'style', 'noscript', 'template', 'title', 'meta', 'link']);
+// state-dependent selectors never match the page as it is first shown
+const DYNAMIC_SELECTOR = /:(?:hover|focus|focus-within|focus-visible|active|visited|target|autofill|-webkit-|-moz-|-ms-)|::?(?:before|after|placeholder|selection|marker|first-line|first-letter|backdrop|file-selector-button|-webkit-|-moz-)/i;
+
+// -------------------- CSS --------------------
+const SIMPLE_SELECTOR = /^(?:[a-z][\w-]*)?(?:[.#][\w-]+)*$/i;
+
+// comma-separated parts, ignoring commas inside parentheses and strings
+function splitTopLevel(text, sep) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) { if (ch === '\\') i++; else if (ch === quote) quote = null; continue; }
+    if (ch === '"' || ch === '\'') quote = ch;
+    else if (ch === '(') depth++;
+    else if (ch === ')') depth = Math.max(0, depth - 1);
+    else if (ch === sep && !depth) { parts.push(text.slice(start, i)); start = i + 1; }
+  }
+  parts.push(text.slice(start));
+  return parts.map(p => p.trim()).filter(Boolean);
+}
+
+function parseDeclarations(text) {
+  const decls = [];
+  splitTopLevel(String(text || ''), ';').forEach(d => {
+    const colon = d.indexOf(':');
+    if (colon < 1) return;
+    const prop = d.slice(0, colon).trim();
+    let value = d.slice(colon + 1).trim();
+    const important = /!\s*important\s*$/i.test(value);
+    if (important) value = value.replace(/!\s*important\s*$/i, '').trim();
+    decls.push({ prop: prop.startsWith('--') ? prop : prop.toLowerCase(), value, important });
+  });
+  return decls;
+}
+
+// media queries against a desktop screen in light mode: print-only, dark-mode and width-mismatched rules are skipped
+function mediaMatches(query) {
+  const q = String(query || '').trim().toLowerCase();
+  if (!q) return true;
+  return q.split(',').some(part => {
+    const p = part.trim();
+    if (/^not\b/.test(p) || /^(?:only\s+)?(?:print|speech)\b/.test(p)) return false;
+    if (/prefers-color-scheme\s*:\s*dark/.test(p)) return false;
+    const px = (n, unit) => Number(n) * (unit === 'em' || unit === 'rem' ? 16 : 1);
+    for (const m of p.matchAll(/\((min|max)-width\s*:\s*([\d.]+)(px|em|rem)?\)/g)) {
+      const width = px(m[2], m[3]);
+      if (m[1] === 'min' ? VIEWPORT_WIDTH < width : VIEWPORT_WIDTH > width) return false;
+    }
+    return true;
+  });
+}
+
+// { rules: [{ selector, specificity, declarations }], imports: [url] }; @media and @supports blocks are flattened
+function parseCss(css, rules = [], imports = []) {
+  const text = String(css || '').slice(0, MAX_CSS_CHARS).replace(/\/\*[\s\S]*?\*\//g, '');
+  let pos = 0;
+  while (pos < text.length) {
+    const open = text.indexOf('{', pos);
+    const semi = text.indexOf(';', pos);
+    // statement at-rules (@import, @charset) end with ';' before any block
+    if (semi !== -1 && (open === -1 || semi < open) && /^\s*@/.test(text.slice(pos, semi))) {
+      const statement = text.slice(pos, semi).trim();
+      const m = statement.match(/^@import\s+(?:url\(\s*)?["']?([^"')\s]+)["']?\s*\)?\s*(.*)$/i);
+      if (m && mediaMatches(m[2])) imports.push(m[1]);
+      pos = semi + 1;
+      continue;
+    }
+    if (open === -1) break;
+    let depth = 1;
+    let i = open + 1;
+    for (; i < text.length && depth; i++) {
+      if (text[i] === '{') depth++;
+      else if (text[i] === '}') depth--;
+    }
+    const prelude = text.slice(pos, open).trim();
+    const body = text.slice(open + 1, i - 1);
+    pos = i;
+    if (prelude.startsWith('@')) {
+      const at = prelude.match(/^@([\w-]+)\s*(.*)$/s) || [];
+      if ((at[1] === 'media' && mediaMatches(at[2])) || at[1] === 'supports' || at[1] === 'layer' || at[1] === 'container') parseCss(body, rules, imports);
+      continue;
+    }
+    const declarations = parseDeclarations(body);
+    if (!declarations.length) continue;
+    splitTopLevel(prelude, ',').forEach(selector => {
+      if (!DYNAMIC_SELECTOR.test(selector)) rules.push({ selector, specificity: specificity(selector), declarations });
+    });
+  }
+  return { rules, imports };
+}
+
+// (ids, classes/attributes/pseudo-classes, types) as one comparable number; :where() counts for nothing
+function specificity(selector) {
+  const s = selector.replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g, '""').replace(/:where\((?:[^()]|\([^()]*\))*\)/g, '').replace(/:(?:not|is|has|matches)\(/g, ' (');
+  const ids = (s.match(/#[\w-]+/g) || []).length;
+  const classes = (s.match(/\.[\w-]+|\[[^\]]*\]|(?<!:):(?!:)[\w-]+/g) || []).length;
+  const types = (s.match(/(?:^|[\s>+~(])[a-z][\w-]*/gi) || []).length + (s.match(/::[\w-]+/g) || []).length;
+  return ids * 10000 + classes * 100 + types;
+}
+
+// the last compound selector's id, classes and tag; a rule can only match when the page has all of them
+function selectorKeys(selector) {
+  const last = selector.split(/\s*[\s>+~]\s*(?![^(]*\))/).pop() || '';
+  const plain = last.replace(/\((?:[^()]|\([^()]*\))*\)/g, '').replace(/\[[^\]]*\]/g, '');
+  return {
+    id: (plain.match(/#([\w-]+)/) || [])[1] || null,
+    classes: (plain.match(/\.[\w-]+/g) || []).map(c => c.slice(1)),
+    tag: (plain.match(/^[a-z][\w-]*/i) || [])[0]?.toLowerCase() || null
+  };
+}
+
+// -------------------- Colors --------------------
+function parseColor(value) {
+  const v = String(value || '').trim().toLowerCase();
+  if (!v) return null;
+  if (v === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+  let m = v.match(/^#([0-9a-f]{3,8})$/);
+  if (m) {
+    let hex = m[1];
+    if (hex.length === 3 || hex.length === 4) hex = hex.split('').map(c => c + c).join('');
+    if (hex.length !== 6 && hex.length !== 8) return null;
+    return { r: parseInt(hex.slice(0, 2), 16), g: parseInt(hex.slice(2, 4), 16), b: parseInt(hex.slice(4, 6), 16), a: hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1 };
+  }
+  if (NAMED_COLORS[v]) return parseColor(`#${NAMED_COLORS[v]}`);
+  m = v.match(/^(rgba?|hsla?)\(\s*([^)]*)\)$/);
+  if (!m) return null;
+  const parts = m[2].split(/\s*[,/]\s*|\s+/).filter(Boolean);
+  if (parts.length < 3) return null;
+  const num = (p, scale) => (p.endsWith('%') ? parseFloat(p) * scale / 100 : parseFloat(p));
+  const a = parts[3] !== undefined ? num(parts[3], 1) : 1;
+  if (m[1].startsWith('rgb')) {
+    const [r, g, b] = parts.slice(0, 3).map(p => num(p, 255));
+    return [r, g, b, a].some(Number.isNaN) ? null : { r, g, b, a };
+  }
+  const h = ((parseFloat(parts[0]) % 360) + 360) % 360;
+  const s = parseFloat(parts[1]) / 100;
+  const l = parseFloat(parts[2]) / 100;
+  if ([h, s, l, a].some(Number.isNaN)) return null;
+  const k = n => (n + h / 30) % 12;
+  const f = n => l - s * Math.min(l, 1 - l) * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+  return { r: f(0) * 255, g: f(8) * 255, b: f(4) * 255, a };
+}
+
+// color drawn over an opaque backdrop
+function blend(color, backdrop, opacity = 1) {
+  const a = color.a * opacity;
+  return { r: color.r * a + backdrop.r * (1 - a), g: color.g * a + backdrop.g * (1 - a), b: color.b * a + backdrop.b * (1 - a), a: 1 };
+}
+
+function luminance(c) {
+  const [r, g, b] = [c.r, c.g, c.b].map(v => { const s = v / 255; return s <= 0.03928 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4; });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function contrastRatio(c1, c2) {
+  const [hi, lo] = [luminance(c1), luminance(c2)].sort((a, b) => b - a);
+  return Math.round(((hi + 0.05) / (lo + 0.05)) * 100) / 100;
+}
+
+const toHex = c => `#${[c.r, c.g, c.b].map(v => Math.round(Math.max(0, Math.min(255, v))).toString(16).padStart(2, '0')).join('')}`;
+
+// -------------------- Computed styles --------------------
+function resolveVars(value, vars, depth = 0) {
+  if (!value || !value.includes('var(') || depth > 10) return value;
+  return value.replace(/var\(\s*(--[\w-]+)\s*(?:,\s*((?:[^()]|\([^()]*\))*))?\)/g, (all, name, fallback) => {
+    const v = vars[name] !== undefined ? vars[name] : fallback;
+    return v === undefined ? '' : resolveVars(v.trim(), vars, depth + 1);
+  });
+}
+
+function fontSizePx(value, parentPx, rootPx) {
+  const v = String(value || '').trim().toLowerCase();
+  const keywords = { 'xx-small': 9, 'x-small': 10, small: 13, medium: 16, large: 18, 'x-large': 24, 'xx-large': 32, 'xxx-large': 48 };
+  if (keywords[v]) return keywords[v];
+  if (v === 'smaller') return parentPx * 0.83;
+  if (v === 'larger') return parentPx * 1.2;
+  const m = v.match(/^([\d.]+)(px|em|rem|%|pt)$/);
+  if (!m) return parentPx;
+  const n = parseFloat(m[1]);
+  return { px: n, em: n * parentPx, rem: n * rootPx, '%': (n / 100) * parentPx, pt: n * (4 / 3) }[m[2]];
+}
+
+function fontWeight(value, parentWeight) {
+  const v = String(value || '').trim().toLowerCase();
+  if (v === 'bold' || v === 'bolder') return v === 'bolder' ? Math.max(700, parentWeight) : 700;
+  if (v === 'normal') return 400;
+  if (v === 'lighter') return Math.min(400, parentWeight);
+  const n = parseInt(v, 10);
+  return Number.isNaN(n) ? parentWeight : n;
+}
+
+// the background shorthand resets both longhands: its color layer (or transparent) and its image (or none)
+function expandBackground(value) {
+  const tokens = value.match(/var\([^)]*\)|#[0-9a-f]{3,8}\b|(?:rgba?|hsla?)\([^)]*\)|[a-z-]+/gi) || [];
+  const color = tokens.filter(t => /^var\(/i.test(t) || parseColor(t)).pop() || 'transparent';
+  return { 'background-color': color, 'background-image': /url\(|gradient\(/i.test(value) ? value : 'none' };
+}
+
+// { image: true } when an image or gradient paints the background, else its color (if any)
+function backgroundOf(decl) {
+  if (/url\(|gradient\(/i.test(decl['background-image'] || '')) return { image: true };
+  return decl['background-color'] ? { color: decl['background-color'] } : {};
+}
+
+// per element: declared values from the cascade (UA, author sheets by specificity and order, inline, !important)
+function cascade($, sheetRules) {
+  const byElement = new Map();
+  // elements indexed by id, class and tag, so each selector is only tested against elements its last compound can match
+  const index = { ids: new Map(), classes: new Map(), tags: new Map() };
+  const add = (map, key, el) => { if (!map.has(key)) map.set(key, []); map.get(key).push(el); };
+  $('*').each((i, el) => {
+    add(index.tags, el.name, el);
+    if (el.attribs.id) add(index.ids, el.attribs.id, el);
+    new Set((el.attribs.class || '').split(/\s+/).filter(Boolean)).forEach(c => add(index.classes, c, el));
+  });
+  sheetRules.forEach((rule, order) => {
+    const keys = selectorKeys(rule.selector);
+    const lists = [keys.id && (index.ids.get(keys.id) || []), ...keys.classes.map(c => index.classes.get(c) || []), keys.tag && (index.tags.get(keys.tag) || [])].filter(Boolean);
+    if (lists.some(l => !l.length)) return;
+    const candidates = lists.length ? lists.reduce((a, b) => (b.length < a.length ? b : a)) : null;
+    let matched;
+    if (candidates && SIMPLE_SELECTOR.test(rule.selector)) {
+      // a lone compound of tag, classes and id needs no selector engine
+      matched = candidates.filter(el => (!keys.tag || el.name === keys.tag) && (!keys.id || el.attribs.id === keys.id)
+        && keys.classes.every(c => (el.attribs.class || '').split(/\s+/).includes(c)));
+    } else {
+      try { matched = (candidates ? $(candidates).filter(rule.selector) : $(rule.selector)).toArray(); } catch (e) { return; }
+    }
+    matched.forEach(el => {
+      if (!byElement.has(el)) byElement.set(el, []);
+      byElement.get(el).push({ rule, order });
+    });
+  });
+  return el => {
+    // only <a href> is a link
+    const out = { ...((el.name !== 'a' || el.attribs.href !== undefined) && UA_STYLES[el.name]) };
+    const rank = {};
+    // later declarations win ties, so only a strictly higher-ranked earlier one is kept
+    const outranks = (a, b) => { for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return a[i] > b[i]; return false; };
+    const apply = (d, key) => {
+      const r = [d.important ? 1 : 0, ...key];
+      if (d.prop === 'background') {
+        Object.entries(expandBackground(d.value)).forEach(([prop, value]) => apply({ prop, value, important: d.important }, key));
+        return;
+      }
+      if (rank[d.prop] && outranks(rank[d.prop], r)) return;
+      rank[d.prop] = r;
+      out[d.prop] = d.value;
+    };
+    (byElement.get(el) || []).forEach(({ rule, order }) => rule.declarations.forEach(d => apply(d, [0, rule.specificity, order])));
+    parseDeclarations(el.attribs.style).forEach(d => apply(d, [1, 0, 0]));
+    return out;
+  };
+}
+
+// computed color, effective backdrop, font and visibility for every element, walking down from <html>
+function computeStyles($, sheetRules) {
+  const declared = cascade($, sheetRules);
+  const styles = new Map();
+  const white = { r: 255, g: 255, b: 255, a: 1 };
+  const rootPx = (() => {
+    const d = declared($('html')[0] || { name: 'html', attribs: {} });
+    return fontSizePx(d['font-size'], 16, 16);
+  })();
+  const walk = (el, parent) => {
+    const raw = declared(el);
+    const vars = { ...parent.vars };
+    Object.entries(raw).forEach(([k, v]) => { if (k.startsWith('--')) vars[k] = v; });
+    const d = {};
+    Object.entries(raw).forEach(([k, v]) => { if (!k.startsWith('--')) d[k] = resolveVars(v, vars); });
+    const inherit = (prop, fallback) => (d[prop] === undefined || /^(?:inherit|unset)$/i.test(d[prop]) ? fallback : d[prop]);
+
+    const colorValue = inherit('color', null);
+    let color = colorValue === null ? parent.color : (/^currentcolor$/i.test(colorValue) ? parent.color : parseColor(colorValue));
+    if (colorValue !== null && /^initial$/i.test(colorValue)) color = { r: 0, g: 0, b: 0, a: 1 };
+    const fontSize = d['font-size'] && !/^inherit$/i.test(d['font-size']) ? fontSizePx(d['font-size'], parent.fontSize, rootPx) : parent.fontSize;
+    const weight = d['font-weight'] ? fontWeight(d['font-weight'], parent.fontWeight) : parent.fontWeight;
+    const opacityValue = parseFloat(d.opacity);
+    const opacity = parent.opacity * (Number.isNaN(opacityValue) ? 1 : Math.max(0, Math.min(1, opacityValue)));
+    const hidden = parent.hidden || el.attribs.hidden !== undefined || /^none$/i.test(d.display || '') || HIDDEN_TAGS.has(el.name);
+    const invisible = hidden || /^(?:hidden|collapse)$/i.test(inherit('visibility', parent.invisible ? 'hidden' : 'visible'));
+
+    // backdrop: the opaque color behind this element's text, null once an image or unknown color paints it
+    const bg = backgroundOf(d);
+    let backdrop = parent.backdrop;
+    if (bg.image) backdrop = null;
+    else if (bg.color) {
+      const c = /^currentcolor$/i.test(bg.color) ? color : parseColor(bg.color);
+      if (!c) backdrop = null;
+      else if (c.a > 0 && backdrop) backdrop = blend(c, backdrop);
+      else if (c.a > 0) backdrop = c.a >= 1 ? c : null;
+    }
+    // hidden from assistive technology / inactive (disabled controls are exempt from contrast)
+    const ariaHidden = parent.ariaHidden || el.attribs['aria-hidden'] === 'true';
+    const disabled = parent.disabled || el.attribs.disabled !== undefined || el.attribs['aria-disabled'] === 'true';
+    const style = { color, fontSize, fontWeight: weight, opacity, hidden, invisible, ariaHidden, disabled, backdrop, vars };
+    styles.set(el, style);
+    (el.children || []).filter(c => c.type === 'tag').forEach(c => walk(c, style));
+  };
+  const root = $.root()[0];
+  const start = { color: { r: 0, g: 0, b: 0, a: 1 }, fontSize: 16, fontWeight: 400, opacity: 1, hidden: false, invisible: false, ariaHidden: false, disabled: false, backdrop: white, vars: {} };
+  (root.children || []).filter(c => c.type === 'tag').forEach(c => walk(c, start));
+  return styles;
+}
+
+// -------------------- Stylesheets --------------------
+function stylesheetLinks($, pageUrl) {
+  return $('link[rel~="stylesheet"][href]').toArray()
+    .filter(el => el.attribs.disabled === undefined && mediaMatches(el.attribs.media))
+    .map(el => { try { return new URL(el.attribs.href, pageUrl).toString(); } catch (e) { return null; } })
+    .filter(Boolean);
+}
+
+// linked stylesheets shared by the crawled pages (most used first), fetched once per run with one level of @import
+// returns Map url -> parsed rules, or null when the sheet could not be fetched
+async function loadStylesheets(pages, fetchResource, { max = MAX_STYLESHEETS, concurrency = 4 } = {}) {
+  const counts = new Map();
+  pages.forEach(p => new Set(stylesheetLinks(load(p.html || ''), p.url)).forEach(u => counts.set(u, (counts.get(u) || 0) + 1)));
+  const urls = Array.from(counts.entries()).sort((a, b) => b[1] - a[1]).slice(0, max).map(([u]) => u);
+  const sheets = new Map();
+  const fetchCss = async url => {
+    try {
+      const res = await fetchResource(url);
+      return res && res.status >= 200 && res.status < 300 && res.body ? res.body.toString('utf8') : null;
+    } catch (e) {
+      return null;
+    }
+  };
+  await mapLimit(urls, concurrency, async url => {
+    const css = await fetchCss(url);
+    if (css === null) { sheets.set(url, null); return; }
+    const parsed = parseCss(css);
+    const imported = [];
+    for (const href of parsed.imports.slice(0, 5)) {
+      let abs;
+      try { abs = new URL(href, url).toString(); } catch (e) { continue; }
+      const inner = await fetchCss(abs);
+      if (inner !== null) imported.push(...parseCss(inner).rules);
+    }
+    sheets.set(url, imported.concat(parsed.rules));
+  });
+  return sheets;
+}
+
+// -------------------- Accessible names --------------------
+function openingTag(el) {
+  const attrs = Object.entries(el.attribs || {}).map(([k, v]) => (v === '' ? k : `${k}="${v}"`)).join(' ');
+  const tag = `<${el.name}${attrs ? ` ${attrs}` : ''}>`;
+  return tag.length > 160 ? `${tag.slice(0, 157)}...` : tag;
+}
+
+// a selector unique to the element: the nearest unique #id, then tag.class:nth-of-type steps
+function cssPath(el, idCounts) {
+  const escape = s => s.replace(/([^\w-])/g, '\\$1');
+  const parts = [];
+  let node = el;
+  while (node && node.type === 'tag') {
+    const id = node.attribs.id;
+    if (id && idCounts.get(id) === 1 && /^[A-Za-z][\w-]*$/.test(id)) { parts.unshift(`#${escape(id)}`); break; }
+    if (['html', 'body', 'head'].includes(node.name)) { parts.unshift(node.name); node = node.parent; continue; }
+    let part = node.name;
+    const classes = (node.attribs.class || '').split(/\s+/).filter(c => /^[A-Za-z_-][\w-]*$/.test(c)).slice(0, 2);
+    if (classes.length) part += `.${classes.map(escape).join('.')}`;
+    const siblings = node.parent ? (node.parent.children || []).filter(c => c.type === 'tag' && c.name === node.name) : [];
+    if (siblings.length > 1) part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+    parts.unshift(part);
+    node = node.parent;
+  }
+  return parts.join(' > ');
+}
+
+function textAlternative($, el) {
+  if (el.type === 'text') return el.data;
+  if (el.type !== 'tag' || HIDDEN_TAGS.has(el.name) || el.attribs['aria-hidden'] === 'true' || el.attribs.hidden !== undefined) return '';
+  if (el.attribs['aria-label'] && el.attribs['aria-label'].trim()) return el.attribs['aria-label'];
+  if (el.name === 'img' || (el.name === 'input' && el.attribs.type === 'image') || el.name === 'area') return el.attribs.alt || '';
+  if (el.name === 'svg') return $(el).children('title').text();
+  return (el.children || []).map(c => textAlternative($, c)).join(' ');
+}
+
+const clean = s => String(s || '').replace(/\s+/g, ' ').trim();
+
+// simplified accessible name computation (aria-labelledby, aria-label, native labels and alt, content, title)
+function accessibleName($, el, byId) {
+  const $el = $(el);
+  const labelledby = clean((el.attribs['aria-labelledby'] || '').split(/\s+/).filter(Boolean).map(id => (byId.get(id) || [])[0]).filter(Boolean).map(n => textAlternative($, n)).join(' '));
+  if (labelledby) return labelledby;
+  if (clean(el.attribs['aria-label'])) return clean(el.attribs['aria-label']);
+  const tag = el.name;
+  const type = String(el.attribs.type || '').toLowerCase();
+  if (tag === 'img' || tag === 'area' || (tag === 'input' && type === 'image')) {
+    if (clean(el.attribs.alt)) return clean(el.attribs.alt);
+  } else if (['input', 'select', 'textarea'].includes(tag)) {
+    if (tag === 'input' && ['submit', 'reset', 'button'].includes(type)) return clean(el.attribs.value) || (type === 'button' ? '' : (type === 'submit' ? 'Submit' : 'Reset'));
+    const id = el.attribs.id;
+    const forLabel = id ? $('label').toArray().filter(l => l.attribs.for === id) : [];
+    const label = clean(forLabel.concat($el.closest('label').toArray()).map(l => textAlternative($, l)).join(' '));
+    if (label) return label;
+    if (clean(el.attribs.placeholder)) return clean(el.attribs.placeholder);
+  } else if (tag === 'svg') {
+    if (clean($el.children('title').text())) return clean($el.children('title').text());
+  } else {
+    const content = clean((el.children || []).map(c => textAlternative($, c)).join(' '));
+    if (content) return content;
+  }
+  return clean(el.attribs.title);
+}
+
+// -------------------- Rules --------------------
+const LANG_TAG = /^[a-z]{2,3}(?:-[a-z]{4})?(?:-(?:[a-z]{2}|\d{3}))?(?:-[a-z\d]{5,8}|-\d[a-z\d]{3})*(?:-[a-wyz\d](?:-[a-z\d]{2,8})+)*(?:-x(?:-[a-z\d]{1,8})+)?$/i;
+
+// html: the page as crawled; options: { url, stylesheets (Map from loadStylesheets) }
+function auditAccessibility(html, { url = null, stylesheets = new Map() } = {}) {
+  const $ = load(html || '');
+  const results = {};
+  Object.entries(RULES).forEach(([id, meta]) => { results[id] = { id, ...meta, applicable: 0, passed: 0, failed: 0, nodes: [] }; });
+
+  const all = $('*').toArray();
+  const byId = new Map();
+  all.forEach(el => { const id = el.attribs.id; if (id) { if (!byId.has(id)) byId.set(id, []); byId.get(id).push(el); } });
+  const idCounts = new Map(Array.from(byId.entries()).map(([id, els]) => [id, els.length]));
+
+  // author rules in document order: linked sheets where the <link> is, <style> blocks where they are
+  const sheetRules = [];
+  const sheetsUsed = { inline: 0, linked: 0, unavailable: [] };
+  $('link[rel~="stylesheet"][href], style').each((i, el) => {
+    if (el.name === 'style') {
+      if (!mediaMatches(el.attribs.media)) return;
+      sheetRules.push(...parseCss($(el).text()).rules);
+      sheetsUsed.inline += 1;
+      return;
+    }
+    if (el.attribs.disabled !== undefined || !mediaMatches(el.attribs.media)) return;
+    let abs;
+    try { abs = new URL(el.attribs.href, url || undefined).toString(); } catch (e) { return; }
+    const rules = stylesheets.get(abs);
+    if (rules) { sheetRules.push(...rules); sheetsUsed.linked += 1; } else sheetsUsed.unavailable.push(abs);
+  });
+  const styles = computeStyles($, sheetRules);
+  const isHidden = el => { const s = styles.get(el); return !s || s.hidden || s.ariaHidden; };
+
+  const check = (id, el, ok, message = null) => {
+    const r = results[id];
+    r.applicable += 1;
+    if (ok) { r.passed += 1; return; }
+    r.failed += 1;
+    if (r.nodes.length < MAX_NODES) r.nodes.push({ selector: el ? cssPath(el, idCounts) : 'html', html: el ? openingTag(el) : null, message });
+  };
+
+  // document
+  const title = clean($('head > title').first().text() || $('title').first().text());
+  check('document-title', $('html')[0], Boolean(title), 'The page has no <title> or it is empty');
+  const lang = clean($('html').attr('lang') || $('html').attr('xml:lang'));
+  check('html-has-lang', $('html')[0], Boolean(lang), '<html> has no lang attribute');
+  if (lang) check('html-lang-valid', $('html')[0], LANG_TAG.test(lang), `"${lang}" is not a valid BCP 47 language tag`);
+
+  // images: alt="" (decorative) or role=presentation/none pass, a missing alt fails
+  $('img, input[type="image"], area[href], [role="img"]').each((i, el) => {
+    if (isHidden(el)) return;
+    const role = el.attribs.role;
+    if (el.name === 'img' && el.attribs.alt !== undefined && !clean(el.attribs.alt) && !role) { check('image-alt', el, true); return; }
+    if (el.name === 'img' && ['presentation', 'none'].includes(role)) { check('image-alt', el, true); return; }
+    check('image-alt', el, Boolean(accessibleName($, el, byId)), el.name === 'img' ? 'Image has no alt attribute (use alt="" if it is decorative)' : 'Element has no text alternative');
+  });
+
+  $('a[href], [role="link"]').each((i, el) => {
+    if (isHidden(el)) return;
+    check('link-name', el, Boolean(accessibleName($, el, byId)), 'Link has no discernible text (text, image alt, aria-label or title)');
+  });
+
+  $('button, [role="button"], input[type="button"], input[type="submit"], input[type="reset"]').each((i, el) => {
+    if (isHidden(el)) return;
+    check('button-name', el, Boolean(accessibleName($, el, byId)), 'Button has no discernible text');
+  });
+
+  $('input, select, textarea').each((i, el) => {
+    const type = String(el.attribs.type || 'text').toLowerCase();
+    if (['hidden', 'submit', 'reset', 'button', 'image'].includes(type) || isHidden(el)) return;
+    check('label', el, Boolean(accessibleName($, el, byId)), `${el.name === 'input' ? `input[type=${type}]` : el.name} has no label, aria-label or aria-labelledby`);
+  });
+
+  // ids: every element after the first with the same id fails
+  byId.forEach((els, id) => els.forEach((el, i) => check('duplicate-id', el, i === 0, `id "${id}" is used ${els.length} times`)));
+
+  // ARIA roles and attributes
+  all.forEach(el => {
+    const role = el.attribs.role;
+    if (role !== undefined) {
+      // a role list falls back to the first valid token, so one known role is enough
+      const tokens = clean(role).toLowerCase().split(' ').filter(Boolean);
+      check('aria-valid-role', el, tokens.some(t => ROLES.has(t)), `role="${role}" is not a WAI-ARIA role`);
+    }
+    Object.entries(el.attribs).filter(([k]) => k.startsWith('aria-')).forEach(([k, raw]) => {
+      const name = k.slice(5);
+      const spec = ARIA_ATTRS[name];
+      check('aria-valid-attr', el, Boolean(spec), `${k} is not a WAI-ARIA attribute`);
+      if (!spec) return;
+      const value = clean(raw);
+      let ok = true;
+      let message = null;
+      if (spec.type === 'idref' || spec.type === 'idrefs') {
+        const ids = value.split(' ').filter(Boolean);
+        ok = ids.length > 0 && (spec.type === 'idref' ? ids.length === 1 : true) && ids.some(id => byId.has(id));
+        message = `${k}="${value}" does not reference an element on the page`;
+      } else if (spec.type === 'token' || spec.type === 'tokens') {
+        const tokens = value.toLowerCase().split(' ').filter(Boolean);
+        ok = tokens.length > 0 && (spec.type === 'tokens' || tokens.length === 1) && tokens.every(t => spec.values.includes(t));
+        message = `${k}="${value}" is not one of ${spec.values.join(', ')}`;
+      } else if (spec.type === 'int') {
+        ok = /^-?\d+$/.test(value);
+        message = `${k}="${value}" is not an integer`;
+      } else if (spec.type === 'number') {
+        ok = value !== '' && !Number.isNaN(Number(value));
+        message = `${k}="${value}" is not a number`;
+      }
+      check('aria-valid-attr-value', el, ok, message);
+    });
+  });
+
+  // contrast of every element with its own visible text against the color painted behind it
+  const contrastProblems = [];
+  $('body *').each((i, el) => {
+    const own = clean((el.children || []).filter(c => c.type === 'text').map(c => c.data).join(' '));
+    if (!own || !/[\p{L}\p{N}]/u.test(own)) return;
+    const s = styles.get(el);
+    // inactive controls are exempt (WCAG 1.4.3); unknown colors and image backgrounds cannot be judged
+    if (!s || s.invisible || s.opacity === 0 || s.disabled || !s.color || !s.backdrop) return;
+    const fg = blend(s.color, s.backdrop, s.opacity);
+    const ratio = contrastRatio(fg, s.backdrop);
+    const large = s.fontSize >= 24 || (s.fontSize >= 18.66 && s.fontWeight >= 700);
+    const detail = { foreground: toHex(fg), background: toHex(s.backdrop), fontSize: Math.round(s.fontSize * 10) / 10, fontWeight: s.fontWeight, large };
+    const aa = large ? 3 : 4.5;
+    const aaa = large ? 4.5 : 7;
+    const text = own.length > 60 ? `${own.slice(0, 57)}...` : own;
+    check('color-contrast', el, ratio >= aa, `Contrast ${ratio}:1 is below ${aa}:1 (${detail.foreground} on ${detail.background}, ${detail.fontSize}px): "${text}"`);
+    check('color-contrast-enhanced', el, ratio >= aaa, `Contrast ${ratio}:1 is below ${aaa}:1 (${detail.foreground} on ${detail.background}): "${text}"`);
+    if (ratio < aa && contrastProblems.length < MAX_NODES) contrastProblems.push({ selector: cssPath(el, idCounts), contrast: ratio, required: aa, ...detail, text });
+  });
+
+  // score: each applicable rule counts its pass rate, weighted by WCAG level
+  const rules = Object.values(results).filter(r => r.applicable);
+  const weight = rules.reduce((s, r) => s + LEVEL_WEIGHTS[r.level], 0);
+  const score = weight ? Math.round((rules.reduce((s, r) => s + LEVEL_WEIGHTS[r.level] * (r.passed / r.applicable), 0) / weight) * 100) : 100;
+  const failures = { A: 0, AA: 0, AAA: 0 };
+  rules.forEach(r => { failures[r.level] += r.failed; });
+  return {
+    score,
+    violations: rules.filter(r => r.failed).length,
+    failures,
+    rules: rules.map(r => (r.failed ? r : { ...r, nodes: [] })),
+    contrastProblems,
+    stylesheets: sheetsUsed
+  };
+}
+
+export { RULES, LEVEL_WEIGHTS, parseCss, parseColor, contrastRatio, loadStylesheets, auditAccessibility };
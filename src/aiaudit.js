@@ -0,0 +1,312 @@
+// aiaudit.js
+// AI audit as map-reduce: every page's main content is assessed on its own within a token budget (map), and the
+// per-page findings are merged into one site-level recommendation set that cites the pages each item applies to
+// (reduce; large sites are merged in rounds). Results are validated against their schemas and the model is re-asked
+// with the validation errors until it conforms (or gives up). AI scores sit next to the deterministic scores, never
+// instead of them; token usage and estimated cost are reported per phase.
+
+import { load } from 'cheerio';
+import { estimateCost } from './llm.js';
+import { mapLimit } from './util.js';
+
+const PRIORITIES = ['high', 'medium', 'low'];
+const MAX_SUGGESTIONS = 30;
+const MAX_PAGE_FINDINGS = 10;
+const DEFAULT_REPAIRS = 2;
+const CHARS_PER_TOKEN = 4; // rough estimate across providers, used for budgeting only
+const MAX_MERGE_ROUNDS = 3;
+
+const score = { type: 'number', minimum: 0, maximum: 100 };
+const finding = {
+  type: 'object',
+  required: ['key', 'priority', 'title', 'fix'],
+  additionalProperties: false,
+  properties: {
+    key: { type: 'string', pattern: '^[a-z0-9][a-z0-9_:.-]*$', description: 'Stable snake_case identifier, e.g. missing_canonical' },
+    priority: { type: 'string', enum: PRIORITIES },
+    title: { type: 'string', minLength: 3, maxLength: 200 },
+    fix: { type: 'string', minLength: 3, description: 'What to change, concretely' },
+    snippet: { type: 'string', description: 'Optional code snippet' }
+  }
+};
+// site-level recommendations cite the page URLs they apply to
+const recommendation = {
+  ...finding,
+  required: [...finding.required, 'pages'],
+  properties: { ...finding.properties, pages: { type: 'array', minItems: 1, items: { type: 'string' }, description: 'URLs of the audited pages the recommendation applies to (the site URL for site-wide items)' } }
+};
+
+const PAGE_FINDINGS_SCHEMA = {
+  name: 'ai_page_findings',
+  description: 'Findings for one page: content quality, semantics, entities, AI/answer-engine readiness',
+  parameters: {
+    type: 'object',
+    required: ['summary', 'findings'],
+    additionalProperties: false,
+    properties: {
+      summary: { type: 'string', minLength: 3, maxLength: 600, description: 'What the page is about and how well it serves search and answer engines' },
+      page_type: { type: 'string', description: 'e.g. home, product, article, contact, category' },
+      findings: { type: 'array', maxItems: MAX_PAGE_FINDINGS, items: finding, description: 'Page problems, highest impact first' }
+    }
+  }
+};
+
+const MERGE_SCHEMA = {
+  name: 'ai_merged_recommendations',
+  description: 'Per-page findings merged into deduplicated recommendations that cite their pages',
+  parameters: {
+    type: 'object',
+    required: ['recommendations'],
+    additionalProperties: false,
+    properties: { recommendations: { type: 'array', maxItems: MAX_SUGGESTIONS, items: recommendation } }
+  }
+};
+
+const AI_AUDIT_SCHEMA = {
+  name: 'ai_audit_result',
+  description: 'Return strict JSON for site-wide SEO/ACCESSIBILITY/KG readiness',
+  parameters: {
+    type: 'object',
+    required: ['seo_score', 'geo_score', 'accessibility_score', 'crawlability_score', 'ai_suggestions'],
+    additionalProperties: false,
+    properties: {
+      seo_score: { ...score, description: 'Site-level SEO score, 0-100' },
+      geo_score: { ...score, description: 'Local / GEO readiness score, 0-100' },
+      accessibility_score: { ...score, description: 'Accessibility score, 0-100' },
+      crawlability_score: { ...score, description: 'Crawlability score, 0-100' },
+      kg_readiness_score: { ...score, description: 'Entity and knowledge-graph readiness score, 0-100' },
+      ai_score_breakdown: { type: 'object', additionalProperties: score, description: 'Optional sub-scores, 0-100 each' },
+      ai_missing: { type: 'array', maxItems: 50, items: { type: 'string', minLength: 1 }, description: 'Signals missing for AI training / answer engines' },
+      ai_suggestions: { type: 'array', maxItems: MAX_SUGGESTIONS, items: recommendation, description: 'Prioritized recommendations, highest impact first' },
+      ai_fix_snippets: { type: 'object', additionalProperties: { type: 'string' } },
+      notes: { type: 'string' }
+    }
+  }
+};
+
+// -------------------- validation (JSON Schema subset) --------------------
+const typeOf = v => (Array.isArray(v) ? 'array' : (v === null ? 'null' : typeof v));
+
+function validateValue(schema, value, at, errors) {
+  const type = typeOf(value);
+  if (schema.type && schema.type !== type && !(schema.type === 'integer' && Number.isInteger(value))) {
+    errors.push(`${at}: expected ${schema.type}, got ${type}`);
+    return;
+  }
+  if (type === 'number') {
+    if (!Number.isFinite(value)) errors.push(`${at}: must be a finite number`);
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: ${value} is below the minimum ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: ${value} is above the maximum ${schema.maximum}`);
+  }
+  if (type === 'string') {
+    if (schema.enum && !schema.enum.includes(value)) errors.push(`${at}: "${value}" is not one of ${schema.enum.join(', ')}`);
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at}: shorter than ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at}: longer than ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at}: "${value}" does not match ${schema.pattern}`);
+  }
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at}: fewer than ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at}: more than ${schema.maxItems} items`);
+    if (schema.items) value.forEach((v, i) => validateValue(schema.items, v, `${at}[${i}]`, errors));
+  }
+  if (type === 'object') {
+    (schema.required || []).filter(k => !(k in value)).forEach(k => errors.push(`${at}: missing required property "${k}"`));
+    Object.entries(value).forEach(([k, v]) => {
+      const prop = schema.properties && schema.properties[k];
+      if (prop) validateValue(prop, v, `${at}.${k}`, errors);
+      else if (schema.additionalProperties === false) errors.push(`${at}: unexpected property "${k}"`);
+      else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') validateValue(schema.additionalProperties, v, `${at}.${k}`, errors);
+    });
+  }
+}
+
+// { valid, errors } for a parsed result (ai_audit_result by default)
+function validateAiAudit(value, schema = AI_AUDIT_SCHEMA.parameters) {
+  const errors = [];
+  validateValue(schema, value, '$', errors);
+  return { valid: !errors.length, errors };
+}
+
+// the AI's headline scores, or null when the AI pass did not produce a valid result
+function aiScores(ai) {
+  if (!ai || typeof ai.seo_score !== 'number') return null;
+  return { seo: ai.seo_score, geo: ai.geo_score, crawlability: ai.crawlability_score, accessibility: ai.accessibility_score, kgReadiness: ai.kg_readiness_score ?? null };
+}
+
+// -------------------- request with re-ask --------------------
+// client: createLlmClient() from llm.js. A result that does not parse or validate (schema, plus `check` for rules the
+// schema cannot express) is sent back with the errors, up to `repairs` times.
+// Returns { data (null when still invalid), valid, errors, attempts, requests, usage, rejected }.
+async function requestStructured(client, schema, { system, messages, maxTokens = 1600, repairs = DEFAULT_REPAIRS, check = null }) {
+  const conversation = messages.slice();
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  let attempts = 0;
+  let requests = 0;
+  for (let round = 0; ; round++) {
+    const result = await client.structured({ system, messages: conversation, schema, maxTokens });
+    requests += result.attempts || 1;
+    attempts++;
+    if (result.usage) { usage.inputTokens += result.usage.inputTokens; usage.outputTokens += result.usage.outputTokens; }
+    let errors = result.parseError ? [`$: response is not valid JSON (${result.parseError})`] : validateAiAudit(result.data, schema.parameters).errors;
+    if (!errors.length && check) errors = check(result.data);
+    const base = { provider: result.provider, model: result.model, attempts, requests, usage };
+    if (!errors.length) return { ...base, data: result.data, valid: true, errors: [] };
+    if (round >= repairs) {
+      return { ...base, data: null, valid: false, errors, rejected: (result.text || JSON.stringify(result.data) || '').slice(0, 4000) };
+    }
+    (client.logger || console).warn(`AI ${schema.name} failed validation (${errors.length} error(s)), re-asking (${round + 1}/${repairs})`);
+    conversation.push(
+      { role: 'assistant', content: result.text || JSON.stringify(result.data) },
+      { role: 'user', content: `Your ${schema.name} output does not match the schema:\n- ${errors.slice(0, 30).join('\n- ')}\nReturn the complete corrected result. Scores are numbers from 0 to 100; every item has key (snake_case), priority (high, medium or low), title and fix, and only the other properties the schema lists.` }
+    );
+  }
+}
+
+// -------------------- map: one page --------------------
+const estimateTokens = text => Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+const clean = t => String(t || '').replace(/\s+/g, ' ').trim();
+
+// head signals plus the main content as text, cut to maxChars; no markup reaches the model
+function pageDigest(page, maxChars) {
+  const $ = load(page.html || '');
+  const headings = $('h1, h2, h3').map((i, el) => `${el.tagName.toLowerCase()}: ${clean($(el).text())}`).get().filter(h => h.length > 4).slice(0, 30);
+  const header = [
+    `URL: ${page.url}`,
+    `Title: ${clean($('title').first().text()) || '(none)'}`,
+    `Meta description: ${clean($('meta[name="description"]').attr('content')) || '(none)'}`,
+    `Static scores: SEO ${page.seoScore}%, GEO ${page.geoScore}%, crawlability ${page.crawlScore}%`,
+    `Failed static checks: ${(page.failedChecks || []).map(k => `${k}${page.prelim && page.prelim.checks[k] && page.prelim.checks[k].advice ? ` (${page.prelim.checks[k].advice})` : ''}`).join('; ') || 'none'}`,
+    `Structured data: ${((page.prelim && page.prelim.structuredData && page.prelim.structuredData.types) || []).join(', ') || 'none'}`,
+    `Headings:\n${headings.join('\n') || '(none)'}`
+  ].join('\n');
+  $('script, style, noscript, template, svg, iframe, nav, header, footer, aside, form').remove();
+  const root = $('main, [role="main"], article').first();
+  const text = clean((root.length ? root : $('body')).text());
+  const room = Math.max(0, maxChars - header.length);
+  const words = text ? text.split(' ').length : 0;
+  return `${header}\n\nMain content (${words} words${text.length > room ? ', truncated' : ''}):\n${text.slice(0, room)}`;
+}
+
+// static-only view of a page, used when no page content may be sent (aiSendHtml: false)
+function staticDigest(page) {
+  return `${page.url}\n  static: SEO ${page.seoScore}%, GEO ${page.geoScore}%; failed checks: ${(page.failedChecks || []).join(', ') || 'none'}`;
+}
+
+function findingsDigest(url, result) {
+  return `${url}\n  summary: ${result.summary}${result.page_type ? ` (${result.page_type})` : ''}\n${result.findings.map(f => `  - [${f.priority}] ${f.key}: ${f.title} — ${f.fix}`).join('\n') || '  - no findings'}`;
+}
+
+function recommendationsDigest(recs) {
+  return recs.map(r => `- [${r.priority}] ${r.key}: ${r.title} — ${r.fix}\n  pages: ${r.pages.join(', ')}`).join('\n');
+}
+
+// split blocks into groups that stay under maxTokens each
+function chunkByTokens(blocks, maxTokens) {
+  const groups = [];
+  let current = [];
+  let size = 0;
+  blocks.forEach(b => {
+    const t = estimateTokens(b);
+    if (current.length && size + t > maxTokens) { groups.push(current); current = []; size = 0; }
+    current.push(b);
+    size += t;
+  });
+  if (current.length) groups.push(current);
+  return groups;
+}
+
+// -------------------- map-reduce over the site --------------------
+const MAP_SYSTEM = 'You are an expert SEO, accessibility and knowledge-graph auditor reviewing ONE page of a website. Judge content quality and completeness, semantic structure, entities and facts an answer engine could cite, and local/GEO signals. Use the static checks as ground truth; do not repeat them unless the content shows why they matter. Return the ai_page_findings result.';
+const MERGE_SYSTEM = 'You merge per-page audit findings of one website into deduplicated, prioritized recommendations. Merge findings that describe the same problem, list every page URL each recommendation applies to (only URLs that appear in the input), and keep the fix concrete. Return the ai_merged_recommendations result.';
+const SITE_SYSTEM = 'You are an expert site-level SEO, accessibility, and knowledge-graph auditor. Use the provided PRELIM and ADVANCED metrics as ground truth, together with the per-page findings. Provide a single, prioritized set of recommendations for the entire site covering semantic HTML, accessibility (ARIA, contrast, keyboard), crawlability / sitemap / robots, content quality and completeness, AI training readiness, and entity & KG readiness. Every recommendation lists the page URLs it applies to (the site URL for site-wide items). Return the ai_audit_result.';
+
+// pages: report pages (url, seoScore, geoScore, crawlScore, failedChecks, prelim) with their html
+// options: { sendHtml, pageTokens, snippetMax, reduceTokens, concurrency, pricing }
+// Returns { ai (validated ai_audit_result or null), pages: { url: findings }, run: { usage, cost, phases, ... } }
+async function runAiAnalysis(client, { siteUrl, pages, prelim, advanced }, options = {}) {
+  const { sendHtml = true, pageTokens = 2000, snippetMax = 12000, reduceTokens = 12000, concurrency = 2, pricing = null } = options;
+  const knownUrls = new Set(pages.map(p => p.url).concat(siteUrl));
+  const citesKnownPages = data => (data.ai_suggestions || data.recommendations || []).flatMap((r, i) => r.pages.filter(u => !knownUrls.has(u)).map(u => `$.${data.ai_suggestions ? 'ai_suggestions' : 'recommendations'}[${i}].pages: "${u}" is not one of the audited page URLs`));
+  const phases = { map: { calls: 0, requests: 0, usage: { inputTokens: 0, outputTokens: 0 } }, merge: { calls: 0, requests: 0, usage: { inputTokens: 0, outputTokens: 0 } }, reduce: { calls: 0, requests: 0, usage: { inputTokens: 0, outputTokens: 0 } } };
+  const track = (phase, result) => {
+    phases[phase].calls += result.attempts;
+    phases[phase].requests += result.requests;
+    phases[phase].usage.inputTokens += result.usage.inputTokens;
+    phases[phase].usage.outputTokens += result.usage.outputTokens;
+    return result;
+  };
+
+  // map: each page on its own, main content within the per-page budget
+  const pageFindings = {};
+  const failedPages = [];
+  if (sendHtml) {
+    const maxChars = Math.min(snippetMax, pageTokens * CHARS_PER_TOKEN);
+    await mapLimit(pages, concurrency, async page => {
+      try {
+        const result = track('map', await requestStructured(client, PAGE_FINDINGS_SCHEMA, { system: MAP_SYSTEM, messages: [{ role: 'user', content: pageDigest(page, maxChars) }], maxTokens: 900 }));
+        if (result.valid) pageFindings[page.url] = result.data;
+        else failedPages.push({ url: page.url, errors: result.errors });
+      } catch (e) {
+        failedPages.push({ url: page.url, errors: [String(e.message || e)] });
+      }
+    });
+    (client.logger || console).log(`AI map: ${Object.keys(pageFindings).length}/${pages.length} pages assessed${failedPages.length ? `, ${failedPages.length} failed` : ''}`);
+  }
+
+  // reduce: findings that do not fit one request are merged in rounds first
+  let blocks = pages.map(p => (pageFindings[p.url] ? findingsDigest(p.url, pageFindings[p.url]) : staticDigest(p)));
+  let mergeRounds = 0;
+  for (let round = 0; estimateTokens(blocks.join('\n')) > reduceTokens && round < MAX_MERGE_ROUNDS; round++) {
+    const groups = chunkByTokens(blocks, reduceTokens);
+    const next = [];
+    for (const group of groups) {
+      // a group that cannot be merged (invalid output, or the request failed after retries) is passed on as-is
+      let result = null;
+      try {
+        result = track('merge', await requestStructured(client, MERGE_SCHEMA, { system: MERGE_SYSTEM, messages: [{ role: 'user', content: `Site: ${siteUrl}\n\n${group.join('\n')}` }], maxTokens: 2000, check: citesKnownPages }));
+      } catch (e) {
+        (client.logger || console).warn(`AI merge request failed, passing ${group.length} finding(s) on unmerged: ${e.message || e}`);
+      }
+      next.push(result && result.valid ? recommendationsDigest(result.data.recommendations) : group.join('\n'));
+    }
+    blocks = next;
+    mergeRounds++;
+  }
+  let findingsText = blocks.join('\n');
+  if (estimateTokens(findingsText) > reduceTokens) findingsText = `${findingsText.slice(0, reduceTokens * CHARS_PER_TOKEN)}\n...[TRUNCATED]`;
+
+  const metrics = `Prelim JSON summary:\n${JSON.stringify(prelim || {}, null, 2)}\n\nAdvanced metrics:\n${JSON.stringify(advanced || {}, null, 2)}`;
+  const userPrompt = `Site: ${siteUrl}\nPages scanned: ${pages.length}\nProvide: 1) site-level scores (SEO, GEO, CRAWLABILITY, ACCESSIBILITY, KG_READINESS); 2) up to 15 prioritized recommendations (high/medium/low) with the pages they apply to and short code snippets where applicable; 3) missing signals for training data.`;
+  // a failed site request does not throw away the page findings and the usage already spent
+  let site;
+  try {
+    site = track('reduce', await requestStructured(client, AI_AUDIT_SCHEMA, {
+      system: SITE_SYSTEM,
+      messages: [
+        { role: 'user', content: userPrompt },
+        { role: 'user', content: `${metrics}\n\n${mergeRounds ? 'Merged recommendations' : 'Per-page findings'}:\n${findingsText}` }
+      ],
+      maxTokens: 2500,
+      check: citesKnownPages
+    }));
+  } catch (e) {
+    site = { data: null, valid: false, errors: [], error: String(e.message || e), attempts: 0 };
+  }
+
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  Object.values(phases).forEach(ph => { usage.inputTokens += ph.usage.inputTokens; usage.outputTokens += ph.usage.outputTokens; });
+  usage.totalTokens = usage.inputTokens + usage.outputTokens;
+  Object.values(phases).forEach(ph => { ph.cost = estimateCost(client.provider, client.model, ph.usage, pricing); });
+  return {
+    ai: site.data,
+    pages: pageFindings,
+    run: {
+      provider: client.provider, model: client.model, htmlSent: sendHtml,
+      pagesAnalyzed: Object.keys(pageFindings).length, pagesFailed: failedPages, mergeRounds,
+      valid: site.valid, errors: site.errors, rejected: site.rejected, error: site.error || null, attempts: site.attempts,
+      phases, usage, cost: estimateCost(client.provider, client.model, usage, pricing)
+    }
+  };
+}
+
+export { AI_AUDIT_SCHEMA, PAGE_FINDINGS_SCHEMA, validateAiAudit, aiScores, requestStructured, runAiAnalysis };
@@ -0,0 +1,61 @@
+// browser.js
+// Real-browser page loads shared by the performance run (performance.js) and the raw-vs-rendered comparison
+// (rendering.js). Live sites load in a recorded Scrapeless cloud browser session when SCRAPING_KEY is set, otherwise in
+// a local headless Chrome; offline sources are always loaded locally and served to the browser from their own
+// fetchResource, since the cloud browser cannot reach them.
+
+import { URL } from 'url';
+
+const VIEWPORT = { width: 1280, height: 800 };
+const OFFLINE_SOURCES = ['directory', 'har', 'warc'];
+
+// wanted: auto | scrapeless | local -> the browser that is actually used for this source
+function browserMode(sourceType, wanted = 'auto', apiKey = '', logger = console) {
+  const offline = OFFLINE_SOURCES.includes(sourceType);
+  if (offline && wanted === 'scrapeless') logger.warn('Browser: offline sources are loaded in a local browser, not the cloud browser.');
+  return !offline && (wanted === 'scrapeless' || (wanted === 'auto' && apiKey)) ? 'scrapeless' : 'local';
+}
+
+// cloud: Scrapeless browser session (recorded, like the crawl); local: puppeteer's Chrome, or puppeteer-core with chromePath
+async function openBrowser({ mode, apiKey, proxyCountry, chromePath, sessionName = 'GeoAudit' }) {
+  if (mode === 'scrapeless') {
+    // loaded on demand like the crawler (sources.js), so offline runs do not need the SDK
+    const { Puppeteer } = await import('@scrapeless-ai/sdk');
+    return Puppeteer.connect({ apiKey, sessionName, sessionRecording: true, sessionTTL: 900, proxyCountry: proxyCountry || 'ANY', defaultViewport: VIEWPORT });
+  }
+  let puppeteer;
+  try {
+    puppeteer = (await import('puppeteer')).default;
+  } catch (e) {
+    if (!chromePath) throw new Error('Local browser runs need the puppeteer package (npm install puppeteer) or performanceChrome / CHROME_PATH pointing at a Chrome binary');
+    puppeteer = (await import('puppeteer-core')).default;
+  }
+  return puppeteer.launch({ headless: true, executablePath: chromePath || undefined, defaultViewport: VIEWPORT, args: ['--no-sandbox', '--disable-dev-shm-usage'] });
+}
+
+// answers same-origin requests of an offline source from its captured resources; other requests go to the network
+async function serveFromSource(page, siteUrl, fetchResource) {
+  const origin = new URL(siteUrl).origin;
+  await page.setRequestInterception(true);
+  page.on('request', async request => {
+    let url;
+    try { url = new URL(request.url()); } catch (e) { request.continue(); return; }
+    if (url.origin !== origin) { request.continue(); return; }
+    const res = await fetchResource(url.toString()).catch(e => ({ status: 0, error: e.message }));
+    if (!res.status) { request.abort('failed'); return; }
+    const headers = { ...res.headers };
+    delete headers['content-encoding'];
+    delete headers['content-length'];
+    request.respond({ status: res.status, headers, body: res.body });
+  });
+}
+
+// a fresh tab for one URL; offline sources are served from fetchResource
+async function newPageFor(browser, { siteUrl, sourceType, fetchResource = null }) {
+  const page = await browser.newPage();
+  await page.setCacheEnabled(false);
+  if (OFFLINE_SOURCES.includes(sourceType) && fetchResource) await serveFromSource(page, siteUrl, fetchResource);
+  return page;
+}
+
+export { VIEWPORT, OFFLINE_SOURCES, browserMode, openBrowser, serveFromSource, newPageFor };
@@ -0,0 +1,89 @@
+// checks.js
+// Check registry for the per-page static analysis (analyzeHtml). Built-in checks keep their logic in geoaudit.js and
+// are listed here with their default weights; custom checks are registered globally (registerCheck) or per run
+// (options.checks) and run after the built-ins. Weights of both can be overridden per project.
+
+import { GeoauditError } from './errors.js';
+
+const PRIORITIES = ['high', 'medium', 'low'];
+
+// default points per check; a page's SEO score is awarded / possible over these
+const DEFAULT_WEIGHTS = {
+  lang: 5, charset: 3, viewport: 4, title: 10, description: 10,
+  h1: 6, canonical: 8, robots: 8, structured_data: 12, local_schema: 12,
+  images_alt: 6, geo: 16
+};
+
+// renamed checks, old key -> new key: weights given under the old key still apply, with a warning
+const RENAMED_CHECKS = { json_ld: 'structured_data' };
+
+const BUILTIN_CHECKS = {
+  lang: { priority: 'low', description: '<html lang> is set' },
+  charset: { priority: 'low', description: '<meta charset> is set' },
+  viewport: { priority: 'low', description: 'viewport meta is set' },
+  title: { priority: 'high', description: 'Title of at least 10 characters' },
+  description: { priority: 'high', description: 'Meta description of 50-160 characters' },
+  h1: { priority: 'medium', description: 'Exactly one H1' },
+  canonical: { priority: 'high', description: 'Canonical link present' },
+  robots: { priority: 'high', description: 'Page is not noindexed' },
+  structured_data: { priority: 'medium', description: 'Structured data present and valid' },
+  local_schema: { priority: 'high', description: 'LocalBusiness/Organization with address and telephone' },
+  images_alt: { priority: 'medium', description: 'At least 80% of images have alt text' },
+  geo: { priority: 'medium', description: 'Geo meta, an E.164 phone number or coordinates' }
+};
+
+const registry = new Map();
+
+function validateCheck(def) {
+  if (!def || typeof def !== 'object') throw new GeoauditError('E_CONFIG', 'A check must be an object with key, weight and run()');
+  if (typeof def.key !== 'string' || !/^[a-z][\w:.-]*$/i.test(def.key)) throw new GeoauditError('E_CONFIG', `Invalid check key ${JSON.stringify(def.key)}: use letters, digits, _ : . -`);
+  if (BUILTIN_CHECKS[def.key]) throw new GeoauditError('E_CONFIG', `Check "${def.key}" is built in; override its weight instead`);
+  if (typeof def.run !== 'function') throw new GeoauditError('E_CONFIG', `Check "${def.key}" needs a run() function`);
+  if (typeof def.weight !== 'number' || !(def.weight >= 0)) throw new GeoauditError('E_CONFIG', `Check "${def.key}" needs a non-negative numeric weight`);
+  if (def.priority !== undefined && !PRIORITIES.includes(def.priority)) throw new GeoauditError('E_CONFIG', `Check "${def.key}": priority must be one of ${PRIORITIES.join(', ')}`);
+  return { key: def.key, weight: def.weight, priority: def.priority || 'low', advice: def.advice || null, description: def.description || null, run: def.run };
+}
+
+// def: { key, weight, run(ctx), priority?, advice?, description? }
+// run receives { $, html, url, report } and returns a boolean or { ok, points?, detail?, advice? }; it must be synchronous
+function registerCheck(def) {
+  const check = validateCheck(def);
+  if (registry.has(check.key)) throw new GeoauditError('E_CONFIG', `Check "${check.key}" is already registered`);
+  registry.set(check.key, check);
+  return check.key;
+}
+
+function unregisterCheck(key) {
+  return registry.delete(key);
+}
+
+function listChecks() {
+  return Object.entries(BUILTIN_CHECKS).map(([key, c]) => ({ key, builtin: true, weight: DEFAULT_WEIGHTS[key], ...c }))
+    .concat(Array.from(registry.values()).map(c => ({ key: c.key, builtin: false, weight: c.weight, priority: c.priority, description: c.description })));
+}
+
+// the checks and weights for one run: registered + per-run checks, weights overridden by key
+function resolveChecks({ weights = {}, checks = [], logger = console } = {}) {
+  const custom = new Map(registry);
+  (checks || []).forEach(def => {
+    const check = validateCheck(def);
+    if (custom.has(check.key)) throw new GeoauditError('E_CONFIG', `Check "${check.key}" is already registered`);
+    custom.set(check.key, check);
+  });
+  const table = { ...DEFAULT_WEIGHTS };
+  custom.forEach(c => { table[c.key] = c.weight; });
+  Object.entries(weights || {}).forEach(([given, w]) => {
+    let key = given;
+    if (RENAMED_CHECKS[given] && !(given in table)) {
+      key = RENAMED_CHECKS[given];
+      logger.warn(`Weight "${given}" is deprecated, use "${key}"${key in weights ? ' (ignored: both are set)' : ''}`);
+      if (key in weights) return;
+    }
+    if (!(key in table)) throw new GeoauditError('E_CONFIG', `Weight given for unknown check "${key}" (known: ${Object.keys(table).join(', ')})`);
+    if (typeof w !== 'number' || !(w >= 0)) throw new GeoauditError('E_CONFIG', `Weight for "${key}" must be a non-negative number`);
+    table[key] = w;
+  });
+  return { weights: table, custom: Array.from(custom.values()) };
+}
+
+export { DEFAULT_WEIGHTS, BUILTIN_CHECKS, registerCheck, unregisterCheck, listChecks, resolveChecks };
@@ -0,0 +1,309 @@
+#!/usr/bin/env node
+// cli.js
+// Command line entry point: geoaudit audit | report | diff | validate-config.
+// Settings come from config.js (defaults < geoaudit.config.json < environment < flags); failures are GeoauditErrors
+// with documented exit codes (see errors.js and the README).
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { runAudit, generateAggregateHtmlReport, ensureReportsDir } from './geoaudit.js';
+import { diffReports } from './history.js';
+import { CONFIG_FILE, FORMATS, resolveConfig, describeConfig } from './config.js';
+import { resolveChecks } from './checks.js';
+import { ERROR_CODES, GeoauditError } from './errors.js';
+
+const USAGE = `Usage: geoaudit <command> [options]
+
+Commands:
+  audit <url|path>          Crawl a site (or load an offline source) and write the aggregate report
+  report <report.json>      Re-render the HTML report from a saved JSON report
+  diff <old.json> <new.json>
+                            Compare two saved reports: score deltas, new/resolved issues, pages, structured data
+  validate-config [url]     Check ${CONFIG_FILE} and print the settings that apply (to url, if given)
+
+Options:
+  -l, --limit <n>           Maximum pages to crawl (default: no limit)
+  -o, --out <dir>           Output directory (default: reports)
+  -f, --format <list>       Report formats, comma-separated: ${FORMATS.join(', ')} (default: json,html)
+      --site-url <url>      Base URL for local sources
+      --proxy-country <cc>  Proxy country for the main crawl (default: ANY)
+      --regions <list>      Countries to compare, e.g. US,GB,DE (requires SCRAPING_KEY)
+      --region-pages <n>    Pages fetched from each region (default: 10)
+      --ai / --no-ai        Run the AI pass when the provider's API key is set (default: on)
+      --ai-provider <name>  openai, anthropic, azure or local (OpenAI-compatible server) (default: openai)
+      --ai-base-url <url>   Endpoint for azure and local providers, e.g. http://localhost:8080/v1
+      --model <name>        Model for the AI pass, the deployment name on azure (default: per provider)
+      --visibility          Simulate answer engines: generate questions per page, answer them from the crawled
+                            pages and report which pages get cited (uses the AI provider)
+      --performance         Measure lab Core Web Vitals, page weight and render-blocking resources in a browser
+      --performance-pages <n>
+                            Pages measured, most linked-to first (default: 10)
+      --render-check <mode> Diff raw server HTML against the rendered DOM: auto (Scrapeless crawls only), browser
+                            (also render raw-HTML sources in a browser) or off (default: auto)
+      --render-check-pages <n>
+                            Pages compared, most linked-to first (default: 50)
+      --ai-snippet-max <n>  Characters of page content sent to the AI pass per page (default: 12000)
+      --ci                  Exit with code 7 when a gate rule fails (implied by the threshold flags below)
+      --min-seo <n>         Fail when the site SEO score is below n (also --min-geo, --min-crawlability,
+                            --min-accessibility, --min-performance)
+      --fail-on <checks>    Fail when any page fails one of these checks, e.g. canonical,title
+      --fail-on-new <p>     Fail on issues not in the baseline with priority p or higher: high, medium, low, any
+      --baseline <file>     Baseline for --fail-on-new: a saved JSON report or "previous" (default: previous)
+  -c, --config <file>       Config file (default: ./${CONFIG_FILE} when present)
+      --verbose             Print stack traces for errors
+  -h, --help                Show this help
+
+Environment: SCRAPING_KEY; OPENAI_API_KEY, ANTHROPIC_API_KEY, AZURE_OPENAI_API_KEY (+ AZURE_OPENAI_ENDPOINT) or
+LOCAL_LLM_API_KEY for the AI provider; and CRAWL_LIMIT, SITE_URL, PROXY_COUNTRY, REGIONS, REGION_PAGES,
+AI_SNIPPET_MAX, AI_MODEL, AI_PROVIDER, AI_BASE_URL as fallbacks for the flags above; CHROME_PATH for local
+performance runs and render checks without the puppeteer package.`;
+
+const OPTIONS = {
+  limit: { type: 'string', short: 'l' },
+  out: { type: 'string', short: 'o' },
+  format: { type: 'string', short: 'f' },
+  'site-url': { type: 'string' },
+  'proxy-country': { type: 'string' },
+  regions: { type: 'string' },
+  'region-pages': { type: 'string' },
+  ai: { type: 'boolean' },
+  'no-ai': { type: 'boolean' },
+  'ai-provider': { type: 'string' },
+  'ai-base-url': { type: 'string' },
+  model: { type: 'string' },
+  'ai-snippet-max': { type: 'string' },
+  visibility: { type: 'boolean' },
+  performance: { type: 'boolean' },
+  'performance-pages': { type: 'string' },
+  'render-check': { type: 'string' },
+  'render-check-pages': { type: 'string' },
+  ci: { type: 'boolean' },
+  'min-seo': { type: 'string' },
+  'min-geo': { type: 'string' },
+  'min-crawlability': { type: 'string' },
+  'min-accessibility': { type: 'string' },
+  'min-performance': { type: 'string' },
+  'fail-on': { type: 'string' },
+  'fail-on-new': { type: 'string' },
+  baseline: { type: 'string' },
+  config: { type: 'string', short: 'c' },
+  verbose: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// CLI flag -> config.js setting
+const FLAG_SETTINGS = {
+  limit: 'crawlLimit', out: 'outDir', format: 'formats', 'site-url': 'siteUrl', 'proxy-country': 'proxyCountry',
+  regions: 'regions', 'region-pages': 'regionPages', model: 'model', 'ai-snippet-max': 'aiSnippetMax',
+  'ai-provider': 'aiProvider', 'ai-base-url': 'aiBaseUrl', 'performance-pages': 'performancePages',
+  'render-check': 'renderCheck', 'render-check-pages': 'renderCheckPages'
+};
+
+// --min-<score> flag -> gate.scores key
+const GATE_SCORE_FLAGS = { 'min-seo': 'seo', 'min-geo': 'geo', 'min-crawlability': 'crawlability', 'min-accessibility': 'accessibility', 'min-performance': 'performance' };
+
+const COMMANDS = ['audit', 'report', 'diff', 'validate-config'];
+
+// gate flags -> config gate (merged over the config file's gate); any of them turns on CI mode
+function gateFlags(values) {
+  const gate = {};
+  Object.entries(GATE_SCORE_FLAGS).forEach(([flag, key]) => {
+    if (values[flag] === undefined) return;
+    const min = Number(values[flag]);
+    if (values[flag].trim() === '' || !Number.isFinite(min)) throw new GeoauditError('E_USAGE', `--${flag} takes a score from 0 to 100 (got "${values[flag]}")`);
+    gate.scores = { ...gate.scores, [key]: min };
+  });
+  if (values['fail-on'] !== undefined) {
+    gate.checks = {};
+    values['fail-on'].split(',').map(k => k.trim()).filter(Boolean).forEach(k => { gate.checks[k] = 0; });
+  }
+  if (values['fail-on-new'] !== undefined) gate.newIssues = values['fail-on-new'];
+  if (values.baseline !== undefined) gate.baseline = values.baseline;
+  return Object.keys(gate).length ? gate : null;
+}
+
+function parseCommandLine(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+  } catch (e) {
+    throw new GeoauditError('E_USAGE', e.message, { cause: e });
+  }
+  const { values, positionals } = parsed;
+  if (values.ai && values['no-ai']) throw new GeoauditError('E_USAGE', '--ai and --no-ai cannot be combined');
+  const flags = {};
+  Object.entries(FLAG_SETTINGS).forEach(([flag, key]) => { if (values[flag] !== undefined) flags[key] = values[flag]; });
+  if (values.ai) flags.ai = true;
+  if (values['no-ai']) flags.ai = false;
+  if (values.visibility) flags.visibility = true;
+  if (values.performance) flags.performance = true;
+  const gate = gateFlags(values);
+  if (gate) flags.gate = gate;
+  if (values.ci || gate) flags.ci = true;
+  // a bare target keeps the old "node geoaudit.js <url>" invocation working
+  const command = COMMANDS.includes(positionals[0]) ? positionals[0] : (positionals.length ? 'audit' : null);
+  const args = COMMANDS.includes(positionals[0]) ? positionals.slice(1) : positionals;
+  return { command, args, flags, values };
+}
+
+function loadConfig(values, flags, target) {
+  const { config, problems, configPath, site } = resolveConfig({ target, flags, configFile: values.config });
+  if (problems.length) {
+    throw new GeoauditError('E_CONFIG', `Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+  }
+  if (configPath) console.log(`Using config ${configPath}${site ? ` (site overrides: ${site})` : ''}`);
+  return config;
+}
+
+function readReport(file) {
+  if (!file) throw new GeoauditError('E_USAGE', 'Missing report path');
+  const full = path.resolve(process.cwd(), file);
+  if (!fs.existsSync(full)) throw new GeoauditError('E_INPUT', `Report not found: ${full}`);
+  let report;
+  try {
+    report = JSON.parse(fs.readFileSync(full, 'utf8'));
+  } catch (e) {
+    throw new GeoauditError('E_INPUT', `Report ${full} is not valid JSON: ${e.message}`, { cause: e });
+  }
+  if (!report || !report.url || !report.prelim) throw new GeoauditError('E_INPUT', `${full} is not a geoaudit aggregate report`);
+  return { report, path: full };
+}
+
+// -------------------- Summary --------------------
+// console summary of an audit run; files: the paths runAudit wrote
+function printSummary(report, files = {}) {
+  const { prelim, geo, structuredData, links, duplicates, entities, nap, advanced, hints, llmsTxt, sitemap, hreflang, regions, robots } = report;
+  console.log('\n---- Aggregate Summary ----');
+  console.log('URL:', report.url);
+  console.log('Pages found:', report.pagesFound);
+  console.log('Avg (prelim) SEO Score:', prelim?.summary?.score ? `${prelim.summary.score}%` : 'N/A');
+  console.log('Min page SEO Score:', prelim?.summary ? `${prelim.summary.min_score}% (${prelim.summary.min_score_url})` : 'N/A');
+  console.log('GEO SCORE (avg / min):', geo?.GEO_SCORE ?? 'N/A', '/', geo?.min ?? 'N/A');
+  if (report.aiRun) console.log('AI scores:', report.scores.ai ? Object.entries(report.scores.ai).filter(([, v]) => v !== null).map(([k, v]) => `${k} ${v}`).join(', ') : `none (${report.aiRun.error ? `site request failed: ${report.aiRun.error}` : `${report.aiRun.errors.length} validation error(s)`})`, `— ${report.aiRun.provider} (${report.aiRun.model}), ${report.aiRun.pagesAnalyzed} pages, ${report.aiRun.usage.totalTokens} tokens${report.aiRun.cost ? `, ~$${report.aiRun.cost.total}` : ''}`);
+  console.log('Structured data:', `${structuredData.items} item(s) on ${structuredData.pagesWithData}/${structuredData.pagesTotal} pages, ${structuredData.errors} errors, ${structuredData.warnings} warnings${Object.keys(structuredData.geoTypes).length ? ` (${Object.entries(structuredData.geoTypes).map(([t, v]) => `${t} ${v.valid}/${v.count} valid`).join(', ')})` : ''}`);
+  console.log('Internal links:', `${links.summary.internalLinks} on ${links.summary.pages} pages, ${links.summary.brokenLinks} broken, ${links.summary.redirectingLinks} redirecting (${links.summary.redirectChains} chains, ${links.summary.redirectLoops} loops), max click depth ${links.summary.maxDepth}, ${links.summary.orphanPages} orphan page(s), ${links.summary.weakAnchors} weak anchor(s)`);
+  console.log('Canonicals & duplicates:', `${duplicates.summary.withCanonical}/${duplicates.summary.pages} pages with a canonical (${duplicates.summary.canonicalized} canonicalized elsewhere, ${duplicates.summary.canonicalErrors} errors, ${duplicates.summary.canonicalWarnings} warnings), ${duplicates.summary.duplicateTitleGroups} duplicate title(s), ${duplicates.summary.duplicateDescriptionGroups} duplicate description(s), ${duplicates.summary.exactDuplicateClusters} exact and ${duplicates.summary.nearDuplicateClusters} near-duplicate cluster(s)`);
+  if (report.rendering) {
+    const r = report.rendering;
+    console.log('JS rendering:', r.summary
+      ? `${r.summary.pagesInvisible}/${r.summary.pagesCompared} page(s) invisible to non-rendering AI crawlers (rendered by ${r.renderedBy}), ${r.summary.jsOnlyWords} words only after JS${r.summary.avgRawTextShare !== null ? `, ${Math.round(r.summary.avgRawTextShare * 100)}% of rendered text in raw HTML` : ''}`
+      : `not compared (${r.error || r.reason})`);
+  }
+  console.log('Entities:', `${entities.total} (${Object.entries(entities.byKind).map(([k, n]) => `${n} ${k}`).join(', ') || 'none'}), ${entities.graph.nodes.length} @id nodes, ${entities.graph.edges.length} links, ${entities.missingFromMarkup.length} named in text but not marked up, ${entities.issues.filter(i => i.type.startsWith('sameas_') && i.severity !== 'info').length} sameAs problem(s)`);
+  console.log('NAP:', nap.found ? `${nap.canonical.name || 'no name'} · ${nap.canonical.postcode || 'no postcode'} · ${nap.canonical.phone || 'no phone'} (consistency ${nap.score ?? 'n/a'}%, ${nap.issues.filter(i => i.severity === 'error').length} error type(s))` : 'none found');
+  if (report.performance && report.performance.summary) {
+    const perf = report.performance;
+    console.log('Performance:', `${perf.score ?? 'n/a'}% over ${perf.summary.pagesMeasured} page(s) (${perf.browser} browser), p75 LCP ${perf.summary.p75.lcp ?? 'n/a'} ms, CLS ${perf.summary.p75.cls ?? 'n/a'}, TBT ${perf.summary.p75.tbt ?? 'n/a'} ms, TTFB ${perf.summary.p75.ttfb ?? 'n/a'} ms; ${perf.summary.pagesPassingCoreWebVitals} passing Core Web Vitals`);
+  }
+  if (report.visibility && report.visibility.summary) console.log('Answer-engine visibility:', `${report.visibility.summary.score ?? 'n/a'}% of ${report.visibility.summary.evaluated} questions cite their source page, ${report.visibility.unanswered.length} unanswered, ${report.visibility.neverCited.length} pages never cited`);
+  console.log('Crawlability (calc):', advanced?.crawlability?.crawlScore ?? 'N/A');
+  console.log('Languages:', Object.entries(hints.readability.byLanguage).map(([lang, l]) => `${lang} ${l.pages} page(s)${l.formula ? `, ${l.formula} ${l.score}` : ''}`).join('; ') + (hints.pagesLanguageMismatch.length ? ` — ${hints.pagesLanguageMismatch.length} page(s) differ from <html lang>` : ''));
+  console.log('Passage citability:', advanced.citability.passages ? `${advanced.citability.score} (${advanced.citability.citablePassages}/${advanced.citability.passages} passages citable, ${advanced.citability.pagesLowCitability.length} weak pages)` : 'no passages found');
+  console.log('Accessibility:', advanced?.accessibility ? `${advanced.accessibility.score}% (worst page ${advanced.accessibility.minScore}%), ${advanced.accessibility.rules.filter(r => r.failingPages).length} WCAG rule(s) failing, ${advanced.accessibility.contrastProblems} contrast problem(s), ARIA count ${advanced.accessibility.ariaCount}` : 'N/A');
+  console.log('llms.txt:', llmsTxt.found ? `score ${llmsTxt.score} (spec ${llmsTxt.spec.score}, links ${llmsTxt.links.health}% ok, covers ${llmsTxt.coverage.contentPercent}% of content)` : 'not found');
+  console.log('Sitemaps found:', sitemap.found.length, sitemap.found.length ? `(${sitemap.urlCount} URLs, ${sitemap.coverage.orphanPages.length} crawled pages missing, ${sitemap.coverage.broken.length} broken, ${sitemap.coverage.redirected.length} redirected, ${sitemap.coverage.noindexed.length} noindexed)` : '');
+  console.log('hreflang:', hreflang.found ? `${hreflang.summary.pagesWithHreflang} pages, ${hreflang.summary.clusters} clusters, locales ${hreflang.summary.locales.join(', ')} (${hreflang.summary.validPages} valid, ${hreflang.summary.errors} errors, ${hreflang.summary.warnings} warnings)` : 'none');
+  if (regions) console.log('Regions:', regions.countries.map(c => `${c} ${regions.summary[c].ok}/${regions.summary[c].pages} ok${regions.summary[c].blocked ? `, ${regions.summary[c].blocked} blocked` : ''}`).join(' · '), `— ${regions.markets.filter(m => m.ok).length}/${regions.markets.length} localized versions reach their market`);
+  const runDiff = report.history ? report.history.diff : null;
+  if (runDiff) console.log('Since last run:', Object.entries(runDiff.scores).map(([k, v]) => `${k} ${v.delta === null ? 'n/a' : (v.delta >= 0 ? '+' : '') + v.delta}`).join(', '), `— ${runDiff.issues.introduced.length} new / ${runDiff.issues.resolved.length} resolved issues, ${runDiff.pages.added.length} pages added / ${runDiff.pages.removed.length} removed`);
+  if (report.gate) console.log('Gate:', report.gate.passed ? `passed (${report.gate.rules.length} rule(s))` : `FAILED — ${report.gate.violations.join('; ')}`);
+  console.log('robots.txt:', robots.availability, robots.aiBlocked.length ? `— AI crawlers blocked: ${robots.aiBlocked.map(b => `${b.agent} (${b.siteBlocked ? 'whole site' : b.pages + ' pages'})`).join(', ')}` : '— no AI crawlers blocked');
+  if (report.topIssues && report.topIssues.length) {
+    console.log('Top issues (top 10):', report.topIssues.slice(0, 10));
+  }
+  if (files.dir) console.log('Reports directory:', files.dir);
+  console.log('---- End ----\n');
+}
+
+// -------------------- Commands --------------------
+async function commandAudit(args, values, flags) {
+  if (args.length !== 1) throw new GeoauditError('E_USAGE', `audit takes exactly one target (got ${args.length})`);
+  const config = loadConfig(values, flags, args[0]);
+  const { report, files } = await runAudit(args[0], config);
+  printSummary(report, files);
+  if (config.ci && report.gate && !report.gate.passed) {
+    throw new GeoauditError('E_GATE', `Gate failed:\n  - ${report.gate.violations.join('\n  - ')}`);
+  }
+}
+
+async function commandReport(args, values, flags) {
+  if (args.length !== 1) throw new GeoauditError('E_USAGE', 'report takes exactly one saved JSON report');
+  const { report, path: jsonPath } = readReport(args[0]);
+  // the HTML goes next to the JSON unless --out is given
+  const outDir = flags.outDir ? ensureReportsDir(flags.outDir) : path.dirname(jsonPath);
+  const htmlPath = path.join(outDir, path.basename(jsonPath).replace(/\.json$/i, '') + '.html');
+  await generateAggregateHtmlReport(report, htmlPath);
+  console.log('Saved aggregate HTML report to', htmlPath);
+}
+
+async function commandDiff(args, values, flags) {
+  if (args.length !== 2) throw new GeoauditError('E_USAGE', 'diff takes two saved JSON reports: <old.json> <new.json>');
+  const a = readReport(args[0]);
+  const b = readReport(args[1]);
+  const diff = diffReports(a.report, b.report);
+  diff.from.file = path.basename(a.path);
+  diff.to.file = path.basename(b.path);
+
+  console.log(`Diff ${diff.from.file} → ${diff.to.file}`);
+  Object.entries(diff.scores).forEach(([k, v]) => console.log(`  ${k.padEnd(14)} ${String(v.before ?? 'n/a').padStart(6)} → ${String(v.after ?? 'n/a').padStart(6)}  (${v.delta === null ? 'n/a' : (v.delta >= 0 ? '+' : '') + v.delta})`));
+  console.log(`  issues         ${diff.issues.introduced.length} new, ${diff.issues.resolved.length} resolved, ${diff.issues.changed.length} changed`);
+  diff.issues.introduced.slice(0, 10).forEach(i => console.log(`    + ${i.issue} (${i.count})`));
+  diff.issues.resolved.slice(0, 10).forEach(i => console.log(`    - ${i.issue} (${i.count})`));
+  console.log(`  pages          ${diff.pages.before} → ${diff.pages.after} (${diff.pages.added.length} added, ${diff.pages.removed.length} removed)`);
+  console.log(`  structured data items ${diff.structuredData.items.before} → ${diff.structuredData.items.after}, errors ${diff.structuredData.errors.before} → ${diff.structuredData.errors.after}`);
+
+  const formats = flags.formats ? String(flags.formats).split(',').map(f => f.trim()) : ['json'];
+  if (formats.includes('json')) {
+    const outDir = ensureReportsDir(flags.outDir || path.dirname(b.path));
+    const diffPath = path.join(outDir, `${path.basename(b.path).replace(/-aggregate\.json$/i, '').replace(/\.json$/i, '')}-diff.json`);
+    fs.writeFileSync(diffPath, JSON.stringify(diff, null, 2), 'utf8');
+    console.log('Saved diff JSON to', diffPath);
+  }
+}
+
+async function commandValidateConfig(args, values, flags) {
+  const { config, problems, configPath, site } = resolveConfig({ target: args[0] || null, flags, configFile: values.config });
+  try {
+    const { weights } = resolveChecks({ weights: config.weights });
+    Object.keys((config.gate && config.gate.checks) || {}).filter(k => !(k in weights)).forEach(k => problems.push(`gate.checks: unknown check "${k}" (known: ${Object.keys(weights).join(', ')})`));
+  } catch (e) {
+    problems.push(`weights: ${e.message}`);
+  }
+  console.log('Config file:', configPath || `none (${CONFIG_FILE} not found, using defaults and environment)`);
+  if (args[0]) console.log('Site overrides:', site || 'none match', `(${args[0]})`);
+  console.log(JSON.stringify(describeConfig(config), null, 2));
+  if (problems.length) throw new GeoauditError('E_CONFIG', `Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+  console.log('Configuration OK');
+}
+
+const HANDLERS = { audit: commandAudit, report: commandReport, diff: commandDiff, 'validate-config': commandValidateConfig };
+
+// returns the process exit code
+async function runCli(argv) {
+  let verbose = argv.includes('--verbose');
+  try {
+    const { command, args, flags, values } = parseCommandLine(argv);
+    verbose = Boolean(values.verbose);
+    if (values.help || !command) {
+      console.log(USAGE);
+      return values.help ? 0 : ERROR_CODES.E_USAGE.exitCode;
+    }
+    await HANDLERS[command](args, values, flags);
+    return 0;
+  } catch (err) {
+    const error = err instanceof GeoauditError ? err : new GeoauditError('E_INTERNAL', err && err.message ? err.message : String(err), { cause: err });
+    console.error(`geoaudit: ${error.code}: ${error.message}`);
+    if (error.hint) console.error(`  hint: ${error.hint}`);
+    if (verbose) console.error(error.cause || error);
+    return error.exitCode;
+  }
+}
+
+export { runCli };
+
+const __filename = fileURLToPath(import.meta.url);
+if (process.argv[1] === __filename) {
+  process.exitCode = await runCli(process.argv.slice(2));
+}
@@ -0,0 +1,236 @@
+// config.js
+// Run settings are merged from built-in defaults, geoaudit.config.json (global values, then the matching entry of
+// "sites"), environment variables and CLI flags, later sources winning. API keys only come from the environment; the AI
+// key is read from the selected provider's variable (see PROVIDERS in llm.js).
+
+import fs from 'fs';
+import path from 'path';
+import { URL } from 'url';
+import { GeoauditError } from './errors.js';
+import { PROVIDERS } from './llm.js';
+import { SCORE_KEYS } from './history.js';
+
+const CONFIG_FILE = 'geoaudit.config.json';
+const FORMATS = ['json', 'html', 'junit', 'sarif'];
+const PERFORMANCE_BROWSERS = ['auto', 'scrapeless', 'local'];
+const RENDER_CHECK_MODES = ['auto', 'browser', 'off'];
+const GATE_PRIORITIES = ['high', 'medium', 'low', 'any'];
+
+const DEFAULTS = {
+  crawlLimit: null, // pages per run, null = no limit
+  outDir: 'reports',
+  formats: ['json', 'html'],
+  siteUrl: '', // base URL for local sources
+  proxyCountry: 'ANY', // proxy country for the main crawl
+  regions: [], // e.g. US,GB,DE: compare what each market receives
+  regionPages: 10, // pages fetched per region
+  ai: true, // AI pass runs when the provider's API key is set (local servers need none)
+  aiProvider: 'openai', // openai, anthropic, azure, local (any OpenAI-compatible server)
+  model: null, // null = the provider's default; the deployment name on Azure
+  aiBaseUrl: '', // '' = the provider's default endpoint
+  aiApiVersion: '2024-10-21', // Azure only
+  aiTimeout: 60000, // ms per request
+  aiRetries: 3, // retries on 429/5xx, timeouts and network errors
+  aiSendHtml: true, // false: the AI pass only receives the computed metrics, never page HTML
+  aiSnippetMax: 12000, // characters of page content per page (the token budget below usually binds first)
+  aiPageTokens: 2000, // token budget for one page's content in the map step
+  aiReduceTokens: 12000, // findings larger than this are merged in rounds before the site-level step
+  aiConcurrency: 2, // pages assessed in parallel
+  aiPricing: null, // { input, output } USD per million tokens; default: built-in table for known models
+  visibility: false, // answer-engine visibility simulation (visibility.js); needs the AI provider
+  visibilityModel: null, // null = the AI pass model
+  visibilityPages: 20, // pages questions are generated from; every page is retrievable
+  visibilityQuestions: 3, // questions per page
+  visibilityTopK: 5, // passages retrieved per question
+  performance: false, // lab Core Web Vitals per page (performance.js)
+  performancePages: 10, // pages measured, most important first
+  performanceBrowser: 'auto', // auto (Scrapeless cloud browser for live sites when SCRAPING_KEY is set), scrapeless, local; also used by renderCheck: browser
+  performanceChrome: '', // Chrome binary for local runs without the puppeteer package
+  renderCheck: 'auto', // raw HTML vs rendered DOM (rendering.js): auto (Scrapeless crawls), browser (every source), off
+  renderCheckPages: 50, // pages compared, most important first
+  weights: {}, // check key -> points, overrides DEFAULT_WEIGHTS in checks.js
+  ci: false, // exit non-zero when the gate fails
+  gate: {} // { scores, pageScores, checks, newIssues, baseline }, see gate.js
+};
+
+// setting -> value type; drives parsing of env/flag strings and validation of the config file
+const TYPES = {
+  crawlLimit: 'integer', outDir: 'string', formats: 'list', siteUrl: 'string', proxyCountry: 'string',
+  regions: 'list', regionPages: 'integer', ai: 'boolean', aiProvider: 'string', model: 'string', aiBaseUrl: 'string',
+  aiApiVersion: 'string', aiTimeout: 'integer', aiRetries: 'count', aiSendHtml: 'boolean', aiSnippetMax: 'integer', weights: 'weights',
+  aiPageTokens: 'integer', aiReduceTokens: 'integer', aiConcurrency: 'integer', aiPricing: 'pricing',
+  visibility: 'boolean', visibilityModel: 'string', visibilityPages: 'integer', visibilityQuestions: 'integer', visibilityTopK: 'integer',
+  performance: 'boolean', performancePages: 'integer', performanceBrowser: 'string', performanceChrome: 'string',
+  renderCheck: 'string', renderCheckPages: 'integer',
+  ci: 'boolean', gate: 'gate'
+};
+
+const ENV_VARS = {
+  CRAWL_LIMIT: 'crawlLimit', SITE_URL: 'siteUrl', PROXY_COUNTRY: 'proxyCountry', REGIONS: 'regions',
+  REGION_PAGES: 'regionPages', AI_SNIPPET_MAX: 'aiSnippetMax', AI_MODEL: 'model', AI_PROVIDER: 'aiProvider',
+  AI_BASE_URL: 'aiBaseUrl', CHROME_PATH: 'performanceChrome'
+};
+
+// string (env var / flag) -> typed value, undefined when empty
+function parseValue(key, raw) {
+  if (raw === undefined || raw === null || raw === '') return undefined;
+  if (typeof raw !== 'string') return raw;
+  switch (TYPES[key]) {
+    case 'integer':
+    case 'count': return /^-?\d+$/.test(raw.trim()) ? parseInt(raw, 10) : raw;
+    case 'boolean': return /^(1|true|yes|on)$/i.test(raw) ? true : (/^(0|false|no|off)$/i.test(raw) ? false : raw);
+    case 'list': return raw.split(',').map(v => v.trim()).filter(Boolean);
+    default: return raw;
+  }
+}
+
+// list of problems; an empty list means the settings are usable
+function validateSettings(settings, where = 'config') {
+  const problems = [];
+  Object.entries(settings).forEach(([key, value]) => {
+    if (value === undefined) return;
+    const type = TYPES[key];
+    if (!type) { problems.push(`${where}: unknown setting "${key}"`); return; }
+    if (type === 'integer' && value !== null && (!Number.isInteger(value) || value < 1)) problems.push(`${where}: ${key} must be a positive integer (got ${JSON.stringify(value)})`);
+    if (type === 'count' && (!Number.isInteger(value) || value < 0)) problems.push(`${where}: ${key} must be a non-negative integer (got ${JSON.stringify(value)})`);
+    if (type === 'string' && typeof value !== 'string') problems.push(`${where}: ${key} must be a string`);
+    if (type === 'boolean' && typeof value !== 'boolean') problems.push(`${where}: ${key} must be true or false (got ${JSON.stringify(value)})`);
+    if (type === 'list' && !Array.isArray(value)) problems.push(`${where}: ${key} must be an array or a comma-separated list`);
+    if (type === 'pricing' && value !== null && (!value || typeof value !== 'object' || !['input', 'output'].every(k => typeof value[k] === 'number' && value[k] >= 0))) {
+      problems.push(`${where}: ${key} must be { "input": <USD per million tokens>, "output": <USD per million tokens> }`);
+    }
+    if (type === 'gate') problems.push(...validateGate(value, `${where}: gate`));
+    if (type === 'weights') {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) problems.push(`${where}: ${key} must be an object of check key -> points`);
+      else Object.entries(value).filter(([, w]) => typeof w !== 'number' || !(w >= 0)).forEach(([k]) => problems.push(`${where}: weights.${k} must be a non-negative number`));
+    }
+  });
+  if (Array.isArray(settings.formats)) settings.formats.filter(f => !FORMATS.includes(f)).forEach(f => problems.push(`${where}: unknown format "${f}" (supported: ${FORMATS.join(', ')})`));
+  if (Array.isArray(settings.regions)) settings.regions.filter(c => !/^[A-Z]{2}$/i.test(c)).forEach(c => problems.push(`${where}: region "${c}" is not a two-letter country code`));
+  if (typeof settings.proxyCountry === 'string' && !/^(ANY|[A-Z]{2})$/i.test(settings.proxyCountry)) problems.push(`${where}: proxyCountry must be ANY or a two-letter country code`);
+  if (typeof settings.performanceBrowser === 'string' && !PERFORMANCE_BROWSERS.includes(settings.performanceBrowser)) problems.push(`${where}: performanceBrowser must be one of ${PERFORMANCE_BROWSERS.join(', ')}`);
+  if (typeof settings.renderCheck === 'string' && !RENDER_CHECK_MODES.includes(settings.renderCheck)) problems.push(`${where}: renderCheck must be one of ${RENDER_CHECK_MODES.join(', ')}`);
+  if (typeof settings.aiProvider === 'string' && !PROVIDERS[settings.aiProvider]) problems.push(`${where}: aiProvider must be one of ${Object.keys(PROVIDERS).join(', ')}`);
+  if (typeof settings.aiBaseUrl === 'string' && settings.aiBaseUrl) {
+    try { new URL(settings.aiBaseUrl); } catch (e) { problems.push(`${where}: aiBaseUrl "${settings.aiBaseUrl}" is not an absolute URL`); }
+  }
+  if (typeof settings.siteUrl === 'string' && settings.siteUrl) {
+    try { new URL(settings.siteUrl); } catch (e) { problems.push(`${where}: siteUrl "${settings.siteUrl}" is not an absolute URL`); }
+  }
+  return problems;
+}
+
+function validateGate(gate, where) {
+  if (!gate || typeof gate !== 'object' || Array.isArray(gate)) return [`${where} must be an object`];
+  const problems = [];
+  const known = ['scores', 'pageScores', 'checks', 'newIssues', 'baseline'];
+  Object.keys(gate).filter(k => !known.includes(k)).forEach(k => problems.push(`${where}: unknown rule "${k}" (known: ${known.join(', ')})`));
+  // site and page thresholds name the same scores
+  [['scores', SCORE_KEYS], ['pageScores', SCORE_KEYS]].forEach(([rule, keys]) => {
+    if (gate[rule] === undefined) return;
+    if (!gate[rule] || typeof gate[rule] !== 'object') { problems.push(`${where}.${rule} must be an object`); return; }
+    Object.entries(gate[rule]).forEach(([k, v]) => {
+      if (!keys.includes(k)) problems.push(`${where}.${rule}: unknown score "${k}" (known: ${keys.join(', ')})`);
+      else if (typeof v !== 'number' || v < 0 || v > 100) problems.push(`${where}.${rule}.${k} must be a number from 0 to 100`);
+    });
+  });
+  if (gate.checks !== undefined) {
+    if (!gate.checks || typeof gate.checks !== 'object') problems.push(`${where}.checks must be an object of check key -> allowed failing pages`);
+    else Object.entries(gate.checks).filter(([, v]) => !Number.isInteger(v) || v < 0).forEach(([k]) => problems.push(`${where}.checks.${k} must be a non-negative integer (allowed failing pages)`));
+  }
+  if (gate.newIssues !== undefined && gate.newIssues !== false && !GATE_PRIORITIES.includes(gate.newIssues)) problems.push(`${where}.newIssues must be one of ${GATE_PRIORITIES.join(', ')} or false`);
+  if (gate.baseline !== undefined && typeof gate.baseline !== 'string') problems.push(`${where}.baseline must be "previous" or the path of a saved JSON report`);
+  return problems;
+}
+
+// explicit path must exist; the default file is optional
+function readConfigFile(file) {
+  const explicit = Boolean(file);
+  const full = path.resolve(process.cwd(), file || CONFIG_FILE);
+  if (!fs.existsSync(full)) {
+    if (explicit) throw new GeoauditError('E_CONFIG', `Config file not found: ${full}`);
+    return { path: null, settings: {}, sites: {} };
+  }
+  let json;
+  try {
+    json = JSON.parse(fs.readFileSync(full, 'utf8'));
+  } catch (e) {
+    throw new GeoauditError('E_CONFIG', `Config file ${full} is not valid JSON: ${e.message}`, { cause: e });
+  }
+  if (!json || typeof json !== 'object' || Array.isArray(json)) throw new GeoauditError('E_CONFIG', `Config file ${full} must contain a JSON object`);
+  const { sites = {}, $schema, ...settings } = json;
+  return { path: full, settings, sites: sites && typeof sites === 'object' ? sites : {} };
+}
+
+// "sites" keys are hostnames ("example.com" also matches www.example.com) or URL prefixes
+function siteOverrides(sites, target) {
+  if (!target) return { key: null, settings: {} };
+  let host = null;
+  try { host = new URL(target).hostname.toLowerCase(); } catch (e) {}
+  const keys = Object.keys(sites).filter(k => {
+    const key = k.toLowerCase();
+    if (/^https?:\/\//.test(key)) return target.toLowerCase().startsWith(key);
+    return host && (host === key || host === `www.${key}` || host.endsWith(`.${key}`));
+  });
+  // the most specific match wins
+  const key = keys.sort((a, b) => b.length - a.length)[0] || null;
+  return { key, settings: key ? sites[key] : {} };
+}
+
+function fromEnv(env) {
+  const out = {};
+  Object.entries(ENV_VARS).forEach(([name, key]) => {
+    const v = parseValue(key, env[name]);
+    if (v !== undefined) out[key] = v;
+  });
+  return out;
+}
+
+// flags: already-named settings from the CLI (strings or typed values); configFile false skips the config file
+function resolveConfig({ target = null, flags = {}, env = process.env, configFile = null } = {}) {
+  const file = configFile === false ? { path: null, settings: {}, sites: {} } : readConfigFile(configFile);
+  const envSettings = fromEnv(env);
+  // local sources are matched by the site URL they are reported under
+  const site = siteOverrides(file.sites, flags.siteUrl || envSettings.siteUrl || file.settings.siteUrl || target);
+  const flagSettings = {};
+  Object.entries(flags).forEach(([key, raw]) => { const v = parseValue(key, raw); if (v !== undefined) flagSettings[key] = v; });
+
+  const layers = [
+    ['config', file.settings],
+    [`config sites["${site.key}"]`, site.settings],
+    ['environment', envSettings],
+    ['flags', flagSettings]
+  ];
+  const problems = layers.flatMap(([where, settings]) => validateSettings(settings || {}, where));
+  Object.entries(file.sites).forEach(([key, value]) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) problems.push(`config: sites["${key}"] must be an object`);
+    else if (key !== site.key) problems.push(...validateSettings(value, `config sites["${key}"]`));
+  });
+
+  const config = { ...DEFAULTS };
+  // weights and gate rules merge key by key across layers; every other setting is replaced by the later layer
+  layers.forEach(([, settings]) => Object.entries(settings || {}).forEach(([k, v]) => {
+    if (v === undefined || !TYPES[k]) return;
+    if (TYPES[k] === 'weights' && v && typeof v === 'object') config[k] = { ...config[k], ...v };
+    else if (TYPES[k] === 'gate' && v && typeof v === 'object') {
+      const merged = { ...config[k], ...v };
+      ['scores', 'pageScores', 'checks'].forEach(r => { if (config[k][r] || v[r]) merged[r] = { ...config[k][r], ...v[r] }; });
+      config[k] = merged;
+    } else config[k] = v;
+  }));
+  config.regions = (config.regions || []).map(c => String(c).trim().toUpperCase()).filter(Boolean);
+  config.proxyCountry = String(config.proxyCountry || 'ANY').toUpperCase();
+  config.scrapingKey = env.SCRAPING_KEY || '';
+  const provider = PROVIDERS[config.aiProvider] || PROVIDERS.openai;
+  config.aiApiKey = env[provider.keyEnv] || '';
+  if (!config.aiBaseUrl && provider.baseUrlEnv) config.aiBaseUrl = env[provider.baseUrlEnv] || '';
+  return { config, problems, configPath: file.path, site: site.key };
+}
+
+// settings safe to print (keys masked)
+function describeConfig(config) {
+  const mask = v => (v ? `${v.slice(0, 4)}…(${v.length} chars)` : '(not set)');
+  return { ...config, scrapingKey: mask(config.scrapingKey), aiApiKey: mask(config.aiApiKey) };
+}
+
+export { CONFIG_FILE, DEFAULTS, FORMATS, resolveConfig, validateSettings, describeConfig };
@@ -0,0 +1,285 @@
+// duplicates.js
+// Canonical validation and duplicate content across the crawl. Each page's canonical (<link rel="canonical"> or HTTP
+// Link header) is checked against its target: status, redirects, noindex, cross-domain and canonical chains. Indexable
+// pages are then grouped by identical <title> and meta description, and every pair of main texts is compared by word
+// shingle overlap so exact and near-duplicate pages can be clustered; each page also gets a SimHash fingerprint.
+
+import { URL } from 'url';
+import { load } from 'cheerio';
+import { urlKey, isNoindex } from './sitemaps.js';
+import { contentBlocks } from './passages.js';
+import { mapLimit, absolutize, redirectedFrom as redirectMap } from './util.js';
+
+const MAX_CHECKS = 200;           // uncrawled canonical targets requested per run
+const MAX_LISTED = 200;
+const SHINGLE_WORDS = 5;
+const MIN_WORDS = 50;             // shorter main texts are too small to compare
+const NEAR_DUPLICATE_SIMILARITY = 0.7;
+
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+
+// -------------------- Canonicals --------------------
+// Link: <https://example.com/page>; rel="canonical"
+function canonicalsFromLinkHeader(value) {
+  const list = Array.isArray(value) ? value.join(', ') : String(value || '');
+  return list.split(/,\s*(?=<)/)
+    .map(part => part.match(/^\s*<([^>]*)>(.*)$/))
+    .filter(m => m && /;\s*rel\s*=\s*"?(?:[^";]*\s)?canonical(?:\s[^";]*)?"?/i.test(m[2]))
+    .map(m => m[1].trim());
+}
+
+// every canonical a page declares: [{ raw, href, source: html|body|header, relative }]
+function extractCanonicals(page) {
+  const $ = load(page.html || '');
+  const found = [];
+  $('link[rel]').each((i, el) => {
+    if (!/(^|\s)canonical(\s|$)/i.test($(el).attr('rel') || '')) return;
+    const raw = ($(el).attr('href') || '').trim();
+    found.push({ raw, href: raw ? absolutize(raw, page.url) : null, source: $(el).parents('head').length ? 'html' : 'body', relative: !/^https?:\/\//i.test(raw) });
+  });
+  canonicalsFromLinkHeader(page.headers?.link).forEach(raw => found.push({ raw, href: absolutize(raw, page.url), source: 'header', relative: !/^https?:\/\//i.test(raw) }));
+  return found;
+}
+
+// one request without following redirects: a canonical should name the final URL itself
+async function checkTarget(url, fetchResource) {
+  const res = await fetchResource(url, { redirect: 'manual' });
+  const location = res.headers?.location;
+  if (res.status >= 300 && res.status < 400 && location) {
+    let to = null;
+    try { to = new URL(location, url).toString(); } catch (e) { /* reported as the raw header */ }
+    return { status: res.status, location: to || location, noindex: null, error: null };
+  }
+  const html = res.status === 200 && /html/i.test(res.headers?.['content-type'] || '') ? res.body.toString('utf8') : null;
+  return { status: res.status, location: null, noindex: res.status === 200 ? isNoindex(html, res.headers || {}) : null, error: res.error || null };
+}
+
+// -------------------- Text fingerprints --------------------
+function mainText(html) {
+  return contentBlocks(html).map(b => b.text).join(' ');
+}
+
+// FNV-1a with a murmur3 finalizer; two seeds give the 64 bits of the fingerprint
+function hash32(str, seed) {
+  let h = seed >>> 0;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  h ^= h >>> 16; h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13; h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+function shingles(words) {
+  const out = new Set();
+  if (words.length < SHINGLE_WORDS) { if (words.length) out.add(words.join(' ')); return out; }
+  for (let i = 0; i + SHINGLE_WORDS <= words.length; i++) out.add(words.slice(i, i + SHINGLE_WORDS).join(' '));
+  return out;
+}
+
+// 64-bit SimHash as [high, low] 32-bit halves
+function simhash(shingleSet) {
+  const v = new Int32Array(64);
+  shingleSet.forEach(s => {
+    const halves = [hash32(s, 0x811c9dc5), hash32(s, 0x9747b28c)];
+    halves.forEach((h, half) => {
+      for (let b = 0; b < 32; b++) v[half * 32 + b] += (h >>> b) & 1 ? 1 : -1;
+    });
+  });
+  const out = [0, 0];
+  for (let i = 0; i < 64; i++) if (v[i] > 0) out[i >> 5] |= 1 << (i & 31);
+  return out.map(h => h >>> 0);
+}
+
+function popcount(n) {
+  n -= (n >>> 1) & 0x55555555;
+  n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+  return (Math.imul((n + (n >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24);
+}
+
+function hammingDistance(a, b) {
+  return popcount(a[0] ^ b[0]) + popcount(a[1] ^ b[1]);
+}
+
+function jaccard(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let shared = 0;
+  small.forEach(s => { if (large.has(s)) shared++; });
+  const union = a.size + b.size - shared;
+  return union ? shared / union : 0;
+}
+
+const toHex = fp => fp.map(h => h.toString(16).padStart(8, '0')).join('');
+
+// -------------------- Analysis --------------------
+async function analyzeDuplicates(pages, siteUrl, { fetchResource = null, checkStatus = true } = {}) {
+  const infos = pages.map(p => {
+    const $ = load(p.html || '');
+    const canonicals = extractCanonicals(p);
+    const words = mainText(p.html).toLowerCase().match(/[\p{L}\p{N}]+(?:['’][\p{L}]+)?/gu) || [];
+    return {
+      url: p.url,
+      key: urlKey(p.url),
+      host: new URL(p.url).host.toLowerCase(),
+      status: p.status || 200,
+      noindex: isNoindex(p.html, p.headers || {}),
+      canonicals,
+      canonical: canonicals.find(c => c.source !== 'body' && c.href)?.href || null,
+      title: ($('title').first().text() || '').replace(/\s+/g, ' ').trim(),
+      description: ($('meta[name="description"]').attr('content') || '').replace(/\s+/g, ' ').trim(),
+      words,
+      issues: []
+    };
+  });
+  const byKey = new Map(infos.map(i => [i.key, i]));
+  const redirectedFrom = redirectMap(pages);
+
+  const issues = [];
+  const issue = (info, type, severity, message, target = null) => {
+    const i = { url: info.url, type, severity, message, target };
+    issues.push(i);
+    info.issues.push(i);
+  };
+
+  // canonical targets that were not crawled: one manual-redirect request each
+  const uncrawled = Array.from(new Set(infos.map(i => i.canonical).filter(c => c && !byKey.has(urlKey(c)) && !redirectedFrom.has(urlKey(c)))));
+  const toCheck = checkStatus && fetchResource ? uncrawled.slice(0, MAX_CHECKS) : [];
+  const checked = new Map();
+  await mapLimit(toCheck, 4, async url => { checked.set(url, await checkTarget(url, fetchResource)); });
+
+  infos.forEach(info => {
+    const declared = info.canonicals;
+    if (!declared.length) return;
+    declared.filter(c => !c.href).forEach(c => issue(info, 'canonical_invalid', 'error', `Canonical "${c.raw}" (${c.source}) is not a usable http(s) URL`));
+    declared.filter(c => c.source === 'body').forEach(c => issue(info, 'canonical_in_body', 'warning', `Canonical ${c.raw} is in <body> and is ignored by search engines`));
+    const targets = Array.from(new Map(declared.filter(c => c.href && c.source !== 'body').map(c => [urlKey(c.href), c.href])).values());
+    if (targets.length > 1) issue(info, 'canonical_multiple', 'error', `${targets.length} different canonicals (${targets.join(', ')}); search engines ignore all of them`);
+    const relative = declared.find(c => c.href && c.relative && c.source !== 'body');
+    if (relative) issue(info, 'canonical_relative', 'warning', `Canonical "${relative.raw}" is relative; use an absolute URL`);
+    if (!info.canonical || targets.length > 1) return;
+
+    const targetKey = urlKey(info.canonical);
+    if (targetKey === info.key) return;
+    const targetHost = new URL(info.canonical).host.toLowerCase();
+    if (targetHost !== info.host) issue(info, 'canonical_cross_domain', 'warning', `Canonical points to another host (${targetHost})`, info.canonical);
+    if (info.noindex) issue(info, 'canonical_noindex_conflict', 'warning', `Page is noindex (${info.noindex}) but canonicalizes to ${info.canonical}; the two signals conflict`, info.canonical);
+
+    if (redirectedFrom.has(targetKey)) { issue(info, 'canonical_redirect', 'error', `Canonical ${info.canonical} redirects to ${redirectedFrom.get(targetKey)}`, info.canonical); return; }
+    const crawled = byKey.get(targetKey);
+    if (crawled) {
+      if (crawled.status >= 400 || !crawled.status) issue(info, 'canonical_not_200', 'error', `Canonical ${info.canonical} returns ${crawled.status || 'no response'}`, info.canonical);
+      else if (crawled.noindex) issue(info, 'canonical_noindex', 'error', `Canonical ${info.canonical} is noindex (${crawled.noindex})`, info.canonical);
+      else if (crawled.canonical && urlKey(crawled.canonical) !== crawled.key) issue(info, 'canonical_chain', 'warning', `Canonical ${info.canonical} canonicalizes again to ${crawled.canonical}`, info.canonical);
+      return;
+    }
+    const t = checked.get(info.canonical);
+    if (!t) return;
+    if (t.location) issue(info, 'canonical_redirect', 'error', `Canonical ${info.canonical} redirects (${t.status}) to ${t.location}`, info.canonical);
+    else if (t.status !== 200) issue(info, 'canonical_not_200', 'error', `Canonical ${info.canonical} returns ${t.status || t.error || 'no response'}`, info.canonical);
+    else if (t.noindex) issue(info, 'canonical_noindex', 'error', `Canonical ${info.canonical} is noindex (${t.noindex})`, info.canonical);
+  });
+
+  // pages that compete for the index: not noindex, not canonicalized to another URL, and answering 200
+  const indexable = infos.filter(i => !i.noindex && i.status < 300 && (!i.canonical || urlKey(i.canonical) === i.key));
+  const groupBy = field => {
+    const groups = new Map();
+    indexable.filter(i => i[field]).forEach(i => {
+      const k = i[field].toLowerCase();
+      groups.set(k, (groups.get(k) || []).concat(i));
+    });
+    return Array.from(groups.values()).filter(g => g.length > 1)
+      .map(g => ({ text: g[0][field], pages: g.map(i => i.url) }))
+      .sort((a, b) => b.pages.length - a.pages.length);
+  };
+  const titles = groupBy('title');
+  const descriptions = groupBy('description');
+
+  // near duplicates among indexable pages (a page canonicalized elsewhere is already consolidated): shingle Jaccard
+  // similarity of every pair, joined into clusters. No SimHash pre-filter: at 0.7 Jaccard fingerprints can differ by
+  // far more bits than a usable cut-off, and the pass is pairwise anyway
+  const compared = indexable.filter(i => i.words.length >= MIN_WORDS);
+  compared.forEach(i => { i.shingles = shingles(i.words); i.fingerprint = simhash(i.shingles); i.exactText = i.words.join(' '); });
+  const parent = compared.map((c, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const pairs = [];
+  for (let a = 0; a < compared.length; a++) {
+    for (let b = a + 1; b < compared.length; b++) {
+      const exact = compared[a].exactText === compared[b].exactText;
+      const similarity = exact ? 1 : jaccard(compared[a].shingles, compared[b].shingles);
+      if (similarity < NEAR_DUPLICATE_SIMILARITY) continue;
+      pairs.push({ a, b, similarity, exact });
+      parent[find(a)] = find(b);
+    }
+  }
+  const groups = new Map();
+  compared.forEach((c, i) => { if (pairs.some(p => p.a === i || p.b === i)) groups.set(find(i), (groups.get(find(i)) || []).concat(i)); });
+  const clusters = Array.from(groups.values()).map(members => {
+    const own = pairs.filter(p => members.includes(p.a));
+    return {
+      pages: members.map(i => ({ url: compared[i].url, words: compared[i].words.length })),
+      similarity: Math.round(Math.min(...own.map(p => p.similarity)) * 100),
+      exact: own.every(p => p.exact)
+    };
+  }).sort((a, b) => b.pages.length - a.pages.length || b.similarity - a.similarity)
+    .map((c, i) => ({ id: i + 1, ...c }));
+
+  const clusterOf = new Map();
+  clusters.forEach(c => c.pages.forEach(p => clusterOf.set(p.url, c)));
+  const titleGroupOf = new Map();
+  titles.forEach(g => g.pages.forEach(u => titleGroupOf.set(u, g.pages.length)));
+  const descriptionGroupOf = new Map();
+  descriptions.forEach(g => g.pages.forEach(u => descriptionGroupOf.set(u, g.pages.length)));
+
+  const byPage = {};
+  infos.forEach(info => {
+    const cluster = clusterOf.get(info.url);
+    byPage[info.url] = {
+      canonical: info.canonical,
+      canonicalType: !info.canonicals.some(c => c.source !== 'body') ? 'missing' : (!info.canonical ? 'invalid' : (urlKey(info.canonical) === info.key ? 'self' : 'other')),
+      canonicalErrors: info.issues.filter(i => i.severity === 'error').map(i => i.type),
+      canonicalWarnings: info.issues.filter(i => i.severity === 'warning').map(i => i.type),
+      duplicateTitle: titleGroupOf.get(info.url) || 0,
+      duplicateDescription: descriptionGroupOf.get(info.url) || 0,
+      cluster: cluster ? cluster.id : null,
+      words: info.words.length,
+      simhash: info.fingerprint ? toHex(info.fingerprint) : null
+    };
+  });
+
+  const issueCounts = {};
+  issues.forEach(i => { issueCounts[i.type] = (issueCounts[i.type] || 0) + 1; });
+  const summary = {
+    pages: infos.length,
+    withCanonical: infos.filter(i => i.canonicals.length).length,
+    selfCanonical: infos.filter(i => i.canonical && urlKey(i.canonical) === i.key).length,
+    canonicalized: infos.filter(i => i.canonical && urlKey(i.canonical) !== i.key).length,
+    indexable: indexable.length,
+    canonicalErrors: issues.filter(i => i.severity === 'error').length,
+    canonicalWarnings: issues.filter(i => i.severity === 'warning').length,
+    duplicateTitleGroups: titles.length,
+    pagesWithDuplicateTitle: titleGroupOf.size,
+    duplicateDescriptionGroups: descriptions.length,
+    pagesWithDuplicateDescription: descriptionGroupOf.size,
+    comparedPages: compared.length,
+    exactDuplicateClusters: clusters.filter(c => c.exact).length,
+    nearDuplicateClusters: clusters.filter(c => !c.exact).length,
+    pagesInDuplicateClusters: clusters.reduce((s, c) => s + c.pages.length, 0),
+    uncrawledTargets: uncrawled.length,
+    checkedTargets: toCheck.length,
+    issueCounts
+  };
+
+  return {
+    summary,
+    canonicalIssues: issues.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]).slice(0, MAX_LISTED),
+    canonicalized: infos.filter(i => i.canonical && urlKey(i.canonical) !== i.key).map(i => ({ url: i.url, canonical: i.canonical })).slice(0, MAX_LISTED),
+    titles: titles.slice(0, MAX_LISTED),
+    descriptions: descriptions.slice(0, MAX_LISTED),
+    clusters: clusters.slice(0, MAX_LISTED),
+    pages: byPage
+  };
+}
+
+export { extractCanonicals, simhash, hammingDistance, analyzeDuplicates };
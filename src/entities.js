@@ -0,0 +1,351 @@
+// entities.js
+// Entity extraction and knowledge-graph linking. Organizations, places, people, products and addresses come from
+// structured data (JSON-LD, Microdata, RDFa) and from the page's main text; the site pass dedupes them across pages,
+// builds the @id graph, checks sameAs links for consistency and lists entities the text names but the markup lacks.
+
+import { URL } from 'url';
+import { typesOf, ruleTypeFor } from './schema.js';
+import { contentBlocks } from './passages.js';
+import { normalizeName } from './nap.js';
+
+const KINDS = ['organization', 'place', 'person', 'product', 'address'];
+const PLACE_TYPES = new Set(['Place', 'City', 'Country', 'State', 'AdministrativeArea', 'Landform', 'LandmarksOrHistoricalBuildings', 'Residence', 'TouristAttraction', 'CivicStructure', 'Neighborhood', 'PostalCodeRule']);
+const PRODUCT_TYPES = new Set(['Product', 'Brand', 'ProductModel', 'ProductGroup', 'IndividualProduct', 'Car', 'Vehicle', 'SoftwareApplication', 'Service']);
+// properties whose string values name a place
+const PLACE_PROPS = ['addressLocality', 'addressRegion', 'areaServed', 'containedInPlace'];
+
+const CONNECTORS = new Set(['of', 'de', 'la', 'le', 'du', 'des', 'del', 'von', 'van', 'der', 'den', 'di', 'da', '&', 'and', 'und', 'et', 'y']);
+const STOPWORDS = new Set(('the a an this that these those there here it its we our us you your they their he she his her i my me ' +
+  'what why how when where who which if in on at by for from to with and or but not no yes ok all any each more most ' +
+  'home contact about menu read learn click sign log login logout register cart checkout search privacy policy terms cookie cookies ' +
+  'faq faqs blog news shop services service products product book call email send submit next previous back top view see share follow ' +
+  'monday tuesday wednesday thursday friday saturday sunday mon tue wed thu fri sat sun ' +
+  'january february march april may june july august september october november december jan feb mar apr jun jul aug sep sept oct nov dec ' +
+  'mr mrs ms dr prof sir dame').split(' '));
+const LEGAL_SUFFIX = /^(ltd|limited|llc|llp|inc|incorporated|gmbh|ag|kg|sarl|sas|sa|bv|nv|plc|corp|corporation|co|company|srl|spa|pty|oy|ab|as)\.?$/i;
+const TITLES = /^(mr|mrs|ms|miss|dr|prof|professor|sir|dame|herr|frau|m|mme|mlle|sr|sra|dott)\.?$/i;
+const ROLES = /^,?\s*(?:our\s+|the\s+)?(founder|co-founder|owner|ceo|cto|cfo|director|manager|head|chef|engineer|partner|president|author|editor|lead)\b/i;
+const PLACE_PREPS = new Set(['in', 'near', 'around', 'across', 'throughout', 'from', 'serving', 'nahe', 'bei', 'à', 'près', 'cerca', 'vicino']);
+const PLACE_WORDS = /^(street|st|road|rd|avenue|ave|lane|square|park|city|county|borough|district|station|airport|bridge|valley|river|hill|island|bay|straße|strasse|platz|rue|calle|plaza|via)\.?$/i;
+const STREET_WORDS = /^(street|st|road|rd|avenue|ave|lane|straße|strasse|platz|rue|calle|via)\.?$/i;
+// "Camden and Islington" after a place preposition is two places
+const PLACE_SPLIT = /\s+(?:and|und|et|y|&)\s+/i;
+// a UK postcode ("EC1A 1BB") ending a run belongs to the address, not the name before it
+const POSTCODE_TAIL = [/^[A-Z]{1,2}\d[A-Z\d]?$/, /^\d[A-Z]{2}$/];
+// German and Luxembourgish capitalize every noun, so single capitalized words are not names there
+const NOUN_CAPS = new Set(['de', 'lb']);
+const TEXT_KINDS = ['p', 'li', 'cell', 'quote', 'dd', 'dt', 'caption'];
+const MAX_TEXT_ENTITIES = 50;
+
+const keyOf = name => normalizeName(name);
+const strip = w => w.replace(/^[^\p{L}\p{N}&]+|[^\p{L}\p{N}&.]+$/gu, '').replace(/\.$/, '');
+const isCapitalized = w => /^\p{Lu}/u.test(w) && /\p{L}/u.test(w);
+
+function absoluteId(id, base) {
+  try { return new URL(String(id), base).toString(); } catch (e) { return String(id); }
+}
+
+function kindOfTypes(types) {
+  const rules = types.map(ruleTypeFor);
+  if (types.includes('PostalAddress')) return 'address';
+  if (types.includes('Person')) return 'person';
+  if (rules.includes('LocalBusiness') || rules.includes('Organization')) return 'organization';
+  if (types.some(t => PRODUCT_TYPES.has(t)) || rules.includes('Product')) return 'product';
+  if (types.some(t => PLACE_TYPES.has(t)) || rules.includes('Place')) return 'place';
+  return null;
+}
+
+function addressText(node) {
+  const parts = ['streetAddress', 'addressLocality', 'postalCode', 'addressCountry'].map(k => node[k]).map(v => (v && typeof v === 'object' ? v.name : v)).filter(v => typeof v === 'string' && v.trim());
+  return parts.join(', ') || null;
+}
+
+// -------------------- Markup --------------------
+// every typed node: entities (organization/place/person/product/address), @id graph nodes and the references between them
+function markupEntities(structuredNodes, pageUrl) {
+  const entities = [];
+  const nodes = [];
+  const relations = [];
+  const ref = (node, types) => (node['@id'] ? absoluteId(node['@id'], pageUrl) : (typeof node.name === 'string' && node.name.trim() ? `${types[0] || 'Thing'}:${node.name.trim()}` : null));
+
+  const visit = (node, depth = 0) => {
+    if (!node || typeof node !== 'object' || depth > 10) return null;
+    if (Array.isArray(node)) { node.forEach(n => visit(n, depth + 1)); return null; }
+    const types = typesOf(node);
+    const id = node['@id'] ? absoluteId(node['@id'], pageUrl) : null;
+    // { "@id": "..." } alone is a reference, resolved against the nodes defined elsewhere
+    const keys = Object.keys(node).filter(k => k !== '@context');
+    if (!types.length && id && keys.length === 1) return { ref: id, reference: true };
+    if (Array.isArray(node['@graph'])) node['@graph'].forEach(n => visit(n, depth + 1));
+    if (!types.length) return null;
+
+    const kind = kindOfTypes(types);
+    const name = kind === 'address' ? addressText(node) : (typeof node.name === 'string' ? node.name.trim() : null);
+    const sameAs = [].concat(node.sameAs || []).filter(v => typeof v === 'string').map(v => v.trim());
+    if (id) nodes.push({ id, types, name });
+    if (kind && name) entities.push({ kind, name, types, id, sameAs, url: typeof node.url === 'string' ? node.url : null });
+    PLACE_PROPS.forEach(p => [].concat(node[p] || []).forEach(v => {
+      const placeName = typeof v === 'string' ? v.trim() : null;
+      if (placeName) entities.push({ kind: 'place', name: placeName, types: [], id: null, sameAs: [], url: null });
+    }));
+
+    const from = ref(node, types);
+    Object.entries(node).forEach(([prop, value]) => {
+      if (prop.startsWith('@') || !value || typeof value !== 'object') return;
+      [].concat(value).forEach(v => {
+        const target = visit(v, depth + 1);
+        if (from && target && target.ref) relations.push({ from, property: prop.replace(/^https?:\/\/schema\.org\//i, ''), to: target.ref, reference: Boolean(target.reference) });
+      });
+    });
+    const targetKind = kind && kind !== 'address';
+    return targetKind || id ? { ref: from, reference: false } : null;
+  };
+  structuredNodes.forEach(n => visit(n));
+  return { entities, nodes, relations };
+}
+
+// -------------------- Text --------------------
+// capitalized runs ("Acme Plumbing Ltd", "Bank of England") classified by context; sentence-initial single words are
+// kept only when the page also capitalizes them mid-sentence
+function textEntities(blocks, lang, known) {
+  const found = new Map();
+  const midSentence = new Set();
+  const candidates = [];
+  blocks.forEach(text => {
+    text.split(/(?<=[.!?])\s+/).forEach(sentence => {
+      const words = sentence.split(/\s+/).filter(Boolean);
+      let run = [];
+      const flush = (nextWord) => {
+        if (run.length > 2 && POSTCODE_TAIL[0].test(run[run.length - 2].w) && POSTCODE_TAIL[1].test(run[run.length - 1].w)) run.splice(-2);
+        while (run.length && CONNECTORS.has(run[run.length - 1].w.toLowerCase())) run.pop();
+        if (run.length) candidates.push({ words: run.map(r => r.w), start: run[0].i, prev: run[0].i > 0 ? strip(words[run[0].i - 1]) : '', next: nextWord || '' });
+        run = [];
+      };
+      words.forEach((raw, i) => {
+        const w = strip(raw);
+        const cap = w && isCapitalized(w) && !STOPWORDS.has(w.toLowerCase());
+        const joins = run.length && (CONNECTORS.has(w.toLowerCase()) || /\d/.test(w) || LEGAL_SUFFIX.test(w));
+        if (cap || (joins && w)) {
+          if (cap && i > 0) midSentence.add(w.toLowerCase());
+          run.push({ w, i });
+        } else {
+          flush(words.slice(i).join(' '));
+        }
+        // punctuation after a word ends the name
+        if (run.length && /[,;:!?)"”]$/.test(raw)) flush(words.slice(i + 1).join(' '));
+      });
+      flush('');
+    });
+  });
+
+  candidates.forEach(c => {
+    const name = c.words.join(' ');
+    const single = c.words.length === 1;
+    if (single && c.start === 0 && !midSentence.has(name.toLowerCase())) return;
+    if (name.length < 2 || /^\d+$/.test(name)) return;
+    const key = keyOf(name);
+    if (!key) return;
+    let kind = known.get(key) || null;
+    const last = c.words[c.words.length - 1];
+    if (!kind && LEGAL_SUFFIX.test(last) && c.words.length > 1) kind = 'organization';
+    if (!kind && (TITLES.test(c.prev) || ROLES.test(c.next) || (c.prev.toLowerCase() === 'by' && c.words.length >= 2))) kind = 'person';
+    if (!kind && (PLACE_PREPS.has(c.prev.toLowerCase()) || PLACE_WORDS.test(last))) kind = 'place';
+    if (!kind && c.words.some(w => /\d/.test(w)) && c.words.length > 1) kind = 'product';
+    if (!kind && NOUN_CAPS.has(lang) && single) return;
+    const names = kind === 'place' && !known.has(key) ? name.split(PLACE_SPLIT) : [name];
+    names.forEach(n => {
+      const k = keyOf(n);
+      if (!k) return;
+      const entry = found.get(k) || { name: n, kind: kind || 'other', mentions: 0 };
+      entry.mentions += 1;
+      if (entry.kind === 'other' && kind) entry.kind = kind;
+      found.set(k, entry);
+    });
+  });
+  return Array.from(found.values()).sort((a, b) => b.mentions - a.mentions).slice(0, MAX_TEXT_ENTITIES);
+}
+
+// markup name matches text name when one contains the other word-wise ("Acme Plumbing" ~ "Acme Plumbing Ltd")
+function matchesAny(key, keys) {
+  const padded = ` ${key} `;
+  return keys.some(k => k === key || (k.includes(' ') || key.includes(' ') ? padded.includes(` ${k} `) || ` ${k} `.includes(padded) : false));
+}
+
+// -------------------- Per-page extraction --------------------
+// structuredNodes: top-level nodes from schema.js; options: { lang, addresses (from nap.js) }
+function extractEntities(html, pageUrl, structuredNodes = [], { lang = null, addresses = [] } = {}) {
+  const markup = markupEntities(structuredNodes, pageUrl);
+  const known = new Map();
+  markup.entities.forEach(e => { if (e.kind !== 'address') known.set(keyOf(e.name), e.kind); });
+
+  const blocks = contentBlocks(html).filter(b => TEXT_KINDS.includes(b.kind)).map(b => b.text);
+  const text = textEntities(blocks, lang, known);
+  addresses.filter(a => a.source !== 'markup' && (a.postcode || a.street)).forEach(a => {
+    text.push({ name: [a.street, a.postcode].filter(Boolean).join(', '), kind: 'address', mentions: 1, postcode: a.postcode || null });
+  });
+
+  // "High Street" out of "1 High Street, London" is part of the address, not a place of its own
+  const addressKeys = markup.entities.filter(e => e.kind === 'address').map(e => e.name).concat(text.filter(e => e.kind === 'address').map(e => e.name)).map(keyOf);
+  for (let i = text.length - 1; i >= 0; i--) {
+    const e = text[i];
+    if (e.kind === 'place' && STREET_WORDS.test(e.name.split(/\s+/).pop()) && addressKeys.some(a => ` ${a} `.includes(` ${keyOf(e.name)} `))) text.splice(i, 1);
+  }
+
+  const markupKeys = markup.entities.filter(e => e.kind !== 'address').map(e => keyOf(e.name));
+  const markupPostcodes = markup.entities.filter(e => e.kind === 'address').map(e => e.name.toUpperCase().replace(/\s+/g, ''));
+  text.forEach(e => {
+    e.inMarkup = e.kind === 'address'
+      ? Boolean(e.postcode && markupPostcodes.some(m => m.includes(e.postcode)))
+      : matchesAny(keyOf(e.name), markupKeys);
+  });
+
+  return {
+    markup: markup.entities,
+    text,
+    nodes: markup.nodes,
+    relations: markup.relations,
+    missingFromMarkup: text.filter(e => !e.inMarkup && KINDS.includes(e.kind) && e.kind !== 'address').map(e => ({ name: e.name, kind: e.kind, mentions: e.mentions }))
+  };
+}
+
+// -------------------- Site-level graph & consistency --------------------
+function profileKey(url) {
+  try {
+    const u = new URL(url);
+    return u.hostname.replace(/^(www|m|mobile)\./, '');
+  } catch (e) { return null; }
+}
+
+// pages: [{ url, entities }] where entities is extractEntities() output
+function analyzeEntities(pages, siteUrl = null) {
+  const issues = [];
+  const byType = {};
+  const pageIssues = {};
+  const flag = (url, type, severity, message) => {
+    if (!pageIssues[url]) pageIssues[url] = [];
+    if (!pageIssues[url].some(i => i.type === type && i.message === message)) pageIssues[url].push({ type, severity, message });
+    const k = `${type}|${message}`;
+    if (!byType[k]) byType[k] = { type, severity, message, urls: [] };
+    if (!byType[k].urls.includes(url)) byType[k].urls.push(url);
+  };
+  const valid = pages.filter(p => p.entities);
+
+  // entity registry: markup entities merge by @id, everything else by kind + normalized name
+  const registry = new Map();
+  const entry = (key, kind, name) => {
+    if (!registry.has(key)) registry.set(key, { name, kind, names: new Set(), pages: new Set(), mentions: 0, markupPages: new Set(), ids: new Set(), sameAs: new Map() });
+    const e = registry.get(key);
+    e.names.add(name);
+    return e;
+  };
+  // a name first seen with an @id keeps pointing at that entity when other pages omit the @id
+  const nameKeys = new Map();
+  valid.forEach(({ entities }) => entities.markup.forEach(m => {
+    if (m.kind !== 'address' && !nameKeys.has(keyOf(m.name))) nameKeys.set(keyOf(m.name), m.id ? `id|${m.id}` : `${m.kind}|${keyOf(m.name)}`);
+  }));
+  const markupNames = Array.from(nameKeys.keys());
+  valid.forEach(({ url, entities }) => {
+    entities.markup.forEach(m => {
+      const key = m.id ? `id|${m.id}` : ((m.kind !== 'address' && nameKeys.get(keyOf(m.name))) || `${m.kind}|${keyOf(m.name)}`);
+      const e = entry(key, m.kind, m.name);
+      e.pages.add(url);
+      e.markupPages.add(url);
+      if (m.id) e.ids.add(m.id);
+      if (m.sameAs.length || ['organization', 'person'].includes(m.kind)) e.sameAs.set(url, (e.sameAs.get(url) || []).concat(m.sameAs));
+    });
+    entities.text.forEach(t => {
+      const k = keyOf(t.name);
+      const match = t.kind !== 'address' && markupNames.find(n => matchesAny(k, [n]));
+      const e = entry(match ? nameKeys.get(match) : `${t.kind}|${k}`, t.kind, t.name);
+      if (e.kind === 'other' && t.kind !== 'other') e.kind = t.kind;
+      e.pages.add(url);
+      e.mentions += t.mentions;
+    });
+  });
+
+  // sameAs: malformed links, different profiles on the same network, and pages that disagree
+  const siteHost = siteUrl ? profileKey(siteUrl) : null;
+  registry.forEach(e => {
+    const lists = Array.from(e.sameAs.entries());
+    if (!lists.length) return;
+    const all = Array.from(new Set(lists.flatMap(([, l]) => l)));
+    all.filter(u => !/^https?:\/\/[^\s/]+\.[^\s/]+/i.test(u)).forEach(u => lists.filter(([, l]) => l.includes(u)).forEach(([url]) => flag(url, 'sameas_invalid', 'error', `sameAs of "${e.name}" is not an absolute URL: ${u}`)));
+    const byNetwork = {};
+    all.forEach(u => { const host = profileKey(u); if (host) (byNetwork[host] = byNetwork[host] || new Set()).add(u.replace(/\/+$/, '').toLowerCase()); });
+    Object.entries(byNetwork).filter(([, set]) => set.size > 1).forEach(([host, set]) => lists.filter(([, l]) => l.some(u => profileKey(u) === host)).forEach(([url]) => flag(url, 'sameas_conflict', 'error', `"${e.name}" links ${set.size} different ${host} profiles`)));
+    if (siteHost && byNetwork[siteHost]) lists.filter(([, l]) => l.some(u => profileKey(u) === siteHost)).forEach(([url]) => flag(url, 'sameas_self', 'warning', `sameAs of "${e.name}" points at the site itself; use url or @id for that`));
+    const signatures = new Set(lists.filter(([, l]) => l.length).map(([, l]) => Array.from(new Set(l.map(u => u.replace(/\/+$/, '').toLowerCase()))).sort().join(' ')));
+    if (signatures.size > 1) lists.forEach(([url, l]) => { if (l.length) flag(url, 'sameas_inconsistent', 'warning', `Pages list different sameAs links for "${e.name}"`); });
+    if (e.kind === 'organization' && !all.length) lists.forEach(([url]) => flag(url, 'sameas_missing', 'info', `"${e.name}" has no sameAs links to its profiles (Wikidata, Google Business, social networks)`));
+  });
+
+  // @id graph: defined nodes, references, dangling references and ids reused for different things
+  const graphNodes = new Map();
+  valid.forEach(({ url, entities }) => entities.nodes.forEach(n => {
+    if (!graphNodes.has(n.id)) graphNodes.set(n.id, { id: n.id, types: new Set(), names: new Set(), pages: new Set() });
+    const g = graphNodes.get(n.id);
+    n.types.forEach(t => g.types.add(t));
+    if (n.name) g.names.add(n.name);
+    g.pages.add(url);
+  }));
+  const edges = new Map();
+  valid.forEach(({ url, entities }) => entities.relations.forEach(r => {
+    const k = `${r.from}|${r.property}|${r.to}`;
+    if (!edges.has(k)) edges.set(k, { from: r.from, property: r.property, to: r.to, reference: r.reference, pages: new Set() });
+    edges.get(k).pages.add(url);
+  }));
+  const dangling = Array.from(edges.values()).filter(e => e.reference && !graphNodes.has(e.to));
+  dangling.forEach(e => e.pages.forEach(url => flag(url, 'entity_dangling_reference', 'error', `${e.property} references @id ${e.to}, which no crawled page defines`)));
+  const conflicts = Array.from(graphNodes.values()).filter(g => new Set(Array.from(g.names).map(keyOf)).size > 1
+    || new Set(Array.from(g.types).map(t => kindOfTypes([t])).filter(Boolean)).size > 1);
+  conflicts.forEach(g => g.pages.forEach(url => flag(url, 'entity_id_conflict', 'warning', `@id ${g.id} is used for different entities (${Array.from(g.names).concat(Array.from(g.types)).join(', ')})`)));
+  const unlinked = valid.filter(p => p.entities.markup.some(m => ['organization', 'person'].includes(m.kind) && !m.id));
+  unlinked.forEach(p => flag(p.url, 'entity_without_id', 'info', 'Organization or Person markup without @id cannot be linked across pages'));
+
+  // entities the text names on some page but that no page marks up
+  const entities = Array.from(registry.values()).map(e => ({
+    name: e.name,
+    kind: e.kind,
+    variants: Array.from(e.names).filter(n => n !== e.name).slice(0, 5),
+    pages: e.pages.size,
+    mentions: e.mentions,
+    inMarkup: e.markupPages.size > 0,
+    ids: Array.from(e.ids),
+    sameAs: Array.from(new Set(Array.from(e.sameAs.values()).flat())),
+    urls: Array.from(e.pages)
+  })).sort((a, b) => (b.pages - a.pages) || (b.mentions - a.mentions));
+  const missingFromMarkup = entities.filter(e => !e.inMarkup && KINDS.includes(e.kind) && e.kind !== 'address');
+  missingFromMarkup.forEach(e => e.urls.forEach(url => flag(url, 'entity_not_in_markup', 'warning', `${e.kind} "${e.name}" is named in the text but not in structured data`)));
+
+  Object.values(byType).forEach(v => issues.push({ type: v.type, severity: v.severity, message: v.message, urls: v.urls.slice(0, 20), pages: v.urls.length }));
+  issues.sort((a, b) => ({ error: 0, warning: 1, info: 2 }[a.severity] - { error: 0, warning: 1, info: 2 }[b.severity]) || b.pages - a.pages);
+
+  const byKind = {};
+  entities.forEach(e => { byKind[e.kind] = (byKind[e.kind] || 0) + 1; });
+  const pageVerdicts = {};
+  valid.forEach(({ url, entities: pe }) => {
+    pageVerdicts[url] = {
+      markup: pe.markup.length,
+      text: pe.text.length,
+      missingFromMarkup: pe.missingFromMarkup.map(m => m.name),
+      issues: pageIssues[url] || []
+    };
+  });
+
+  return {
+    total: entities.length,
+    byKind,
+    entities: entities.slice(0, 100).map(e => ({ ...e, urls: e.urls.slice(0, 10) })),
+    missingFromMarkup: missingFromMarkup.slice(0, 50).map(({ name, kind, pages: n, mentions, urls }) => ({ name, kind, pages: n, mentions, urls: urls.slice(0, 10) })),
+    graph: {
+      nodes: Array.from(graphNodes.values()).slice(0, 200).map(g => ({ id: g.id, types: Array.from(g.types), names: Array.from(g.names), pages: g.pages.size })),
+      edges: Array.from(edges.values()).slice(0, 300).map(e => ({ from: e.from, property: e.property, to: e.to, pages: e.pages.size })),
+      dangling: dangling.map(e => ({ from: e.from, property: e.property, to: e.to })),
+      conflicts: conflicts.map(g => g.id)
+    },
+    issues,
+    pages: pageVerdicts
+  };
+}
+
+export { extractEntities, analyzeEntities };
@@ -0,0 +1,24 @@
+// errors.js
+// Documented failures of the CLI. Each code has a fixed exit status and a hint; the README lists the same table.
+
+const ERROR_CODES = {
+  E_INTERNAL: { exitCode: 1, hint: 'Unexpected failure. Re-run with --verbose and report the stack trace.' },
+  E_USAGE: { exitCode: 2, hint: 'Run "geoaudit --help" for the list of commands and flags.' },
+  E_CONFIG: { exitCode: 3, hint: 'Run "geoaudit validate-config" to see every problem in the configuration.' },
+  E_CRAWL: { exitCode: 4, hint: 'Check SCRAPING_KEY and the target URL, or audit an offline source (directory, HAR, WARC, URL list).' },
+  E_NO_PAGES: { exitCode: 5, hint: 'The raw crawl response was saved as crawl-raw-debug.json in the output directory.' },
+  E_GATE: { exitCode: 7, hint: 'See the gate section of the JSON report, or the JUnit/SARIF files, for the failing rules and pages.' },
+  E_INPUT: { exitCode: 6, hint: 'audit reads a URL, a directory, a .har/.warc file or a URL list; report and diff read *-aggregate.json files.' }
+};
+
+class GeoauditError extends Error {
+  constructor(code, message, { hint, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'GeoauditError';
+    this.code = ERROR_CODES[code] ? code : 'E_INTERNAL';
+    this.exitCode = ERROR_CODES[this.code].exitCode;
+    this.hint = hint || ERROR_CODES[this.code].hint;
+  }
+}
+
+export { ERROR_CODES, GeoauditError };
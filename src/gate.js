@@ -0,0 +1,175 @@
+// gate.js
+// CI gate: evaluates score thresholds, per-check failure budgets and "no new issues vs baseline" rules against an
+// aggregate report, and renders the outcome as JUnit XML (one suite per rule) and SARIF (every failed check per page).
+
+import fs from 'fs';
+import path from 'path';
+import { SCORE_KEYS, reportScores, snapshotOf, diffReports } from './history.js';
+import { GeoauditError } from './errors.js';
+
+const PAGE_SCORES = { seo: 'seoScore', geo: 'geoScore', crawlability: 'crawlScore', accessibility: 'accessibilityScore', performance: 'performanceScore' };
+const PRIORITY_RANK = { high: 3, medium: 2, low: 1 };
+
+// site-level issues that are not per-page checks; anything unlisted counts as medium
+const ISSUE_PRIORITIES = [
+  [/^robots_blocked:/, 'high'], [/^sitemap_missing$/, 'medium'], [/^llms_txt_/, 'low'],
+  [/^region_blocked:/, 'high'], [/^hreflang_target_not_crawled$/, 'low'], [/^nap_.*mismatch$/, 'high'],
+  [/^links_(?:broken|redirect_loop)$/, 'high'], [/^links_(?:weak_anchors|internal_nofollow)$/, 'low'],
+  [/^canonical_(?:invalid|multiple|not_200|redirect|noindex)$/, 'high'], [/^canonical_(?:relative|in_body|chain)$/, 'low'], [/^duplicate_content$/, 'high'],
+  [/^perf_(?:render_blocking|requests)$/, 'low'], [/^js_invisible_pages$/, 'high'], [/^js_only_links$/, 'low']
+];
+
+function issuePriority(report, issue) {
+  const check = report.prelim && report.prelim.checks ? report.prelim.checks[issue] : null;
+  if (check && check.priority) return check.priority;
+  const hit = ISSUE_PRIORITIES.find(([re]) => re.test(issue));
+  return hit ? hit[1] : 'medium';
+}
+
+// whether the gate has anything to enforce (baseline alone does not)
+function hasGateRules(gate) {
+  return Boolean(gate && (Object.keys(gate.scores || {}).length || Object.keys(gate.pageScores || {}).length || Object.keys(gate.checks || {}).length || gate.newIssues));
+}
+
+// ref: "previous" (the last run in this host's history) or the path of a saved aggregate JSON report
+function loadBaseline(ref = 'previous', previousRun = null) {
+  if (ref === 'previous') return previousRun;
+  const full = path.resolve(process.cwd(), ref);
+  let report;
+  try {
+    report = JSON.parse(fs.readFileSync(full, 'utf8'));
+  } catch (e) {
+    throw new GeoauditError('E_INPUT', `Baseline report ${full} could not be read: ${e.message}`, { cause: e });
+  }
+  if (!report || !report.url || !report.prelim) throw new GeoauditError('E_INPUT', `Baseline ${full} is not a geoaudit aggregate report`);
+  return snapshotOf(report, full);
+}
+
+// gate: { scores, pageScores, checks, newIssues, baseline }; baseline: snapshot or report of the run to compare with
+function evaluateGate(report, gate = {}, baseline = null) {
+  const rules = [];
+  const scores = reportScores(report);
+  const pages = report.pages || [];
+
+  Object.entries(gate.scores || {}).forEach(([key, min]) => {
+    const actual = scores[key];
+    const passed = typeof actual === 'number' && actual >= min;
+    rules.push({ id: `score.${key}`, kind: 'score', passed, expected: `>= ${min}`, actual, message: passed ? null : `Site ${key} score ${actual ?? 'n/a'} is below ${min}`, failures: [] });
+  });
+
+  Object.entries(gate.pageScores || {}).forEach(([key, min]) => {
+    const field = PAGE_SCORES[key];
+    // performance is only measured on a sample of pages; unmeasured pages are left out
+    const scored = key === 'performance' ? pages.filter(p => typeof p[field] === 'number') : pages;
+    const failures = scored.filter(p => !(p[field] >= min)).map(p => ({ url: p.url, message: `${key} score ${p[field]} is below ${min}` }));
+    rules.push({ id: `pageScore.${key}`, kind: 'pageScore', passed: !failures.length, expected: `every page >= ${min}`, actual: `${scored.length - failures.length}/${scored.length} pages`, message: failures.length ? `${failures.length} page(s) have a ${key} score below ${min}` : null, failures, pages: scored.map(p => p.url) });
+  });
+
+  // value = how many pages may fail the check (0 = none)
+  Object.entries(gate.checks || {}).forEach(([key, maxFailing]) => {
+    const failing = pages.filter(p => p.prelim && p.prelim.checks[key] && !p.prelim.checks[key].ok);
+    const known = pages.some(p => p.prelim && p.prelim.checks[key]);
+    const failures = failing.map(p => ({ url: p.url, message: p.prelim.checks[key].advice || `Fails ${key}` }));
+    const passed = known && failing.length <= maxFailing;
+    rules.push({
+      id: `check.${key}`, kind: 'check', passed, expected: `<= ${maxFailing} failing page(s)`, actual: known ? `${failing.length} failing page(s)` : 'check not run',
+      message: passed ? null : (known ? `${failing.length} page(s) fail ${key} (allowed: ${maxFailing})` : `Check "${key}" is not part of this report`),
+      failures, pages: pages.filter(p => p.prelim && p.prelim.checks[key]).map(p => p.url)
+    });
+  });
+
+  if (gate.newIssues) {
+    const minRank = gate.newIssues === 'any' ? 0 : PRIORITY_RANK[gate.newIssues];
+    const expected = gate.newIssues === 'any' ? 'no new issues' : `no new ${gate.newIssues}-priority issues`;
+    if (!baseline) {
+      rules.push({ id: 'baseline.newIssues', kind: 'baseline', passed: true, expected, actual: 'no baseline', message: null, skipped: 'No baseline run to compare with', failures: [] });
+    } else {
+      const diff = diffReports(baseline, report);
+      const introduced = diff.issues.introduced.map(i => ({ ...i, priority: issuePriority(report, i.issue) })).filter(i => PRIORITY_RANK[i.priority] >= minRank);
+      const failures = introduced.map(i => ({ issue: i.issue, message: `New ${i.priority}-priority issue ${i.issue} (${i.count})` }));
+      rules.push({ id: 'baseline.newIssues', kind: 'baseline', passed: !failures.length, expected, actual: `${failures.length} new`, message: failures.length ? `${failures.length} new issue(s) since ${diff.from.file || diff.from.ts || 'the baseline'}` : null, failures, baseline: diff.from });
+    }
+  }
+
+  const violations = rules.filter(r => !r.passed);
+  return { passed: !violations.length, rules, violations: violations.map(r => r.message) };
+}
+
+// -------------------- JUnit XML --------------------
+function xml(s) {
+  return String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+function testcase(classname, name, { failure = null, detail = null, skipped = null } = {}) {
+  const body = failure ? `<failure message="${xml(failure)}" type="${xml(classname)}">${detail ? xml(detail) : ''}</failure>` : (skipped ? `<skipped message="${xml(skipped)}"/>` : '');
+  return { failed: Boolean(failure), skipped: Boolean(skipped), xml: `    <testcase classname="${xml(classname)}" name="${xml(name)}">${body}</testcase>` };
+}
+
+// one testsuite per rule; page rules get one testcase per page so CI can annotate each URL
+function toJUnit(report, gateResult) {
+  const suites = gateResult.rules.map(rule => {
+    let cases;
+    if ((rule.kind === 'pageScore' || rule.kind === 'check') && rule.pages.length) {
+      const byUrl = new Map(rule.failures.map(f => [f.url, f]));
+      cases = rule.pages.map(url => testcase(rule.id, url, byUrl.has(url) ? { failure: byUrl.get(url).message, detail: url } : {}));
+    } else if (rule.kind === 'baseline' && rule.failures.length) {
+      cases = rule.failures.map(f => testcase(rule.id, f.issue, { failure: f.message }));
+    } else {
+      cases = [testcase(rule.id, `${rule.id} ${rule.expected}`, { failure: rule.message, detail: `expected ${rule.expected}, got ${rule.actual}`, skipped: rule.skipped })];
+    }
+    return { name: rule.id, cases, failures: cases.filter(c => c.failed).length, skipped: cases.filter(c => c.skipped).length };
+  });
+  const sum = key => suites.reduce((n, x) => n + (key === 'tests' ? x.cases.length : x[key]), 0);
+  const body = suites.map(x => `  <testsuite name="${xml(x.name)}" tests="${x.cases.length}" failures="${x.failures}" skipped="${x.skipped}" errors="0">\n${x.cases.map(c => c.xml).join('\n')}\n  </testsuite>`);
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="geoaudit ${xml(report.url)}" tests="${sum('tests')}" failures="${sum('failures')}" skipped="${sum('skipped')}" errors="0" timestamp="${xml(report.scrapedAt || '')}">\n${body.map(b => `${b}\n`).join('')}</testsuites>\n`;
+}
+
+// -------------------- SARIF 2.1.0 --------------------
+const SARIF_LEVEL = { high: 'error', medium: 'warning', low: 'note' };
+
+// every failed check on every page is a result; checks the gate enforces are errors regardless of priority
+function toSarif(report, gateResult) {
+  const gated = new Set(gateResult.rules.filter(r => r.kind === 'check').map(r => r.id.slice('check.'.length)));
+  const rules = new Map();
+  const results = [];
+  const rule = (id, name, description, priority) => {
+    if (!rules.has(id)) rules.set(id, { id, name, shortDescription: { text: description || name }, properties: { priority } });
+    return Array.from(rules.keys()).indexOf(id);
+  };
+  (report.pages || []).forEach(p => {
+    Object.entries((p.prelim && p.prelim.checks) || {}).filter(([, c]) => !c.ok).forEach(([key, c]) => {
+      const ruleIndex = rule(`geoaudit/${key}`, key, c.advice, c.priority);
+      results.push({
+        ruleId: `geoaudit/${key}`,
+        ruleIndex,
+        level: gated.has(key) ? 'error' : (SARIF_LEVEL[c.priority] || 'warning'),
+        message: { text: c.advice || `Fails ${key}` },
+        locations: [{ physicalLocation: { artifactLocation: { uri: p.url } } }],
+        properties: { points: c.points, maxPoints: c.max_points }
+      });
+    });
+  });
+  gateResult.rules.filter(r => !r.passed && r.kind !== 'check').forEach(r => {
+    const ruleIndex = rule(`geoaudit/gate/${r.id}`, r.id, `Gate: ${r.expected}`, 'high');
+    const targets = r.failures.length ? r.failures : [{ url: report.url, message: r.message }];
+    targets.forEach(f => results.push({
+      ruleId: `geoaudit/gate/${r.id}`,
+      ruleIndex,
+      level: 'error',
+      message: { text: f.message },
+      locations: [{ physicalLocation: { artifactLocation: { uri: f.url || report.url } } }]
+    }));
+  });
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: { driver: { name: 'geoaudit', informationUri: 'https://github.com/scrapelesshq/GEO-Ready-Website', rules: Array.from(rules.values()) } },
+      originalUriBaseIds: { SITE: { uri: report.url } },
+      results,
+      properties: { gatePassed: gateResult.passed, violations: gateResult.violations }
+    }]
+  };
+}
+
+export { SCORE_KEYS, PRIORITY_RANK, hasGateRules, loadBaseline, evaluateGate, toJUnit, toSarif };
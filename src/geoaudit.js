@@ -1,75 +1,66 @@
-// geoaudit.crawl-fullsite.js
-// Single-report, full-site analysis: treat all crawl results as ONE combined source and produce a single aggregate report.
-// Usage example:
-//   SCRAPING_KEY=sk_xxx OPENAI_API_KEY=sk_xxx CRAWL_LIMIT=100 AI_SNIPPET_MAX=12000 node geoaudit.crawl-fullsite.js https://www.example.com
+// geoaudit.js
+// The audit pipeline behind cli.js and index.js: loads the pages of a source (sources.js), audits every page on its own,
+// runs the site-level analyzers, aggregates the results into one report and writes the JSON, HTML, JUnit and SARIF files.
+// runAudit() does the work and prints only through config.logger; run directly, the module hands its arguments to cli.js:
+//   SCRAPING_KEY=sk_xxx OPENAI_API_KEY=sk_xxx node geoaudit.js audit https://www.example.com --limit 100
+//   node geoaudit.js audit ./dist --site-url https://staging.example.com/       (offline sources: see sources.js)
 
 import fs from 'fs';
 import path from 'path';
 import { URL, fileURLToPath } from 'url';
 import { load } from 'cheerio';
-import { ScrapingCrawl } from '@scrapeless-ai/sdk';
+import { loadPages, detectSourceType, scrapeUrlsFromCountry } from './sources.js';
+import { fetchRobotsTxt, evaluateRobots } from './robots.js';
+import { analyzeSitemaps, urlKey } from './sitemaps.js';
+import { analyzeLlmsTxt } from './llmstxt.js';
+import { analyzeHreflang } from './hreflang.js';
+import { compareRegions } from './regions.js';
+import { validateStructuredData, summarizeStructuredData } from './schema.js';
+import { extractNap, analyzeNap } from './nap.js';
+import { extractEntities, analyzeEntities } from './entities.js';
+import { auditAccessibility, loadStylesheets, LEVEL_WEIGHTS } from './accessibility.js';
+import { analyzeLinks } from './links.js';
+import { analyzeDuplicates } from './duplicates.js';
+import { measurePerformance } from './performance.js';
+import { analyzeRendering } from './rendering.js';
+import { reportScores, snapshotOf, loadHistory, recordRun, diffReports, trendOf } from './history.js';
+import { hasGateRules, loadBaseline, evaluateGate, toJUnit, toSarif } from './gate.js';
+import { createLlmClient, PROVIDERS } from './llm.js';
+import { runAiAnalysis, aiScores } from './aiaudit.js';
+import { simulateVisibility } from './visibility.js';
+import { passageCitability } from './passages.js';
+import { analyzeText, countWords, readabilityLabel } from './readability.js';
+import { DEFAULTS } from './config.js';
+import { resolveChecks } from './checks.js';
+import { GeoauditError } from './errors.js';
 
 // -------------------- CONFIG --------------------
-const TARGET_URL = process.argv[2] || 'https://example.com';
-const SCRAPING_KEY = process.env.SCRAPING_KEY || '';
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY || '';
-const AI_SNIPPET_MAX = process.env.AI_SNIPPET_MAX ? parseInt(process.env.AI_SNIPPET_MAX, 10) : 12000; // characters
-const CRAWL_LIMIT = process.env.CRAWL_LIMIT ? parseInt(process.env.CRAWL_LIMIT, 10) : undefined;
-
-// basic weights (used in analyzeHtml)
-const WEIGHTS = {
-  lang: 5, charset: 3, viewport: 4, title: 10, description: 10,
-  h1: 6, canonical: 8, robots: 8, json_ld: 12, local_schema: 12,
-  images_alt: 6, geo: 16
-};
+// run settings (crawl limit, regions, AI, output) are resolved by config.js and passed to runAudit
+const DEFAULT_URL = 'https://example.com'; // page URL used when an analyzer is called without one
 
 // -------------------- Utilities --------------------
-function ensureReportsDir() {
-  const reportsDir = path.resolve(process.cwd(), 'reports');
+function ensureReportsDir(dir = DEFAULTS.outDir) {
+  const reportsDir = path.resolve(process.cwd(), dir);
   if (!fs.existsSync(reportsDir)) fs.mkdirSync(reportsDir, { recursive: true });
   return reportsDir;
 }
 
-function extractHtmlFromResponse(resp) {
-  if (!resp) return null;
-  if (typeof resp === 'string' && resp.trim().startsWith('<')) return resp;
-  const tryPaths = [
-    resp?.html,
-    resp?.data?.html,
-    resp?.data?.body,
-    resp?.data,
-    resp?.results?.[0]?.html,
-    resp?.results?.[0]?.payload?.html,
-    resp?.output?.html,
-    resp?.payload?.html
-  ];
-  for (const c of tryPaths) {
-    if (!c) continue;
-    if (typeof c === 'string' && c.trim().startsWith('<')) return c;
-    if (typeof c === 'object' && c.html && typeof c.html === 'string' && c.html.trim().startsWith('<')) return c.html;
-  }
-  try {
-    const s = JSON.stringify(resp);
-    const idx = s.indexOf('<!DOCTYPE') !== -1 ? s.indexOf('<!DOCTYPE') : s.indexOf('<html');
-    if (idx !== -1) {
-      return s.slice(idx).replace(/\\"/g, '"').replace(/\\n/g, '\n');
-    }
-  } catch (e) {}
-  return null;
-}
-
 function escapeHtml(s) {
   if (s === undefined || s === null) return '';
   return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 // -------------------- Static analyzer (per earlier implementation) --------------------
-function analyzeHtml(html) {
+// checkSet: weights and custom checks for this run (resolveChecks in checks.js); duplicates: this page's verdict from
+// analyzeDuplicates, whose canonical errors fail the canonical check
+function analyzeHtml(html, pageUrl = DEFAULT_URL, checkSet = resolveChecks(), duplicates = null) {
   const $ = load(html || '');
+  const WEIGHTS = checkSet.weights;
   const report = { checks: {}, total_awarded: 0, total_possible: 0, suggestions: [] };
-  function addCheck(key, ok, pointsIfOk, detail = null, advice = null, priority = 'low') {
+  // pointsIfFailed lets graded checks keep partial credit when they do not fully pass
+  function addCheck(key, ok, pointsIfOk, detail = null, advice = null, priority = 'low', pointsIfFailed = 0) {
     const max = WEIGHTS[key] || 0;
-    const awarded = ok ? pointsIfOk : 0;
+    const awarded = ok ? pointsIfOk : pointsIfFailed;
     report.checks[key] = { ok: !!ok, points: awarded, max_points: max, detail, advice, priority };
     report.total_awarded += awarded;
     report.total_possible += max;
@@ -90,34 +81,29 @@ function analyzeHtml(html) {
   addCheck('h1', h1Count >= 1, h1Count === 1 ? WEIGHTS.h1 : Math.round(WEIGHTS.h1 * 0.5), { h1_count: h1Count }, 'Exactly one H1 preferred', 'medium');
 
   const canonical = $('link[rel=\"canonical\"]').attr('href') || null;
-  addCheck('canonical', !!canonical, WEIGHTS.canonical, { href: canonical }, 'Add canonical link', 'high');
+  const canonicalErrors = duplicates ? duplicates.canonicalErrors : [];
+  addCheck('canonical', !!canonical && !canonicalErrors.length, WEIGHTS.canonical, { href: canonical, errors: canonicalErrors },
+    canonical ? 'Point the canonical at a live, indexable http(s) URL that does not redirect' : 'Add canonical link', 'high');
 
   const robots = (($('meta[name=\"robots\"]').attr('content') || '')).toLowerCase();
   addCheck('robots', !robots.includes('noindex'), WEIGHTS.robots, { robots }, 'Remove noindex if you want indexing', 'high');
 
-  const jsonLdNodes = [];
-  $('script[type=\"application/ld+json\"]').each((i, el) => {
-    try {
-      const raw = $(el).contents().text();
-      if (raw && raw.trim()) jsonLdNodes.push(JSON.parse(raw));
-    } catch (e) {
-      jsonLdNodes.push('invalid-json');
-    }
-  });
-  addCheck('json_ld', jsonLdNodes.length > 0, WEIGHTS.json_ld, { count: jsonLdNodes.length }, 'Add JSON-LD structured data', 'medium');
-
-  let hasLocal = false;
-  for (const node of jsonLdNodes) {
-    if (node && typeof node === 'object') {
-      const arr = Array.isArray(node) ? node : [node];
-      for (const n of arr) {
-        const t = n['@type'] || n.type || '';
-        if (typeof t === 'string' && /localbusiness|organization|place/i.test(t)) hasLocal = true;
-        if (n.address || n.telephone) hasLocal = true;
-      }
-    }
-  }
-  addCheck('local_schema', hasLocal, WEIGHTS.local_schema, null, 'Add LocalBusiness schema with address/telephone', 'high');
+  // JSON-LD (@graph, nested entities), Microdata and RDFa, validated against the rich-result rules in schema.js
+  const structuredData = validateStructuredData($, pageUrl);
+  report.structuredData = structuredData;
+  const sdItems = structuredData.count;
+  const sdOk = sdItems > 0 && structuredData.errors === 0;
+  const sdDetail = { count: sdItems, formats: structuredData.formats, types: structuredData.types, errors: structuredData.errors, warnings: structuredData.warnings, invalidBlocks: structuredData.invalidBlocks };
+  addCheck('structured_data', sdOk, structuredData.warnings ? Math.round(WEIGHTS.structured_data * 0.8) : WEIGHTS.structured_data, sdDetail,
+    sdItems ? 'Fix structured data errors (see structuredData.problems for JSON paths)' : 'Add schema.org structured data (JSON-LD preferred)', 'medium',
+    sdItems ? Math.round(WEIGHTS.structured_data * 0.4) : 0);
+
+  // a LocalBusiness/Organization entity with address and telephone that validates without errors
+  const local = structuredData.local;
+  const localComplete = local.find(l => l.hasAddress && l.hasTelephone && !l.errors);
+  const localPartial = local.find(l => l.hasAddress || l.hasTelephone);
+  addCheck('local_schema', Boolean(localComplete), WEIGHTS.local_schema, { entities: local },
+    'Add LocalBusiness schema with address/telephone', 'high', localPartial ? Math.round(WEIGHTS.local_schema / 2) : 0);
 
   const imgs = $('img').toArray();
   if (imgs.length === 0) {
@@ -134,11 +120,28 @@ function analyzeHtml(html) {
     if (name.startsWith('geo') || name === 'og:locale' || name === 'og:site_name') geoMeta[name] = $(el).attr('content') || null;
   });
   const bodyText = $('body').text() || '';
-  const phoneMatches = [...(bodyText.matchAll(/(\+?\d[\d\-\s]{6,}\d)/g) || [])].map(m => m[0]);
+  // phones only count once they normalize to E.164 (tel: links, markup, contact/footer text)
+  report.nap = extractNap($, pageUrl, structuredData.nodes);
+  const phoneMatches = Array.from(new Set(report.nap.phones.filter(p => p.valid).map(p => p.e164)));
   const coordMatches = [...(bodyText.matchAll(/(-?\d+\.\d+)\s*,\s*(-?\d+\.\d+)/g) || [])].map(m => `${m[1]},${m[2]}`);
   const hasGeo = Object.keys(geoMeta).length > 0 || phoneMatches.length > 0 || coordMatches.length > 0;
   addCheck('geo', hasGeo, WEIGHTS.geo, { geoMeta, phones: phoneMatches.slice(0, 3), coords: coordMatches.slice(0, 3) }, 'Add geo meta / phone / coords for local signals', 'medium');
 
+  // registered checks; points are capped at the check's weight, a throwing check fails with the error as detail
+  checkSet.custom.forEach(check => {
+    const max = WEIGHTS[check.key];
+    let result;
+    try {
+      result = check.run({ $, html, url: pageUrl, report });
+      if (result && typeof result.then === 'function') throw new Error('run() returned a Promise; custom checks must be synchronous');
+    } catch (e) {
+      result = { ok: false, detail: { error: String(e.message || e) } };
+    }
+    const r = typeof result === 'object' && result !== null ? result : { ok: Boolean(result) };
+    const points = typeof r.points === 'number' ? Math.max(0, Math.min(max, r.points)) : null;
+    addCheck(check.key, r.ok, points ?? max, r.detail ?? null, r.advice || check.advice, check.priority, points ?? 0);
+  });
+
   const totalPossible = report.total_possible || 1;
   report.summary = { score: Math.round((report.total_awarded / totalPossible) * 10000) / 100, total_awarded: report.total_awarded, total_possible: totalPossible };
   const prioMap = { high: 3, medium: 2, low: 1 };
@@ -147,7 +150,8 @@ function analyzeHtml(html) {
 }
 
 // -------------------- Advanced analysis (semantic, accessibility, crawlability, content, entities, sitemap, robots) --------------------
-function advancedAnalysis(html, crawlResponse, prelim) {
+// pageContext carries the page URL and site-level facts about this page (e.g. inSitemap) that the HTML alone can't tell
+function advancedAnalysis(html, crawlResponse, prelim, siteUrl = DEFAULT_URL, pageContext = {}) {
   const $ = load(html || '');
   const res = {};
 
@@ -171,7 +175,7 @@ function advancedAnalysis(html, crawlResponse, prelim) {
 
   res.semantic = { semanticCounts, missingMain, landmarkIssues, headingIssues };
 
-  // Accessibility: ARIA attributes, skip links, focusable elements, form labels, tabindex, contrast (inline best-effort)
+  // Accessibility: WCAG rules and contrast from the cascaded styles (accessibility.js), plus ARIA and keyboard counts
   const ariaCount = ($('*[role],[aria-label],[aria-labelledby],[aria-describedby]').length);
   const skipLinks = $('a[href^="#"]:contains("skip")').length || $('a.skip-link').length;
   const formLabels = $('label[for]').length;
@@ -180,51 +184,39 @@ function advancedAnalysis(html, crawlResponse, prelim) {
     try { const t = $(el).attr('tabindex'); return (t===undefined || t!=='-1'); } catch(e) { return true; }
   }).length;
 
-  // contrast: probe inline styles for hex colors (very best-effort)
-  function parseColor(val){ if(!val) return null; const m = String(val).match(/#([0-9a-f]{3,8})/i); if(m) return m[0]; return null; }
-  function hexToRgb(hex){ if(!hex) return null; hex = hex.replace('#',''); if(hex.length===3) hex = hex.split('').map(c=>c+c).join(''); const r=parseInt(hex.slice(0,2),16); const g=parseInt(hex.slice(2,4),16); const b=parseInt(hex.slice(4,6),16); return {r,g,b}; }
-  function luminance(c){ const srgb = [c.r/255,c.g/255,c.b/255].map(v=> v<=0.03928 ? v/12.92 : Math.pow((v+0.055)/1.055,2.4)); return 0.2126*srgb[0]+0.7152*srgb[1]+0.0722*srgb[2]; }
-  function contrastRatio(c1,c2){ if(!c1 || !c2) return null; const L1=luminance(c1), L2=luminance(c2); const bright=Math.max(L1,L2), dark=Math.min(L1,L2); return Math.round(((bright+0.05)/(dark+0.05))*100)/100; }
-  const contrastProblems = [];
-  $('[style]').each((i,el)=>{
-    const s = $(el).attr('style') || '';
-    let fg = null, bg = null;
-    try {
-      const mF = s.match(/color\s*:\s*([^;]+)/i);
-      const mB = s.match(/background(?:-color)?\s*:\s*([^;]+)/i);
-      fg = parseColor(mF ? mF[1] : null);
-      bg = parseColor(mB ? mB[1] : null);
-    } catch(e) {}
-    if (fg && bg) {
-      const cr = contrastRatio(hexToRgb(fg), hexToRgb(bg));
-      if (cr && cr < 3) contrastProblems.push({ selector: el.tagName, contrast: cr });
-    }
-  });
+  res.accessibility = { ariaCount, skipLinks: Boolean(skipLinks), formLabels, inputs, focusable, ...auditAccessibility(html, { url: pageContext.url, stylesheets: pageContext.stylesheets }) };
 
-  res.accessibility = { ariaCount, skipLinks: Boolean(skipLinks), formLabels, inputs, focusable, contrastProblems };
-
-  // Crawlability score: robots meta, canonical, sitemap presence, internal link density
+  // Crawlability score: robots meta, canonical (only when its target validates in duplicates.js), sitemap presence,
+  // internal linking (click depth and inbound links from the site link graph in links.js; link density when the page
+  // is analyzed on its own)
   const robotsMeta = ($('meta[name=\"robots\"]').attr('content')||'');
   const canonical = $('link[rel=\"canonical\"]').attr('href') || null;
   const sitemapInHtml = /sitemap\.xml/i.test(html || '');
-  const internalLinks = $('a[href^="/"]').length + $('a[href*="' + (new URL(TARGET_URL)).hostname + '"]').length;
-  const totalLinks = $('a').length || 1;
+  const inSitemap = typeof pageContext.inSitemap === 'boolean' ? pageContext.inSitemap : sitemapInHtml;
+  const linkGraph = pageContext.links || null;
+  const internalLinks = linkGraph ? linkGraph.internalLinks : $('a[href^="/"]').length + $('a[href*="' + (new URL(siteUrl)).hostname + '"]').length;
+  const totalLinks = linkGraph ? (linkGraph.internalLinks + linkGraph.externalLinks || 1) : ($('a').length || 1);
   const internalDensity = Math.round((internalLinks/totalLinks)*100);
-  const crawlScore = Math.min(100, Math.round(( (canonical?20:0) + (robotsMeta.includes('noindex')?0:15) + (sitemapInHtml?20:0) + Math.min(30, internalDensity) + (res.semantic.semanticCounts.main?15:0) )));
-  res.crawlability = { robotsMeta, canonical, sitemapInHtml, internalLinks, totalLinks, internalDensity, crawlScore };
-
-  // Content Quality for AI: words, paragraphs, avg words per paragraph, Flesch read
-  const bodyText = ($('body').text() || '').replace(/\s+/g,' ').trim();
-  const words = bodyText.split(/\s+/).filter(Boolean).length;
+  let linkingScore = Math.min(30, internalDensity);
+  if (linkGraph) linkingScore = linkGraph.depth === 0 ? 30 : (linkGraph.orphan || !linkGraph.inbound ? 0 : (linkGraph.depth <= 3 ? 30 : 15));
+  const canonicalErrors = pageContext.duplicates ? pageContext.duplicates.canonicalErrors : [];
+  const crawlScore = Math.min(100, Math.round(( (canonical && !canonicalErrors.length?20:0) + (robotsMeta.includes('noindex')?0:15) + (inSitemap?20:0) + linkingScore + (res.semantic.semanticCounts.main?15:0) )));
+  res.crawlability = { robotsMeta, canonical, sitemapInHtml, inSitemap, internalLinks, totalLinks, internalDensity, canonicalErrors, clickDepth: linkGraph ? linkGraph.depth : null, inboundLinks: linkGraph ? linkGraph.inbound : null, crawlScore };
+
+  // Content Quality for AI: language, words, sentences, paragraphs and readability for the page's language
+  const bodyText = ($('body').clone().find('script, style, noscript, template').remove().end().text() || '').replace(/\s+/g,' ').trim();
+  const text = analyzeText(bodyText, $('html').attr('lang'));
+  const lang = text.language.lang;
+  const words = text.words;
   const paras = $('p').toArray().map(p => ($(p).text() || '').trim()).filter(Boolean);
   const paraCount = paras.length;
-  const avgWordsPerPara = paraCount ? Math.round(paras.reduce((s,p)=>s + p.split(/\s+/).filter(Boolean).length, 0) / paraCount) : 0;
-  function countSyllables(word){ word = word.toLowerCase().replace(/[^a-z]/g,''); if(!word) return 0; const vowels='aeiouy'; let syll=0; let prev=false; for(let ch of word){ const isV=vowels.includes(ch); if(isV && !prev) syll++; prev=isV; } if(word.endsWith('e')) syll = Math.max(1, syll-1); if(syll===0) syll=1; return syll; }
-  const wordsArr = bodyText.split(/\s+/).filter(Boolean);
-  const syllables = wordsArr.reduce((s,w)=>s+countSyllables(w),0) || 1;
-  const sentences = bodyText.split(/[.!?]+/).filter(Boolean).length || 1;
-  const flesch = Math.round(206.835 - 1.015 * (words / sentences) - 84.6 * (syllables / words));
-  res.contentQualityForAI = { words, paraCount, avgWordsPerPara, flesch };
+  const avgWordsPerPara = paraCount ? Math.round(paras.reduce((s,p)=>s + countWords(p, lang), 0) / paraCount) : 0;
+  res.language = text.language;
+  res.contentQualityForAI = { words, sentences: text.sentences, paraCount, avgWordsPerPara, avgSentenceLength: text.avgSentenceLength, readability: text.readability };
+  res.textStats = text;
+
+  // Passage citability: main content split along headings, each passage scored as a standalone quote
+  res.citability = passageCitability(html);
 
   // Content & Context completeness heuristics
   const hasContact = /contact|about|pricing|price|product|services|terms|privacy/i.test(html||'');
@@ -234,45 +226,26 @@ function advancedAnalysis(html, crawlResponse, prelim) {
   res.contextCompleteness = contextCompleteness;
 
   // AI training value heuristic
-  const aiTrainingValue = (words > 1000 && (prelim?.checks?.json_ld?.detail?.count || 0) > 0 && res.semantic.semanticCounts.main) ? 'High' : (words > 400 ? 'Moderate' : 'Low');
+  const aiTrainingValue = (words > 1000 && (prelim?.checks?.structured_data?.detail?.count || 0) > 0 && res.semantic.semanticCounts.main) ? 'High' : (words > 400 ? 'Moderate' : 'Low');
   res.aiTrainingValue = aiTrainingValue;
 
-  // Entity recognition (jsonld + naive caps)
-  const entities = [];
-  try {
-    $('script[type=\"application/ld+json\"]').each((i,el) => {
-      try { const j = JSON.parse($(el).contents().text()); if (j) entities.push(...(Array.isArray(j) ? j : [j])); } catch (e) {}
-    });
-  } catch(e) {}
-  const capMatches = [...(bodyText.matchAll(/\b([A-Z][a-z]{2,}(?:\s[A-Z][a-z]{2,})*)\b/g) || [])].slice(0,50).map(m => m[0]);
-  const topEntities = Array.from(new Set(capMatches)).slice(0,10);
-  res.entityRecognition = { jsonLdEntitiesCount: entities.length, topEntities };
-
-  // Knowledge Graph readiness (JSON-LD graph analysis)
-  const kg = { jsonLdCount: prelim?.checks?.json_ld?.detail?.count || 0, hasSameAs: false, nodes: [] };
-  try {
-    const rawNodes = [];
-    $('script[type=\"application/ld+json\"]').each((i,el) => { try { const j = JSON.parse($(el).contents().text()); rawNodes.push(j); } catch(e) {} });
-    rawNodes.forEach(n => {
-      if (typeof n === 'object') {
-        const arr = Array.isArray(n) ? n : [n];
-        arr.forEach(item => {
-          const id = item['@id'] || null;
-          const type = item['@type'] || item.type || null;
-          if (item.sameAs) kg.hasSameAs = true;
-          kg.nodes.push({ id, type, raw: item });
-        });
-      }
-    });
-  } catch(e) {}
-  res.knowledgeGraphReadiness = kg;
+  // Entity recognition: organizations, places, people, products and addresses from markup and the main text
+  const found = extractEntities(html, pageContext.url || siteUrl, prelim?.structuredData?.nodes || [], { lang, addresses: (prelim?.nap?.addresses) || [] });
+  res.entityRecognition = {
+    jsonLdEntitiesCount: found.markup.length,
+    topEntities: found.text.filter(e => e.kind !== 'address').slice(0, 10).map(e => e.name),
+    markup: found.markup,
+    text: found.text,
+    missingFromMarkup: found.missingFromMarkup
+  };
 
-  // Structured relations (small extraction)
-  const relations = [];
-  kg.nodes.forEach(n => {
-    if (n.raw && n.raw.publisher) relations.push({ from: n.id || n.type, to: n.raw.publisher['@id'] || n.raw.publisher.name || JSON.stringify(n.raw.publisher) });
-  });
-  res.structuredRelations = relations;
+  // Knowledge Graph readiness: @id nodes and every reference between entities (publisher, brand, author, parentOrganization, ...)
+  res.knowledgeGraphReadiness = {
+    jsonLdCount: prelim?.checks?.structured_data?.detail?.count || 0,
+    hasSameAs: found.markup.some(e => e.sameAs.length),
+    nodes: found.nodes
+  };
+  res.structuredRelations = found.relations;
 
   // Sitemap & robots (best-effort, some info may be in crawlResponse)
   const robotsRaw = (crawlResponse && (crawlResponse.robots || crawlResponse.robots_txt || crawlResponse.data?.robots || crawlResponse.results?.find(r => r.robots)?.robots)) || null;
@@ -282,11 +255,13 @@ function advancedAnalysis(html, crawlResponse, prelim) {
 }
 
 // -------------------- computeHintsFromHtml (lightweight hints) --------------------
-function computeHintsFromHtml(html, prelim) {
+// text / entities: analyzeText() and extractEntities() results when the caller already has them
+function computeHintsFromHtml(html, prelim, text = null, entities = null) {
   const $ = load(html || '');
   const htmlLower = (html || '').toLowerCase();
+  // whether this page links/mentions the files; their real validity is checked site-wide (llmstxt.js, robots.js)
   const foundFiles = {
-    llmsTxt: /llms?\.txt/.test(htmlLower),
+    llmsTxtLinked: /llms?\.txt/.test(htmlLower),
     robotsTxt: /robots\.txt/.test(htmlLower),
     hreflang: /rel\s*=\s*["']alternate["']\s+hreflang/.test(htmlLower)
   };
@@ -307,14 +282,7 @@ function computeHintsFromHtml(html, prelim) {
     }
   }
 
-  const bodyText = ($('body').text() || '').replace(/\s+/g, ' ').trim();
-  const sentences = bodyText.split(/[.!?]+/).filter(s => s.trim().length > 0).length || 1;
-  const wordsArr = bodyText.split(/\s+/).filter(w => w.trim().length > 0);
-  const words = wordsArr.length || 1;
-  function countSyllables(word) { word = word.toLowerCase().replace(/[^a-z]/g, ''); if (!word) return 0; const vowels='aeiouy'; let syll=0; let prev=false; for(let ch of word){ const isV=vowels.includes(ch); if(isV && !prev) syll++; prev=isV; } if(word.endsWith('e')) syll=Math.max(1,syll-1); if(syll===0) syll=1; return syll; }
-  const syllables = wordsArr.reduce((sum,w)=> sum + countSyllables(w), 0) || 1;
-  const flesch = Math.round(206.835 - (1.015 * (words / sentences)) - (84.6 * (syllables / words)));
-  const readabilityLabel = flesch >= 60 ? 'Easy' : (flesch >= 50 ? 'Fairly easy' : (flesch >= 30 ? 'Difficult' : 'Very difficult'));
+  const stats = text || analyzeText(($('body').clone().find('script, style, noscript, template').remove().end().text() || '').replace(/\s+/g, ' ').trim(), $('html').attr('lang'));
 
   const title = ($('title').text() || '').trim();
   const desc = ($('meta[name=\"description\"]').attr('content') || '').trim();
@@ -328,47 +296,55 @@ function computeHintsFromHtml(html, prelim) {
 
   const paras = $('p').toArray().map(p => ($(p).text()||'').trim()).filter(t => t.length > 0);
   const paraCount = paras.length;
-  const avgWordsPerPara = paraCount ? Math.round(paras.reduce((s,p)=>s + p.split(/\s+/).filter(Boolean).length,0)/paraCount) : 0;
+  const avgWordsPerPara = paraCount ? Math.round(paras.reduce((s,p)=>s + countWords(p, stats.language.lang),0)/paraCount) : 0;
   const contentQuality = paraCount >= 3 && avgWordsPerPara >= 40 ? 'Well-structured' : (paraCount === 0 ? 'No paragraph content' : 'Could be improved');
 
-  const jsonLdCount = (prelim?.checks?.json_ld?.detail?.count) || 0;
-  const capMatches = [...(bodyText.matchAll(/\b([A-Z][a-z]{2,}(?:\s[A-Z][a-z]{2,})*)\b/g) || [])].slice(0, 15).map(m => m[0]);
-  const topEntities = Array.from(new Set(capMatches)).slice(0,5);
+  const jsonLdCount = (prelim?.checks?.structured_data?.detail?.count) || 0;
+  const found = entities || extractEntities(html, DEFAULT_URL, prelim?.structuredData?.nodes || [], { lang: stats.language.lang, addresses: prelim?.nap?.addresses || [] });
+  const topEntities = found.text.filter(e => e.kind !== 'address').slice(0, 5).map(e => e.name);
+  // places and addresses named in the visible text drive the GEO local-density component
+  const localEntities = Array.from(new Set(found.text.filter(e => e.kind === 'place' || e.kind === 'address').map(e => e.name)));
 
-  // Count hreflang occurrences roughly
-  const hreflangCount = (htmlLower.match(/hreflang/g) || []).length;
+  // hreflang alternates declared in this page's HTML (validated site-wide in hreflang.js)
+  const hreflangCount = $('link[rel="alternate"][hreflang]').length;
 
   return {
     foundFiles,
     headingIssues,
-    readability: { flesch, label: readabilityLabel },
+    language: stats.language,
+    readability: { ...stats.readability, lang: stats.language.lang },
     metadataQuality,
     semanticCount,
     accessibility: { imagesAltRatio: Number(imagesAltRatio.toFixed(2)), ariaPresent },
     contentQuality: { paraCount, avgWordsPerPara, contentQuality },
     jsonLdCount,
     topEntities,
+    localEntities,
     hreflangCount
   };
 }
 
 // -------------------- GEO SCORE --------------------
-function calculateGeoScore(prelim, hints) {
+// site carries site-wide signals (llmsTxt: result of analyzeLlmsTxt), hreflang is this page's verdict from analyzeHreflang
+function calculateGeoScore(prelim, hints, site = {}, hreflang = null) {
   const weights = { schema: 30, address: 15, phone: 15, coords: 10, geoMeta: 5, hreflang: 10, localDensity: 10, localSignals: 5 };
 
   let schemaScore = 0;
-  const jsonLdCount = prelim?.checks?.json_ld?.detail?.count || 0;
+  const structuredCount = prelim?.checks?.structured_data?.detail?.count || 0;
+  const structuredOk = prelim?.checks?.structured_data?.ok;
   const localOk = prelim?.checks?.local_schema?.ok;
-  if (localOk) schemaScore = 30; else if (jsonLdCount > 0) schemaScore = 15; else schemaScore = 0;
+  // valid markup earns more than markup the validator rejects
+  if (localOk) schemaScore = 30; else if (structuredCount > 0) schemaScore = structuredOk ? 15 : 8; else schemaScore = 0;
 
   let addressScore = 0;
-  const addressInJson = localOk;
+  const addressInJson = localOk || (prelim?.checks?.local_schema?.detail?.entities || []).some(e => e.hasAddress);
   if (addressInJson) addressScore = 15; else {
-    const bodyHasCity = (hints.topEntities || []).some(t => /city|town|district|avenue|street|road|county|area/i.test(t)) || false;
+    const bodyHasCity = (hints.localEntities || []).length > 0;
     addressScore = bodyHasCity ? 6 : 0;
   }
 
   let phoneScore = 0;
+  // E.164-normalized numbers only (see nap.js); stray digit runs no longer count
   const phones = prelim?.checks?.geo?.detail?.phones || [];
   if (phones && phones.length > 0) phoneScore = 15;
 
@@ -380,87 +356,254 @@ function calculateGeoScore(prelim, hints) {
   const geoMeta = prelim?.checks?.geo?.detail?.geoMeta || {};
   if (geoMeta && Object.keys(geoMeta).length > 0) geoMetaScore = 5;
 
+  // a validated hreflang set counts fully, one with errors (bad codes, missing return links, ...) only half
   let hreflangScore = 0;
-  if (hints.hreflangCount && hints.hreflangCount > 0) hreflangScore = 10;
+  const hasHreflang = hreflang ? hreflang.count > 0 : hints.hreflangCount > 0;
+  if (hreflang) hreflangScore = hreflang.valid ? 10 : (hreflang.count > 0 ? 5 : 0);
+  else if (hasHreflang) hreflangScore = 10;
 
   let localDensityScore = 0;
-  const localMentions = (hints.topEntities || []).filter(e => /[A-Z][a-z]{2,}/.test(e)).length;
+  const localMentions = (hints.localEntities || []).length;
   if (localMentions >= 3) localDensityScore = 10; else if (localMentions >= 1) localDensityScore = 4;
 
   let localSignalsScore = 0;
-  const signals = ((hints.foundFiles || {}).llmsTxt ? 1 : 0) + (hints.hreflangCount ? 1 : 0) + ((prelim?.checks?.json_ld?.detail?.count > 0) ? 1 : 0);
-  if (signals >= 2) localSignalsScore = 5; else if (signals === 1) localSignalsScore = 2;
+  // a spec-valid llms.txt that covers most of the content counts fully, partial files count partially
+  const llmsSignal = site.llmsTxt && site.llmsTxt.found ? (site.llmsTxt.score || 0) / 100 : 0;
+  const signals = llmsSignal + (hreflang ? (hreflang.valid ? 1 : 0) : (hasHreflang ? 1 : 0)) + ((prelim?.checks?.structured_data?.detail?.count > 0) ? 1 : 0);
+  if (signals >= 2) localSignalsScore = 5; else if (signals >= 1) localSignalsScore = 2;
 
   const total = schemaScore + addressScore + phoneScore + coordsScore + geoMetaScore + hreflangScore + localDensityScore + localSignalsScore;
   const GEO_SCORE = Math.max(0, Math.min(100, Math.round(total)));
   return { GEO_SCORE, breakdown: { schemaScore, addressScore, phoneScore, coordsScore, geoMetaScore, hreflangScore, localDensityScore, localSignalsScore } };
 }
 
-// -------------------- AI call (function-calling style, single call for combined source) --------------------
-async function callOpenAIWithSchema(systemPrompt, userPrompt, rawHtmlSnippet, fullContext) {
-  if (!OPENAI_API_KEY) {
-    console.warn('OPENAI_API_KEY not set — skipping AI step.');
-    return null;
-  }
+// -------------------- Per-page audit & site aggregation --------------------
+// Every crawled page is audited on its own; site-level prelim/advanced/hints/geo are aggregates of those results.
+function auditPage(page, siteUrl, pageContext = {}) {
+  const prelim = analyzeHtml(page.html, page.url, pageContext.checks, pageContext.duplicates);
+  // robots info is site-wide, so it is attached once at site level rather than per page
+  const advanced = advancedAnalysis(page.html, null, prelim, siteUrl, { ...pageContext, url: page.url });
+  delete advanced.robotsRaw;
+  const hints = computeHintsFromHtml(page.html, prelim, advanced.textStats, advanced.entityRecognition);
+  delete advanced.textStats;
+  const geo = calculateGeoScore(prelim, hints, pageContext.site, pageContext.hreflang);
+  return { url: page.url, prelim, advanced, hints, geo, hreflang: pageContext.hreflang || null };
+}
 
-  const functionDef = {
-    name: 'ai_audit_result',
-    description: 'Return strict JSON for site-wide SEO/ACCESSIBILITY/KG readiness',
-    parameters: {
-      type: 'object',
-      properties: {
-        seo_score: { type: 'number' },
-        geo_score: { type: 'number' },
-        accessibility_score: { type: 'number' },
-        crawlability_score: { type: 'number' },
-        ai_score_breakdown: { type: 'object', additionalProperties: { type: 'number' } },
-        ai_missing: { type: 'array', items: { type: 'string' } },
-        ai_suggestions: { type: 'array', items: { type: 'object' } },
-        ai_fix_snippets: { type: 'object', additionalProperties: { type: 'string' } },
-        notes: { type: 'string' }
-      }
-    }
+function round2(n) { return Math.round(n * 100) / 100; }
+function mean(nums) { const arr = nums.filter(n => typeof n === 'number' && !Number.isNaN(n)); return arr.length ? round2(arr.reduce((s, n) => s + n, 0) / arr.length) : 0; }
+function percent(part, whole) { return whole ? round2((part / whole) * 100) : 0; }
+
+// min/mean/max of a numeric per-page value, remembering which page scored lowest
+function scoreStats(pages, pick) {
+  const scored = pages.map(p => ({ url: p.url, value: pick(p) })).filter(s => typeof s.value === 'number');
+  if (!scored.length) return { mean: 0, min: 0, max: 0, minUrl: null };
+  const worst = scored.reduce((a, b) => (b.value < a.value ? b : a));
+  return { mean: mean(scored.map(s => s.value)), min: worst.value, max: Math.max(...scored.map(s => s.value)), minUrl: worst.url };
+}
+
+function aggregatePrelim(pages) {
+  const total = pages.length;
+  const checks = {};
+  const keys = Array.from(new Set(pages.flatMap(p => Object.keys(p.prelim.checks || {}))));
+  for (const key of keys) {
+    const perPage = pages.map(p => ({ url: p.url, check: p.prelim.checks[key] })).filter(x => x.check);
+    const passing = perPage.filter(x => x.check.ok);
+    const failing = perPage.filter(x => !x.check.ok);
+    const sample = perPage[0].check;
+    checks[key] = {
+      ok: failing.length === 0,
+      points: mean(perPage.map(x => x.check.points)),
+      max_points: sample.max_points,
+      detail: { pages_passing: passing.length, pages_failing: failing.length, pass_rate: percent(passing.length, perPage.length), failing_urls: failing.map(x => x.url).slice(0, 20) },
+      advice: sample.advice,
+      priority: sample.priority
+    };
+  }
+  // keep the structured data item count meaningful for downstream consumers (AI context, readiness heuristics)
+  if (checks.structured_data) checks.structured_data.detail.count = pages.reduce((s, p) => s + (p.prelim.checks.structured_data?.detail?.count || 0), 0);
+
+  const stats = scoreStats(pages, p => p.prelim.summary?.score);
+  const summary = {
+    score: stats.mean,
+    min_score: stats.min,
+    max_score: stats.max,
+    min_score_url: stats.minUrl,
+    total_awarded: mean(pages.map(p => p.prelim.summary?.total_awarded)),
+    total_possible: mean(pages.map(p => p.prelim.summary?.total_possible)),
+    pages: total
   };
 
-  const body = {
-    model: 'gpt-4o-mini',
-    messages: [
-      { role: 'system', content: systemPrompt },
-      { role: 'user', content: userPrompt },
-      { role: 'user', content: `Prelim JSON summary:\n${JSON.stringify(fullContext.prelim || {}, null, 2)}\n\nAdvanced metrics:\n${JSON.stringify(fullContext.advanced || {}, null, 2)}\n\nHTML snippet (truncated):\n${rawHtmlSnippet}` }
-    ],
-    functions: [functionDef],
-    function_call: { name: 'ai_audit_result' },
-    temperature: 0.0,
-    max_tokens: 1600
+  // one suggestion per failing check, with the pages it affects
+  const bySuggestion = {};
+  pages.forEach(p => (p.prelim.suggestions || []).forEach(s => {
+    if (!bySuggestion[s.key]) bySuggestion[s.key] = { key: s.key, priority: s.priority, advice: s.advice, pages: 0, urls: [] };
+    bySuggestion[s.key].pages += 1;
+    bySuggestion[s.key].urls.push(p.url);
+  }));
+  const prioMap = { high: 3, medium: 2, low: 1 };
+  const suggestions = Object.values(bySuggestion).sort((a, b) => (prioMap[b.priority] - prioMap[a.priority]) || (b.pages - a.pages));
+  return { checks, summary, suggestions };
+}
+
+function aggregateAdvanced(pages, robotsRaw) {
+  const total = pages.length;
+  const adv = pages.map(p => p.advanced);
+  const crawlStats = scoreStats(pages, p => p.advanced.crawlability?.crawlScore);
+
+  const semanticCounts = {};
+  adv.forEach(a => Object.entries(a.semantic?.semanticCounts || {}).forEach(([k, v]) => { semanticCounts[k] = (semanticCounts[k] || 0) + v; }));
+  const pagesMissingMain = pages.filter(p => p.advanced.semantic?.missingMain).map(p => p.url);
+  const pagesWithHeadingIssues = pages.filter(p => (p.advanced.semantic?.headingIssues || []).length).map(p => p.url);
+
+  const pagesWithContrastProblems = pages.filter(p => (p.advanced.accessibility?.contrastProblems || []).length).map(p => p.url);
+  const a11yStats = scoreStats(pages, p => p.advanced.accessibility?.score);
+  // WCAG rules across pages: how many pages each rule applies to and fails on, with example failing elements
+  const a11yRules = {};
+  pages.forEach(p => (p.advanced.accessibility?.rules || []).forEach(r => {
+    const agg = a11yRules[r.id] || (a11yRules[r.id] = { id: r.id, level: r.level, wcag: r.wcag, description: r.description, pages: 0, failingPages: 0, failed: 0, urls: [], examples: [] });
+    agg.pages += 1;
+    agg.failed += r.failed;
+    if (!r.failed) return;
+    agg.failingPages += 1;
+    if (agg.urls.length < 20) agg.urls.push(p.url);
+    r.nodes.slice(0, 3).forEach(n => { if (agg.examples.length < 10) agg.examples.push({ url: p.url, ...n }); });
+  }));
+
+  const words = adv.map(a => a.contentQualityForAI?.words || 0);
+  const citable = pages.filter(p => p.advanced.citability?.passages);
+  const citabilityStats = scoreStats(citable, p => p.advanced.citability.score);
+  const passageCount = citable.reduce((s, p) => s + p.advanced.citability.passages, 0);
+  const citablePassages = citable.reduce((s, p) => s + p.advanced.citability.citable, 0);
+
+  // entities ranked by number of pages that mention them
+  const entityPages = {};
+  adv.forEach(a => new Set(a.entityRecognition?.topEntities || []).forEach(e => { entityPages[e] = (entityPages[e] || 0) + 1; }));
+  const topEntities = Object.entries(entityPages).sort((a, b) => b[1] - a[1]).slice(0, 10).map(([e]) => e);
+
+  const aiTrainingCounts = { High: 0, Moderate: 0, Low: 0 };
+  adv.forEach(a => { if (a.aiTrainingValue in aiTrainingCounts) aiTrainingCounts[a.aiTrainingValue] += 1; });
+  const aiTrainingValue = Object.entries(aiTrainingCounts).sort((a, b) => b[1] - a[1])[0][0];
+
+  return {
+    semantic: { semanticCounts, missingMain: pagesMissingMain.length > 0, pagesMissingMain, pagesWithHeadingIssues, missingMainRate: percent(pagesMissingMain.length, total) },
+    accessibility: {
+      ariaCount: adv.reduce((s, a) => s + (a.accessibility?.ariaCount || 0), 0),
+      pagesWithAria: percent(adv.filter(a => a.accessibility?.ariaCount).length, total),
+      pagesWithSkipLinks: percent(adv.filter(a => a.accessibility?.skipLinks).length, total),
+      formLabels: adv.reduce((s, a) => s + (a.accessibility?.formLabels || 0), 0),
+      inputs: adv.reduce((s, a) => s + (a.accessibility?.inputs || 0), 0),
+      contrastProblems: adv.reduce((s, a) => s + (a.accessibility?.contrastProblems || []).length, 0),
+      pagesWithContrastProblems,
+      score: a11yStats.mean,
+      minScore: a11yStats.min,
+      minScoreUrl: a11yStats.minUrl,
+      rules: Object.values(a11yRules).sort((a, b) => (LEVEL_WEIGHTS[b.level] * b.failingPages) - (LEVEL_WEIGHTS[a.level] * a.failingPages) || b.failed - a.failed),
+      stylesheets: { linked: adv.reduce((s, a) => s + (a.accessibility?.stylesheets?.linked || 0), 0), unavailable: Array.from(new Set(adv.flatMap(a => a.accessibility?.stylesheets?.unavailable || []))) }
+    },
+    crawlability: {
+      crawlScore: crawlStats.mean,
+      minCrawlScore: crawlStats.min,
+      minCrawlScoreUrl: crawlStats.minUrl,
+      pagesWithCanonical: percent(adv.filter(a => a.crawlability?.canonical).length, total),
+      pagesWithCanonicalErrors: adv.filter(a => a.crawlability?.canonicalErrors?.length).length,
+      pagesNoindex: adv.filter(a => (a.crawlability?.robotsMeta || '').toLowerCase().includes('noindex')).length,
+      internalDensity: mean(adv.map(a => a.crawlability?.internalDensity)),
+      avgClickDepth: mean(adv.map(a => a.crawlability?.clickDepth))
+    },
+    contentQualityForAI: {
+      words: words.reduce((s, n) => s + n, 0),
+      avgWordsPerPage: mean(words),
+      minWords: words.length ? Math.min(...words) : 0,
+      avgWordsPerPara: mean(adv.map(a => a.contentQualityForAI?.avgWordsPerPara)),
+      avgSentenceLength: mean(adv.map(a => a.contentQualityForAI?.avgSentenceLength))
+    },
+    citability: {
+      score: citabilityStats.mean,
+      minScore: citabilityStats.min,
+      minScoreUrl: citabilityStats.minUrl,
+      passages: passageCount,
+      citablePassages,
+      citableRate: percent(citablePassages, passageCount),
+      pagesWithoutPassages: pages.filter(p => !p.advanced.citability?.passages).map(p => p.url),
+      pagesLowCitability: citable.filter(p => p.advanced.citability.score < 50).map(p => p.url)
+    },
+    contentCompleteness: {
+      hasContact: adv.some(a => a.contentCompleteness?.hasContact),
+      hasPricing: adv.some(a => a.contentCompleteness?.hasPricing),
+      hasProducts: adv.some(a => a.contentCompleteness?.hasProducts),
+      sections: Object.keys(semanticCounts).filter(k => semanticCounts[k] > 0)
+    },
+    contextCompleteness: {
+      localSchema: percent(adv.filter(a => a.contextCompleteness?.localSchema).length, total),
+      socialLinks: adv.some(a => a.contextCompleteness?.socialLinks)
+    },
+    aiTrainingValue,
+    aiTrainingCounts,
+    entityRecognition: { jsonLdEntitiesCount: adv.reduce((s, a) => s + (a.entityRecognition?.jsonLdEntitiesCount || 0), 0), topEntities },
+    knowledgeGraphReadiness: {
+      jsonLdCount: adv.reduce((s, a) => s + (a.knowledgeGraphReadiness?.jsonLdCount || 0), 0),
+      hasSameAs: adv.some(a => a.knowledgeGraphReadiness?.hasSameAs),
+      nodes: adv.reduce((s, a) => s + (a.knowledgeGraphReadiness?.nodes || []).length, 0)
+    },
+    structuredRelations: adv.flatMap(a => a.structuredRelations || []),
+    robotsRaw: robotsRaw || null
   };
+}
 
-  const res = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: { 'Authorization': `Bearer ${OPENAI_API_KEY}`, 'Content-Type': 'application/json' },
-    body: JSON.stringify(body)
+function aggregateHints(pages) {
+  const hints = pages.map(p => p.hints);
+  // each language is scored with its own formula, so byLanguage is the comparable figure; score is the overall mean
+  const byLanguage = {};
+  pages.forEach(p => {
+    const lang = p.hints.language?.lang || 'unknown';
+    if (!byLanguage[lang]) byLanguage[lang] = { pages: 0, formula: p.hints.readability?.formula || null, scores: [] };
+    byLanguage[lang].pages += 1;
+    if (typeof p.hints.readability?.score === 'number') byLanguage[lang].scores.push(p.hints.readability.score);
   });
+  Object.values(byLanguage).forEach(l => { l.score = l.scores.length ? mean(l.scores) : null; l.label = readabilityLabel(l.score); delete l.scores; });
+  const scored = hints.filter(h => typeof h.readability?.score === 'number');
+  const score = scored.length ? mean(scored.map(h => h.readability.score)) : null;
+  return {
+    foundFiles: {
+      llmsTxtLinked: hints.some(h => h.foundFiles?.llmsTxtLinked),
+      robotsTxt: hints.some(h => h.foundFiles?.robotsTxt),
+      hreflang: hints.some(h => h.foundFiles?.hreflang)
+    },
+    pagesWithHeadingIssues: hints.filter(h => (h.headingIssues || []).length).length,
+    readability: { score, label: readabilityLabel(score), byLanguage },
+    languages: Object.fromEntries(Object.entries(byLanguage).map(([lang, l]) => [lang, l.pages])),
+    pagesLanguageMismatch: pages.filter(p => p.hints.language?.mismatch).map(p => ({ url: p.url, declared: p.hints.language.declared, detected: p.hints.language.detected })),
+    accessibility: { imagesAltRatio: mean(hints.map(h => h.accessibility?.imagesAltRatio)), ariaPresent: percent(hints.filter(h => h.accessibility?.ariaPresent).length, hints.length) },
+    jsonLdCount: hints.reduce((s, h) => s + (h.jsonLdCount || 0), 0),
+    hreflangCount: hints.reduce((s, h) => s + (h.hreflangCount || 0), 0)
+  };
+}
 
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`OpenAI API error ${res.status}: ${text}`);
-  }
+function aggregateGeo(pages) {
+  const stats = scoreStats(pages, p => p.geo.GEO_SCORE);
+  const breakdown = {};
+  Object.keys(pages[0]?.geo?.breakdown || {}).forEach(k => { breakdown[k] = mean(pages.map(p => p.geo.breakdown[k])); });
+  return { GEO_SCORE: Math.round(stats.mean), min: stats.min, max: stats.max, minUrl: stats.minUrl, breakdown };
+}
 
-  const data = await res.json();
-  const message = data.choices?.[0]?.message;
-  if (message?.function_call?.arguments) {
-    try { return JSON.parse(message.function_call.arguments); } catch (e) { return { raw: message.function_call.arguments, parseError: e.toString() }; }
-  }
-  if (message?.content) {
-    try {
-      const t = message.content;
-      const jstart = t.indexOf('{'), jend = t.lastIndexOf('}');
-      if (jstart !== -1 && jend !== -1) return JSON.parse(t.slice(jstart, jend + 1));
-    } catch (e) {
-      return { raw: message.content, parseError: e.toString() };
-    }
-  }
-  return { raw: data };
+// compact per-page record for the JSON report
+function summarizePage(p) {
+  return {
+    url: p.url,
+    seoScore: p.prelim.summary?.score ?? 0,
+    geoScore: p.geo.GEO_SCORE,
+    crawlScore: p.advanced.crawlability?.crawlScore ?? 0,
+    accessibilityScore: p.advanced.accessibility?.score ?? 0,
+    failedChecks: Object.keys(p.prelim.checks).filter(k => !p.prelim.checks[k].ok),
+    structuredDataErrors: p.prelim.structuredData?.errors ?? 0,
+    robots: p.robots,
+    hreflang: p.hreflang,
+    prelim: p.prelim,
+    advanced: p.advanced,
+    hints: p.hints,
+    geo: p.geo
+  };
 }
 
 // -------------------- Aggregate HTML generator (visual, Semrush-style) --------------------
@@ -479,18 +622,68 @@ async function generateAggregateHtmlReport(reportObj, outHtmlPath) {
   const sitemaps = reportObj.sitemaps || [];
   const robotsRaw = reportObj.robotsRaw || {};
   const pagesFound = reportObj.pagesFound || 0;
-
-  const seoScore = (reportObj.ai && reportObj.ai.seo_score) ? reportObj.ai.seo_score : (prelim.summary ? prelim.summary.score : 0);
-  const crawlScore = (reportObj.ai && reportObj.ai.crawlability_score) ? reportObj.ai.crawlability_score : (advanced.crawlability ? advanced.crawlability.crawlScore : 0);
-  const accessibilityScore = (reportObj.ai && reportObj.ai.accessibility_score) ? reportObj.ai.accessibility_score : (advanced.accessibility ? (advanced.accessibility.ariaCount ? 75 : 50) : 0);
+  const pages = Array.isArray(reportObj.pages) ? reportObj.pages : [];
+
+  const { seo: seoScore, crawlability: crawlScore, accessibility: accessibilityScore, performance: performanceScore } = reportScores(reportObj);
+  const aiScore = aiScores(reportObj.ai);
+  const aiSuggestions = aiScore && Array.isArray(reportObj.ai.ai_suggestions) ? reportObj.ai.ai_suggestions : [];
+  const aiRun = reportObj.aiRun || null;
+  const aiKpi = key => (aiScore && typeof aiScore[key] === 'number' ? ` · AI ${aiScore[key]}%` : '');
+  const priorityBadge = p => `<span class="badge ${p === 'high' ? 'bad' : (p === 'medium' ? 'warn' : 'good')}">${escapeHtmlLocal(p)}</span>`;
   const geoScore = geo.GEO_SCORE || null;
 
-  const entities = (advanced.entityRecognition && Array.isArray(advanced.entityRecognition.topEntities)) ? advanced.entityRecognition.topEntities : [];
+  const entityReport = reportObj.entities && reportObj.entities.graph ? reportObj.entities : null;
+  const entities = entityReport
+    ? entityReport.entities.filter(e => e.kind !== 'address').slice(0, 10).map(e => ({ name: e.name, note: `${e.kind} · ${e.pages} page(s)${e.inMarkup ? ' · marked up' : ''}` }))
+    : ((advanced.entityRecognition && Array.isArray(advanced.entityRecognition.topEntities)) ? advanced.entityRecognition.topEntities : []).map(e => ({ name: e, note: null }));
   const topIssuesNormalized = Array.isArray(topIssues) ? topIssues.slice(0, 200) : [];
 
-  const hasLLMTxt = hints && hints.foundFiles && hints.foundFiles.llmsTxt;
+  const llmsTxt = reportObj.llmsTxt || null;
+  const hasLLMTxt = llmsTxt ? Boolean(llmsTxt.found) : Boolean(hints && hints.foundFiles && hints.foundFiles.llmsTxt);
+  const llmsTxtValid = llmsTxt ? Boolean(llmsTxt.valid) : hasLLMTxt;
   const sitemapCount = Array.isArray(sitemaps) ? sitemaps.length : 0;
-  const hasRobots = Boolean(Object.keys(robotsRaw || {}).length);
+  const sitemapReport = reportObj.sitemap || {};
+  const sitemapCoverage = sitemapReport.coverage || null;
+  const coverageRows = sitemapCoverage ? [
+    ['Crawled pages missing from sitemap', sitemapCoverage.orphanPages.map(u => ({ url: u }))],
+    ['Sitemap URLs returning errors', sitemapCoverage.broken.map(b => ({ url: b.url, note: `HTTP ${b.status}` }))],
+    ['Sitemap URLs that redirect', sitemapCoverage.redirected.map(r => ({ url: r.url, note: `→ ${r.finalUrl}` }))],
+    ['Noindexed URLs in sitemap', sitemapCoverage.noindexed.map(n => ({ url: n.url, note: n.reason }))]
+  ] : [];
+  const robots = reportObj.robots || {};
+  const hasRobots = robots.availability ? robots.availability === 'ok' : Boolean(Object.keys(robotsRaw || {}).length);
+  const robotsLabel = { ok: 'Found', missing: 'Missing (404)', 'server-error': `Server error (${robots.status})`, unreachable: 'Unreachable' }[robots.availability] || (hasRobots ? 'Collected' : 'Missing');
+  const aiBlocked = Array.isArray(robots.aiBlocked) ? robots.aiBlocked : [];
+  const robotsAgents = robots.agents || {};
+  const hreflang = reportObj.hreflang || null;
+  const regions = reportObj.regions || null;
+  const structuredData = reportObj.structuredData || null;
+  const nap = reportObj.nap || null;
+  const history = reportObj.history || null;
+  const runDiff = history ? history.diff : null;
+  const gate = reportObj.gate || null;
+  const visibility = reportObj.visibility && reportObj.visibility.summary ? reportObj.visibility : null;
+  const citability = advanced.citability || null;
+  const citabilityPages = pages.filter(p => p.advanced && p.advanced.citability && p.advanced.citability.passages).sort((a, b) => a.advanced.citability.score - b.advanced.citability.score);
+  const scoreBadge = n => `<span class="badge ${n >= 60 ? 'good' : (n >= 40 ? 'warn' : 'bad')}">${escapeHtmlLocal(n)}</span>`;
+  const passageRows = list => list.map(ps => `<tr><td style="width:50px">${scoreBadge(ps.score)}</td><td>${ps.heading ? `<strong>${escapeHtmlLocal(ps.heading)}</strong><br>` : ''}<span class="small">${escapeHtmlLocal(ps.excerpt)}</span>${ps.guidance.length ? `<ul class="small">${ps.guidance.map(g => `<li>${escapeHtmlLocal(g)}</li>`).join('')}</ul>` : ''}</td></tr>`).join('');
+  const linkGraph = reportObj.links && reportObj.links.summary ? reportObj.links : null;
+  const linkPair = (source, target, extra = '') => `<td class="small">${escapeHtmlLocal(source)}</td><td class="small">→ ${escapeHtmlLocal(target)}${extra}</td>`;
+  const dups = reportObj.duplicates && reportObj.duplicates.summary ? reportObj.duplicates : null;
+  const perf = reportObj.performance && reportObj.performance.summary ? reportObj.performance : null;
+  const formatBytes = n => (typeof n !== 'number' ? '—' : (n >= 1048576 ? `${(n / 1048576).toFixed(1)} MB` : `${Math.round(n / 1024)} KB`));
+  const ratingBadge = (r, text) => `<span class="badge ${r === 'good' ? 'good' : (r === 'poor' ? 'bad' : (r ? 'warn' : ''))}">${escapeHtmlLocal(text ?? '—')}</span>`;
+  const renderCheck = reportObj.rendering || null;
+  const JS_CRITICAL_LABELS = { title: 'title', description: 'meta description', canonical: 'canonical', structured_data: 'JSON-LD', h1: 'H1', main_content: 'main content' };
+  const a11y = advanced.accessibility && Array.isArray(advanced.accessibility.rules) ? advanced.accessibility : null;
+  const signed = n => (n === null || n === undefined ? 'n/a' : `${n > 0 ? '+' : ''}${n}`);
+  const deltaBadge = (n, higherIsBetter = true) => (n ? `<span class="badge ${(n > 0) === higherIsBetter ? 'good' : 'bad'}">${signed(n)}</span>` : '<span class="small">±0</span>');
+  const regionCell = (c, diffs) => {
+    if (!c) return '';
+    const mark = field => (diffs.includes(field) ? ' style="color:var(--warn)"' : '');
+    const status = c.blocked ? `<span class="badge bad">${escapeHtmlLocal(c.blocked)}</span>` : (c.status === 0 ? '<span class="badge bad">failed</span>' : `<span${mark('status')}>${c.status}</span>`);
+    return `${status}${c.redirected ? `<div class="small"${mark('finalUrl')}>→ ${escapeHtmlLocal(c.finalUrl)}</div>` : ''}<div class="small"><span${mark('lang')}>${escapeHtmlLocal(c.lang || '—')}</span> · <span${mark('currencies')}>${escapeHtmlLocal(c.currencies.join('/') || 'no currency')}</span> · <span${mark('words')}>${c.words} words</span></div>${c.prices.length ? `<div class="small"${mark('prices')}>${escapeHtmlLocal(c.prices.join(', '))}</div>` : ''}${c.phones.length ? `<div class="small"${mark('phones')}>${escapeHtmlLocal(c.phones.join(', '))}</div>` : ''}`;
+  };
 
   const html = `<!doctype html>
 <html lang="en">
@@ -514,7 +707,7 @@ async function generateAggregateHtmlReport(reportObj, outHtmlPath) {
   .brand .logo{width:44px;height:44px;border-radius:8px;background:linear-gradient(135deg,#0ea5a9,#0b6a3a);display:flex;align-items:center;justify-content:center;font-weight:800;color:white}
   h1{font-size:18px;margin:0}
   .meta{color:var(--muted);font-size:13px}
-  .kpi-grid{display:grid;grid-template-columns:repeat(4,1fr);gap:12px;margin-bottom:18px}
+  .kpi-grid{display:grid;grid-template-columns:repeat(5,1fr);gap:12px;margin-bottom:18px}
   .kpi{background:var(--card);padding:14px;border-radius:10px;box-shadow:0 6px 18px rgba(2,6,23,0.6);display:flex;flex-direction:column;gap:8px}
   .kpi .label{font-size:12px;color:var(--muted)}
   .kpi .value{font-weight:800;font-size:20px}
@@ -569,22 +762,27 @@ async function generateAggregateHtmlReport(reportObj, outHtmlPath) {
       <div class="kpi">
         <div class="label">SEO Score</div>
         <div class="value" id="kpi-seo">${seoScore}%</div>
-        <div class="sub">Static checks + AI (if enabled)</div>
+        <div class="sub">Site average${prelim.summary && pagesFound > 1 ? ` · worst page ${prelim.summary.min_score}%` : ''}${aiKpi('seo')}</div>
       </div>
       <div class="kpi">
         <div class="label">Crawlability</div>
         <div class="value" id="kpi-crawl">${crawlScore}%</div>
-        <div class="sub">Sitemap, robots, internal link density</div>
+        <div class="sub">Sitemap, robots, internal link density${aiKpi('crawlability')}</div>
       </div>
       <div class="kpi">
         <div class="label">Accessibility</div>
         <div class="value" id="kpi-access">${accessibilityScore}%</div>
-        <div class="sub">ARIA, labels, keyboard</div>
+        <div class="sub">WCAG A/AA/AAA rules, contrast${advanced.accessibility && typeof advanced.accessibility.score === 'number' && pagesFound > 1 ? ` · worst page ${advanced.accessibility.minScore}%` : ''}${aiKpi('accessibility')}</div>
+      </div>
+      <div class="kpi">
+        <div class="label">Performance</div>
+        <div class="value" id="kpi-perf">${performanceScore !== null ? performanceScore + '%' : 'N/A'}</div>
+        <div class="sub">${perf ? `Lab Core Web Vitals · ${perf.summary.pagesPassingCoreWebVitals}/${perf.summary.pagesMeasured} pages pass${perf.summary.pagesMeasured > 1 ? ` · worst page ${perf.minScore}%` : ''}` : 'Not measured (run with --performance)'}</div>
       </div>
       <div class="kpi">
         <div class="label">GEO / Local</div>
         <div class="value" id="kpi-geo">${geoScore !== null ? geoScore + '%' : 'N/A'}</div>
-        <div class="sub">Local signals readiness</div>
+        <div class="sub">Local signals readiness${aiKpi('geo')}</div>
       </div>
     </div>
 
@@ -596,13 +794,15 @@ async function generateAggregateHtmlReport(reportObj, outHtmlPath) {
 
           <div style="display:flex;gap:12px;margin-top:12px;align-items:center">
             <div style="flex:1">
-              <div class="signal ${hasLLMTxt ? 'ok' : 'miss'}"><div class="dot"></div><div class="small">llm.txt / llms.txt: ${hasLLMTxt ? '<strong>Found</strong>' : '<strong>Missing</strong>'}</div></div>
+              <div class="signal ${llmsTxtValid ? 'ok' : 'miss'}"><div class="dot"></div><div class="small">llms.txt: ${hasLLMTxt ? `<strong>${llmsTxtValid ? 'Valid' : 'Invalid'}</strong>${llmsTxt && llmsTxt.found ? ` · score ${llmsTxt.score} · covers ${llmsTxt.coverage.contentPercent}% of content` : ''}` : '<strong>Missing</strong>'}${llmsTxt && llmsTxt.full && llmsTxt.full.found ? ' · llms-full.txt found' : ''}</div></div>
               <div class="signal ${sitemapCount > 0 ? 'ok' : 'miss'}"><div class="dot"></div><div class="small">Sitemap: ${sitemapCount > 0 ? `<strong>${sitemapCount} found</strong>` : '<strong>Missing</strong>'}</div></div>
-              <div class="signal ${hasRobots ? 'ok' : 'miss'}"><div class="dot"></div><div class="small">robots.txt: ${hasRobots ? '<strong>Collected</strong>' : '<strong>Missing</strong>'}</div></div>
+              <div class="signal ${hasRobots ? 'ok' : 'miss'}"><div class="dot"></div><div class="small">robots.txt: <strong>${escapeHtmlLocal(robotsLabel)}</strong></div></div>
+              ${hints.readability && hints.readability.byLanguage ? `<div class="signal ${(hints.pagesLanguageMismatch || []).length ? 'miss' : 'ok'}"><div class="dot"></div><div class="small">Readability: ${Object.entries(hints.readability.byLanguage || {}).map(([lang, l]) => `<strong>${escapeHtmlLocal(lang)}</strong> ${l.pages} page(s)${l.formula ? ` · ${escapeHtmlLocal(l.formula)} ${l.score} (${escapeHtmlLocal(l.label)})` : ''}`).join('; ')}${(hints.pagesLanguageMismatch || []).length ? ` · <strong>${hints.pagesLanguageMismatch.length} page(s)</strong> read as another language than &lt;html lang&gt;` : ''}</div></div>` : ''}
+              <div class="signal ${aiBlocked.length ? 'miss' : 'ok'}"><div class="dot"></div><div class="small">AI crawlers: ${aiBlocked.length ? `<strong>${aiBlocked.length} blocked</strong> (${escapeHtmlLocal(aiBlocked.map(b => b.agent).join(', '))})` : '<strong>All allowed</strong>'}</div></div>
             </div>
             <div style="width:220px;text-align:right">
               <div class="small">Recommendations:</div>
-              <div class="muted" style="margin-top:8px">If missing, add llm.txt or expose training signals; ensure sitemap is accessible and robots is configured correctly for crawl efficiency.</div>
+              <div class="muted" style="margin-top:8px">If missing, add llms.txt or expose training signals; ensure sitemap is accessible and robots is configured correctly for crawl efficiency.</div>
             </div>
           </div>
 
@@ -629,12 +829,21 @@ async function generateAggregateHtmlReport(reportObj, outHtmlPath) {
               <div class="section-title">Entities (Top)</div>
               <div class="muted">Entities extracted across the site</div>
               <div style="margin-top:8px">
-                ${entities.length ? entities.map((e, idx) => `<div class="entity-bar"><div style="font-weight:700">${escapeHtmlLocal(e)}</div><div class="small">#${idx+1}</div></div>`).join('') : '<div class="small">No significant entities</div>'}
+                ${entities.length ? entities.map((e, idx) => `<div class="entity-bar"><div style="font-weight:700">${escapeHtmlLocal(e.name)}</div><div class="small">#${idx+1}${e.note ? ` · ${escapeHtmlLocal(e.note)}` : ''}</div></div>`).join('') : '<div class="small">No significant entities</div>'}
               </div>
             </div>
           </div>
         </div>
 
+        ${gate && gate.rules.length ? `<div class="card" style="margin-top:12px">
+          <div class="section-title">CI Gate <span class="badge ${gate.passed ? 'good' : 'bad'}">${gate.passed ? 'Passed' : 'Failed'}</span></div>
+          <div class="muted">${gate.rules.length} rule(s) · ${gate.violations.length} violation(s)</div>
+          <table class="issues-table" style="margin-top:8px">
+            <thead><tr><th>Rule</th><th>Expected</th><th>Actual</th><th style="width:90px">Result</th></tr></thead>
+            <tbody>${gate.rules.map(r => `<tr><td>${escapeHtmlLocal(r.id)}${r.failures.length ? `<details><summary class="small">${r.failures.length} failure(s)</summary><div class="small">${r.failures.slice(0, 50).map(f => escapeHtmlLocal(`${f.url || f.issue}: ${f.message}`)).join('<br>')}</div></details>` : ''}</td><td>${escapeHtmlLocal(r.expected)}</td><td>${escapeHtmlLocal(String(r.actual ?? 'n/a'))}</td><td>${r.skipped ? '<span class="badge warn">Skipped</span>' : `<span class="badge ${r.passed ? 'good' : 'bad'}">${r.passed ? 'Pass' : 'Fail'}</span>`}</td></tr>`).join('')}</tbody>
+          </table>
+        </div>` : ''}
+
         <div class="card" style="margin-top:12px">
           <div class="section-title">Visual Diagnostics</div>
           <div class="muted">Charts show issue frequency and score distribution</div>
@@ -648,10 +857,182 @@ async function generateAggregateHtmlReport(reportObj, outHtmlPath) {
           </div>
         </div>
 
+        ${history && history.trend.length > 1 ? `<div class="card" style="margin-top:12px">
+          <div class="section-title">Trends</div>
+          <div class="muted">${history.trend.length} runs for this host · ${escapeHtmlLocal(history.trend[0].ts || '')} → ${escapeHtmlLocal(history.trend[history.trend.length - 1].ts || '')}</div>
+          <div style="margin-top:12px"><canvas id="chart-trend" class="chart-wrap"></canvas></div>
+        </div>` : ''}
+
+        ${runDiff ? `<div class="card" style="margin-top:12px">
+          <div class="section-title">Changes Since Previous Run</div>
+          <div class="muted">Compared with ${escapeHtmlLocal(runDiff.from.file || runDiff.from.ts || 'previous run')}</div>
+          <table class="issues-table"><thead><tr><th>Score</th><th>Before</th><th>Now</th><th>Change</th></tr></thead><tbody>${Object.entries(runDiff.scores).map(([k, v]) => `<tr><td><strong>${escapeHtmlLocal(k)}</strong></td><td>${escapeHtmlLocal(v.before ?? '—')}</td><td>${escapeHtmlLocal(v.after ?? '—')}</td><td>${deltaBadge(v.delta)}</td></tr>`).join('')}
+            <tr><td><strong>structured data errors</strong></td><td>${runDiff.structuredData.errors.before}</td><td>${runDiff.structuredData.errors.after}</td><td>${deltaBadge(runDiff.structuredData.errors.delta, false)}</td></tr>
+            <tr><td><strong>structured data items</strong></td><td>${runDiff.structuredData.items.before}</td><td>${runDiff.structuredData.items.after}</td><td>${deltaBadge(runDiff.structuredData.items.delta)}</td></tr>
+          </tbody></table>
+          ${[['New issues', runDiff.issues.introduced.map(i => `${i.issue} (${i.count})`)], ['Resolved issues', runDiff.issues.resolved.map(i => `${i.issue} (${i.count})`)], ['Issues that changed', runDiff.issues.changed.map(i => `${i.issue}: ${i.before} → ${i.after}`)], ['Pages added', runDiff.pages.added], ['Pages removed', runDiff.pages.removed], ['Structured data types changed', runDiff.structuredData.types.map(t => `${t.type}: ${t.before.valid}/${t.before.count} → ${t.after.valid}/${t.after.count} valid`)]].map(([label, rows]) => `<details${rows.length && label !== 'Issues that changed' ? ' open' : ''}><summary>${escapeHtmlLocal(label)} (${rows.length})</summary>${rows.length ? `<ul class="small">${rows.slice(0, 50).map(r => `<li>${escapeHtmlLocal(r)}</li>`).join('')}</ul>` : ''}</details>`).join('')}
+        </div>` : ''}
+
+        <div class="card" style="margin-top:12px">
+          <div class="section-title">Pages</div>
+          <div class="muted">Per-page scores, lowest SEO score first</div>
+          <div class="issues-list">
+            <table class="issues-table">
+              <thead><tr><th>URL</th><th style="width:60px">SEO</th><th style="width:60px">GEO</th><th style="width:60px">Crawl</th><th style="width:60px">A11y</th><th>Failed checks</th></tr></thead>
+              <tbody>
+                ${pages.slice().sort((a, b) => a.seoScore - b.seoScore).slice(0, 200).map(p => `<tr><td>${escapeHtmlLocal(p.url)}</td><td>${escapeHtmlLocal(p.seoScore)}%</td><td>${escapeHtmlLocal(p.geoScore)}%</td><td>${escapeHtmlLocal(p.crawlScore)}%</td><td>${escapeHtmlLocal(p.accessibilityScore ?? '—')}${p.accessibilityScore === undefined ? '' : '%'}</td><td class="small">${escapeHtmlLocal((p.failedChecks || []).join(', '))}</td></tr>`).join('')}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        ${citability && citabilityPages.length ? `<div class="card" style="margin-top:12px">
+          <div class="section-title">Passage Citability ${scoreBadge(citability.score)}</div>
+          <div class="muted">${citability.citablePassages}/${citability.passages} passages (${citability.citableRate}%) can be quoted on their own (score 60+). Passages are scored on self-containedness, concrete facts, question headings with direct answers, lists and tables, and length. Lowest-scoring pages first.</div>
+          ${citabilityPages.slice(0, 50).map(p => `<details${p.advanced.citability.score < 50 ? ' open' : ''}><summary>${escapeHtmlLocal(p.url)} ${scoreBadge(p.advanced.citability.score)} <span class="small">${p.advanced.citability.citable}/${p.advanced.citability.passages} citable</span></summary>
+            <div class="small" style="margin-top:6px">Strongest passages</div><table class="issues-table"><tbody>${passageRows(p.advanced.citability.strongest)}</tbody></table>
+            ${p.advanced.citability.weakest.length ? `<div class="small" style="margin-top:6px">Weakest passages</div><table class="issues-table"><tbody>${passageRows(p.advanced.citability.weakest)}</tbody></table>` : ''}
+          </details>`).join('')}
+        </div>` : ''}
+
+        ${linkGraph ? `<div class="card" style="margin-top:12px">
+          <div class="section-title">Internal Links</div>
+          <div class="muted">${linkGraph.summary.internalLinks} internal links between ${linkGraph.summary.pages} pages (${linkGraph.summary.edges} unique) · ${linkGraph.summary.externalLinks} external · click depth from ${escapeHtmlLocal(linkGraph.home || 'the homepage')}: avg ${linkGraph.summary.avgDepth}, max ${linkGraph.summary.maxDepth} (${escapeHtmlLocal(Object.entries(linkGraph.depthHistogram).map(([d, n]) => `${n} at ${d}`).join(', '))}) · ${linkGraph.summary.checkedTargets}/${linkGraph.summary.uncrawledTargets} uncrawled targets status-checked</div>
+          ${[
+            ['Broken links', linkGraph.broken, b => `<tr>${linkPair(b.source, b.target)}<td style="width:90px"><span class="badge bad">${b.status || 'failed'}</span></td><td class="small">${escapeHtmlLocal(b.error || b.anchor || '')}</td></tr>`, true],
+            ['Redirecting links', linkGraph.redirects, r => `<tr>${linkPair(r.source, r.target, `<br>→ ${escapeHtmlLocal(r.finalUrl)}`)}<td style="width:90px"><span class="badge ${r.loop ? 'bad' : (r.chain ? 'warn' : 'good')}">${r.loop ? 'loop' : `${r.hops.length} hop(s)`}</span></td><td class="small">${escapeHtmlLocal(r.hops.map(h => h.status || '3xx').join(' → '))}${r.loop ? '' : ` → ${escapeHtmlLocal(r.status)}`}</td></tr>`, linkGraph.summary.redirectChains + linkGraph.summary.redirectLoops > 0],
+            ['Orphan pages (not reachable from the homepage)', linkGraph.orphans.map(u => ({ url: u })), o => `<tr><td class="small">${escapeHtmlLocal(o.url)}</td></tr>`, true],
+            ['Pages without inbound internal links', linkGraph.noInbound.map(u => ({ url: u })), o => `<tr><td class="small">${escapeHtmlLocal(o.url)}</td></tr>`, false],
+            [`Pages deeper than 3 clicks`, linkGraph.deepPages, d => `<tr><td class="small">${escapeHtmlLocal(d.url)}</td><td style="width:90px">${d.depth} clicks</td></tr>`, false],
+            ['Weak anchor texts', linkGraph.anchors, a => `<tr>${linkPair(a.source, a.target)}<td style="width:90px"><span class="badge warn">${escapeHtmlLocal(a.problem)}</span></td><td class="small">${escapeHtmlLocal(a.anchor || '(no text)')}</td></tr>`, false],
+            ['Nofollowed internal links', linkGraph.nofollow, n => `<tr>${linkPair(n.source, n.target)}<td class="small">${escapeHtmlLocal(n.anchor || '')}</td></tr>`, false]
+          ].map(([label, rows, row, open]) => `<details${open && rows.length ? ' open' : ''}><summary>${escapeHtmlLocal(label)} (${rows.length})</summary>${rows.length ? `<table class="issues-table"><tbody>${rows.slice(0, 50).map(row).join('')}</tbody></table>` : ''}</details>`).join('')}
+          <details><summary>Most important pages (internal PageRank)</summary><table class="issues-table"><thead><tr><th>URL</th><th style="width:90px">Importance</th><th style="width:70px">Inbound</th><th style="width:60px">Depth</th></tr></thead><tbody>${linkGraph.importance.concat(linkGraph.leastImportant).map(i => `<tr><td class="small">${escapeHtmlLocal(i.url)}</td><td>${i.importance}</td><td>${i.inbound}</td><td>${i.depth ?? '—'}</td></tr>`).join('')}</tbody></table></details>
+        </div>` : ''}
+
+        ${perf ? `<div class="card" style="margin-top:12px">
+          <div class="section-title">Performance (lab Core Web Vitals)</div>
+          <div class="muted">${perf.summary.pagesMeasured} page(s) measured in the ${escapeHtmlLocal(perf.browser)} browser (1280×800, cold cache, no throttling)${perf.summary.pagesFailed ? ` · ${perf.summary.pagesFailed} failed` : ''} · site values are the 75th percentile · TBT stands in for INP · avg ${formatBytes(perf.summary.avgTransferBytes)} and ${perf.summary.avgRequests} requests per page</div>
+          <ul>
+            ${[['lcp', 'LCP', ' ms'], ['cls', 'CLS', ''], ['tbt', 'TBT', ' ms'], ['fcp', 'FCP', ' ms'], ['ttfb', 'TTFB', ' ms']].map(([k, label, unit]) => `<li><strong>${label}</strong> ${ratingBadge(perf.summary.ratings[k], perf.summary.p75[k] === null ? 'n/a' : `${perf.summary.p75[k]}${unit}`)} <span class="small">good ≤ ${perf.thresholds[k][0]}${unit}, poor > ${perf.thresholds[k][1]}${unit}</span></li>`).join('')}
+          </ul>
+          <table class="issues-table"><thead><tr><th>URL</th><th style="width:60px">Score</th><th>LCP</th><th>CLS</th><th>TBT</th><th>TTFB</th><th>Weight</th><th>Images</th><th>Requests</th></tr></thead>
+            <tbody>${pages.filter(p => p.performance).sort((a, b) => (a.performanceScore ?? -1) - (b.performanceScore ?? -1)).map(p => p.performance.error
+              ? `<tr><td class="small">${escapeHtmlLocal(p.url)}</td><td colspan="8"><span class="badge bad">failed</span> <span class="small">${escapeHtmlLocal(p.performance.error)}</span></td></tr>`
+              : `<tr><td class="small">${escapeHtmlLocal(p.url)}${p.performance.lcpElement ? `<div class="small muted">LCP element: ${escapeHtmlLocal(p.performance.lcpElement)}</div>` : ''}</td><td>${p.performanceScore ?? '—'}%</td>${[['lcp', ' ms'], ['cls', ''], ['tbt', ' ms'], ['ttfb', ' ms']].map(([k, unit]) => `<td>${ratingBadge(p.performance.ratings[k], p.performance.metrics[k] === null ? 'n/a' : `${p.performance.metrics[k]}${unit}`)}</td>`).join('')}<td>${formatBytes(p.performance.transfer.bytes)}</td><td>${formatBytes(p.performance.imageBytes)}</td><td>${p.performance.transfer.requests}</td></tr>`).join('')}</tbody>
+          </table>
+          ${perf.renderBlocking.length ? `<details open><summary>Render-blocking resources (${perf.renderBlocking.length})</summary><table class="issues-table"><tbody>${perf.renderBlocking.map(r => `<tr><td class="small">${escapeHtmlLocal(r.url)}</td><td style="width:90px">${escapeHtmlLocal(r.type)}</td><td style="width:80px">${formatBytes(r.bytes)}</td><td style="width:80px">${r.pages} page(s)</td></tr>`).join('')}</tbody></table></details>` : ''}
+        </div>` : (reportObj.performance && reportObj.performance.error ? `<div class="card" style="margin-top:12px"><div class="section-title">Performance (lab Core Web Vitals)</div><div class="small">Measurement failed: ${escapeHtmlLocal(reportObj.performance.error)}</div></div>` : '')}
+
+        ${dups ? `<div class="card" style="margin-top:12px">
+          <div class="section-title">Canonicals &amp; Duplicate Content</div>
+          <div class="muted">${dups.summary.withCanonical}/${dups.summary.pages} pages declare a canonical · ${dups.summary.selfCanonical} self-referencing · ${dups.summary.canonicalized} canonicalized elsewhere · ${dups.summary.indexable} indexable · ${dups.summary.comparedPages} pages compared for near-duplicate text</div>
+          <ul>
+            <li>${dups.summary.canonicalErrors ? `<span class="badge bad">${dups.summary.canonicalErrors} canonical errors</span>` : '<span class="badge good">No canonical errors</span>'} ${dups.summary.canonicalWarnings ? `<span class="badge warn">${dups.summary.canonicalWarnings} warnings</span>` : ''}</li>
+            <li>${dups.summary.duplicateTitleGroups ? `<span class="badge warn">${dups.summary.pagesWithDuplicateTitle} pages share ${dups.summary.duplicateTitleGroups} title(s)</span>` : '<span class="badge good">Titles unique</span>'} ${dups.summary.duplicateDescriptionGroups ? `<span class="badge warn">${dups.summary.pagesWithDuplicateDescription} pages share ${dups.summary.duplicateDescriptionGroups} description(s)</span>` : '<span class="badge good">Descriptions unique</span>'}</li>
+            <li>${dups.summary.exactDuplicateClusters + dups.summary.nearDuplicateClusters ? `<span class="badge bad">${dups.summary.pagesInDuplicateClusters} pages in ${dups.summary.exactDuplicateClusters} exact / ${dups.summary.nearDuplicateClusters} near-duplicate cluster(s)</span>` : '<span class="badge good">No duplicate content</span>'}</li>
+          </ul>
+          ${dups.canonicalIssues.length ? `<details open><summary>Canonical problems (${dups.canonicalIssues.length})</summary><table class="issues-table"><tbody>${dups.canonicalIssues.slice(0, 50).map(i => `<tr><td style="width:80px"><span class="badge ${i.severity === 'error' ? 'bad' : 'warn'}">${escapeHtmlLocal(i.severity)}</span></td><td class="small">${escapeHtmlLocal(i.url)}</td><td>${escapeHtmlLocal(i.message)}</td></tr>`).join('')}</tbody></table></details>` : ''}
+          ${dups.clusters.length ? `<details open><summary>Duplicate content clusters (${dups.clusters.length})</summary><table class="issues-table"><tbody>${dups.clusters.slice(0, 50).map(c => `<tr><td style="width:120px"><span class="badge ${c.exact ? 'bad' : 'warn'}">${c.exact ? 'exact' : `${c.similarity}% similar`}</span></td><td class="small">${c.pages.map(p => `${escapeHtmlLocal(p.url)} (${p.words} words)`).join('<br>')}</td></tr>`).join('')}</tbody></table></details>` : ''}
+          ${[['Duplicate titles', dups.titles], ['Duplicate meta descriptions', dups.descriptions]].map(([label, groups]) => groups.length ? `<details><summary>${label} (${groups.length})</summary><table class="issues-table"><tbody>${groups.slice(0, 50).map(g => `<tr><td>${escapeHtmlLocal(g.text)}</td><td class="small">${g.pages.slice(0, 10).map(escapeHtmlLocal).join('<br>')}${g.pages.length > 10 ? `<br>… ${g.pages.length - 10} more` : ''}</td></tr>`).join('')}</tbody></table></details>` : '').join('')}
+          ${dups.canonicalized.length ? `<details><summary>Canonicalized pages (${dups.canonicalized.length})</summary><table class="issues-table"><tbody>${dups.canonicalized.slice(0, 50).map(c => `<tr><td class="small">${escapeHtmlLocal(c.url)}</td><td class="small">→ ${escapeHtmlLocal(c.canonical)}</td></tr>`).join('')}</tbody></table></details>` : ''}
+        </div>` : ''}
+
+        ${renderCheck && renderCheck.summary ? `<div class="card" style="margin-top:12px">
+          <div class="section-title">JavaScript Rendering Dependency</div>
+          <div class="muted">Raw server HTML (what GPTBot, ClaudeBot, PerplexityBot and other non-rendering crawlers read) vs the DOM rendered by the ${escapeHtmlLocal(renderCheck.renderedBy)} · ${renderCheck.summary.pagesCompared} page(s) compared${renderCheck.summary.pagesFailed ? ` · ${renderCheck.summary.pagesFailed} failed` : ''}${renderCheck.summary.avgRawTextShare !== null ? ` · on average ${Math.round(renderCheck.summary.avgRawTextShare * 100)}% of the rendered main text is in the raw HTML` : ''}</div>
+          <ul>
+            <li>${renderCheck.summary.pagesInvisible ? `<span class="badge bad">${renderCheck.summary.pagesInvisible} page(s) invisible to non-rendering AI crawlers</span>` : '<span class="badge good">Critical content is server-rendered</span>'}</li>
+            <li>JS only: ${[['title', 'titles'], ['description', 'descriptions'], ['canonical', 'canonicals'], ['structuredData', 'JSON-LD'], ['h1', 'H1s'], ['headings', 'other headings'], ['links', 'internal links'], ['mainContent', 'main content']].map(([k, label]) => `<span class="badge ${renderCheck.summary.jsOnly[k] ? (['headings', 'links'].includes(k) ? 'warn' : 'bad') : 'good'}">${label}: ${renderCheck.summary.jsOnly[k]}</span>`).join(' ')}</li>
+            ${Object.values(renderCheck.summary.changedByJs).some(Boolean) ? `<li>Changed by JS: ${Object.entries(renderCheck.summary.changedByJs).filter(([, n]) => n).map(([k, n]) => `<span class="badge warn">${escapeHtmlLocal(k)}: ${n}</span>`).join(' ')}</li>` : ''}
+          </ul>
+          <table class="issues-table"><thead><tr><th>URL</th><th>Only after JS</th><th style="width:150px">Main text in raw HTML</th></tr></thead>
+            <tbody>${pages.filter(p => p.rendering).sort((a, b) => b.rendering.critical.length - a.rendering.critical.length || a.rendering.text.rawShare - b.rendering.text.rawShare).slice(0, 50).map(p => {
+              const r = p.rendering;
+              const extras = [r.headings.jsOnlyCount ? `${r.headings.jsOnlyCount} heading(s)` : '', r.links.jsOnlyCount ? `${r.links.jsOnlyCount} internal link(s)` : '', r.jsonLd.jsOnly && !r.jsonLd.jsOnlyTypes.length ? `${r.jsonLd.jsOnly} changed JSON-LD block(s)` : ''].filter(Boolean);
+              return `<tr><td class="small">${escapeHtmlLocal(p.url)}${r.invisible ? ' <span class="badge bad">invisible</span>' : ''}</td><td>${r.critical.map(c => `<span class="badge bad">${JS_CRITICAL_LABELS[c]}</span>`).join(' ')}${r.jsonLd.jsOnlyTypes.length ? `<div class="small">JSON-LD: ${escapeHtmlLocal(r.jsonLd.jsOnlyTypes.join(', '))}</div>` : ''}${extras.length ? `<div class="small">${extras.join(' · ')}</div>` : ''}${!r.critical.length && !extras.length ? '<span class="small">—</span>' : ''}</td><td>${r.text.renderedWords ? `${Math.round(r.text.rawShare * 100)}% <span class="small">(${r.text.jsOnlyWords} of ${r.text.renderedWords} words JS only)</span>` : '<span class="small">no main text</span>'}</td></tr>`;
+            }).join('')}</tbody>
+          </table>
+          ${renderCheck.errors.length ? `<details><summary>Not compared (${renderCheck.errors.length})</summary><table class="issues-table"><tbody>${renderCheck.errors.slice(0, 50).map(e => `<tr><td class="small">${escapeHtmlLocal(e.url)}</td><td class="small">${escapeHtmlLocal(e.error)}</td></tr>`).join('')}</tbody></table></details>` : ''}
+        </div>` : (renderCheck ? `<div class="card" style="margin-top:12px"><div class="section-title">JavaScript Rendering Dependency</div><div class="small">Not compared: ${escapeHtmlLocal(renderCheck.error || renderCheck.reason)}</div></div>` : '')}
+
+        ${a11y ? `<div class="card" style="margin-top:12px">
+          <div class="section-title">Accessibility (WCAG) <span class="badge ${a11y.score >= 90 ? 'good' : (a11y.score >= 70 ? 'warn' : 'bad')}">${escapeHtmlLocal(a11y.score)}%</span></div>
+          <div class="muted">Rule outcomes weighted by level (A ×3, AA ×2, AAA ×1)${pagesFound > 1 ? ` · worst page ${a11y.minScore}% (${escapeHtmlLocal(a11y.minScoreUrl || '')})` : ''} · contrast from ${a11y.stylesheets.linked} linked stylesheet(s), inline &lt;style&gt; and style attributes${a11y.stylesheets.unavailable.length ? ` · <strong>${a11y.stylesheets.unavailable.length} stylesheet(s) could not be fetched</strong>, so contrast may be incomplete` : ''}</div>
+          <table class="issues-table" style="margin-top:8px">
+            <thead><tr><th>Rule</th><th style="width:90px">Level</th><th style="width:110px">Pages failing</th><th style="width:80px">Elements</th></tr></thead>
+            <tbody>${a11y.rules.map(r => `<tr><td><strong>${escapeHtmlLocal(r.id)}</strong> <span class="small">${escapeHtmlLocal(r.description)}</span>${r.examples.length ? `<details><summary class="small">Examples</summary><div class="small">${r.examples.map(e => `<div style="margin-top:4px"><code>${escapeHtmlLocal(e.selector)}</code> · ${escapeHtmlLocal(e.url)}<br>${escapeHtmlLocal(e.message || '')}</div>`).join('')}</div></details>` : ''}</td><td><span class="badge ${r.level === 'A' ? 'bad' : (r.level === 'AA' ? 'warn' : 'good')}">${escapeHtmlLocal(r.level)}</span> <span class="small">${escapeHtmlLocal(r.wcag)}</span></td><td>${r.failingPages ? `<span class="badge ${r.level === 'AAA' ? 'warn' : 'bad'}">${r.failingPages}/${r.pages}</span>` : `<span class="badge good">0/${r.pages}</span>`}</td><td>${r.failed}</td></tr>`).join('')}</tbody>
+          </table>
+        </div>` : ''}
+
+        ${sitemapCoverage ? `<div class="card" style="margin-top:12px">
+          <div class="section-title">Sitemap Coverage</div>
+          <div class="muted">${sitemapReport.urlCount || 0} sitemap URLs · ${sitemapCoverage.crawledInSitemap}/${sitemapCoverage.crawledPages} crawled pages listed · ${sitemapCoverage.notCrawled} sitemap URLs not crawled (${sitemapCoverage.statusChecked} status-checked)</div>
+          ${coverageRows.map(([label, rows]) => `<details${rows.length ? ' open' : ''}><summary>${escapeHtmlLocal(label)} (${rows.length})</summary>${rows.length ? `<table class="issues-table"><tbody>${rows.slice(0, 50).map(r => `<tr><td>${escapeHtmlLocal(r.url)}</td><td class="small">${escapeHtmlLocal(r.note || '')}</td></tr>`).join('')}</tbody></table>` : ''}</details>`).join('')}
+          ${(sitemapReport.issues || []).length ? `<ul class="small">${sitemapReport.issues.map(i => `<li>${escapeHtmlLocal(i)}</li>`).join('')}</ul>` : ''}
+        </div>` : ''}
+
+        ${hreflang && hreflang.found ? `<div class="card" style="margin-top:12px">
+          <div class="section-title">International Targeting (hreflang)</div>
+          <div class="muted">${hreflang.summary.pagesWithHreflang}/${hreflang.summary.pagesTotal} pages annotated · ${hreflang.summary.validPages} valid · ${hreflang.summary.clusters} locale cluster(s) · sources: ${escapeHtmlLocal(hreflang.summary.sources.join(', '))}</div>
+          ${hreflang.clusters.slice(0, 50).map(c => `<details${c.errors ? ' open' : ''}><summary>Cluster ${c.id}: ${escapeHtmlLocal(Object.keys(c.locales).join(', '))} ${c.errors ? `<span class="badge bad">${c.errors} errors</span>` : (c.warnings ? `<span class="badge warn">${c.warnings} warnings</span>` : '<span class="badge good">OK</span>')}</summary>
+            <table class="issues-table"><tbody>${Object.entries(c.locales).map(([code, href]) => `<tr><td style="width:90px"><strong>${escapeHtmlLocal(code)}</strong></td><td class="small">${escapeHtmlLocal(href)}</td></tr>`).join('')}</tbody></table>
+            ${c.issues.length ? `<ul class="small">${c.issues.map(i => `<li><span class="badge ${i.severity === 'error' ? 'bad' : (i.severity === 'warning' ? 'warn' : 'good')}">${escapeHtmlLocal(i.severity)}</span> ${escapeHtmlLocal(i.url)}: ${escapeHtmlLocal(i.message)}</li>`).join('')}</ul>` : ''}
+          </details>`).join('')}
+        </div>` : ''}
+
+        ${structuredData ? `<div class="card" style="margin-top:12px">
+          <div class="section-title">Structured Data</div>
+          <div class="muted">${structuredData.items} item(s) on ${structuredData.pagesWithData}/${structuredData.pagesTotal} pages · JSON-LD ${structuredData.formats['json-ld']} · Microdata ${structuredData.formats.microdata} · RDFa ${structuredData.formats.rdfa} pages · ${structuredData.errors} errors · ${structuredData.warnings} warnings${structuredData.invalidBlocks ? ` · ${structuredData.invalidBlocks} invalid JSON-LD block(s)` : ''}</div>
+          ${Object.keys(structuredData.geoTypes).length ? `<table class="issues-table"><thead><tr><th>Type</th><th>Pages</th><th>Valid</th></tr></thead><tbody>${Object.entries(structuredData.geoTypes).map(([t, v]) => `<tr><td><strong>${escapeHtmlLocal(t)}</strong></td><td>${v.pages}</td><td>${v.valid === v.count ? `<span class="badge good">${v.valid}/${v.count}</span>` : `<span class="badge ${v.valid ? 'warn' : 'bad'}">${v.valid}/${v.count}</span>`}</td></tr>`).join('')}</tbody></table>` : '<div class="small" style="margin-top:8px">No rich-result types found (LocalBusiness, Organization, Product, FAQPage, Article, BreadcrumbList, Event)</div>'}
+          ${structuredData.topProblems.length ? `<details${structuredData.errors ? ' open' : ''}><summary>Problems (${structuredData.topProblems.length})</summary><table class="issues-table"><tbody>${structuredData.topProblems.map(pr => `<tr><td><span class="badge ${pr.severity === 'error' ? 'bad' : 'warn'}">${escapeHtmlLocal(pr.severity)}</span></td><td>${escapeHtmlLocal(pr.message)}<div class="small">${escapeHtmlLocal(pr.urls.slice(0, 3).join(', '))}</div></td><td style="width:60px">${pr.pages} page(s)</td></tr>`).join('')}</tbody></table></details>` : ''}
+        </div>` : ''}
+
+        ${nap && nap.found ? `<div class="card" style="margin-top:12px">
+          <div class="section-title">NAP Consistency</div>
+          <div class="muted">Name, address and phone as found in markup, tel: links, footers and contact blocks · consistency ${nap.score ?? 'n/a'}%</div>
+          <table class="issues-table"><tbody>${[['Name', nap.canonical.name, nap.consistency.name], ['Address', nap.canonical.address || nap.canonical.postcode, nap.consistency.address], ['Phone', nap.canonical.phone, nap.consistency.phone]].map(([label, value, pct]) => `<tr><td style="width:90px"><strong>${label}</strong></td><td>${escapeHtmlLocal(value || '—')}</td><td style="width:120px">${pct === null ? '<span class="small">not found</span>' : `<span class="badge ${pct === 100 ? 'good' : (pct >= 80 ? 'warn' : 'bad')}">${pct}% of pages</span>`}</td></tr>`).join('')}</tbody></table>
+          ${nap.issues.length ? `<details${nap.issues.some(i => i.severity === 'error') ? ' open' : ''}><summary>Inconsistencies (${nap.issues.length})</summary><table class="issues-table"><tbody>${nap.issues.map(i => `<tr><td><span class="badge ${i.severity === 'error' ? 'bad' : (i.severity === 'warning' ? 'warn' : 'good')}">${escapeHtmlLocal(i.severity)}</span></td><td>${escapeHtmlLocal(i.message)}<div class="small">${escapeHtmlLocal(i.urls.slice(0, 3).join(', '))}</div></td><td style="width:60px">${i.pages} page(s)</td></tr>`).join('')}</tbody></table></details>` : ''}
+        </div>` : ''}
+
+        ${entityReport ? `<div class="card" style="margin-top:12px">
+          <div class="section-title">Entities & Knowledge Graph</div>
+          <div class="muted">${entityReport.total} entities (${escapeHtmlLocal(Object.entries(entityReport.byKind).map(([k, n]) => `${n} ${k}`).join(', ') || 'none')}) · ${entityReport.graph.nodes.length} @id nodes · ${entityReport.graph.edges.length} links${entityReport.graph.dangling.length ? ` · <strong>${entityReport.graph.dangling.length} dangling reference(s)</strong>` : ''}</div>
+          ${entityReport.missingFromMarkup.length ? `<details open><summary>Named in the text but missing from structured data (${entityReport.missingFromMarkup.length})</summary><table class="issues-table"><tbody>${entityReport.missingFromMarkup.slice(0, 30).map(e => `<tr><td><strong>${escapeHtmlLocal(e.name)}</strong><div class="small">${escapeHtmlLocal(e.urls.slice(0, 3).join(', '))}</div></td><td style="width:90px">${escapeHtmlLocal(e.kind)}</td><td style="width:60px">${e.pages} page(s)</td></tr>`).join('')}</tbody></table></details>` : ''}
+          ${entityReport.issues.length ? `<details${entityReport.issues.some(i => i.severity === 'error') ? ' open' : ''}><summary>sameAs and @id problems (${entityReport.issues.filter(i => i.type !== 'entity_not_in_markup').length})</summary><table class="issues-table"><tbody>${entityReport.issues.filter(i => i.type !== 'entity_not_in_markup').map(i => `<tr><td><span class="badge ${i.severity === 'error' ? 'bad' : (i.severity === 'warning' ? 'warn' : 'good')}">${escapeHtmlLocal(i.severity)}</span></td><td>${escapeHtmlLocal(i.message)}<div class="small">${escapeHtmlLocal(i.urls.slice(0, 3).join(', '))}</div></td><td style="width:60px">${i.pages} page(s)</td></tr>`).join('')}</tbody></table></details>` : ''}
+          ${entityReport.graph.edges.length ? `<details><summary>Entity links (${entityReport.graph.edges.length})</summary><table class="issues-table"><tbody>${entityReport.graph.edges.slice(0, 100).map(e => `<tr><td class="small">${escapeHtmlLocal(e.from)}</td><td style="width:140px"><strong>${escapeHtmlLocal(e.property)}</strong></td><td class="small">${escapeHtmlLocal(e.to)}</td></tr>`).join('')}</tbody></table></details>` : ''}
+        </div>` : ''}
+
+        ${visibility ? `<div class="card" style="margin-top:12px">
+          <div class="section-title">Answer-Engine Visibility <span class="badge ${visibility.summary.score >= 60 ? 'good' : (visibility.summary.score >= 30 ? 'warn' : 'bad')}">${visibility.summary.score ?? 'n/a'}%</span></div>
+          <div class="muted">${visibility.summary.evaluated} simulated question(s) answered from the crawled pages only · ${visibility.summary.answerableRate ?? 'n/a'}% answerable · source page retrieved ${visibility.summary.sourceRetrievedRate ?? 'n/a'}% / cited ${visibility.summary.sourceCitedRate ?? 'n/a'}% · ${visibility.summary.pagesCited}/${visibility.summary.pagesTotal} pages cited</div>
+          <table class="issues-table"><thead><tr><th>Question</th><th>Source page</th><th style="width:110px">Result</th></tr></thead>
+            <tbody>${visibility.questions.slice(0, 60).map(q => `<tr><td>${escapeHtmlLocal(q.question)}<div class="small">${escapeHtmlLocal(q.intent)}${q.cited.length ? ` · cited: ${escapeHtmlLocal(q.cited.join(', '))}` : ''}</div></td><td class="small">${escapeHtmlLocal(q.sourceUrl)}</td><td>${q.answerable === null ? '<span class="badge warn">error</span>' : (!q.answerable ? '<span class="badge bad">unanswered</span>' : (q.sourceCited ? '<span class="badge good">source cited</span>' : '<span class="badge warn">other page</span>'))}</td></tr>`).join('')}</tbody>
+          </table>
+          ${visibility.neverCited.length ? `<details><summary>Pages never cited (${visibility.neverCited.length})</summary><div class="small">${visibility.neverCited.map(u => escapeHtmlLocal(u)).join('<br>')}</div></details>` : ''}
+        </div>` : ''}
+
+        ${regions ? `<div class="card" style="margin-top:12px">
+          <div class="section-title">Regional Comparison</div>
+          <div class="muted">${regions.pagesChecked} page(s) fetched from ${escapeHtmlLocal(regions.countries.join(', '))} · values that differ between regions are highlighted</div>
+          <div class="issues-list">
+            <table class="issues-table">
+              <thead><tr><th>URL</th>${regions.countries.map(c => `<th>${escapeHtmlLocal(c)}</th>`).join('')}</tr></thead>
+              <tbody>
+                ${regions.matrix.map(m => `<tr><td>${escapeHtmlLocal(m.url)}${m.differences.length ? `<div class="small">differs: ${escapeHtmlLocal(m.differences.join(', '))}</div>` : ''}</td>${regions.countries.map(c => `<td>${regionCell(m.regions[c], m.differences)}</td>`).join('')}</tr>`).join('')}
+              </tbody>
+            </table>
+          </div>
+          ${regions.markets.length ? `<details open><summary>Localized versions in their market (${regions.markets.filter(m => m.ok).length}/${regions.markets.length})</summary><table class="issues-table"><tbody>${regions.markets.map(m => `<tr><td style="width:50px"><strong>${escapeHtmlLocal(m.country)}</strong></td><td class="small">${escapeHtmlLocal(m.hreflang)} · ${escapeHtmlLocal(m.url)}</td><td>${m.ok ? '<span class="badge good">OK</span>' : `<span class="badge bad">${escapeHtmlLocal(m.problem)}</span>`}</td></tr>`).join('')}</tbody></table></details>` : ''}
+          ${regions.issues.length ? `<ul class="small">${regions.issues.map(i => `<li>${escapeHtmlLocal(i)}</li>`).join('')}</ul>` : ''}
+        </div>` : ''}
+
         <div class="card" style="margin-top:12px">
           <div class="section-title">Detailed Signals & Raw Data</div>
-          <details><summary>Robots (raw)</summary><pre>${escapeHtmlLocal(JSON.stringify(robotsRaw || {}, null, 2))}</pre></details>
-          <details style="margin-top:8px"><summary>Sitemaps</summary><pre>${escapeHtmlLocal(JSON.stringify(sitemaps || [], null, 2))}</pre></details>
+          <details><summary>Robots rules by crawler</summary><pre>${escapeHtmlLocal(JSON.stringify(robots.groups || [], null, 2))}</pre></details>
+          <details style="margin-top:8px"><summary>Robots (raw)</summary><pre>${escapeHtmlLocal(JSON.stringify(robotsRaw || {}, null, 2))}</pre></details>
+          ${llmsTxt && llmsTxt.found ? `<details style="margin-top:8px"><summary>llms.txt (${(llmsTxt.issues || []).length} issues)</summary><pre>${escapeHtmlLocal(JSON.stringify({ issues: llmsTxt.issues, sections: llmsTxt.sections, links: llmsTxt.links, coverage: llmsTxt.coverage, full: llmsTxt.full }, null, 2))}</pre></details>` : ''}
+          <details style="margin-top:8px"><summary>Sitemaps</summary><pre>${escapeHtmlLocal(JSON.stringify(sitemapReport.files || sitemaps || [], null, 2))}</pre></details>
           <details style="margin-top:8px"><summary>Prelim Summary</summary><pre>${escapeHtmlLocal(JSON.stringify(prelim || {}, null, 2))}</pre></details>
         </div>
       </main>
@@ -659,8 +1040,11 @@ async function generateAggregateHtmlReport(reportObj, outHtmlPath) {
       <aside>
         <div class="card">
           <div class="section-title">Actionable Fixes</div>
-          <div class="muted">AI suggestions (if enabled) and static suggestions</div>
-          ${reportObj.ai && reportObj.ai.ai_suggestions ? `<div style="margin-top:8px"><pre>${escapeHtmlLocal(JSON.stringify(reportObj.ai.ai_suggestions.slice(0,30), null, 2))}</pre></div>` : `<div class="muted" style="margin-top:8px">AI not enabled or no suggestions returned</div>`}
+          <div class="muted">AI suggestions (if enabled) and static suggestions${aiRun ? ` · ${escapeHtmlLocal(aiRun.provider)} (${escapeHtmlLocal(aiRun.model)})` : ''}</div>
+          ${aiSuggestions.length ? `<table class="issues-table">
+            <thead><tr><th style="width:70px">Priority</th><th>Fix</th></tr></thead>
+            <tbody>${aiSuggestions.map(sg => `<tr><td>${priorityBadge(sg.priority)}</td><td><strong>${escapeHtmlLocal(sg.title)}</strong><div class="small">${escapeHtmlLocal(sg.fix)}</div>${sg.snippet ? `<details><summary class="small">Snippet</summary><pre>${escapeHtmlLocal(sg.snippet)}</pre></details>` : ''}</td></tr>`).join('')}</tbody>
+          </table>` : `<div class="muted" style="margin-top:8px">${aiRun && aiRun.error ? `AI site-level request failed: ${escapeHtmlLocal(aiRun.error)}` : (aiRun && !aiRun.valid ? `AI result rejected after ${aiRun.attempts} attempt(s): ${escapeHtmlLocal(aiRun.errors.slice(0, 3).join('; '))}` : 'AI not enabled or no suggestions returned')}</div>`}
           <div class="actions">
             <button class="copyBtn" id="copy-fixes">Copy Fixes</button>
             <button class="copyBtn" id="download-csv">Download CSV</button>
@@ -671,18 +1055,33 @@ async function generateAggregateHtmlReport(reportObj, outHtmlPath) {
           <div class="section-title">Checklist</div>
           <div class="muted">Quick view of missing or present items</div>
           <ul style="margin-top:8px">
-            <li>${hasLLMTxt ? '<span class="badge good">llm.txt OK</span>' : '<span class="badge bad">llm.txt Missing</span>'}</li>
+            <li>${hasLLMTxt ? (llmsTxtValid ? '<span class="badge good">llms.txt OK</span>' : '<span class="badge warn">llms.txt Invalid</span>') : '<span class="badge bad">llms.txt Missing</span>'}</li>
             <li>${sitemapCount>0 ? `<span class="badge good">sitemap (${sitemapCount})</span>` : '<span class="badge warn">sitemap Missing</span>'}</li>
             <li>${hasRobots ? '<span class="badge good">robots.txt OK</span>' : '<span class="badge warn">robots Missing</span>'}</li>
+            <li>${hreflang && hreflang.found ? (hreflang.summary.errors ? `<span class="badge warn">hreflang errors (${hreflang.summary.errors})</span>` : '<span class="badge good">hreflang OK</span>') : '<span class="small">no hreflang</span>'}</li>
+            <li>${aiBlocked.length ? `<span class="badge bad">AI crawlers blocked (${aiBlocked.length})</span>` : '<span class="badge good">AI crawlers allowed</span>'}</li>
           </ul>
         </div>
 
+        <div class="card" style="margin-top:12px">
+          <div class="section-title">Crawler Access (robots.txt)</div>
+          <div class="muted">Pages each crawler may fetch under the current robots.txt</div>
+          <table class="issues-table">
+            <thead><tr><th>Crawler</th><th>Blocked</th><th>Group</th></tr></thead>
+            <tbody>
+              ${Object.entries(robotsAgents).map(([agent, a]) => `<tr><td><strong>${escapeHtmlLocal(agent)}</strong><div class="small">${escapeHtmlLocal(a.engine)}</div></td><td>${a.siteBlocked ? '<span class="badge bad">whole site</span>' : (a.pagesBlocked ? `<span class="badge warn">${a.pagesBlocked} pages</span>` : (a.pagesAllowed === null ? '<span class="small">unknown</span>' : '<span class="badge good">none</span>'))}</td><td class="small">${escapeHtmlLocal(a.matchedGroup || '—')}</td></tr>`).join('')}
+            </tbody>
+          </table>
+          ${aiBlocked.length ? `<details><summary>Blocked AI paths</summary><pre>${escapeHtmlLocal(aiBlocked.map(b => `${b.agent} (${b.engine}):\n` + b.paths.map(x => `  ${x.path}  ← ${x.rule}`).join('\n')).join('\n\n'))}</pre></details>` : ''}
+          ${(robots.issues || []).length ? `<ul class="small">${robots.issues.map(i => `<li>${escapeHtmlLocal(i)}</li>`).join('')}</ul>` : ''}
+        </div>
+
         <div class="card" style="margin-top:12px">
           <div class="section-title">Quick Notes</div>
           <div class="muted">Summary</div>
           <ul style="margin-top:8px">
             <li>Missing sitemap or misconfigured robots.txt can hurt crawling and indexing.</li>
-            <li>llm.txt helps indicate available training data and should be exposed if used.</li>
+            <li>llms.txt helps indicate available training data and should be exposed if used.</li>
             <li>Prioritize HIGH severity issues and re-run the audit after fixes.</li>
           </ul>
         </div>
@@ -701,6 +1100,7 @@ async function generateAggregateHtmlReport(reportObj, outHtmlPath) {
     seo: ${Number(seoScore) || 0},
     crawl: ${Number(crawlScore) || 0},
     access: ${Number(accessibilityScore) || 0},
+    perf: ${Number(performanceScore) || 0},
     geo: ${Number(geoScore) || 0}
   };
 
@@ -730,11 +1130,11 @@ async function generateAggregateHtmlReport(reportObj, outHtmlPath) {
   new Chart(ctxScores, {
     type: 'bar',
     data: {
-      labels: ['SEO','Crawl','Accessibility','GEO'],
+      labels: ['SEO','Crawl','Accessibility','Performance','GEO'],
       datasets: [{
         label: 'Score',
-        data: [scores.seo, scores.crawl, scores.access, scores.geo || 0],
-        backgroundColor: ['rgba(59,130,246,0.9)','rgba(16,185,129,0.9)','rgba(245,158,11,0.9)','rgba(99,102,241,0.9)'],
+        data: [scores.seo, scores.crawl, scores.access, scores.perf, scores.geo || 0],
+        backgroundColor: ['rgba(59,130,246,0.9)','rgba(16,185,129,0.9)','rgba(245,158,11,0.9)','rgba(236,72,153,0.9)','rgba(99,102,241,0.9)'],
         borderRadius: 6
       }]
     },
@@ -749,6 +1149,27 @@ async function generateAggregateHtmlReport(reportObj, outHtmlPath) {
     }
   });
 
+  const trend = (REPORT.history && REPORT.history.trend) || [];
+  if (trend.length > 1) {
+    const ctxTrend = document.getElementById('chart-trend').getContext('2d');
+    const series = [['SEO', 'seo', 'rgba(59,130,246,0.9)'], ['GEO', 'geo', 'rgba(99,102,241,0.9)'], ['Crawl', 'crawlability', 'rgba(16,185,129,0.9)'], ['Accessibility', 'accessibility', 'rgba(245,158,11,0.9)'], ['Performance', 'performance', 'rgba(236,72,153,0.9)']];
+    new Chart(ctxTrend, {
+      type: 'line',
+      data: {
+        labels: trend.map(r => (r.ts || '').slice(0, 16).replace('T', ' ')),
+        datasets: series.map(([label, key, color]) => ({ label, data: trend.map(r => r[key]), borderColor: color, backgroundColor: color, tension: 0.25, spanGaps: true }))
+      },
+      options: {
+        plugins: { legend: { labels: { color: '#bcd4f7' } } },
+        maintainAspectRatio: false,
+        scales: {
+          x: { ticks: { color: '#bcd4f7' }, grid: { display: false } },
+          y: { min: 0, max: 100, ticks: { color: '#bcd4f7' }, grid: { color: 'rgba(255,255,255,0.03)' } }
+        }
+      }
+    });
+  }
+
   // Export JSON
   document.getElementById('export-json').addEventListener('click', () => {
     const blob = new Blob([JSON.stringify(REPORT, null, 2)], { type: 'application/json' });
@@ -771,7 +1192,7 @@ async function generateAggregateHtmlReport(reportObj, outHtmlPath) {
 
   // Copy fixes
   document.getElementById('copy-fixes').addEventListener('click', async () => {
-    const fixes = (REPORT.ai && REPORT.ai.ai_suggestions) ? REPORT.ai.ai_suggestions : (REPORT.prelim && REPORT.prelim.suggestions ? REPORT.prelim.suggestions : []);
+    const fixes = (REPORT.ai && Array.isArray(REPORT.ai.ai_suggestions)) ? REPORT.ai.ai_suggestions : (REPORT.prelim && REPORT.prelim.suggestions ? REPORT.prelim.suggestions : []);
     const text = JSON.stringify(fixes, null, 2);
     try { await navigator.clipboard.writeText(text); alert('Fixes copied to clipboard'); } catch (e) { alert('Copy failed'); }
   });
@@ -799,152 +1220,322 @@ async function generateAggregateHtmlReport(reportObj, outHtmlPath) {
 }
 
 // -------------------- MAIN --------------------
-async function main() {
-  if (!TARGET_URL) {
-    console.error('No TARGET URL provided. Usage: node geoaudit.crawl-fullsite.js <url>');
-    process.exit(1);
+// target: URL to crawl, or a local page source (see sources.js); config: resolved settings from config.js, plus
+// logger ({ log, warn, error }, default console) for progress messages. The summary is printed by cli.js.
+async function runAudit(target, config = { ...DEFAULTS }) {
+  const log = config.logger || console;
+  if (!target) throw new GeoauditError('E_USAGE', 'No target given. Usage: geoaudit audit <url|path>');
+  const sourceType = detectSourceType(target);
+  if (!sourceType) throw new GeoauditError('E_INPUT', `Cannot read "${target}": not an http(s) URL, directory, HAR, WARC or URL list`);
+  if (sourceType === 'scrapeless' && !config.scrapingKey) log.warn('Warning: SCRAPING_KEY not set; crawl may fail depending on SDK configuration.');
+  const formats = config.formats || DEFAULTS.formats;
+  const checkSet = resolveChecks({ weights: config.weights, checks: config.checks, logger: log });
+  // the AI client is built up front so a misconfigured provider fails before the crawl
+  const aiProvider = PROVIDERS[config.aiProvider || DEFAULTS.aiProvider];
+  let aiClient = null;
+  if (config.ai && aiProvider && (config.aiApiKey || !aiProvider.keyRequired)) {
+    aiClient = createLlmClient({
+      provider: config.aiProvider || DEFAULTS.aiProvider, model: config.model, apiKey: config.aiApiKey, baseUrl: config.aiBaseUrl,
+      apiVersion: config.aiApiVersion || DEFAULTS.aiApiVersion, timeoutMs: config.aiTimeout || DEFAULTS.aiTimeout, retries: config.aiRetries ?? DEFAULTS.aiRetries, logger: log
+    });
+  } else if (config.ai && aiProvider) {
+    log.log(`${aiProvider.keyEnv} not set — skipping AI step.`);
   }
-  if (!SCRAPING_KEY) console.warn('Warning: SCRAPING_KEY not set; crawl may fail depending on SDK configuration.');
-
-  const client = new ScrapingCrawl({ apiKey: SCRAPING_KEY });
 
-  console.log('Starting crawl for', TARGET_URL);
-  let crawlResponse;
+  log.log(sourceType === 'scrapeless' ? 'Starting crawl for' : `Loading pages (${sourceType} source) from`, target);
+  let source;
   try {
-    const crawlOptions = {
-      allowBackwardLinks: true,
-      scrapeOptions: {
-        formats: ['html'],
-        onlyMainContent: false,
-        timeout: 30000
-      },
-      browserOptions: {
-        proxyCountry: 'ANY',
-        sessionName: 'FullsiteCrawl',
-        sessionRecording: true,
-        sessionTTL: 3000
-      }
-    };
-    if (CRAWL_LIMIT) crawlOptions.limit = CRAWL_LIMIT;
-    crawlResponse = await client.crawlUrl(TARGET_URL, crawlOptions);
+    source = await loadPages(target, { apiKey: config.scrapingKey, limit: config.crawlLimit || undefined, siteUrl: config.siteUrl || undefined, proxyCountry: config.proxyCountry, logger: log });
   } catch (err) {
-    console.error('Crawl failed:', err);
-    process.exit(2);
+    throw new GeoauditError('E_CRAWL', `Crawl failed for ${target}: ${err.message || err}`, { cause: err });
   }
+  const siteUrl = source.siteUrl;
+  const htmlPieces = source.pages; // { url, html }
+  const sitemapUrls = new Set(source.sitemaps || []);
 
-  // Collect HTML pieces from all results, and collect sitemap/robots info
-  const results = Array.isArray(crawlResponse?.results) && crawlResponse.results.length > 0 ? crawlResponse.results : [crawlResponse];
-  const htmlPieces = []; // { url, html }
-  const sitemapUrls = new Set();
-  let robotsRaw = crawlResponse?.robots || crawlResponse?.robots_txt || crawlResponse?.data?.robots || null;
-
-  for (let i = 0; i < results.length; i++) {
-    const r = results[i];
-    // attempt to capture sitemaps/robots if present in result metadata
-    if (r?.sitemap) {
-      if (Array.isArray(r.sitemap)) r.sitemap.forEach(u => sitemapUrls.add(u));
-      else sitemapUrls.add(r.sitemap);
-    }
-    if (r?.payload?.sitemaps) {
-      (r.payload.sitemaps || []).forEach(u => sitemapUrls.add(u));
-    }
-    if (!robotsRaw && (r?.robots || r?.robots_txt)) robotsRaw = r.robots || r.robots_txt;
+  if (htmlPieces.length === 0) {
+    const debugPath = path.join(ensureReportsDir(config.outDir), 'crawl-raw-debug.json');
+    fs.writeFileSync(debugPath, JSON.stringify(source.raw, null, 2), 'utf8');
+    throw new GeoauditError('E_NO_PAGES', `No HTML pages found in the crawl results for ${target}`, { hint: `The raw crawl response was saved to ${debugPath} for debugging.` });
+  }
 
-    const htmlCandidate = extractHtmlFromResponse(r) || extractHtmlFromResponse(r?.payload) || extractHtmlFromResponse(r?.html);
-    if (!htmlCandidate) continue;
-    const pageUrl = r?.url || (r?.payload && r.payload.url) || `${TARGET_URL}#result-${i}`;
-    htmlPieces.push({ url: pageUrl, html: htmlCandidate });
+  // robots.txt: fetched by us (or read from the offline source), evaluated per page for Googlebot + AI crawlers
+  let robotsFetched = await fetchRobotsTxt(siteUrl, source.fetchResource);
+  if (robotsFetched.availability === 'unreachable' && source.robotsRaw) robotsFetched = { ...robotsFetched, availability: 'ok', status: 200, raw: source.robotsRaw };
+  const robotsRaw = robotsFetched.raw || null;
+  const { pages: robotsByPage, ...robots } = evaluateRobots(robotsFetched, htmlPieces.map(p => p.url));
+
+  // XML sitemaps: discovered via robots.txt + /sitemap.xml, index files followed, diffed against the crawl
+  const { entries: sitemapEntries, ...sitemap } = await analyzeSitemaps(siteUrl, htmlPieces, { robotsSitemaps: robots.sitemaps, sourceSitemaps: Array.from(sitemapUrls), fetchResource: source.fetchResource });
+  const sitemapKeys = new Set(sitemapEntries.map(e => urlKey(e.loc)));
+
+  // llms.txt / llms-full.txt: spec validation, link resolution and content coverage
+  const llmsTxt = await analyzeLlmsTxt(siteUrl, htmlPieces, { fetchResource: source.fetchResource });
+
+  // hreflang: alternates from <link>, Link headers and sitemaps, validated per locale cluster
+  const { pages: hreflangByPage, ...hreflang } = analyzeHreflang(htmlPieces, { sitemapEntries });
+
+  // multi-region comparison: the same pages fetched through proxies in each requested country
+  let regions = null;
+  if (config.regions.length) {
+    if (!config.scrapingKey) log.warn('Warning: regions set but SCRAPING_KEY missing; skipping multi-region comparison.');
+    else {
+      log.log('Comparing regions:', config.regions.join(', '));
+      regions = await compareRegions(htmlPieces, config.regions, { maxPages: config.regionPages, fetchFromCountry: (urls, country) => scrapeUrlsFromCountry(urls, country, { apiKey: config.scrapingKey }) });
+    }
   }
+  // internal link graph: broken links and redirects of uncrawled targets, click depth, orphans, PageRank-style importance
+  const { pages: linksByPage, ...links } = await analyzeLinks(htmlPieces, siteUrl, { fetchResource: source.fetchResource });
 
-  if (htmlPieces.length === 0) {
-    console.error('No HTML pages found in crawl results. Raw crawl response saved for debugging.');
-    const debugPath = path.join(ensureReportsDir(), 'crawl-raw-debug.json');
-    fs.writeFileSync(debugPath, JSON.stringify(crawlResponse, null, 2), 'utf8');
-    console.error('Wrote debug crawl response to', debugPath);
-    process.exit(3);
+  // canonical targets validated across the crawl, duplicate titles/descriptions, clusters of near-duplicate text
+  const { pages: duplicatesByPage, ...duplicates } = await analyzeDuplicates(htmlPieces, siteUrl, { fetchResource: source.fetchResource });
+
+  // raw server HTML vs rendered DOM: what non-rendering AI crawlers miss, most linked-to pages first
+  let rendering = null;
+  if (config.renderCheck !== 'off') {
+    try {
+      const rank = url => (linksByPage[url] ? linksByPage[url].pageRank : 0);
+      const ordered = htmlPieces.slice().sort((a, b) => rank(b.url) - rank(a.url));
+      rendering = await analyzeRendering(ordered, {
+        siteUrl, sourceType: source.type, fetchResource: source.fetchResource, mode: config.renderCheck, maxPages: config.renderCheckPages || DEFAULTS.renderCheckPages,
+        browser: config.performanceBrowser, apiKey: config.scrapingKey, proxyCountry: config.proxyCountry, chromePath: config.performanceChrome, logger: log
+      });
+    } catch (e) {
+      log.error('Render check failed:', e);
+      rendering = { compared: false, error: String(e), pages: {} };
+    }
   }
+  const { pages: renderingByPage = {}, ...renderingSummary } = rendering || {};
 
-  // Combine all HTML pieces into one analysis source (with separator)
-  const combinedHtml = htmlPieces.map(p => `\n\n<!-- --- PAGE: ${p.url} --- -->\n\n${p.html}`).join('\n');
+  // linked stylesheets, fetched once and shared by every page for the contrast checks
+  const stylesheets = await loadStylesheets(htmlPieces, source.fetchResource);
 
-  // Run static + advanced analysis on combined content
-  const prelim = analyzeHtml(combinedHtml);
-  const advanced = advancedAnalysis(combinedHtml, crawlResponse, prelim);
-  const hints = computeHintsFromHtml(combinedHtml, prelim);
-  const geo = calculateGeoScore(prelim, hints);
+  const pageContext = p => ({ inSitemap: sitemap.found.length ? sitemapKeys.has(urlKey(p.url)) : false, hreflang: hreflangByPage[p.url], site: { llmsTxt }, checks: checkSet, stylesheets, links: linksByPage[p.url], duplicates: duplicatesByPage[p.url] });
+
+  // Audit every page on its own, then aggregate into site-level values
+  const pageAudits = htmlPieces.map(p => ({ ...auditPage(p, siteUrl, pageContext(p)), robots: robotsByPage[p.url] || {} }));
+  const prelim = aggregatePrelim(pageAudits);
+  const advanced = aggregateAdvanced(pageAudits, robotsRaw);
+  const hints = aggregateHints(pageAudits);
+  hints.foundFiles.llmsTxt = llmsTxt.found;
+  const geo = aggregateGeo(pageAudits);
+  const structuredData = summarizeStructuredData(pageAudits.map(p => ({ url: p.url, data: p.prelim.structuredData })));
+  const { pages: napByPage, ...nap } = analyzeNap(pageAudits.map(p => ({ url: p.url, nap: p.prelim.nap })));
+  const { pages: entitiesByPage, ...entities } = analyzeEntities(pageAudits.map(p => ({ url: p.url, entities: { ...p.advanced.entityRecognition, nodes: p.advanced.knowledgeGraphReadiness.nodes, relations: p.advanced.structuredRelations } })), siteUrl);
 
   // Build final report object
   const outObj = {
-    url: TARGET_URL,
+    url: siteUrl,
+    source: { type: source.type, location: target },
     scrapedAt: new Date().toISOString(),
     pagesFound: htmlPieces.length,
-    sitemaps: Array.from(sitemapUrls),
+    sitemaps: sitemap.found,
     robotsRaw: robotsRaw || null,
+    robots,
+    sitemap,
+    llmsTxt,
+    hreflang,
+    regions,
+    structuredData,
+    nap,
+    links,
+    duplicates,
+    rendering: rendering ? renderingSummary : null,
+    entities,
+    checks: { weights: checkSet.weights, custom: checkSet.custom.map(c => c.key) },
     prelim,
     advanced,
     hints,
     geo,
-    rawCrawl: crawlResponse
+    pages: pageAudits.map(p => ({ ...summarizePage(p), nap: napByPage[p.url] || null, links: linksByPage[p.url] || null, duplicates: duplicatesByPage[p.url] || null, rendering: renderingByPage[p.url] || null, entities: entitiesByPage[p.url] || null })),
+    rawCrawl: source.raw
   };
 
-  // optionally call AI once for overall recommendations (use truncated HTML snippet)
-  let aiJson = null;
+  // AI pass: map-reduce over every page (aiaudit.js); without page content (aiSendHtml: false) only metrics are sent
   try {
-    if (OPENAI_API_KEY) {
-      const htmlSnippet = combinedHtml.length > AI_SNIPPET_MAX ? combinedHtml.slice(0, AI_SNIPPET_MAX) + '\n\n...[TRUNCATED]' : combinedHtml;
-      const systemPrompt = `You are an expert site-level SEO, accessibility, and knowledge-graph auditor. Use the provided PRELIM and ADVANCED metrics. Provide a single, prioritized set of recommendations for the entire site. Include: Semantic HTML issues, Accessibility issues (ARIA, contrast, keyboard), Crawlability / Sitemap / Robots recommendations, Content Quality & Completeness, AI Training readiness, Entity & KG readiness, and suggested fixes. Return strict JSON with scores and top recommendations.`;
-      const userPrompt = `Site: ${TARGET_URL}\nPages scanned: ${htmlPieces.length}\nProvide: 1) site-level scores (SEO, CRAWLABILITY, ACCESSIBILITY, KG_READINESS); 2) top 15 prioritized recommendations (HIGH/MEDIUM/LOW) with short code snippets where applicable; 3) list missing signals for training data. Use the PRELIM and ADVANCED JSON below as ground truth.`;
-      aiJson = await callOpenAIWithSchema(systemPrompt, userPrompt, htmlSnippet, { prelim, advanced });
-      outObj.ai = aiJson;
+    if (aiClient) {
+      log.log(`Running AI pass with ${aiClient.provider} (${aiClient.model}) over ${htmlPieces.length} pages`);
+      const htmlByUrl = new Map(htmlPieces.map(p => [p.url, p.html]));
+      const result = await runAiAnalysis(aiClient, { siteUrl, pages: outObj.pages.map(p => ({ ...p, html: htmlByUrl.get(p.url) })), prelim, advanced }, {
+        sendHtml: config.aiSendHtml !== false, pageTokens: config.aiPageTokens || DEFAULTS.aiPageTokens, snippetMax: config.aiSnippetMax || DEFAULTS.aiSnippetMax,
+        reduceTokens: config.aiReduceTokens || DEFAULTS.aiReduceTokens, concurrency: config.aiConcurrency || DEFAULTS.aiConcurrency, pricing: config.aiPricing || null
+      });
+      // an invalid site result is dropped (kept under aiRun.rejected for debugging), never half-used
+      outObj.ai = result.ai;
+      outObj.aiRun = result.run;
+      outObj.pages.forEach(p => { p.ai = result.pages[p.url] || null; });
+      if (result.run.error) log.warn(`AI site-level request failed (${result.run.error}); page findings are kept, AI scores and suggestions are omitted.`);
+      else if (!result.run.valid) log.warn(`AI result still invalid after ${result.run.attempts} attempt(s); AI scores and suggestions are omitted.`);
     }
   } catch (e) {
-    console.error('AI call failed (site-level):', e);
+    log.error('AI call failed (site-level):', e);
     outObj.ai = { error: String(e) };
   }
+  // answer-engine visibility: questions per page, answered from the crawled pages only; sends page content
+  outObj.visibility = null;
+  if (config.visibility && !aiClient) log.warn('Visibility simulation needs the AI provider; skipped.');
+  else if (config.visibility && config.aiSendHtml === false) log.warn('Visibility simulation sends page content and aiSendHtml is false; skipped.');
+  else if (config.visibility) {
+    try {
+      const client = config.visibilityModel ? createLlmClient({ ...aiClient.options, model: config.visibilityModel }) : aiClient;
+      log.log(`Simulating answer-engine visibility with ${client.provider} (${client.model})`);
+      const htmlByUrl = new Map(htmlPieces.map(p => [p.url, p.html]));
+      const { pages: visibilityByPage, ...visibility } = await simulateVisibility(client, { pages: outObj.pages.map(p => ({ ...p, html: htmlByUrl.get(p.url) })) }, {
+        questionsPerPage: config.visibilityQuestions || DEFAULTS.visibilityQuestions, topK: config.visibilityTopK || DEFAULTS.visibilityTopK,
+        maxPages: config.visibilityPages || DEFAULTS.visibilityPages, concurrency: config.aiConcurrency || DEFAULTS.aiConcurrency, pricing: config.aiPricing || null
+      });
+      outObj.visibility = visibility;
+      outObj.pages.forEach(p => { p.visibility = visibilityByPage[p.url] || null; });
+    } catch (e) {
+      log.error('Visibility simulation failed:', e);
+      outObj.visibility = { error: String(e) };
+    }
+  }
+
+  // lab Core Web Vitals in a real browser, most linked-to pages first
+  outObj.performance = null;
+  if (config.performance) {
+    try {
+      const rank = url => (linksByPage[url] ? linksByPage[url].pageRank : 0);
+      const urls = htmlPieces.map(p => p.url).sort((a, b) => rank(b) - rank(a));
+      log.log(`Measuring performance of ${Math.min(urls.length, config.performancePages || DEFAULTS.performancePages)} page(s)`);
+      const { pages: performanceByPage, ...performance } = await measurePerformance(urls, {
+        siteUrl, sourceType: source.type, fetchResource: source.fetchResource, browser: config.performanceBrowser, apiKey: config.scrapingKey,
+        proxyCountry: config.proxyCountry, chromePath: config.performanceChrome, maxPages: config.performancePages || DEFAULTS.performancePages, logger: log
+      });
+      outObj.performance = performance;
+      outObj.pages.forEach(p => {
+        p.performance = performanceByPage[p.url] || null;
+        p.performanceScore = p.performance ? p.performance.score : null;
+      });
+    } catch (e) {
+      log.error('Performance measurement failed:', e);
+      outObj.performance = { error: String(e) };
+    }
+  }
 
-  // compute summary items for topIssues (collect from prelim.suggestions and ai suggestions)
+  // deterministic scores drive the KPIs, history and the CI gate; AI scores are reported next to them
+  outObj.scores = { static: reportScores(outObj), ai: aiScores(outObj.ai) };
+
+  // compute summary items for topIssues: static issues count affected pages, AI suggestions count once each
   const topIssuesCounter = {};
   function bump(map, key, n = 1) { map[key] = (map[key] || 0) + n; }
-  (prelim.suggestions || []).forEach(s => bump(topIssuesCounter, s.key || s.advice || 'issue'));
+  (prelim.suggestions || []).forEach(s => bump(topIssuesCounter, s.key || s.advice || 'issue', s.pages || 1));
+  Object.entries(robots.agents).forEach(([agent, a]) => { if (a.pagesBlocked) bump(topIssuesCounter, `robots_blocked:${agent}`, a.pagesBlocked); });
+  const coverage = sitemap.coverage;
+  if (hints.pagesLanguageMismatch.length) bump(topIssuesCounter, 'html_lang_mismatch', hints.pagesLanguageMismatch.length);
+  const linkSummary = links.summary;
+  const distinctSources = list => new Set(list.map(x => x.source)).size;
+  [['links_broken', linkSummary.pagesWithBrokenLinks], ['links_redirecting', linkSummary.pagesWithRedirectingLinks], ['links_redirect_chain', distinctSources(links.redirects.filter(r => r.chain && !r.loop))],
+    ['links_redirect_loop', distinctSources(links.redirects.filter(r => r.loop))], ['links_orphan_pages', linkSummary.orphanPages], ['links_no_inbound', linkSummary.noInbound],
+    ['links_deep_pages', linkSummary.deepPages], ['links_internal_nofollow', linkSummary.pagesWithNofollow], ['links_weak_anchors', linkSummary.pagesWithWeakAnchors]]
+    .forEach(([key, n]) => { if (n) bump(topIssuesCounter, key, n); });
+  const pagesWithIssue = type => new Set(duplicates.canonicalIssues.filter(i => i.type === type).map(i => i.url)).size;
+  Object.keys(duplicates.summary.issueCounts).forEach(type => bump(topIssuesCounter, type, pagesWithIssue(type)));
+  if (duplicates.summary.pagesWithDuplicateTitle) bump(topIssuesCounter, 'duplicate_title', duplicates.summary.pagesWithDuplicateTitle);
+  if (duplicates.summary.pagesWithDuplicateDescription) bump(topIssuesCounter, 'duplicate_description', duplicates.summary.pagesWithDuplicateDescription);
+  [['duplicate_content', duplicates.clusters.filter(c => c.exact)], ['near_duplicate_content', duplicates.clusters.filter(c => !c.exact)]]
+    .forEach(([key, list]) => { if (list.length) bump(topIssuesCounter, key, list.reduce((s, c) => s + c.pages.length, 0)); });
+  if (outObj.rendering && outObj.rendering.summary) {
+    const { summary: rs } = outObj.rendering;
+    [['js_invisible_pages', rs.pagesInvisible], ['js_only_title', rs.jsOnly.title], ['js_only_description', rs.jsOnly.description], ['js_only_canonical', rs.jsOnly.canonical],
+      ['js_only_structured_data', rs.jsOnly.structuredData], ['js_only_h1', rs.jsOnly.h1], ['js_only_content', rs.jsOnly.mainContent], ['js_only_links', rs.jsOnly.links], ['js_changed_robots', rs.changedByJs.robots]]
+      .forEach(([key, n]) => { if (n) bump(topIssuesCounter, key, n); });
+  }
+  if (outObj.performance && outObj.performance.issuePages) Object.entries(outObj.performance.issuePages).forEach(([key, n]) => bump(topIssuesCounter, key, n));
+  // AAA (enhanced contrast) is reported but not counted as an issue
+  advanced.accessibility.rules.filter(r => r.failingPages && r.level !== 'AAA').forEach(r => bump(topIssuesCounter, `a11y_${r.id.replace(/-/g, '_')}`, r.failingPages));
+  if (advanced.citability.pagesLowCitability.length) bump(topIssuesCounter, 'passages_low_citability', advanced.citability.pagesLowCitability.length);
+  if (!llmsTxt.found) bump(topIssuesCounter, 'llms_txt_missing');
+  else if (!llmsTxt.valid) bump(topIssuesCounter, 'llms_txt_invalid');
+  if (!sitemap.found.length) bump(topIssuesCounter, 'sitemap_missing');
+  if (coverage.orphanPages.length) bump(topIssuesCounter, 'sitemap_orphan_pages', coverage.orphanPages.length);
+  if (coverage.broken.length) bump(topIssuesCounter, 'sitemap_broken_urls', coverage.broken.length);
+  if (coverage.redirected.length) bump(topIssuesCounter, 'sitemap_redirected_urls', coverage.redirected.length);
+  if (coverage.noindexed.length) bump(topIssuesCounter, 'sitemap_noindexed_urls', coverage.noindexed.length);
+  if (regions) {
+    Object.entries(regions.summary).forEach(([country, r]) => { if (r.blocked) bump(topIssuesCounter, `region_blocked:${country}`, r.blocked); });
+    const varying = regions.matrix.filter(m => m.differences.length).length;
+    if (varying) bump(topIssuesCounter, 'region_content_differs', varying);
+    const missed = regions.markets.filter(m => !m.ok).length;
+    if (missed) bump(topIssuesCounter, 'region_localized_version_missed', missed);
+  }
+  Object.entries(hreflang.summary.issueCounts).filter(([type]) => type !== 'target_not_crawled').forEach(([type, n]) => bump(topIssuesCounter, `hreflang_${type}`, n));
+  nap.issues.filter(i => i.severity !== 'info').forEach(i => bump(topIssuesCounter, `nap_${i.type}`, i.pages));
+  new Set(entities.issues.filter(i => i.severity !== 'info').map(i => i.type)).forEach(type => bump(topIssuesCounter, type, Object.values(entitiesByPage).filter(v => v.issues.some(i => i.type === type)).length));
   if (outObj.ai && Array.isArray(outObj.ai.ai_suggestions)) {
-    outObj.ai.ai_suggestions.forEach(s => bump(topIssuesCounter, s.key || s.title || JSON.stringify(s).slice(0,40)));
+    outObj.ai.ai_suggestions.forEach(s => bump(topIssuesCounter, s.key));
+  }
+  if (outObj.visibility && outObj.visibility.summary) {
+    if (outObj.visibility.unanswered.length) bump(topIssuesCounter, 'visibility_unanswered_questions', outObj.visibility.unanswered.length);
+    if (outObj.visibility.neverCited.length) bump(topIssuesCounter, 'visibility_pages_never_cited', outObj.visibility.neverCited.length);
   }
 
   outObj.topIssues = Object.entries(topIssuesCounter).sort((a,b)=>b[1]-a[1]).map(([k,v]) => ({ issue: k, count: v }));
 
-  // save final JSON + HTML
-  const reportsDir = ensureReportsDir();
-  const hostname = (() => { try { return new URL(TARGET_URL).hostname.replace(/[:\/\\]/g, '-'); } catch (e) { return 'unknown-host'; } })();
+  // save the requested formats (json, html, junit, sarif); with none (library use) nothing is written and no history is kept
+  const saving = formats.length > 0;
+  const reportsDir = saving ? ensureReportsDir(config.outDir) : null;
+  const hostname = (() => { try { return new URL(siteUrl).hostname.replace(/[:\/\\]/g, '-'); } catch (e) { return 'unknown-host'; } })();
   const ts = new Date().toISOString().replace(/[:.]/g, '-');
-  const jsonPath = path.join(reportsDir, `${hostname}-${ts}-aggregate.json`);
-  fs.writeFileSync(jsonPath, JSON.stringify(outObj, null, 2), 'utf8');
-  console.log('Saved aggregate JSON report to', jsonPath);
+  const jsonPath = formats.includes('json') ? path.join(reportsDir, `${hostname}-${ts}-aggregate.json`) : null;
+  const htmlPath = formats.includes('html') ? path.join(reportsDir, `${hostname}-${ts}-aggregate.html`) : null;
+  const junitPath = formats.includes('junit') ? path.join(reportsDir, `${hostname}-${ts}-junit.xml`) : null;
+  const sarifPath = formats.includes('sarif') ? path.join(reportsDir, `${hostname}-${ts}.sarif`) : null;
+
+  // compare with the previous run for this host and keep the score trend
+  const pastRuns = saving ? loadHistory(reportsDir, hostname, log) : [];
+  const previousRun = pastRuns[pastRuns.length - 1] || null;
+  const currentRun = snapshotOf(outObj, jsonPath);
+  outObj.history = !saving ? null : {
+    runs: pastRuns.length + 1,
+    previous: previousRun ? previousRun.file : null,
+    diff: previousRun ? diffReports(previousRun, currentRun) : null,
+    trend: trendOf(pastRuns.concat(currentRun))
+  };
 
-  const htmlPath = path.join(reportsDir, `${hostname}-${ts}-aggregate.html`);
-  try {
-    await generateAggregateHtmlReport(outObj, htmlPath);
-    console.log('Saved aggregate HTML report to', htmlPath);
-  } catch (e) {
-    console.error('Failed to generate HTML report:', e);
+  // CI gate: thresholds, per-check failure budgets and new issues vs a baseline (previous run or a saved report)
+  const gate = config.gate || {};
+  outObj.gate = config.ci || hasGateRules(gate) ? evaluateGate(outObj, gate, gate.newIssues ? loadBaseline(gate.baseline, previousRun) : null) : null;
+  if (jsonPath) {
+    fs.writeFileSync(jsonPath, JSON.stringify(outObj, null, 2), 'utf8');
+    log.log('Saved aggregate JSON report to', jsonPath);
+  }
+  if (saving) {
+    try {
+      recordRun(reportsDir, hostname, outObj, jsonPath, log);
+    } catch (e) {
+      log.warn('Could not update run history:', e.message);
+    }
   }
 
-  // final console summary
-  console.log('\n---- Aggregate Summary ----');
-  console.log('URL:', TARGET_URL);
-  console.log('Pages found:', htmlPieces.length);
-  console.log('Avg (prelim) SEO Score:', prelim?.summary?.score ? `${prelim.summary.score}%` : 'N/A');
-  console.log('GEO SCORE:', geo?.GEO_SCORE ?? 'N/A');
-  console.log('Crawlability (calc):', advanced?.crawlability?.crawlScore ?? 'N/A');
-  console.log('Accessibility (ARIA count):', advanced?.accessibility?.ariaCount ?? 'N/A');
-  console.log('Sitemaps found:', Array.from(sitemapUrls).length);
-  if (outObj.topIssues && outObj.topIssues.length) {
-    console.log('Top issues (top 10):', outObj.topIssues.slice(0,10));
+  if (htmlPath) {
+    try {
+      await generateAggregateHtmlReport(outObj, htmlPath);
+      log.log('Saved aggregate HTML report to', htmlPath);
+    } catch (e) {
+      log.error('Failed to generate HTML report:', e);
+    }
   }
-  console.log('Reports directory:', reportsDir);
-  console.log('---- End ----\n');
+  // without gate rules JUnit is an empty suite and SARIF still lists every failed check
+  const gateResult = outObj.gate || evaluateGate(outObj, {});
+  if (junitPath) {
+    fs.writeFileSync(junitPath, toJUnit(outObj, gateResult), 'utf8');
+    log.log('Saved JUnit XML to', junitPath);
+  }
+  if (sarifPath) {
+    fs.writeFileSync(sarifPath, JSON.stringify(toSarif(outObj, gateResult), null, 2), 'utf8');
+    log.log('Saved SARIF to', sarifPath);
+  }
+
+  return { report: outObj, files: { dir: reportsDir, json: jsonPath, html: htmlPath, junit: junitPath, sarif: sarifPath } };
 }
 
+export { runAudit, analyzeHtml, generateAggregateHtmlReport, ensureReportsDir };
+
+// running this file directly behaves like the geoaudit CLI (cli.js)
 const __filename = fileURLToPath(import.meta.url);
 if (process.argv[1] === __filename) {
-  main().catch(err => { console.error('Fatal error:', err); process.exit(99); });
+  // not awaited: cli.js imports this module, which has to finish evaluating first
+  import('./cli.js').then(({ runCli }) => runCli(process.argv.slice(2))).then(code => { process.exitCode = code; });
 }
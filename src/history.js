@@ -0,0 +1,142 @@
+// history.js
+// Run history per host. Every saved aggregate report is indexed in reports/<host>-history.json as a compact snapshot
+// (scores, issue counts, page URLs, structured data totals), so trends and run-to-run diffs never reload full reports.
+// The index is rebuilt from the *-aggregate.json files when it is missing.
+
+import fs from 'fs';
+import path from 'path';
+import { urlKey } from './sitemaps.js';
+
+const MAX_RUNS = 200;
+const SCORE_KEYS = ['seo', 'geo', 'crawlability', 'accessibility', 'performance'];
+
+// the headline scores shown in the report KPIs; always the deterministic ones, AI scores are reported separately
+function reportScores(report) {
+  const prelim = report.prelim || {};
+  const advanced = report.advanced || {};
+  return {
+    seo: prelim.summary ? prelim.summary.score : 0,
+    geo: report.geo && typeof report.geo.GEO_SCORE === 'number' ? report.geo.GEO_SCORE : null,
+    crawlability: advanced.crawlability ? advanced.crawlability.crawlScore : 0,
+    // reports saved before the WCAG rule engine have no accessibility score; they keep the old ARIA-based estimate
+    accessibility: advanced.accessibility ? (typeof advanced.accessibility.score === 'number' ? advanced.accessibility.score : (advanced.accessibility.ariaCount ? 75 : 50)) : 0,
+    // only runs with --performance measure it
+    performance: report.performance && typeof report.performance.score === 'number' ? report.performance.score : null
+  };
+}
+
+function snapshotOf(report, file = null) {
+  const sd = report.structuredData || {};
+  const types = {};
+  Object.entries(sd.geoTypes || {}).forEach(([t, v]) => { types[t] = { count: v.count, valid: v.valid }; });
+  const issues = {};
+  (report.topIssues || []).forEach(i => { issues[i.issue] = i.count; });
+  return {
+    ts: report.scrapedAt || null,
+    file: file ? path.basename(file) : null,
+    url: report.url,
+    scores: reportScores(report),
+    pagesFound: report.pagesFound || 0,
+    pages: (report.pages || []).map(p => p.url),
+    issues,
+    structuredData: { items: sd.items || 0, pagesWithData: sd.pagesWithData || 0, errors: sd.errors || 0, warnings: sd.warnings || 0, invalidBlocks: sd.invalidBlocks || 0, types }
+  };
+}
+
+function historyPath(reportsDir, host) {
+  return path.join(reportsDir, `${host}-history.json`);
+}
+
+function rebuildIndex(reportsDir, host, logger = console) {
+  const files = fs.existsSync(reportsDir) ? fs.readdirSync(reportsDir).filter(f => f.startsWith(`${host}-`) && f.endsWith('-aggregate.json')) : [];
+  const runs = [];
+  files.forEach(f => {
+    try {
+      runs.push(snapshotOf(JSON.parse(fs.readFileSync(path.join(reportsDir, f), 'utf8')), f));
+    } catch (e) {
+      logger.warn(`History: skipping unreadable report ${f}: ${e.message}`);
+    }
+  });
+  return runs.sort((a, b) => String(a.ts).localeCompare(String(b.ts)));
+}
+
+// past runs for a host, oldest first
+function loadHistory(reportsDir, host, logger = console) {
+  const file = historyPath(reportsDir, host);
+  if (fs.existsSync(file)) {
+    try {
+      const index = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (Array.isArray(index.runs)) return index.runs;
+    } catch (e) {
+      logger.warn(`History: index ${file} is unreadable (${e.message}), rebuilding it from saved reports`);
+    }
+  }
+  return rebuildIndex(reportsDir, host, logger);
+}
+
+function recordRun(reportsDir, host, report, jsonPath, logger = console) {
+  const runs = loadHistory(reportsDir, host, logger).filter(r => !jsonPath || r.file !== path.basename(jsonPath));
+  runs.push(snapshotOf(report, jsonPath));
+  const kept = runs.slice(-MAX_RUNS);
+  fs.writeFileSync(historyPath(reportsDir, host), JSON.stringify({ host, updatedAt: new Date().toISOString(), runs: kept }, null, 2), 'utf8');
+  return kept;
+}
+
+// -------------------- Diff --------------------
+// a and b are snapshots or full aggregate reports; a is the older run
+function diffReports(a, b) {
+  const before = a.scores && a.issues ? a : snapshotOf(a);
+  const after = b.scores && b.issues ? b : snapshotOf(b);
+  const round = n => Math.round(n * 100) / 100;
+
+  const scores = {};
+  SCORE_KEYS.forEach(k => {
+    const x = before.scores[k];
+    const y = after.scores[k];
+    scores[k] = { before: x, after: y, delta: typeof x === 'number' && typeof y === 'number' ? round(y - x) : null };
+  });
+
+  const introduced = Object.keys(after.issues).filter(k => !(k in before.issues)).map(k => ({ issue: k, count: after.issues[k] }));
+  const resolved = Object.keys(before.issues).filter(k => !(k in after.issues)).map(k => ({ issue: k, count: before.issues[k] }));
+  const changed = Object.keys(after.issues).filter(k => k in before.issues && before.issues[k] !== after.issues[k])
+    .map(k => ({ issue: k, before: before.issues[k], after: after.issues[k], delta: after.issues[k] - before.issues[k] }));
+  const byCount = (x, y) => y.count - x.count;
+
+  const beforeKeys = new Set(before.pages.map(urlKey));
+  const afterKeys = new Set(after.pages.map(urlKey));
+
+  const sa = before.structuredData;
+  const sb = after.structuredData;
+  const types = Array.from(new Set(Object.keys(sa.types).concat(Object.keys(sb.types)))).map(t => ({
+    type: t,
+    before: sa.types[t] || { count: 0, valid: 0 },
+    after: sb.types[t] || { count: 0, valid: 0 }
+  })).filter(t => t.before.count !== t.after.count || t.before.valid !== t.after.valid);
+
+  return {
+    from: { ts: before.ts, file: before.file },
+    to: { ts: after.ts, file: after.file },
+    scores,
+    issues: { introduced: introduced.sort(byCount), resolved: resolved.sort(byCount), changed: changed.sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta)) },
+    pages: {
+      before: before.pages.length,
+      after: after.pages.length,
+      added: after.pages.filter(u => !beforeKeys.has(urlKey(u))),
+      removed: before.pages.filter(u => !afterKeys.has(urlKey(u)))
+    },
+    structuredData: {
+      items: { before: sa.items, after: sb.items, delta: sb.items - sa.items },
+      errors: { before: sa.errors, after: sb.errors, delta: sb.errors - sa.errors },
+      warnings: { before: sa.warnings, after: sb.warnings, delta: sb.warnings - sa.warnings },
+      pagesWithData: { before: sa.pagesWithData, after: sb.pagesWithData, delta: sb.pagesWithData - sa.pagesWithData },
+      types
+    }
+  };
+}
+
+// score series for the trend charts, oldest first
+function trendOf(runs) {
+  return runs.map(r => ({ ts: r.ts, file: r.file, pages: r.pagesFound, ...r.scores, structuredDataErrors: r.structuredData.errors, issues: Object.keys(r.issues).length }));
+}
+
+export { SCORE_KEYS, reportScores, snapshotOf, loadHistory, recordRun, diffReports, trendOf };
@@ -0,0 +1,257 @@
+// hreflang.js
+// hreflang / international targeting validation. Alternates are collected per page from <link rel="alternate" hreflang>,
+// HTTP Link headers and sitemap <xhtml:link> entries, grouped into locale clusters (pages that point at each other)
+// and checked for valid codes, return links, self-references, x-default, canonical conflicts and <html lang>/og:locale agreement.
+
+import { URL } from 'url';
+import { load } from 'cheerio';
+import { urlKey, isNoindex } from './sitemaps.js';
+import { absolutize, redirectedFrom as redirectMap } from './util.js';
+
+// ISO 639-1 languages and ISO 3166-1 alpha-2 regions: the only codes Google accepts in hreflang
+const ISO_639_1 = new Set(('aa ab ae af ak am an ar as av ay az ba be bg bh bi bm bn bo br bs ca ce ch co cr cs cu cv cy da de dv dz ee el en eo es et eu fa ff fi fj fo fr fy ga gd gl gn gu gv ha he hi ho hr ht hu hy hz ia id ie ig ii ik io is it iu ja jv ka kg ki kj kk kl km kn ko kr ks ku kv kw ky la lb lg li ln lo lt lu lv mg mh mi mk ml mn mr ms mt my na nb nd ne ng nl nn no nr nv ny oc oj om or os pa pi pl ps pt qu rm rn ro ru rw sa sc sd se sg si sk sl sm sn so sq sr ss st su sv sw ta te tg th ti tk tl tn to tr ts tt tw ty ug uk ur uz ve vi vo wa wo xh yi yo za zh zu').split(' '));
+const ISO_3166_1 = new Set(('AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ BL BM BN BO BQ BR BS BT BV BW BY BZ CA CC CD CF CG CH CI CK CL CM CN CO CR CU CV CW CX CY CZ DE DJ DK DM DO DZ EC EE EG EH ER ES ET FI FJ FK FM FO FR GA GB GD GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW GY HK HM HN HR HT HU ID IE IL IM IN IO IQ IR IS IT JE JM JO JP KE KG KH KI KM KN KP KR KW KY KZ LA LB LC LI LK LR LS LT LU LV LY MA MC MD ME MF MG MH MK ML MM MN MO MP MQ MR MS MT MU MV MW MX MY MZ NA NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF PG PH PK PL PM PN PR PS PT PW PY QA RE RO RS RU RW SA SB SC SD SE SG SH SI SJ SK SL SM SN SO SR SS ST SV SX SY SZ TC TD TF TG TH TJ TK TL TM TN TO TR TT TV TW TZ UA UG UM US UY UZ VA VC VE VG VI VN VU WF WS YE YT ZA ZM ZW').split(' '));
+
+// country codes that keep getting used as language codes, and the usual region slip
+const LANGUAGE_FIXES = { jp: 'ja', cn: 'zh', gr: 'el', cz: 'cs', dk: 'da', ua: 'uk', vn: 'vi', us: 'en-US', gb: 'en-GB', br: 'pt-BR', mx: 'es-MX', at: 'de-AT', ch: 'de-CH' };
+const REGION_FIXES = { UK: 'GB' };
+
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+
+// -------------------- Codes --------------------
+// parse and validate one hreflang value; returns the normalized code plus problems and a suggested fix
+function validateCode(raw) {
+  const value = String(raw || '').trim();
+  if (value.toLowerCase() === 'x-default') return { code: 'x-default', lang: null, region: null, valid: true, problems: [] };
+  const problems = [];
+  if (!value) return { code: '', lang: null, region: null, valid: false, problems: ['empty hreflang value'] };
+  if (value.includes('_')) problems.push('uses "_" instead of "-"');
+  const parts = value.split(/[-_]/);
+  const lang = parts[0].toLowerCase();
+  let script = null;
+  let region = null;
+  parts.slice(1).forEach(p => {
+    if (/^[a-z]{4}$/i.test(p) && !script && !region) script = p[0].toUpperCase() + p.slice(1).toLowerCase();
+    else if (!region) region = p.toUpperCase();
+    else problems.push(`unexpected subtag "${p}"`);
+  });
+
+  let suggestion = null;
+  if (!/^[a-z]{2}$/.test(lang)) problems.push(lang.length === 3 ? `"${lang}" is ISO 639-2/3 (ISO 639-1 two-letter code required)` : `"${lang}" is not a language code`);
+  else if (!ISO_639_1.has(lang)) {
+    problems.push(`"${lang}" is not an ISO 639-1 language`);
+    if (LANGUAGE_FIXES[lang]) suggestion = LANGUAGE_FIXES[lang].includes('-') || !region ? LANGUAGE_FIXES[lang] : `${LANGUAGE_FIXES[lang]}-${region}`;
+  }
+  if (region) {
+    if (/^\d{3}$/.test(region)) problems.push(`"${region}" is a UN M.49 region (ISO 3166-1 alpha-2 country required)`);
+    else if (!ISO_3166_1.has(region)) {
+      problems.push(`"${region}" is not an ISO 3166-1 country`);
+      if (REGION_FIXES[region]) suggestion = `${ISO_639_1.has(lang) ? lang : (LANGUAGE_FIXES[lang] || lang)}-${REGION_FIXES[region]}`;
+    }
+  }
+  const code = [lang, script, region].filter(Boolean).join('-');
+  if (!suggestion && problems.length === 1 && value.includes('_') && code !== value) suggestion = code;
+  return { code, lang, region, valid: problems.length === 0, problems, suggestion };
+}
+
+// og:locale is written as en_US; compare it like a language tag
+function parseLocale(value) {
+  const m = String(value || '').trim().match(/^([a-z]{2,3})(?:[-_]([a-z]{4}))?(?:[-_]([a-z]{2}|\d{3}))?/i);
+  return m ? { lang: m[1].toLowerCase(), region: m[3] ? m[3].toUpperCase() : null } : null;
+}
+
+// -------------------- Extraction --------------------
+// Link: <https://example.com/de/>; rel="alternate"; hreflang="de", <...>
+function parseLinkHeader(value) {
+  const out = [];
+  const list = Array.isArray(value) ? value.join(', ') : String(value || '');
+  list.split(/,\s*(?=<)/).forEach(part => {
+    const m = part.match(/^\s*<([^>]*)>(.*)$/);
+    if (!m) return;
+    const params = {};
+    m[2].split(';').forEach(p => {
+      const kv = p.match(/^\s*([a-z-]+)\s*=\s*"?([^"]*)"?\s*$/i);
+      if (kv) params[kv[1].toLowerCase()] = kv[2];
+    });
+    if (params.hreflang && /(^|\s)alternate(\s|$)/i.test(params.rel || '')) out.push({ hreflang: params.hreflang, href: m[1] });
+  });
+  return out;
+}
+
+function extractPage(page, sitemapAlternates) {
+  const $ = load(page.html || '');
+  const alternates = [];
+  const add = (hreflang, href, source) => {
+    const raw = String(href || '').trim();
+    alternates.push({ hreflang: String(hreflang || '').trim(), href: absolutize(raw, page.url), rawHref: raw, source, relative: !/^https?:\/\//i.test(raw) });
+  };
+  $('link[hreflang]').each((i, el) => {
+    if (/(^|\s)alternate(\s|$)/i.test($(el).attr('rel') || '')) add($(el).attr('hreflang'), $(el).attr('href'), 'html');
+  });
+  // hreflang outside <head> is ignored by search engines
+  const inBody = $('body link[hreflang]').length;
+  parseLinkHeader(page.headers?.link).forEach(a => add(a.hreflang, a.href, 'header'));
+  (sitemapAlternates || []).forEach(a => add(a.hreflang, a.href, 'sitemap'));
+
+  const canonicalHref = $('link[rel="canonical"]').attr('href');
+  return {
+    url: page.url,
+    key: urlKey(page.url),
+    status: page.status || 200,
+    alternates,
+    inBody,
+    htmlLang: ($('html').attr('lang') || '').trim() || null,
+    ogLocale: ($('meta[property="og:locale"]').attr('content') || $('meta[name="og:locale"]').attr('content') || '').trim() || null,
+    canonical: canonicalHref ? absolutize(canonicalHref.trim(), page.url) : null,
+    noindex: isNoindex(page.html, page.headers || {})
+  };
+}
+
+// -------------------- Validation --------------------
+function analyzeHreflang(pages, { sitemapEntries = [] } = {}) {
+  const sitemapAlts = new Map();
+  sitemapEntries.filter(e => e.alternates && e.alternates.length).forEach(e => {
+    const k = urlKey(e.loc);
+    sitemapAlts.set(k, (sitemapAlts.get(k) || []).concat(e.alternates));
+  });
+
+  const infos = pages.map(p => extractPage(p, sitemapAlts.get(urlKey(p.url))));
+  const byKey = new Map(infos.map(i => [i.key, i]));
+  const redirectedFrom = redirectMap(pages);
+
+  const issues = [];
+  const issue = (url, type, severity, message) => issues.push({ url, type, severity, message });
+
+  // per-page sets: one target per code; same code with two URLs is a conflict
+  infos.forEach(info => {
+    info.set = new Map();
+    info.codes = {};
+    info.alternates.forEach(a => {
+      const v = validateCode(a.hreflang);
+      if (!v.valid) issue(info.url, 'invalid_code', 'error', `hreflang="${a.hreflang}" (${a.source}): ${v.problems.join('; ')}${v.suggestion ? ` (use "${v.suggestion}")` : ''}`);
+      if (!a.href) { issue(info.url, 'invalid_href', 'error', `hreflang="${a.hreflang}" has an unusable href "${a.rawHref}"`); return; }
+      if (a.relative && a.source !== 'sitemap') issue(info.url, 'relative_href', 'warning', `hreflang="${a.hreflang}" uses relative URL "${a.rawHref}" (fully-qualified URLs required)`);
+      const code = v.code.toLowerCase();
+      const targetKey = urlKey(a.href);
+      const prev = info.set.get(code);
+      if (prev && prev.key !== targetKey) issue(info.url, 'duplicate_code', 'error', `hreflang="${v.code}" points to both ${prev.href} and ${a.href}`);
+      if (!prev) info.set.set(code, { code: v.code, href: a.href, key: targetKey, valid: v.valid, lang: v.lang, region: v.region, sources: [a.source] });
+      else if (!prev.sources.includes(a.source)) prev.sources.push(a.source);
+    });
+    info.set.forEach(t => { info.codes[t.code] = t.href; });
+    if (info.inBody) issue(info.url, 'link_in_body', 'warning', `${info.inBody} hreflang <link> tag(s) inside <body> are ignored`);
+  });
+
+  infos.filter(i => i.set.size).forEach(info => {
+    const targets = Array.from(info.set.values());
+    const self = targets.filter(t => t.key === info.key);
+    if (!self.length) issue(info.url, 'missing_self_reference', 'error', 'hreflang set does not reference the page itself');
+    if (info.canonical && urlKey(info.canonical) !== info.key) issue(info.url, 'canonical_conflict', 'error', `Page has hreflang but canonicalizes to ${info.canonical}`);
+    if (info.noindex) issue(info.url, 'noindex_page', 'warning', `Page has hreflang but is noindexed (${info.noindex})`);
+
+    targets.filter(t => t.key !== info.key).forEach(t => {
+      const target = byKey.get(t.key);
+      if (!target) {
+        if (redirectedFrom.has(t.key)) issue(info.url, 'target_redirects', 'error', `hreflang="${t.code}" target ${t.href} redirects to ${redirectedFrom.get(t.key)}`);
+        else issue(info.url, 'target_not_crawled', 'info', `hreflang="${t.code}" target ${t.href} was not crawled (return link unverified)`);
+        return;
+      }
+      if (target.status >= 400) { issue(info.url, 'target_broken', 'error', `hreflang="${t.code}" target ${t.href} returns HTTP ${target.status}`); return; }
+      if (target.canonical && urlKey(target.canonical) !== target.key) issue(info.url, 'target_canonicalized', 'error', `hreflang="${t.code}" target ${t.href} canonicalizes to ${target.canonical}`);
+      if (target.noindex) issue(info.url, 'target_noindex', 'error', `hreflang="${t.code}" target ${t.href} is noindexed`);
+      const returns = Array.from(target.set.values()).some(r => r.key === info.key);
+      if (!returns) issue(info.url, 'missing_return_link', 'error', `${t.href} (${t.code}) does not link back with hreflang`);
+    });
+
+    // the code a page uses for itself should agree with what the page says about its own language
+    self.filter(t => t.valid && t.code !== 'x-default').slice(0, 1).forEach(t => {
+      const checks = [['<html lang>', info.htmlLang], ['og:locale', info.ogLocale]];
+      checks.forEach(([label, value]) => {
+        if (!value) return;
+        const loc = parseLocale(value);
+        if (!loc) return;
+        if (loc.lang !== t.lang) issue(info.url, 'lang_mismatch', 'warning', `hreflang="${t.code}" but ${label} is "${value}"`);
+        else if (t.region && loc.region && loc.region !== t.region) issue(info.url, 'region_mismatch', 'warning', `hreflang="${t.code}" but ${label} is "${value}"`);
+      });
+    });
+  });
+
+  // -------------------- Clusters --------------------
+  // union-find over page + target keys: every connected group of alternates is one locale cluster
+  const parent = new Map();
+  const find = k => { if (!parent.has(k)) parent.set(k, k); let r = k; while (parent.get(r) !== r) r = parent.get(r); parent.set(k, r); return r; };
+  const union = (a, b) => { const ra = find(a); const rb = find(b); if (ra !== rb) parent.set(rb, ra); };
+  infos.filter(i => i.set.size).forEach(info => { find(info.key); info.set.forEach(t => union(info.key, t.key)); });
+
+  const groups = new Map();
+  Array.from(parent.keys()).forEach(k => { const r = find(k); if (!groups.has(r)) groups.set(r, []); groups.get(r).push(k); });
+
+  const pageVerdicts = {};
+  const clusters = Array.from(groups.values()).map((keys, idx) => {
+    const id = idx + 1;
+    const members = keys.map(k => byKey.get(k)).filter(Boolean);
+    const declaring = members.filter(m => m.set.size);
+    const locales = {};
+    declaring.forEach(m => m.set.forEach(t => { if (!locales[t.code]) locales[t.code] = t.href; }));
+    const hasXDefault = Object.prototype.hasOwnProperty.call(locales, 'x-default');
+    const clusterIssues = issues.filter(i => keys.includes(urlKey(i.url)));
+    const first = declaring[0]?.url || keys[0];
+    if (!hasXDefault) {
+      const x = { url: first, type: 'missing_x_default', severity: 'warning', message: 'Cluster has no x-default fallback' };
+      issues.push(x); clusterIssues.push(x);
+    }
+    // every page in a cluster should declare the same set
+    const signatures = new Set(declaring.map(m => Array.from(m.set.keys()).sort().join(',')));
+    if (signatures.size > 1) {
+      const x = { url: first, type: 'inconsistent_sets', severity: 'warning', message: `${signatures.size} different hreflang sets declared within the cluster` };
+      issues.push(x); clusterIssues.push(x);
+    }
+    clusterIssues.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+    members.forEach(m => { m.cluster = id; });
+    return {
+      id,
+      locales,
+      hasXDefault,
+      urls: keys,
+      pages: members.map(m => m.url),
+      errors: clusterIssues.filter(i => i.severity === 'error').length,
+      warnings: clusterIssues.filter(i => i.severity === 'warning').length,
+      issues: clusterIssues.slice(0, 100)
+    };
+  });
+
+  infos.forEach(info => {
+    const own = issues.filter(i => i.url === info.url);
+    const errors = own.filter(i => i.severity === 'error').length;
+    pageVerdicts[info.url] = {
+      count: info.set.size,
+      codes: info.codes,
+      cluster: info.cluster || null,
+      errors,
+      warnings: own.filter(i => i.severity === 'warning').length,
+      valid: info.set.size > 0 && errors === 0
+    };
+  });
+
+  const issueCounts = {};
+  issues.forEach(i => { issueCounts[i.type] = (issueCounts[i.type] || 0) + 1; });
+  const withHreflang = infos.filter(i => i.set.size);
+  const summary = {
+    pagesWithHreflang: withHreflang.length,
+    pagesTotal: infos.length,
+    validPages: withHreflang.filter(i => pageVerdicts[i.url].valid).length,
+    clusters: clusters.length,
+    locales: Array.from(new Set(withHreflang.flatMap(i => Array.from(i.set.values()).map(t => t.code)))).sort(),
+    sources: Array.from(new Set(withHreflang.flatMap(i => Array.from(i.set.values()).flatMap(t => t.sources)))),
+    errors: issues.filter(i => i.severity === 'error').length,
+    warnings: issues.filter(i => i.severity === 'warning').length,
+    issueCounts
+  };
+  const messages = [];
+  if (!withHreflang.length) messages.push('No hreflang annotations found (fine for single-language sites)');
+  Object.entries(issueCounts).filter(([t]) => t !== 'target_not_crawled').forEach(([t, n]) => messages.push(`${n} × ${t.replace(/_/g, ' ')}`));
+
+  return { found: withHreflang.length > 0, summary, clusters, issues: messages, pages: pageVerdicts };
+}
+
+export { validateCode, parseLinkHeader, analyzeHreflang };
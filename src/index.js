@@ -0,0 +1,48 @@
+// index.js
+// Library entry point for embedding the auditor in Node services:
+//   import { audit, registerCheck } from './index.js';
+//   const report = await audit('https://www.example.com', { crawlLimit: 20, weights: { geo: 20 } });
+// audit() returns the aggregate report object; nothing is written unless formats (json, html) are given, and nothing
+// is printed unless a logger is passed.
+
+import { runAudit, generateAggregateHtmlReport } from './geoaudit.js';
+import { resolveConfig } from './config.js';
+import { PROVIDERS } from './llm.js';
+import { DEFAULT_WEIGHTS, registerCheck, unregisterCheck, listChecks } from './checks.js';
+import { diffReports } from './history.js';
+import { ERROR_CODES, GeoauditError } from './errors.js';
+
+// options: any config.js setting (crawlLimit, outDir, formats, siteUrl, proxyCountry, regions, regionPages, ai,
+// aiProvider, model, aiBaseUrl, aiSendHtml, aiSnippetMax, weights, gate, ...), plus checks (per-run custom checks),
+// scrapingKey / aiApiKey (default: SCRAPING_KEY and the provider's key variable, e.g. OPENAI_API_KEY; openaiApiKey is
+// still accepted), configFile (a geoaudit.config.json to apply first) and logger ({ log, warn, error } for progress
+// messages, e.g. console; default: silent)
+const SILENT_LOGGER = { log() {}, warn() {}, error() {} };
+
+async function audit(urlOrSource, options = {}) {
+  const { checks = [], scrapingKey, aiApiKey, openaiApiKey, configFile = false, logger = SILENT_LOGGER, ...settings } = options;
+  // only explicit options count: CRAWL_LIMIT, REGIONS, ... in the environment are a CLI convenience
+  const { config, problems } = resolveConfig({ target: urlOrSource, flags: settings, env: {}, configFile });
+  if (problems.length) throw new GeoauditError('E_CONFIG', `Invalid audit options:\n  - ${problems.join('\n  - ')}`);
+  if (!('formats' in settings) && !configFile) config.formats = [];
+  config.scrapingKey = scrapingKey ?? process.env.SCRAPING_KEY ?? '';
+  const provider = PROVIDERS[config.aiProvider];
+  config.aiApiKey = aiApiKey ?? openaiApiKey ?? process.env[provider.keyEnv] ?? '';
+  if (!config.aiBaseUrl && provider.baseUrlEnv) config.aiBaseUrl = process.env[provider.baseUrlEnv] || '';
+  config.checks = checks;
+  config.logger = logger;
+  const { report } = await runAudit(urlOrSource, config);
+  return report;
+}
+
+export {
+  audit,
+  generateAggregateHtmlReport as renderHtmlReport,
+  diffReports,
+  DEFAULT_WEIGHTS,
+  registerCheck,
+  unregisterCheck,
+  listChecks,
+  ERROR_CODES,
+  GeoauditError
+};
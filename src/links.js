@@ -0,0 +1,263 @@
+// links.js
+// Internal link graph of the crawled site. Links are read from every page, internal targets that were not crawled are
+// status-checked hop by hop (broken links, redirects, chains and loops), and the graph gives each page its click depth
+// from the homepage, inbound link count and a PageRank-style importance. Orphans, nofollowed internal links and weak
+// anchor texts ("click here", empty image links) are listed with their source → target pairs.
+
+import { URL } from 'url';
+import { load } from 'cheerio';
+import { urlKey } from './sitemaps.js';
+import { mapLimit } from './util.js';
+
+const MAX_CHECKS = 200; // uncrawled internal targets status-checked per run
+const MAX_HOPS = 10;
+const MAX_LISTED = 200;
+const DEEP_PAGE_DEPTH = 3; // pages more than three clicks from the homepage are hard to reach
+const DAMPING = 0.85;
+const PAGERANK_ITERATIONS = 50;
+
+// anchors that say nothing about the target, in the languages the readability module knows
+const GENERIC_ANCHORS = new Set([
+  'click here', 'here', 'click', 'read more', 'more', 'learn more', 'find out more', 'more info', 'more information', 'details', 'link',
+  'this', 'this page', 'this link', 'go', 'continue', 'see more', 'view more', 'view', 'page', 'website',
+  'hier', 'hier klicken', 'mehr', 'weiterlesen', 'mehr erfahren', 'ici', 'cliquez ici', 'en savoir plus', 'lire la suite', 'plus',
+  'aquí', 'haz clic aquí', 'leer más', 'más', 'más información', 'qui', 'clicca qui', 'leggi di più', 'scopri di più',
+  'klik hier', 'lees meer', 'meer', 'aqui', 'clique aqui', 'saiba mais', 'leia mais'
+]);
+
+const sameSite = (host, siteHost) => host === siteHost || host.replace(/^www\./, '') === siteHost.replace(/^www\./, '');
+
+function anchorText($, el) {
+  const text = $(el).text().replace(/\s+/g, ' ').trim();
+  if (text) return text;
+  const label = ($(el).attr('aria-label') || $(el).attr('title') || '').trim();
+  if (label) return label;
+  return $(el).find('img[alt]').toArray().map(i => (i.attribs.alt || '').trim()).filter(Boolean).join(' ');
+}
+
+function anchorProblem(text, href) {
+  const t = text.toLowerCase().replace(/[.:!?»›→>…]+$/u, '').trim();
+  if (!t) return 'empty';
+  if (GENERIC_ANCHORS.has(t)) return 'generic';
+  if (/^(?:https?:\/\/|www\.)\S+$/i.test(t) && t.length > 30) return 'url';
+  return href && t === href.toLowerCase() ? 'url' : null;
+}
+
+// links of one page: internal targets (fragment dropped) with anchor text and rel, plus the external link count
+function extractLinks(html, pageUrl, siteUrl) {
+  const $ = load(html || '');
+  const siteHost = new URL(siteUrl).hostname.toLowerCase();
+  let base = pageUrl;
+  try { if ($('base[href]').attr('href')) base = new URL($('base[href]').attr('href'), pageUrl).toString(); } catch (e) {}
+  const pageNofollow = /nofollow|none/i.test($('meta[name="robots"]').attr('content') || '');
+  const internal = [];
+  let external = 0;
+  $('a[href], area[href]').each((i, el) => {
+    const raw = String($(el).attr('href') || '').trim();
+    if (!raw || raw.startsWith('#') || /^(?:mailto|tel|javascript|data|sms|callto):/i.test(raw)) return;
+    let u;
+    try { u = new URL(raw, base); } catch (e) { return; }
+    if (!/^https?:$/.test(u.protocol)) return;
+    u.hash = '';
+    if (!sameSite(u.hostname.toLowerCase(), siteHost)) { external += 1; return; }
+    const rel = String($(el).attr('rel') || '').toLowerCase().split(/\s+/);
+    const text = anchorText($, el);
+    internal.push({ href: u.toString(), text: text.slice(0, 120), nofollow: pageNofollow || rel.includes('nofollow'), problem: anchorProblem(text, raw) });
+  });
+  return { internal, external, pageNofollow };
+}
+
+// follows redirects one hop at a time: { status, finalUrl, hops: [{ url, status }], loop, error }
+async function resolveTarget(url, fetchResource) {
+  const hops = [];
+  const seen = new Set();
+  let current = url;
+  for (let i = 0; i <= MAX_HOPS; i++) {
+    if (seen.has(urlKey(current))) return { status: null, finalUrl: current, hops, loop: true, error: 'Redirect loop' };
+    seen.add(urlKey(current));
+    const res = await fetchResource(current, { redirect: 'manual' });
+    const location = res.headers && res.headers.location;
+    if (res.status >= 300 && res.status < 400 && location) {
+      hops.push({ url: current, status: res.status });
+      try { current = new URL(location, current).toString(); } catch (e) { return { status: res.status, finalUrl: current, hops, loop: false, error: `Invalid Location header: ${location}` }; }
+      continue;
+    }
+    // fetchers that cannot stop at the first hop still say where they ended up
+    if (res.redirected && res.finalUrl && urlKey(res.finalUrl) !== urlKey(current)) {
+      hops.push({ url: current, status: null });
+      current = res.finalUrl;
+    }
+    return { status: res.status, finalUrl: current, hops, loop: false, error: res.error || null };
+  }
+  return { status: null, finalUrl: current, hops, loop: false, error: `More than ${MAX_HOPS} redirects` };
+}
+
+// PageRank over followed links; dangling pages spread their rank evenly
+function pageRank(keys, edges) {
+  const n = keys.length;
+  if (!n) return {};
+  const out = new Map(keys.map(k => [k, []]));
+  edges.forEach(e => out.get(e.from).push(e.to));
+  let rank = new Map(keys.map(k => [k, 1 / n]));
+  for (let it = 0; it < PAGERANK_ITERATIONS; it++) {
+    const next = new Map(keys.map(k => [k, (1 - DAMPING) / n]));
+    let dangling = 0;
+    keys.forEach(k => {
+      const targets = out.get(k);
+      if (!targets.length) { dangling += rank.get(k); return; }
+      targets.forEach(t => next.set(t, next.get(t) + DAMPING * rank.get(k) / targets.length));
+    });
+    keys.forEach(k => next.set(k, next.get(k) + DAMPING * dangling / n));
+    const delta = keys.reduce((s, k) => s + Math.abs(next.get(k) - rank.get(k)), 0);
+    rank = next;
+    if (delta < 1e-8) break;
+  }
+  return Object.fromEntries(rank);
+}
+
+// pages: [{ url, html, status? }]; options: { fetchResource, checkStatus }
+async function analyzeLinks(pages, siteUrl, { fetchResource = null, checkStatus = true } = {}) {
+  const crawled = new Map(pages.map(p => [urlKey(p.url), p]));
+  const keys = Array.from(crawled.keys());
+  const homeKey = crawled.has(urlKey(new URL('/', siteUrl).toString())) ? urlKey(new URL('/', siteUrl).toString())
+    : keys.slice().sort((a, b) => new URL(a).pathname.split('/').length - new URL(b).pathname.split('/').length)[0];
+
+  // every internal link, and one edge per source/target pair
+  const links = [];
+  const external = {};
+  const pageNofollow = [];
+  pages.forEach(p => {
+    const found = extractLinks(p.html, p.url, siteUrl);
+    external[p.url] = found.external;
+    if (found.pageNofollow) pageNofollow.push(p.url);
+    found.internal.forEach(l => links.push({ source: p.url, sourceKey: urlKey(p.url), target: l.href, targetKey: urlKey(l.href), text: l.text, nofollow: l.nofollow, problem: l.problem }));
+  });
+
+  // internal targets that were not crawled: status and redirect chain
+  const uncrawled = Array.from(new Set(links.filter(l => !crawled.has(l.targetKey)).map(l => l.target)));
+  const toCheck = checkStatus && fetchResource ? uncrawled.slice(0, MAX_CHECKS) : [];
+  const resolved = new Map();
+  await mapLimit(toCheck, 4, async url => { resolved.set(url, await resolveTarget(url, fetchResource)); });
+  crawled.forEach((p, k) => { if (p.status) resolved.set(p.url, { status: p.status, finalUrl: p.url, hops: [], loop: false, error: null }); });
+  const targetOf = l => (crawled.has(l.targetKey) ? { ...(resolved.get(crawled.get(l.targetKey).url) || { status: 200, hops: [], loop: false }), finalUrl: crawled.get(l.targetKey).url } : resolved.get(l.target) || null);
+
+  const broken = [];
+  const redirects = [];
+  links.forEach(l => {
+    const t = targetOf(l);
+    if (!t) return;
+    l.finalKey = t.finalUrl ? urlKey(t.finalUrl) : null;
+    if (t.loop || !t.status || t.status >= 400) broken.push({ source: l.source, target: l.target, status: t.status || 0, anchor: l.text, error: t.error || (t.loop ? 'Redirect loop' : null) });
+    if (t.hops.length) redirects.push({ source: l.source, target: l.target, finalUrl: t.finalUrl, status: t.status, hops: t.hops, chain: t.hops.length > 1, loop: t.loop });
+  });
+
+  // graph over crawled pages; a redirecting link counts as a link to where it lands
+  const edgeMap = new Map();
+  links.forEach(l => {
+    const to = crawled.has(l.targetKey) ? l.targetKey : (l.finalKey && crawled.has(l.finalKey) ? l.finalKey : null);
+    if (!to || to === l.sourceKey) return;
+    const k = `${l.sourceKey} ${to}`;
+    const e = edgeMap.get(k) || { from: l.sourceKey, to, followed: false };
+    if (!l.nofollow) e.followed = true;
+    edgeMap.set(k, e);
+  });
+  const edges = Array.from(edgeMap.values());
+  const followed = edges.filter(e => e.followed);
+
+  // click depth: breadth-first from the homepage over followed links
+  const depth = new Map(homeKey ? [[homeKey, 0]] : []);
+  const queue = homeKey ? [homeKey] : [];
+  const outFollowed = new Map(keys.map(k => [k, []]));
+  followed.forEach(e => outFollowed.get(e.from).push(e.to));
+  while (queue.length) {
+    const k = queue.shift();
+    outFollowed.get(k).forEach(t => { if (!depth.has(t)) { depth.set(t, depth.get(k) + 1); queue.push(t); } });
+  }
+  const inbound = new Map(keys.map(k => [k, 0]));
+  edges.forEach(e => inbound.set(e.to, inbound.get(e.to) + 1));
+
+  const ranks = pageRank(keys, followed);
+  const maxRank = Math.max(...Object.values(ranks), 0);
+
+  const urlOf = k => crawled.get(k).url;
+  const orphans = keys.filter(k => !depth.has(k)).map(urlOf);
+  const noInbound = keys.filter(k => k !== homeKey && !inbound.get(k)).map(urlOf);
+  const deepPages = keys.filter(k => depth.get(k) > DEEP_PAGE_DEPTH).map(k => ({ url: urlOf(k), depth: depth.get(k) })).sort((a, b) => b.depth - a.depth);
+  const nofollow = links.filter(l => l.nofollow).map(l => ({ source: l.source, target: l.target, anchor: l.text }));
+  const anchors = links.filter(l => l.problem).map(l => ({ source: l.source, target: l.target, anchor: l.text, problem: l.problem }));
+  const depthHistogram = {};
+  depth.forEach(d => { depthHistogram[d] = (depthHistogram[d] || 0) + 1; });
+  const depths = Array.from(depth.values());
+
+  const countBy = (list, key) => { const m = new Map(); list.forEach(x => m.set(x[key], (m.get(x[key]) || 0) + 1)); return m; };
+  const linksFrom = countBy(links, 'sourceKey');
+  const outbound = countBy(edges, 'from');
+  const nofollowFrom = countBy(links.filter(l => l.nofollow), 'sourceKey');
+  const weakFrom = countBy(links.filter(l => l.problem), 'sourceKey');
+  const brokenFrom = countBy(broken, 'source');
+  const redirectsFrom = countBy(redirects, 'source');
+  const byPage = {};
+  keys.forEach(k => {
+    const url = urlOf(k);
+    byPage[url] = {
+      depth: depth.has(k) ? depth.get(k) : null,
+      inbound: inbound.get(k),
+      outbound: outbound.get(k) || 0,
+      internalLinks: linksFrom.get(k) || 0,
+      externalLinks: external[url] || 0,
+      nofollow: nofollowFrom.get(k) || 0,
+      broken: brokenFrom.get(url) || 0,
+      redirects: redirectsFrom.get(url) || 0,
+      weakAnchors: weakFrom.get(k) || 0,
+      pageRank: Math.round((ranks[k] || 0) * 1e6) / 1e6,
+      importance: maxRank ? Math.round(((ranks[k] || 0) / maxRank) * 100) : 0,
+      orphan: !depth.has(k)
+    };
+  });
+  const importance = keys.map(k => ({ url: urlOf(k), importance: byPage[urlOf(k)].importance, pageRank: byPage[urlOf(k)].pageRank, inbound: inbound.get(k), depth: byPage[urlOf(k)].depth }))
+    .sort((a, b) => b.pageRank - a.pageRank);
+
+  const sourcesOf = list => Array.from(new Set(list.map(x => x.source)));
+  return {
+    home: homeKey ? urlOf(homeKey) : null,
+    summary: {
+      pages: keys.length,
+      edges: edges.length,
+      internalLinks: links.length,
+      externalLinks: Object.values(external).reduce((s, n) => s + n, 0),
+      brokenLinks: broken.length,
+      pagesWithBrokenLinks: sourcesOf(broken).length,
+      redirectingLinks: redirects.length,
+      redirectChains: redirects.filter(r => r.chain).length,
+      redirectLoops: redirects.filter(r => r.loop).length,
+      pagesWithRedirectingLinks: sourcesOf(redirects).length,
+      orphanPages: orphans.length,
+      noInbound: noInbound.length,
+      maxDepth: depths.length ? Math.max(...depths) : 0,
+      avgDepth: depths.length ? Math.round((depths.reduce((s, d) => s + d, 0) / depths.length) * 10) / 10 : 0,
+      deepPages: deepPages.length,
+      nofollowLinks: nofollow.length,
+      pagesWithNofollow: sourcesOf(nofollow).length,
+      pageLevelNofollow: pageNofollow.length,
+      weakAnchors: anchors.length,
+      pagesWithWeakAnchors: sourcesOf(anchors).length,
+      uncrawledTargets: uncrawled.length,
+      checkedTargets: toCheck.length
+    },
+    depthHistogram,
+    broken: broken.slice(0, MAX_LISTED),
+    redirects: redirects.sort((a, b) => Number(b.loop) - Number(a.loop) || b.hops.length - a.hops.length).slice(0, MAX_LISTED),
+    orphans,
+    noInbound,
+    deepPages,
+    nofollow: nofollow.slice(0, MAX_LISTED),
+    pageLevelNofollow: pageNofollow,
+    anchors: anchors.slice(0, MAX_LISTED),
+    importance: importance.slice(0, 20),
+    // only meaningful once the site is larger than the top list
+    leastImportant: importance.length > 20 ? importance.slice(-10).reverse() : [],
+    pages: byPage
+  };
+}
+
+export { GENERIC_ANCHORS, extractLinks, resolveTarget, analyzeLinks };
@@ -0,0 +1,182 @@
+// llm.js
+// LLM provider layer for the AI pass: OpenAI, Anthropic, Azure OpenAI and OpenAI-compatible local servers (Ollama,
+// llama.cpp, vLLM). Every provider is asked for one structured result (tool calling, or a JSON schema response format
+// for local servers) and calls are retried with backoff on rate limits, overloads, timeouts and network errors.
+
+import { GeoauditError } from './errors.js';
+
+// keyEnv: where resolveConfig reads the API key; baseUrlEnv: fallback for aiBaseUrl
+const PROVIDERS = {
+  openai: { keyEnv: 'OPENAI_API_KEY', baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini', keyRequired: true },
+  anthropic: { keyEnv: 'ANTHROPIC_API_KEY', baseUrl: 'https://api.anthropic.com/v1', model: 'claude-3-5-haiku-latest', keyRequired: true },
+  azure: { keyEnv: 'AZURE_OPENAI_API_KEY', baseUrlEnv: 'AZURE_OPENAI_ENDPOINT', baseUrl: null, model: null, keyRequired: true },
+  local: { keyEnv: 'LOCAL_LLM_API_KEY', baseUrl: 'http://localhost:11434/v1', model: 'llama3.1', keyRequired: false }
+};
+
+// USD per million input / output tokens, matched by model-name prefix (longest first); aiPricing overrides it
+const MODEL_PRICING = [
+  ['gpt-4o-mini', 0.15, 0.6], ['gpt-4o', 2.5, 10], ['gpt-4.1-nano', 0.1, 0.4], ['gpt-4.1-mini', 0.4, 1.6], ['gpt-4.1', 2, 8],
+  ['o4-mini', 1.1, 4.4], ['o3-mini', 1.1, 4.4], ['gpt-3.5-turbo', 0.5, 1.5],
+  ['claude-3-5-haiku', 0.8, 4], ['claude-3-haiku', 0.25, 1.25], ['claude-3-5-sonnet', 3, 15], ['claude-3-7-sonnet', 3, 15],
+  ['claude-sonnet-4', 3, 15], ['claude-opus-4', 15, 75]
+].sort((a, b) => b[0].length - a[0].length);
+
+const ANTHROPIC_VERSION = '2023-06-01';
+const AZURE_API_VERSION = '2024-10-21';
+// 529 is Anthropic's "overloaded"
+const RETRY_STATUS = new Set([408, 409, 429, 500, 502, 503, 504, 529]);
+const MAX_BACKOFF_MS = 30000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry-After (seconds or HTTP date) and retry-after-ms (OpenAI/Azure) win over exponential backoff with jitter
+function backoffMs(attempt, res) {
+  const ms = res && Number(res.headers.get('retry-after-ms'));
+  if (ms > 0) return Math.min(ms, MAX_BACKOFF_MS);
+  const after = res && res.headers.get('retry-after');
+  if (after) {
+    const secs = Number(after);
+    const wait = Number.isFinite(secs) ? secs * 1000 : Date.parse(after) - Date.now();
+    if (wait > 0) return Math.min(wait, MAX_BACKOFF_MS);
+  }
+  return Math.min(MAX_BACKOFF_MS, 1000 * 2 ** attempt) * (0.5 + Math.random() / 2);
+}
+
+async function postJson(url, { headers, body, timeoutMs, retries, label, logger = console }) {
+  for (let attempt = 0; ; attempt++) {
+    let res;
+    try {
+      res = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body: JSON.stringify(body), signal: AbortSignal.timeout(timeoutMs) });
+    } catch (e) {
+      // timeouts and network failures
+      if (attempt >= retries) throw new Error(`${label} request failed after ${attempt + 1} attempt(s): ${e.message}`);
+      await sleep(backoffMs(attempt));
+      continue;
+    }
+    if (res.ok) return { data: await res.json(), attempts: attempt + 1 };
+    const text = await res.text();
+    if (!RETRY_STATUS.has(res.status) || attempt >= retries) throw new Error(`${label} API error ${res.status}${attempt ? ` after ${attempt + 1} attempts` : ''}: ${text.slice(0, 500)}`);
+    const wait = backoffMs(attempt, res);
+    logger.warn(`${label} returned ${res.status}, retrying in ${Math.round(wait / 100) / 10}s (${attempt + 1}/${retries})`);
+    await sleep(wait);
+  }
+}
+
+// { data, text, parseError }: the result is never guessed at; aiaudit.js re-asks when it does not parse or validate
+function parseResult(value) {
+  if (value && typeof value === 'object') return { data: value, text: JSON.stringify(value), parseError: null };
+  const text = String(value ?? '');
+  // some local servers wrap the JSON in a markdown fence
+  const fenced = text.trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+  try {
+    return { data: JSON.parse(fenced ? fenced[1] : text), text, parseError: null };
+  } catch (e) {
+    return { data: null, text, parseError: e.message };
+  }
+}
+
+// -------------------- OpenAI chat completions (OpenAI, Azure, local) --------------------
+function openAiBody(model, { system, messages, schema, maxTokens }, mode) {
+  const body = { model, messages: [{ role: 'system', content: system }, ...messages], temperature: 0, max_tokens: maxTokens };
+  if (mode === 'tools') {
+    body.tools = [{ type: 'function', function: { name: schema.name, description: schema.description, parameters: schema.parameters } }];
+    body.tool_choice = { type: 'function', function: { name: schema.name } };
+  } else {
+    // llama.cpp server and Ollama (0.5+) constrain decoding to the schema
+    body.response_format = { type: 'json_schema', json_schema: { name: schema.name, schema: schema.parameters } };
+  }
+  return body;
+}
+
+function openAiResult(data) {
+  const message = data.choices?.[0]?.message || {};
+  const call = (message.tool_calls || []).find(t => t.function);
+  const usage = data.usage ? { inputTokens: data.usage.prompt_tokens || 0, outputTokens: data.usage.completion_tokens || 0 } : null;
+  if (call) return { ...parseResult(call.function.arguments), usage };
+  if (message.content) return { ...parseResult(message.content), usage };
+  return { data: null, text: '', parseError: 'Empty response', usage };
+}
+
+// -------------------- Anthropic messages --------------------
+function anthropicBody(model, { system, messages, schema, maxTokens }) {
+  // consecutive user turns become one message with several text blocks
+  const turns = [];
+  messages.forEach(m => {
+    const last = turns[turns.length - 1];
+    if (last && last.role === m.role) last.content.push({ type: 'text', text: m.content });
+    else turns.push({ role: m.role, content: [{ type: 'text', text: m.content }] });
+  });
+  return {
+    model, system, messages: turns, max_tokens: maxTokens, temperature: 0,
+    tools: [{ name: schema.name, description: schema.description, input_schema: schema.parameters }],
+    tool_choice: { type: 'tool', name: schema.name }
+  };
+}
+
+function anthropicResult(data) {
+  const blocks = data.content || [];
+  const usage = data.usage ? { inputTokens: data.usage.input_tokens || 0, outputTokens: data.usage.output_tokens || 0 } : null;
+  const tool = blocks.find(b => b.type === 'tool_use');
+  if (tool) return { ...parseResult(tool.input), usage };
+  const text = blocks.filter(b => b.type === 'text').map(b => b.text).join('\n');
+  return text ? { ...parseResult(text), usage } : { data: null, text: '', parseError: 'Empty response', usage };
+}
+
+// usage: { inputTokens, outputTokens }; pricing: { input, output } USD per million tokens. Local models cost nothing;
+// an unknown model (e.g. an Azure deployment name) has cost null unless aiPricing is set.
+function estimateCost(provider, model, usage, pricing = null) {
+  let rates = pricing;
+  if (!rates && provider === 'local') rates = { input: 0, output: 0 };
+  if (!rates) {
+    const hit = MODEL_PRICING.find(([prefix]) => String(model || '').toLowerCase().startsWith(prefix));
+    if (hit) rates = { input: hit[1], output: hit[2] };
+  }
+  if (!rates || !usage) return null;
+  const round = n => Math.round(n * 1e6) / 1e6;
+  const input = round(usage.inputTokens * rates.input / 1e6);
+  const output = round(usage.outputTokens * rates.output / 1e6);
+  return { currency: 'USD', input, output, total: round(input + output), pricing: { input: rates.input, output: rates.output } };
+}
+
+// options: { provider, model, apiKey, baseUrl, apiVersion, timeoutMs, retries, logger }; throws E_CONFIG when unusable
+function createLlmClient({ provider = 'openai', model = null, apiKey = '', baseUrl = '', apiVersion = AZURE_API_VERSION, timeoutMs = 60000, retries = 3, logger = console } = {}) {
+  const spec = PROVIDERS[provider];
+  if (!spec) throw new GeoauditError('E_CONFIG', `Unknown AI provider "${provider}" (supported: ${Object.keys(PROVIDERS).join(', ')})`);
+  const base = String(baseUrl || spec.baseUrl || '').replace(/\/+$/, '');
+  const useModel = model || spec.model;
+  if (!base) throw new GeoauditError('E_CONFIG', `AI provider ${provider} needs a base URL (aiBaseUrl or ${spec.baseUrlEnv})`);
+  if (!useModel) throw new GeoauditError('E_CONFIG', `AI provider ${provider} needs a model${provider === 'azure' ? ' (the deployment name)' : ''}`);
+  if (spec.keyRequired && !apiKey) throw new GeoauditError('E_CONFIG', `AI provider ${provider} needs an API key in ${spec.keyEnv}`);
+
+  const label = `${provider} (${useModel})`;
+  const send = { timeoutMs, retries, label, logger };
+
+  // request: { system, messages: [{ role, content }], schema: { name, description, parameters }, maxTokens }
+  // returns { data, text, parseError, usage, attempts, provider, model }
+  async function structured(request) {
+    const req = { maxTokens: 1600, ...request };
+    let out;
+    if (provider === 'anthropic') {
+      const headers = { 'x-api-key': apiKey, 'anthropic-version': ANTHROPIC_VERSION };
+      const { data, attempts } = await postJson(`${base}/messages`, { ...send, headers, body: anthropicBody(useModel, req) });
+      out = { ...anthropicResult(data), attempts };
+    } else if (provider === 'azure') {
+      // the model is the deployment name; api-version 2024-08-01+ supports tool calling with tool_choice
+      const url = `${base}/openai/deployments/${encodeURIComponent(useModel)}/chat/completions?api-version=${encodeURIComponent(apiVersion)}`;
+      const { data, attempts } = await postJson(url, { ...send, headers: { 'api-key': apiKey }, body: openAiBody(undefined, req, 'tools') });
+      out = { ...openAiResult(data), attempts };
+    } else {
+      const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+      const body = openAiBody(useModel, req, provider === 'local' ? 'json_schema' : 'tools');
+      const { data, attempts } = await postJson(`${base}/chat/completions`, { ...send, headers, body });
+      out = { ...openAiResult(data), attempts };
+    }
+    return { ...out, provider, model: useModel };
+  }
+
+  // options: what the client was created with, so a variant (another model) can be derived
+  // logger: where retries and the AI modules' progress messages go
+  return { provider, model: useModel, baseUrl: base, options: { provider, model, apiKey, baseUrl, apiVersion, timeoutMs, retries, logger }, logger, structured };
+}
+
+export { PROVIDERS, createLlmClient, estimateCost };
@@ -0,0 +1,191 @@
+// llmstxt.js
+// /llms.txt and /llms-full.txt validation against the llms.txt proposal (https://llmstxt.org):
+//   # Title  ->  > blockquote summary  ->  optional free text  ->  ## Sections with "- [name](url): notes" lists
+// Linked URLs are resolved and matched to crawled pages, and we estimate how much of the site's content the file covers.
+
+import { URL } from 'url';
+import { urlKey } from './sitemaps.js';
+
+const MAX_LINK_CHECKS = 100;
+
+// -------------------- Helpers --------------------
+// rough visible word count straight from HTML (no DOM needed, only used for weighting pages)
+function roughWordCount(html) {
+  const text = String(html || '')
+    .replace(/<(script|style|noscript|template)[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&[a-z#0-9]+;/gi, ' ');
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+function pageTitle(html) {
+  const m = String(html || '').match(/<title[^>]*>([\s\S]*?)<\/title>/i) || String(html || '').match(/<h1[^>]*>([\s\S]*?)<\/h1>/i);
+  return m ? m[1].replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim() : '';
+}
+
+// llms.txt often links the markdown twin of a page (/docs/intro.md, /docs/index.html.md); map it back to the page URL
+function pageKeysFor(href) {
+  const keys = [urlKey(href)];
+  const stripped = href.replace(/(\/index)?(\.html?)?\.md$/i, m => (m.startsWith('/index') ? '/' : ''));
+  if (stripped !== href) keys.push(urlKey(stripped), urlKey(stripped + '.html'));
+  return keys;
+}
+
+// -------------------- Parsing --------------------
+function parseLlmsTxt(text) {
+  const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+  const doc = { title: null, h1Count: 0, summary: null, details: [], sections: [], invalidItems: [], firstLineIsH1: false };
+  let current = null;
+  let seenContent = false;
+
+  lines.forEach((raw, idx) => {
+    const line = raw.trimEnd();
+    if (!line.trim()) return;
+    const h1 = line.match(/^#\s+(.+)$/);
+    const h2 = line.match(/^##\s+(.+)$/);
+    if (h1) {
+      doc.h1Count += 1;
+      if (!doc.title) { doc.title = h1[1].trim(); doc.firstLineIsH1 = !seenContent; }
+      seenContent = true;
+      return;
+    }
+    seenContent = true;
+    if (h2) {
+      const name = h2[1].trim();
+      current = { name, optional: /^optional$/i.test(name), links: [], text: [] };
+      doc.sections.push(current);
+      return;
+    }
+    const quote = line.match(/^>\s?(.*)$/);
+    if (quote && !current) {
+      doc.summary = doc.summary ? `${doc.summary} ${quote[1].trim()}` : quote[1].trim();
+      return;
+    }
+    const item = line.match(/^\s*[-*+]\s+(.*)$/);
+    if (current && item) {
+      const link = item[1].match(/^\[([^\]]+)\]\(([^)\s]+)\)(?:\s*:\s*(.*))?$/);
+      if (link) current.links.push({ name: link[1], href: link[2], notes: link[3] || null, line: idx + 1 });
+      else doc.invalidItems.push({ line: idx + 1, text: line.trim(), section: current.name });
+      return;
+    }
+    if (current) current.text.push(line.trim());
+    else doc.details.push(line.trim());
+  });
+  return doc;
+}
+
+function specCheck(doc, res) {
+  const issues = [];
+  let score = 0;
+  if (doc.title) score += 30; else issues.push('Missing H1 title ("# Site name")');
+  if (doc.title && !doc.firstLineIsH1) issues.push('H1 title is not the first element');
+  if (doc.h1Count > 1) issues.push(`${doc.h1Count} H1 headings (exactly one expected)`);
+  if (doc.summary) score += 20; else issues.push('Missing blockquote summary ("> ...") after the title');
+  const linkSections = doc.sections.filter(s => s.links.length);
+  if (linkSections.length) score += 30; else issues.push('No H2 section with a markdown link list');
+  doc.sections.filter(s => !s.links.length).forEach(s => issues.push(`Section "${s.name}" has no links`));
+  if (!doc.invalidItems.length) score += 20; else issues.push(`${doc.invalidItems.length} list item(s) not in "- [name](url): notes" format`);
+  const ct = String(res.headers?.['content-type'] || '');
+  if (ct && !/text\/(plain|markdown)/i.test(ct)) issues.push(`Served as "${ct}" (text/plain or text/markdown expected)`);
+  if (/^\s*</.test(res.body ? res.body.toString('utf8').slice(0, 200) : '')) issues.push('File looks like HTML (soft 404?)');
+  return { score, issues };
+}
+
+// -------------------- Validation --------------------
+async function checkLinks(links, fetchResource, siteHost) {
+  const results = [];
+  const toCheck = links.filter(l => { try { return new URL(l.url).hostname === siteHost; } catch (e) { return false; } }).slice(0, MAX_LINK_CHECKS);
+  let next = 0;
+  async function worker() {
+    while (next < toCheck.length) {
+      const link = toCheck[next++];
+      const res = await fetchResource(link.url);
+      results.push({ url: link.url, status: res.status, finalUrl: res.finalUrl, error: res.error || null });
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(4, toCheck.length) }, worker));
+  return results;
+}
+
+async function analyzeLlmsFull(siteUrl, pages, fetchResource) {
+  const url = new URL('/llms-full.txt', siteUrl).toString();
+  const res = await fetchResource(url);
+  if (res.status !== 200) return { found: false, url, status: res.status };
+  const text = res.body.toString('utf8');
+  const haystack = text.toLowerCase();
+  // a page counts as covered when its title shows up in the full-text dump
+  const titled = pages.map(p => pageTitle(p.html)).filter(t => t.length >= 8);
+  const covered = titled.filter(t => haystack.includes(t.toLowerCase().split(/\s[|\-–—]\s/)[0])).length;
+  return {
+    found: true,
+    url,
+    status: res.status,
+    bytes: res.body.length,
+    words: text.split(/\s+/).filter(Boolean).length,
+    hasH1: /^#\s+\S/m.test(text),
+    coveragePercent: titled.length ? Math.round((covered / titled.length) * 100) : 0
+  };
+}
+
+async function analyzeLlmsTxt(siteUrl, pages, { fetchResource, checkLinks: doCheckLinks = true } = {}) {
+  const url = new URL('/llms.txt', siteUrl).toString();
+  const res = await fetchResource(url);
+  const full = await analyzeLlmsFull(siteUrl, pages, fetchResource);
+  const out = { found: false, url, status: res.status, full, score: 0, issues: [] };
+
+  if (res.status !== 200) {
+    out.issues.push(res.status === 0 ? `llms.txt could not be fetched${res.error ? ` (${res.error})` : ''}` : `llms.txt not found (HTTP ${res.status})`);
+    if (full.found) out.issues.push('llms-full.txt exists without llms.txt');
+    return out;
+  }
+
+  const doc = parseLlmsTxt(res.body.toString('utf8'));
+  const spec = specCheck(doc, res);
+  const siteHost = new URL(siteUrl).hostname;
+  const links = doc.sections.flatMap(s => s.links.map(l => {
+    let abs = null;
+    try { abs = new URL(l.href, url).toString(); } catch (e) {}
+    return { ...l, url: abs, section: s.name, optional: s.optional };
+  }));
+  const badLinks = links.filter(l => !l.url);
+
+  // link health
+  const checked = doCheckLinks ? await checkLinks(links.filter(l => l.url), fetchResource, siteHost) : [];
+  const broken = checked.filter(c => c.status === 0 || c.status >= 400);
+  const linkHealth = checked.length ? Math.round(((checked.length - broken.length) / checked.length) * 100) : (links.length ? 100 : 0);
+
+  // coverage: which crawled pages the file links to, weighted by how much content each page has
+  const crawled = new Map(pages.map(p => [urlKey(p.url), { url: p.url, words: roughWordCount(p.html) }]));
+  const coveredKeys = new Set();
+  links.filter(l => l.url).forEach(l => pageKeysFor(l.url).forEach(k => { if (crawled.has(k)) coveredKeys.add(k); }));
+  const totalWords = Array.from(crawled.values()).reduce((s, p) => s + p.words, 0) || 1;
+  const coveredWords = Array.from(coveredKeys).reduce((s, k) => s + crawled.get(k).words, 0);
+  const missingKeyPages = Array.from(crawled.entries()).filter(([k]) => !coveredKeys.has(k)).map(([, p]) => p).sort((a, b) => b.words - a.words).slice(0, 10);
+  const coverage = {
+    pagesCovered: coveredKeys.size,
+    pagesTotal: crawled.size,
+    pagePercent: crawled.size ? Math.round((coveredKeys.size / crawled.size) * 100) : 0,
+    contentPercent: Math.round((coveredWords / totalWords) * 100),
+    missingKeyPages
+  };
+  const linksNotCrawled = links.filter(l => l.url && new URL(l.url).hostname === siteHost && !pageKeysFor(l.url).some(k => crawled.has(k))).map(l => l.url);
+
+  out.found = true;
+  out.contentType = res.headers['content-type'] || null;
+  out.title = doc.title;
+  out.summary = doc.summary;
+  out.sections = doc.sections.map(s => ({ name: s.name, optional: s.optional, links: s.links.length }));
+  out.links = { total: links.length, checked: checked.length, broken: broken.map(b => ({ url: b.url, status: b.status })), invalid: badLinks.map(l => l.href), matchedPages: coveredKeys.size, notCrawled: linksNotCrawled.slice(0, 50), health: linkHealth };
+  out.spec = spec;
+  out.coverage = coverage;
+  out.valid = spec.score >= 80;
+  out.score = Math.round(spec.score * 0.4 + linkHealth * 0.2 + coverage.contentPercent * 0.4);
+
+  out.issues.push(...spec.issues);
+  if (broken.length) out.issues.push(`${broken.length} linked URL(s) do not resolve`);
+  if (coverage.contentPercent < 50) out.issues.push(`llms.txt links cover only ${coverage.contentPercent}% of crawled content`);
+  if (!full.found) out.issues.push('No /llms-full.txt');
+  return out;
+}
+
+export { parseLlmsTxt, analyzeLlmsTxt };
@@ -0,0 +1,330 @@
+// nap.js
+// NAP (name / address / phone) extraction and consistency. Phones come from tel: links, structured data and visible
+// text and are normalized to E.164 with a region hint; addresses from PostalAddress markup, <address>/footer/contact
+// blocks. The site-level pass compares pages with each other and markup with visible text on the same page.
+
+import { URL } from 'url';
+import { typesOf, ruleTypeFor } from './schema.js';
+
+// calling code, national trunk prefix and national significant number lengths
+const PHONE_PLANS = {
+  US: { cc: '1', trunk: '1', nsn: [10, 10] }, CA: { cc: '1', trunk: '1', nsn: [10, 10] },
+  GB: { cc: '44', trunk: '0', nsn: [9, 10] }, IE: { cc: '353', trunk: '0', nsn: [7, 9] },
+  DE: { cc: '49', trunk: '0', nsn: [6, 13] }, AT: { cc: '43', trunk: '0', nsn: [4, 13] }, CH: { cc: '41', trunk: '0', nsn: [9, 9] },
+  FR: { cc: '33', trunk: '0', nsn: [9, 9] }, BE: { cc: '32', trunk: '0', nsn: [8, 9] }, NL: { cc: '31', trunk: '0', nsn: [9, 9] },
+  LU: { cc: '352', trunk: '', nsn: [4, 11] }, ES: { cc: '34', trunk: '', nsn: [9, 9] }, PT: { cc: '351', trunk: '', nsn: [9, 9] },
+  IT: { cc: '39', trunk: '', nsn: [6, 11] }, DK: { cc: '45', trunk: '', nsn: [8, 8] }, NO: { cc: '47', trunk: '', nsn: [8, 8] },
+  SE: { cc: '46', trunk: '0', nsn: [7, 9] }, FI: { cc: '358', trunk: '0', nsn: [5, 12] }, PL: { cc: '48', trunk: '', nsn: [9, 9] },
+  CZ: { cc: '420', trunk: '', nsn: [9, 9] }, GR: { cc: '30', trunk: '', nsn: [10, 10] }, TR: { cc: '90', trunk: '0', nsn: [10, 10] },
+  AU: { cc: '61', trunk: '0', nsn: [9, 9] }, NZ: { cc: '64', trunk: '0', nsn: [8, 10] }, IN: { cc: '91', trunk: '0', nsn: [10, 10] },
+  JP: { cc: '81', trunk: '0', nsn: [9, 10] }, SG: { cc: '65', trunk: '', nsn: [8, 8] }, AE: { cc: '971', trunk: '0', nsn: [8, 9] },
+  ZA: { cc: '27', trunk: '0', nsn: [9, 9] }, BR: { cc: '55', trunk: '0', nsn: [10, 11] }, MX: { cc: '52', trunk: '', nsn: [10, 10] }
+};
+const CALLING_CODES = {};
+Object.entries(PHONE_PLANS).forEach(([region, plan]) => { if (!CALLING_CODES[plan.cc]) CALLING_CODES[plan.cc] = region; });
+
+// country-code TLDs that differ from the ISO code, or are not countries at all
+const TLD_REGIONS = { uk: 'GB', com: null, net: null, org: null, io: null, co: null, eu: null, info: null, biz: null, app: null, dev: null };
+
+const POSTCODE_PATTERNS = {
+  GB: /\b([A-Z]{1,2}\d[A-Z\d]?)\s*(\d[A-Z]{2})\b/i,
+  IE: /\b([A-Z]\d{2})\s?([A-Z\d]{4})\b/i,
+  US: /\b[A-Z]{2}\s+(\d{5})(?:-\d{4})?\b/,
+  CA: /\b([A-Z]\d[A-Z])\s?(\d[A-Z]\d)\b/i,
+  NL: /\b(\d{4})\s?([A-Z]{2})\b/,
+  FIVE: /\b(\d{5})\s+[A-ZÀ-Ý][\wÀ-ÿ'-]+/,
+  FOUR: /\b(\d{4})\s+[A-ZÀ-Ý][\wÀ-ÿ'-]+/
+};
+const POSTCODE_BY_REGION = { GB: 'GB', IE: 'IE', US: 'US', CA: 'CA', NL: 'NL', DE: 'FIVE', FR: 'FIVE', ES: 'FIVE', IT: 'FIVE', FI: 'FIVE', MX: 'FIVE', AT: 'FOUR', BE: 'FOUR', CH: 'FOUR', DK: 'FOUR', NO: 'FOUR', AU: 'FOUR', NZ: 'FOUR', ZA: 'FOUR', LU: 'FOUR' };
+const STREET_PATTERNS = [
+  /\b\d+[A-Za-z]?\s+(?:[A-Z][\w'.-]*\s+){1,4}(?:Street|St|Road|Rd|Avenue|Ave|Lane|Ln|Boulevard|Blvd|Drive|Dr|Way|Place|Pl|Square|Sq|Court|Ct|Terrace|Parade|Crescent|Close|Row|Hill|Walk)\b\.?/,
+  /\b[A-ZÄÖÜ][\wäöüß.-]*(?:straße|strasse|str\.|weg|platz|allee|gasse|ring|damm)\s*\d+[a-z]?\b/i,
+  /\b\d+(?:\s?(?:bis|ter))?,?\s+(?:rue|avenue|boulevard|bd|place|chemin|allée|quai|impasse)\s+[\wÀ-ÿ' -]{2,40}/i,
+  /\b(?:via|viale|piazza|corso|calle|avenida|plaza|paseo|rua)\s+[\wÀ-ÿ' .-]{2,40},?\s*\d+/i
+];
+const PHONE_CONTEXT = /(tel|phone|call|fon|telefon|téléphone|teléfono|telefono|mobile|cell|fax|contact|☎|📞)\W{0,20}$/i;
+const DATE_LIKE = /^\d{1,4}[./-]\d{1,2}[./-]\d{1,4}$/;
+const LEGAL_SUFFIX = /\b(ltd|limited|llc|inc|incorporated|gmbh|ag|sarl|sas|bv|nv|plc|co|corp|corporation|company|srl|spa|pty|oy|ab)\b\.?/gi;
+
+// -------------------- Phones --------------------
+function regionHintFor(pageUrl, htmlLang, markupCountry) {
+  if (markupCountry && /^[A-Z]{2}$/i.test(markupCountry)) return markupCountry.toUpperCase();
+  const langRegion = String(htmlLang || '').split(/[-_]/)[1];
+  if (langRegion && /^[A-Z]{2}$/i.test(langRegion)) return langRegion.toUpperCase();
+  try {
+    const tld = new URL(pageUrl).hostname.split('.').pop().toLowerCase();
+    if (Object.prototype.hasOwnProperty.call(TLD_REGIONS, tld)) return TLD_REGIONS[tld];
+    if (/^[a-z]{2}$/.test(tld)) return tld.toUpperCase();
+  } catch (e) {}
+  return null;
+}
+
+// raw phone text -> { e164, country, valid, reason }
+function normalizePhone(raw, regionHint = null) {
+  let s = String(raw || '').replace(/^tel:/i, '').trim();
+  s = s.replace(/\s*(?:ext\.?|extension|x|#)\s*\d+$/i, '');
+  if (DATE_LIKE.test(s.replace(/\s/g, ''))) return { raw, e164: null, country: null, valid: false, reason: 'looks like a date' };
+  let digits = s.replace(/[^\d+]/g, '');
+  if (digits.startsWith('00')) digits = '+' + digits.slice(2);
+  else if (digits.startsWith('011') && (regionHint === 'US' || regionHint === 'CA')) digits = '+' + digits.slice(3);
+  digits = digits.replace(/(?!^)\+/g, '');
+  // "+44 (0)20 ..." keeps a trunk 0 in brackets that must be dropped
+  if (/^\+\d{1,3}\s*\(0\)/.test(s.replace(/^00/, '+'))) digits = digits.replace(/^(\+\d{1,3}?)0/, '$1');
+
+  let cc;
+  let nsn;
+  let country = null;
+  if (digits.startsWith('+')) {
+    const all = digits.slice(1);
+    cc = ['1', '2', '3'].map(n => all.slice(0, Number(n))).reverse().find(c => CALLING_CODES[c]);
+    if (cc) { country = CALLING_CODES[cc]; nsn = all.slice(cc.length); }
+    else {
+      // no calling code starts with 0
+      if (all.startsWith('0')) return { raw, e164: null, country: null, valid: false, reason: 'not a phone number' };
+      if (all.length < 8 || all.length > 15) return { raw, e164: null, country: null, valid: false, reason: 'wrong length' };
+      return { raw, e164: `+${all}`, country: null, valid: true, reason: null };
+    }
+    // keep the hint for calling code 1 (US vs CA) and other shared codes
+    if (regionHint && PHONE_PLANS[regionHint] && PHONE_PLANS[regionHint].cc === cc) country = regionHint;
+  } else {
+    const plan = PHONE_PLANS[regionHint];
+    if (!plan) return { raw, e164: null, country: null, valid: false, reason: 'national number without region hint' };
+    country = regionHint;
+    cc = plan.cc;
+    nsn = digits;
+    if (plan.trunk && nsn.startsWith(plan.trunk) && nsn.length > plan.nsn[1]) nsn = nsn.slice(plan.trunk.length);
+    else if (plan.trunk === '0' && nsn.startsWith('0')) nsn = nsn.slice(1);
+  }
+  const plan = PHONE_PLANS[country];
+  if (!/^\d+$/.test(nsn || '') || /^(\d)\1+$/.test(nsn)) return { raw, e164: null, country, valid: false, reason: 'not a phone number' };
+  if (plan && (nsn.length < plan.nsn[0] || nsn.length > plan.nsn[1])) return { raw, e164: null, country, valid: false, reason: `${nsn.length}-digit number is not valid for ${country}` };
+  if (cc.length + nsn.length > 15) return { raw, e164: null, country, valid: false, reason: 'longer than 15 digits' };
+  return { raw, e164: `+${cc}${nsn}`, country, valid: true, reason: null };
+}
+
+// phone-looking runs in text; national formats only count next to a phone keyword, international ones always do
+function phonesInText(text, regionHint) {
+  const out = [];
+  const re = /(?:\+|\b00)?\(?\d[\d\s().\-\/]{5,}\d/g;
+  let m;
+  while ((m = re.exec(text))) {
+    const candidate = m[0].trim();
+    const international = /^(\+|00)/.test(candidate);
+    const context = PHONE_CONTEXT.test(text.slice(Math.max(0, m.index - 40), m.index));
+    if (!international && !context) continue;
+    if (/\//.test(candidate) && !context) continue;
+    const parsed = normalizePhone(candidate, regionHint);
+    if (parsed.valid) out.push(parsed);
+  }
+  return out;
+}
+
+// -------------------- Names & addresses --------------------
+function normalizeName(name) {
+  return String(name || '').toLowerCase().replace(/&/g, 'and').replace(LEGAL_SUFFIX, '').replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+function normalizePostcode(pc) {
+  return String(pc || '').toUpperCase().replace(/\s+/g, '');
+}
+
+function postcodeIn(text, region) {
+  const keys = region && POSTCODE_BY_REGION[region] ? [POSTCODE_BY_REGION[region]] : ['GB', 'US', 'CA', 'NL', 'FIVE'];
+  for (const k of keys) {
+    const m = String(text || '').match(POSTCODE_PATTERNS[k]);
+    if (m) return normalizePostcode(m.slice(1).filter(Boolean).join(''));
+  }
+  return null;
+}
+
+function streetIn(text) {
+  for (const re of STREET_PATTERNS) {
+    const m = String(text || '').match(re);
+    if (m) return m[0].trim();
+  }
+  return null;
+}
+
+function streetKey(street) {
+  return String(street || '').toLowerCase()
+    .replace(/\b(street|st)\b\.?/g, 'st').replace(/\b(road|rd)\b\.?/g, 'rd').replace(/\b(avenue|ave)\b\.?/g, 'ave')
+    .replace(/strasse|straße|str\./g, 'str').replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+function addressFromMarkup(addr) {
+  if (!addr) return null;
+  if (typeof addr === 'string') return { text: addr, street: streetIn(addr) || null, postcode: postcodeIn(addr), locality: null, country: null };
+  const pick = k => { const v = addr[k]; return typeof v === 'string' ? v.trim() : (v && typeof v === 'object' && typeof v.name === 'string' ? v.name.trim() : null); };
+  const parts = ['streetAddress', 'addressLocality', 'addressRegion', 'postalCode', 'addressCountry'].map(pick).filter(Boolean);
+  return { text: parts.join(', '), street: pick('streetAddress'), postcode: normalizePostcode(pick('postalCode')) || null, locality: pick('addressLocality'), country: pick('addressCountry') };
+}
+
+// -------------------- Per-page extraction --------------------
+// structuredNodes: top-level nodes from schema.js (JSON-LD, Microdata and RDFa already converted)
+function extractNap($, pageUrl, structuredNodes = []) {
+  const markup = { names: [], addresses: [], phones: [] };
+  // only top-level businesses (arrays and @graph keep the level) describe the site; a Product's brand or seller does not
+  const visit = (node, top, owner, depth = 0) => {
+    if (!node || typeof node !== 'object' || depth > 8) return;
+    if (Array.isArray(node)) { node.forEach(n => visit(n, top, owner, depth + 1)); return; }
+    const types = typesOf(node);
+    const business = top && types.some(t => ['LocalBusiness', 'Organization'].includes(ruleTypeFor(t)));
+    if (business && typeof node.name === 'string') markup.names.push(node.name.trim());
+    if (business && node.address) [].concat(node.address).forEach(a => { const x = addressFromMarkup(a); if (x) markup.addresses.push(x); });
+    if (top && types.includes('PostalAddress')) { const x = addressFromMarkup(node); if (x) markup.addresses.push(x); }
+    if (business || owner) [].concat(node.telephone || []).forEach(t => { if (typeof t === 'string') markup.phones.push(t); });
+    Object.entries(node).forEach(([k, v]) => {
+      if (k !== 'address' && v && typeof v === 'object') visit(v, top && k === '@graph', business || (owner && k !== 'brand'), depth + 1);
+    });
+  };
+  structuredNodes.forEach(n => visit(n, true, false));
+
+  const htmlLang = $('html').attr('lang') || null;
+  const markupCountry = markup.addresses.map(a => a.country).find(c => c && /^[A-Z]{2}$/i.test(c));
+  const regionHint = regionHintFor(pageUrl, htmlLang, markupCountry);
+
+  const phones = [];
+  const seen = new Set();
+  const addPhone = (parsed, source) => {
+    const key = `${source}|${parsed.e164 || parsed.raw}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    phones.push({ e164: parsed.e164, raw: String(parsed.raw).trim(), source, country: parsed.country, valid: parsed.valid, reason: parsed.reason });
+  };
+  markup.phones.forEach(p => addPhone(normalizePhone(p, regionHint), 'markup'));
+  $('a[href^="tel:"]').each((i, el) => addPhone(normalizePhone($(el).attr('href'), regionHint), 'tel'));
+
+  // visible text: footer / address / contact blocks are tracked separately from the rest of the body
+  const $body = $('body').clone();
+  $body.find('script,style,noscript,template').remove();
+  // cheerio's text() glues adjacent elements together ("EC1A 1BBCall us"), so pad block-level and link elements
+  $body.find('p,div,li,td,th,br,a,address,footer,header,section,h1,h2,h3,h4,h5,h6,dd,dt').each((i, el) => { $(el).append(' '); });
+  const blockSel = 'footer, address, [class*="address"], [id*="address"], [class*="contact"], [id*="contact"], [class*="location"]';
+  const blocks = $body.find(blockSel).toArray().filter(el => !$(el).parents(blockSel).length).map(el => ({
+    source: $(el).is('footer') || $(el).closest('footer').length ? 'footer' : 'text',
+    text: $(el).text().replace(/\s+/g, ' ').trim()
+  }));
+  const bodyText = $body.text().replace(/\s+/g, ' ').trim();
+  blocks.forEach(b => phonesInText(b.text, regionHint).forEach(p => addPhone(p, b.source)));
+  phonesInText(bodyText, regionHint).forEach(p => { if (!phones.some(x => x.e164 === p.e164 && x.source !== 'markup')) addPhone(p, 'text'); });
+
+  // markup has to match what visitors see, so each marked-up value records whether it is visible
+  const visibleKey = normalizePostcode(bodyText);
+  const addresses = markup.addresses.map(a => ({ source: 'markup', ...a, visible: a.postcode ? visibleKey.includes(a.postcode) : null }));
+  blocks.forEach(b => {
+    const postcode = postcodeIn(b.text, regionHint);
+    const street = streetIn(b.text);
+    if (postcode || street) addresses.push({ source: b.source, text: b.text.slice(0, 200), street, postcode, locality: null, country: null });
+  });
+
+  const ogSiteName = ($('meta[property="og:site_name"]').attr('content') || '').trim() || null;
+  const visibleNames = ` ${normalizeName(bodyText)} `;
+  const names = Array.from(new Set(markup.names));
+  return {
+    regionHint,
+    name: { markup: names, visible: names.length ? names.some(n => visibleNames.includes(` ${normalizeName(n)} `)) : null, ogSiteName, title: ($('title').text() || '').trim() || null },
+    addresses,
+    phones
+  };
+}
+
+// -------------------- Site-level consistency --------------------
+function mostCommon(values) {
+  const counts = new Map();
+  values.filter(Boolean).forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+  let best = null;
+  counts.forEach((n, v) => { if (!best || n > best.n) best = { value: v, n }; });
+  return best ? best.value : null;
+}
+
+function analyzeNap(pages) {
+  const issues = [];
+  const issue = (type, severity, message, urls) => issues.push({ type, severity, message, urls: urls.slice(0, 20), pages: urls.length });
+  const byType = {};
+  const pageIssues = {};
+  const flag = (url, type, severity, message) => {
+    if (!pageIssues[url]) pageIssues[url] = [];
+    pageIssues[url].push({ type, severity, message });
+    const k = `${type}|${message}`;
+    if (!byType[k]) byType[k] = { type, severity, message, urls: [] };
+    byType[k].urls.push(url);
+  };
+
+  // shorter URLs (the home page first) win ties when picking the site's canonical values
+  const valid = pages.map(p => ({ url: p.url, nap: p.nap })).filter(p => p.nap).sort((a, b) => a.url.length - b.url.length);
+  const canonicalName = mostCommon(valid.flatMap(p => p.nap.name.markup.map(normalizeName)));
+  const canonicalNameRaw = valid.flatMap(p => p.nap.name.markup).find(n => normalizeName(n) === canonicalName) || null;
+  const markupAddrs = valid.flatMap(p => p.nap.addresses.filter(a => a.source === 'markup'));
+  const canonicalPostcode = mostCommon(markupAddrs.map(a => a.postcode)) || mostCommon(valid.flatMap(p => p.nap.addresses.map(a => a.postcode)));
+  const canonicalStreet = mostCommon(markupAddrs.filter(a => a.postcode === canonicalPostcode).map(a => streetKey(a.street)));
+  const canonicalAddress = markupAddrs.find(a => a.postcode === canonicalPostcode) || null;
+  // the primary phone is the one shown in markup / footers most often
+  const phonePool = valid.flatMap(p => p.nap.phones.filter(x => x.valid && ['markup', 'footer', 'tel'].includes(x.source)).map(x => x.e164));
+  const canonicalPhone = mostCommon(phonePool) || mostCommon(valid.flatMap(p => p.nap.phones.filter(x => x.valid).map(x => x.e164)));
+
+  valid.forEach(({ url, nap }) => {
+    // name: markup names that differ from the site's business name
+    nap.name.markup.filter(n => canonicalName && normalizeName(n) !== canonicalName).forEach(n => flag(url, 'name_mismatch', 'error', `Business name "${n}" differs from "${canonicalNameRaw}"`));
+    if (nap.name.visible === false) flag(url, 'name_not_visible', 'warning', `Marked-up name "${nap.name.markup[0]}" does not appear in the visible text`);
+
+    // address: markup vs other pages, markup vs visible text, visible footers vs the site address
+    nap.addresses.filter(a => a.source === 'markup').forEach(a => {
+      if (canonicalPostcode && a.postcode && a.postcode !== canonicalPostcode) flag(url, 'address_mismatch', 'error', `Marked-up postcode ${a.postcode} differs from ${canonicalPostcode}`);
+      else if (canonicalStreet && a.street && streetKey(a.street) !== canonicalStreet && a.postcode === canonicalPostcode) flag(url, 'address_mismatch', 'error', `Marked-up street "${a.street}" differs from the site address`);
+      if (a.visible === false) flag(url, 'address_markup_not_visible', 'warning', `Marked-up postcode ${a.postcode} is not shown on the page`);
+    });
+    nap.addresses.filter(a => a.source !== 'markup' && a.postcode).forEach(a => {
+      if (canonicalPostcode && a.postcode !== canonicalPostcode && !nap.addresses.some(m => m.source === 'markup' && m.postcode === a.postcode)) flag(url, 'address_text_mismatch', 'warning', `Visible ${a.source} postcode ${a.postcode} differs from ${canonicalPostcode}`);
+    });
+
+    // phones: unparseable markup, markup vs visible, numbers anywhere on the page that differ from the primary number
+    const visible = new Set(nap.phones.filter(x => x.valid && x.source !== 'markup').map(x => x.e164));
+    nap.phones.filter(x => x.source === 'markup').forEach(x => {
+      if (!x.valid) flag(url, 'phone_invalid', 'error', `Marked-up telephone "${x.raw}" cannot be normalized (${x.reason})`);
+      else if (visible.size && !visible.has(x.e164)) flag(url, 'phone_markup_text_mismatch', 'error', `Marked-up telephone ${x.e164} differs from the visible number(s) ${Array.from(visible).join(', ')}`);
+      else if (!visible.size) flag(url, 'phone_markup_not_visible', 'warning', `Marked-up telephone ${x.e164} is not shown on the page`);
+    });
+    const differing = new Map();
+    nap.phones.filter(x => x.valid && canonicalPhone && x.e164 !== canonicalPhone).forEach(x => { if (!differing.has(x.e164)) differing.set(x.e164, x); });
+    differing.forEach(x => flag(url, 'phone_mismatch', 'warning', `${x.source === 'text' ? 'Visible' : x.source} number ${x.e164} differs from the primary number ${canonicalPhone}`));
+    if (!nap.phones.some(x => x.source === 'markup') && nap.phones.some(x => x.valid) && nap.addresses.some(a => a.source !== 'markup')) flag(url, 'nap_unmarked', 'info', 'Visible NAP details without LocalBusiness/Organization markup');
+  });
+
+  Object.values(byType).forEach(v => issue(v.type, v.severity, v.message, Array.from(new Set(v.urls))));
+  issues.sort((a, b) => ({ error: 0, warning: 1, info: 2 }[a.severity] - { error: 0, warning: 1, info: 2 }[b.severity]) || b.pages - a.pages);
+
+  const share = pick => {
+    const withValue = valid.filter(p => pick(p.nap) !== null);
+    return withValue.length ? Math.round((withValue.filter(p => pick(p.nap)).length / withValue.length) * 100) : null;
+  };
+  const consistency = {
+    name: share(n => (n.name.markup.length ? n.name.markup.every(x => normalizeName(x) === canonicalName) : null)),
+    address: share(n => { const pcs = n.addresses.map(a => a.postcode).filter(Boolean); return pcs.length ? pcs.every(pc => pc === canonicalPostcode) : null; }),
+    phone: share(n => { const ph = n.phones.filter(x => x.valid); return ph.length ? ph.every(x => x.e164 === canonicalPhone) : null; })
+  };
+  const scored = Object.values(consistency).filter(v => v !== null);
+
+  const pageVerdicts = {};
+  valid.forEach(({ url, nap }) => {
+    const own = pageIssues[url] || [];
+    pageVerdicts[url] = {
+      phones: Array.from(new Set(nap.phones.filter(x => x.valid).map(x => x.e164))),
+      postcodes: Array.from(new Set(nap.addresses.map(a => a.postcode).filter(Boolean))),
+      errors: own.filter(i => i.severity === 'error').length,
+      warnings: own.filter(i => i.severity === 'warning').length,
+      consistent: !own.some(i => i.severity === 'error'),
+      issues: own
+    };
+  });
+
+  return {
+    found: Boolean(canonicalName || canonicalPostcode || canonicalPhone),
+    canonical: { name: canonicalNameRaw, address: canonicalAddress ? canonicalAddress.text : null, postcode: canonicalPostcode, phone: canonicalPhone },
+    consistency,
+    score: scored.length ? Math.round(scored.reduce((s, v) => s + v, 0) / scored.length) : null,
+    issues,
+    pages: pageVerdicts
+  };
+}
+
+export { normalizePhone, phonesInText, normalizeName, extractNap, analyzeNap };
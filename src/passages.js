@@ -0,0 +1,181 @@
+// passages.js
+// Splits a page's main content into passages along heading boundaries (long sections are split again between blocks),
+// the unit answer engines retrieve and quote, and scores how citable each passage is on its own.
+
+import { load } from 'cheerio';
+import { countWords } from './readability.js';
+
+const BLOCKS = 'h1, h2, h3, h4, h5, h6, p, li, blockquote, pre, dd, dt, td, th, figcaption';
+const CONTAINERS = 'p, li, blockquote, dd, td, th, figcaption';
+const MAX_PASSAGE_WORDS = 180;
+const MIN_PASSAGE_WORDS = 8;
+
+const clean = t => String(t || '').replace(/\s+/g, ' ').trim();
+
+// main content blocks in document order: { kind: heading|p|li|cell|quote|pre|dt|dd|caption, level?, text }
+function contentBlocks(html) {
+  const $ = load(html || '');
+  $('script, style, noscript, template, svg, iframe, nav, header, footer, aside, form').remove();
+  const root = $('main, [role="main"], article').first();
+  const scope = root.length ? root : $('body');
+  const blocks = [];
+  scope.find(BLOCKS).each((i, el) => {
+    // text of nested blocks (a <p> inside an <li>) is already part of the outer block
+    if ($(el).parents(CONTAINERS).length) return;
+    const tag = el.tagName.toLowerCase();
+    const text = clean($(el).text());
+    if (!text) return;
+    if (/^h[1-6]$/.test(tag)) blocks.push({ kind: 'heading', level: Number(tag[1]), text });
+    else blocks.push({ kind: { td: 'cell', th: 'cell', blockquote: 'quote', figcaption: 'caption' }[tag] || tag, text });
+  });
+  return blocks;
+}
+
+// [{ id, heading, level, text, words, blocks: { p, li, cell, ... } }]; passages under MIN_PASSAGE_WORDS are dropped
+function splitPassages(html) {
+  const passages = [];
+  let section = { heading: null, level: 0, parts: [] };
+  const flush = () => {
+    let current = [];
+    let words = 0;
+    const emit = () => {
+      const text = current.map(b => b.text).join(' ');
+      const n = countWords(text);
+      if (n >= MIN_PASSAGE_WORDS) {
+        const kinds = {};
+        current.forEach(b => { kinds[b.kind] = (kinds[b.kind] || 0) + 1; });
+        passages.push({ id: `p${passages.length}`, heading: section.heading, level: section.level, text, words: n, blocks: kinds });
+      }
+      current = [];
+      words = 0;
+    };
+    section.parts.forEach(b => {
+      const n = countWords(b.text);
+      if (current.length && words + n > MAX_PASSAGE_WORDS) emit();
+      current.push(b);
+      words += n;
+    });
+    if (current.length) emit();
+  };
+  contentBlocks(html).forEach(b => {
+    if (b.kind === 'heading') {
+      flush();
+      section = { heading: b.text, level: b.level, parts: [] };
+    } else {
+      section.parts.push(b);
+    }
+  });
+  flush();
+  return passages;
+}
+
+// -------------------- citability --------------------
+// points per signal; a passage scores 0-100
+const CITABILITY_POINTS = { selfContained: 25, facts: 25, heading: 15, structure: 15, length: 20 };
+const IDEAL_WORDS = [40, 150];
+const EXCERPT_CHARS = 240;
+const BEST_WORST = 3;
+
+// a passage that opens with one of these leans on text the reader of the quote does not have
+const DANGLING_START = /^(this|that|these|those|it|its|they|them|their|he|she|his|her|such|here|there|the latter|the former|also|however|therefore|thus|moreover|furthermore|additionally|in addition|as a result)\b/i;
+const BACK_REFERENCES = /\b(as (?:mentioned|noted|discussed|described|explained|shown|stated|said) (?:above|below|earlier|before|previously)|(?:see|read|mentioned|listed|shown) (?:above|below)|the (?:above|following|previous|preceding) (?:section|list|table|paragraph|example)s?|(?:click|tap) here|the former|the latter|previously mentioned|aforementioned)\b/gi;
+const QUESTION_HEADING = /\?\s*$|^(what|why|how|when|where|who|whom|which|can|could|should|do|does|did|is|are|was|will|would|faq)\b/i;
+const FILLER_START = /^(well|so|great question|good question|it depends|in this (?:article|post|guide|section)|let'?s|we'?ll|read on|keep reading|find out)\b/i;
+const NUMBER = /(?:[$€£¥]\s?)?\b\d[\d.,]*(?:\s?(?:%|percent|km|mi|kg|g|lb|m|cm|mm|ft|h|hrs?|hours?|min|minutes?|days?|weeks?|months?|years?|am|pm|usd|eur|gbp))?\b/gi;
+const DATE = /\b(?:(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s+\d{1,2}(?:st|nd|rd|th)?,?\s+\d{4}|\d{1,2}(?:st|nd|rd|th)?\s+(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s+\d{4}|\d{4}-\d{2}-\d{2}|\d{1,2}\/\d{1,2}\/\d{2,4}|(?:19|20)\d{2})\b/gi;
+
+const sentencesOf = text => text.split(/(?<=[.!?])\s+(?=["'“(]?[\p{Lu}\d])/u).filter(Boolean);
+
+// capitalized words that do not start a sentence: names, places, products
+function properNouns(text) {
+  const found = new Set();
+  sentencesOf(text).forEach(sentence => {
+    sentence.split(' ').slice(1).forEach(w => {
+      const word = w.replace(/^[^\p{L}]+|[^\p{L}]+$/gu, '');
+      if (word.length > 1 && /^\p{Lu}/u.test(word) && !/^(I|I'm|I've)$/.test(word)) found.add(word);
+    });
+  });
+  return Array.from(found);
+}
+
+// { score, signals, guidance[] } for one passage from splitPassages
+function scorePassage(passage) {
+  const { text, heading, words, blocks } = passage;
+  const guidance = [];
+
+  const danglingStart = DANGLING_START.test(text) ? text.split(' ').slice(0, 2).join(' ') : null;
+  const backReferences = Array.from(new Set((text.match(BACK_REFERENCES) || []).map(m => m.toLowerCase())));
+  let selfContained = CITABILITY_POINTS.selfContained - (danglingStart ? 12 : 0) - backReferences.length * 8;
+  selfContained = Math.max(0, selfContained);
+  if (danglingStart) guidance.push(`Opens with "${danglingStart}", which points to earlier text: name the subject in the first sentence.`);
+  if (backReferences.length) guidance.push(`Replace references to other parts of the page (${backReferences.join(', ')}) with the fact itself.`);
+
+  const numbers = (text.match(NUMBER) || []).length;
+  const dates = (text.match(DATE) || []).length;
+  const names = properNouns(text).length;
+  const factCount = numbers + names;
+  let facts = factCount >= 3 ? 20 : (factCount === 2 ? 15 : (factCount === 1 ? 8 : 0));
+  if (dates) facts += 5;
+  facts = Math.min(CITABILITY_POINTS.facts, facts);
+  if (!numbers) guidance.push('Add concrete figures: prices, sizes, quantities, opening hours or results.');
+  if (!names) guidance.push('Name the business, product, place or person instead of describing them generically.');
+  if (numbers && !dates) guidance.push('Date prices and other figures that change (e.g. "as of 2025") so engines can judge freshness.');
+
+  const questionHeading = Boolean(heading && QUESTION_HEADING.test(heading));
+  const firstSentence = sentencesOf(text)[0] || '';
+  const firstWords = countWords(firstSentence);
+  const directAnswer = questionHeading && firstWords <= 30 && !FILLER_START.test(firstSentence) && !danglingStart;
+  let headingPoints = 0;
+  if (questionHeading) headingPoints = directAnswer ? CITABILITY_POINTS.heading : 6;
+  else if (heading && heading.split(' ').length >= 2) headingPoints = 10;
+  else if (heading) headingPoints = 5;
+  if (!heading) guidance.push('Put the passage under a descriptive heading, ideally phrased as the question it answers.');
+  else if (questionHeading && !directAnswer) guidance.push(`Answer "${heading}" directly in the first sentence (under 30 words), then add detail.`);
+  else if (!questionHeading) guidance.push(`Consider phrasing the heading "${heading}" as the question users ask.`);
+
+  const listItems = (blocks.li || 0) + (blocks.dt || 0) + (blocks.dd || 0);
+  const cells = blocks.cell || 0;
+  const structured = listItems >= 2 || cells >= 2;
+  const sentenceCount = sentencesOf(text).length || 1;
+  const longSentences = words / sentenceCount > 25;
+  const structure = structured ? CITABILITY_POINTS.structure : (longSentences ? 0 : 6);
+  if (!structured && words >= 80) guidance.push('Break steps, options or specifications into a list or table.');
+  if (longSentences) guidance.push(`Shorten sentences (average ${Math.round(words / sentenceCount)} words).`);
+
+  let length = CITABILITY_POINTS.length;
+  if (words < 25) length = 5;
+  else if (words < IDEAL_WORDS[0] || words > IDEAL_WORDS[1]) length = 12;
+  if (words < IDEAL_WORDS[0]) guidance.push(`Expand to at least ${IDEAL_WORDS[0]} words so the passage answers on its own (now ${words}).`);
+  else if (words > IDEAL_WORDS[1]) guidance.push(`Split into passages of ${IDEAL_WORDS[0]}-${IDEAL_WORDS[1]} words under their own subheadings (now ${words}).`);
+
+  const signals = {
+    selfContained, danglingStart, backReferences,
+    facts, numbers, dates, properNouns: names,
+    heading: headingPoints, questionHeading, directAnswer,
+    structure, listItems, cells,
+    length
+  };
+  return { score: selfContained + facts + headingPoints + structure + length, signals, guidance };
+}
+
+// page-level citability: { passages, score, citable, strongest[], weakest[] }; a passage is citable at 60+
+function passageCitability(html) {
+  const scored = splitPassages(html).map(p => {
+    const { score, signals, guidance } = scorePassage(p);
+    const excerpt = p.text.length > EXCERPT_CHARS ? `${p.text.slice(0, EXCERPT_CHARS).replace(/\s+\S*$/, '')}…` : p.text;
+    return { id: p.id, heading: p.heading, excerpt, words: p.words, score, signals, guidance };
+  });
+  const ranked = scored.slice().sort((a, b) => b.score - a.score);
+  // short pages are split in half so the two lists never show the same passage
+  const strongest = ranked.slice(0, Math.min(BEST_WORST, Math.ceil(ranked.length / 2)));
+  const weakest = ranked.slice(Math.max(strongest.length, ranked.length - BEST_WORST)).reverse();
+  return {
+    passages: scored.length,
+    score: scored.length ? Math.round(scored.reduce((s, p) => s + p.score, 0) / scored.length) : null,
+    citable: scored.filter(p => p.score >= 60).length,
+    strongest,
+    weakest
+  };
+}
+
+export { contentBlocks, splitPassages, scorePassage, passageCitability };
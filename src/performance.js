@@ -0,0 +1,212 @@
+// performance.js
+// Lab performance per page: Core Web Vitals (LCP, CLS, and TBT as the lab stand-in for INP), FCP and TTFB from the
+// browser's performance timeline, plus transfer size, request count, image weight and render-blocking resources from
+// the DevTools protocol. Pages load in the cloud or a local browser (browser.js).
+
+import { URL } from 'url';
+import { browserMode, openBrowser, newPageFor } from './browser.js';
+
+// Google's good / poor boundaries; TBT uses Lighthouse's, since lab runs have no real interactions to time for INP
+const THRESHOLDS = { lcp: [2500, 4000], cls: [0.1, 0.25], tbt: [200, 600], fcp: [1800, 3000], ttfb: [800, 1800] };
+const METRIC_WEIGHTS = { lcp: 30, tbt: 30, cls: 25, fcp: 10, ttfb: 5 };
+const BUDGETS = { transferBytes: 3 * 1024 * 1024, imageBytes: 1024 * 1024, requests: 100 };
+const NAVIGATION_TIMEOUT = 30000;
+
+// collected in the page from the first byte on: LCP candidates, layout shifts (session windows) and long tasks
+const OBSERVER_SCRIPT = `(() => {
+  const perf = window.__geoauditPerf = { lcp: null, lcpElement: null, lcpUrl: null, cls: 0, longTasks: [] };
+  const describe = el => el ? el.tagName.toLowerCase() + (el.id ? '#' + el.id : '') + (typeof el.className === 'string' && el.className.trim() ? '.' + el.className.trim().split(/\\s+/).slice(0, 2).join('.') : '') : null;
+  const observe = (type, fn) => { try { new PerformanceObserver(list => list.getEntries().forEach(fn)).observe({ type, buffered: true }); } catch (e) {} };
+  observe('largest-contentful-paint', e => { perf.lcp = e.startTime; perf.lcpElement = describe(e.element); perf.lcpUrl = e.url || null; });
+  let windowValue = 0, windowStart = 0, last = 0;
+  observe('layout-shift', e => {
+    if (e.hadRecentInput) return;
+    if (windowValue && e.startTime - last < 1000 && e.startTime - windowStart < 5000) windowValue += e.value;
+    else { windowValue = e.value; windowStart = e.startTime; }
+    last = e.startTime;
+    perf.cls = Math.max(perf.cls, windowValue);
+  });
+  observe('longtask', e => perf.longTasks.push({ start: e.startTime, duration: e.duration }));
+})();`;
+
+// -------------------- Scoring --------------------
+function rating(key, value) {
+  if (typeof value !== 'number') return null;
+  const [good, poor] = THRESHOLDS[key];
+  return value <= good ? 'good' : (value <= poor ? 'needs-improvement' : 'poor');
+}
+
+// 100 up to the good boundary, 50 at the poor boundary, 0 at twice the poor boundary
+function metricScore(key, value) {
+  if (typeof value !== 'number') return null;
+  const [good, poor] = THRESHOLDS[key];
+  if (value <= good) return 100;
+  if (value <= poor) return Math.round(100 - (50 * (value - good)) / (poor - good));
+  return Math.max(0, Math.round(50 - (50 * (value - poor)) / poor));
+}
+
+// weighted over the metrics that were measured
+function performanceScore(metrics) {
+  const scored = Object.keys(METRIC_WEIGHTS).map(k => [k, metricScore(k, metrics[k])]).filter(([, s]) => s !== null);
+  const weight = scored.reduce((s, [k]) => s + METRIC_WEIGHTS[k], 0);
+  return weight ? Math.round(scored.reduce((s, [k, v]) => s + v * METRIC_WEIGHTS[k], 0) / weight) : null;
+}
+
+function percentile(values, p) {
+  const sorted = values.filter(v => typeof v === 'number').sort((a, b) => a - b);
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+const RESOURCE_KINDS = { Document: 'document', Script: 'script', Stylesheet: 'stylesheet', Image: 'image', Font: 'font', Media: 'media', XHR: 'xhr', Fetch: 'xhr' };
+
+async function measurePage(browser, url, { siteUrl, sourceType = null, fetchResource = null } = {}) {
+  const page = await newPageFor(browser, { siteUrl, sourceType, fetchResource });
+  try {
+    await page.evaluateOnNewDocument(OBSERVER_SCRIPT);
+
+    // transfer sizes per request from the protocol (Resource Timing hides cross-origin sizes)
+    const cdp = await page.createCDPSession();
+    await cdp.send('Network.enable');
+    const requests = new Map();
+    cdp.on('Network.requestWillBeSent', e => { if (!requests.has(e.requestId)) requests.set(e.requestId, { url: e.request.url, kind: RESOURCE_KINDS[e.type] || 'other', bytes: 0, status: null }); });
+    cdp.on('Network.responseReceived', e => { const r = requests.get(e.requestId); if (r) { r.status = e.response.status; r.kind = RESOURCE_KINDS[e.type] || r.kind; } });
+    cdp.on('Network.loadingFinished', e => { const r = requests.get(e.requestId); if (r) r.bytes = e.encodedDataLength; });
+
+    const response = await page.goto(url, { waitUntil: 'load', timeout: NAVIGATION_TIMEOUT });
+    await page.waitForNetworkIdle({ idleTime: 500, timeout: 10000 }).catch(() => {});
+
+    const timing = await page.evaluate(() => {
+      const perf = window.__geoauditPerf || { lcp: null, cls: 0, longTasks: [] };
+      const nav = performance.getEntriesByType('navigation')[0];
+      const fcp = performance.getEntriesByName('first-contentful-paint')[0];
+      const fcpTime = fcp ? fcp.startTime : 0;
+      // blocking part of every long task after first paint (Lighthouse also stops at time to interactive)
+      const tbt = perf.longTasks.filter(t => t.start >= fcpTime).reduce((s, t) => s + Math.max(0, t.duration - 50), 0);
+      const blocking = performance.getEntriesByType('resource')
+        .filter(r => r.renderBlockingStatus === 'blocking')
+        .map(r => ({ url: r.name, type: r.initiatorType, duration: Math.round(r.duration) }));
+      return {
+        lcp: perf.lcp, lcpElement: perf.lcpElement, lcpUrl: perf.lcpUrl, cls: perf.cls, tbt, longTasks: perf.longTasks.length,
+        fcp: fcp ? fcp.startTime : null,
+        ttfb: nav ? nav.responseStart - nav.startTime : null,
+        domContentLoaded: nav ? nav.domContentLoadedEventEnd - nav.startTime : null,
+        load: nav ? nav.loadEventEnd - nav.startTime : null,
+        renderBlocking: blocking
+      };
+    });
+    await cdp.detach().catch(() => {});
+
+    const all = Array.from(requests.values());
+    const host = new URL(url).host;
+    const byType = {};
+    all.forEach(r => {
+      byType[r.kind] = byType[r.kind] || { requests: 0, bytes: 0 };
+      byType[r.kind].requests++;
+      byType[r.kind].bytes += r.bytes;
+    });
+    const bytesOf = u => (all.find(r => r.url === u) || {}).bytes || 0;
+    const round = (v, d = 0) => (typeof v === 'number' ? Math.round(v * 10 ** d) / 10 ** d : null);
+    const metrics = { lcp: round(timing.lcp), cls: round(timing.cls, 3), tbt: round(timing.tbt), fcp: round(timing.fcp), ttfb: round(timing.ttfb) };
+    const transfer = {
+      bytes: all.reduce((s, r) => s + r.bytes, 0),
+      requests: all.length,
+      thirdPartyBytes: all.filter(r => { try { return new URL(r.url).host !== host; } catch (e) { return false; } }).reduce((s, r) => s + r.bytes, 0),
+      failed: all.filter(r => r.status === null || r.status >= 400).length,
+      byType
+    };
+    const imageBytes = byType.image ? byType.image.bytes : 0;
+    const renderBlocking = timing.renderBlocking.map(r => ({ ...r, bytes: bytesOf(r.url) }));
+
+    const issues = [];
+    ['lcp', 'cls', 'tbt', 'ttfb'].forEach(k => { if (rating(k, metrics[k]) && rating(k, metrics[k]) !== 'good') issues.push(`perf_${k}`); });
+    if (renderBlocking.length) issues.push('perf_render_blocking');
+    if (transfer.bytes > BUDGETS.transferBytes) issues.push('perf_page_weight');
+    if (imageBytes > BUDGETS.imageBytes) issues.push('perf_image_weight');
+    if (transfer.requests > BUDGETS.requests) issues.push('perf_requests');
+
+    return {
+      url,
+      status: response ? response.status() : null,
+      score: performanceScore(metrics),
+      metrics,
+      ratings: Object.fromEntries(Object.keys(metrics).map(k => [k, rating(k, metrics[k])])),
+      passesCoreWebVitals: ['lcp', 'cls', 'tbt'].every(k => rating(k, metrics[k]) === 'good'),
+      lcpElement: timing.lcpElement,
+      lcpUrl: timing.lcpUrl,
+      longTasks: timing.longTasks,
+      domContentLoaded: round(timing.domContentLoaded),
+      load: round(timing.load),
+      transfer,
+      imageBytes,
+      renderBlocking,
+      issues,
+      error: null
+    };
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+// -------------------- Site run --------------------
+// urls in priority order; options: { siteUrl, sourceType, fetchResource, browser: auto|scrapeless|local, apiKey,
+// proxyCountry, chromePath, maxPages, logger }
+async function measurePerformance(urls, options = {}) {
+  const mode = browserMode(options.sourceType, options.browser, options.apiKey, options.logger);
+  const targets = urls.slice(0, options.maxPages || 10);
+
+  const browser = await openBrowser({ mode, apiKey: options.apiKey, proxyCountry: options.proxyCountry, chromePath: options.chromePath, sessionName: 'PerformanceAudit' });
+  const pages = {};
+  try {
+    // one page at a time: parallel loads would compete for CPU and bandwidth and skew each other's timings
+    for (const url of targets) {
+      try {
+        pages[url] = await measurePage(browser, url, { siteUrl: options.siteUrl, sourceType: options.sourceType, fetchResource: options.fetchResource });
+      } catch (e) {
+        pages[url] = { url, score: null, metrics: {}, ratings: {}, passesCoreWebVitals: false, issues: [], error: e.message };
+      }
+    }
+  } finally {
+    await browser.close().catch(() => {});
+  }
+
+  const measured = Object.values(pages).filter(p => !p.error);
+  const scores = measured.map(p => p.score).filter(s => typeof s === 'number');
+  const worst = measured.filter(p => typeof p.score === 'number').sort((a, b) => a.score - b.score)[0] || null;
+  // site values follow the Core Web Vitals assessment: the 75th percentile across pages
+  const p75 = Object.fromEntries(Object.keys(THRESHOLDS).map(k => [k, percentile(measured.map(p => p.metrics[k]), 75)]));
+  const blockingPages = new Map();
+  measured.forEach(p => p.renderBlocking.forEach(r => {
+    const entry = blockingPages.get(r.url) || { url: r.url, type: r.type, bytes: r.bytes, pages: 0 };
+    entry.pages++;
+    blockingPages.set(r.url, entry);
+  }));
+  const issuePages = {};
+  measured.forEach(p => p.issues.forEach(i => { issuePages[i] = (issuePages[i] || 0) + 1; }));
+  const mean = list => (list.length ? Math.round(list.reduce((s, v) => s + v, 0) / list.length) : null);
+
+  return {
+    browser: mode,
+    score: scores.length ? mean(scores) : null,
+    minScore: worst ? worst.score : null,
+    minScoreUrl: worst ? worst.url : null,
+    thresholds: THRESHOLDS,
+    summary: {
+      pagesMeasured: measured.length,
+      pagesFailed: targets.length - measured.length,
+      pagesPassingCoreWebVitals: measured.filter(p => p.passesCoreWebVitals).length,
+      p75,
+      ratings: Object.fromEntries(Object.keys(p75).map(k => [k, rating(k, p75[k])])),
+      avgTransferBytes: mean(measured.map(p => p.transfer.bytes)),
+      avgRequests: mean(measured.map(p => p.transfer.requests)),
+      avgImageBytes: mean(measured.map(p => p.imageBytes)),
+      pagesWithRenderBlocking: measured.filter(p => p.renderBlocking.length).length
+    },
+    renderBlocking: Array.from(blockingPages.values()).sort((a, b) => b.pages - a.pages || b.bytes - a.bytes).slice(0, 50),
+    issuePages,
+    errors: Object.values(pages).filter(p => p.error).map(p => ({ url: p.url, error: p.error })),
+    pages
+  };
+}
+
+export { THRESHOLDS, METRIC_WEIGHTS, BUDGETS, rating, metricScore, performanceScore, measurePage, measurePerformance };
@@ -0,0 +1,166 @@
+// readability.js
+// Language detection and language-aware text statistics. The page language comes from <html lang> checked against the
+// content (script, then stopword profiles for Latin-script languages); sentences and words are segmented with
+// Intl.Segmenter so CJK text is counted correctly, and readability uses the Flesch adaptation for that language.
+
+const SENTENCE_CACHE = new Map();
+const WORD_CACHE = new Map();
+const SAMPLE_CHARS = 20000;
+// share of the sampled words a stopword profile must match before a Latin-script language is named
+const MIN_STOPWORD_SHARE = 0.08;
+
+// scripts that identify a language (or a family we treat as one) on their own; kana wins over Han for Japanese
+const SCRIPTS = [
+  ['ja', /[\p{Script=Hiragana}\p{Script=Katakana}]/gu],
+  ['ko', /\p{Script=Hangul}/gu],
+  ['zh', /\p{Script=Han}/gu],
+  ['th', /\p{Script=Thai}/gu],
+  ['ar', /\p{Script=Arabic}/gu],
+  ['he', /\p{Script=Hebrew}/gu],
+  ['el', /\p{Script=Greek}/gu],
+  ['hi', /\p{Script=Devanagari}/gu],
+  ['ru', /\p{Script=Cyrillic}/gu]
+];
+
+const STOPWORDS = {
+  en: 'the and of to in is that for it with as was on are be this by you at or from have not an your we our can will',
+  de: 'der die und das ist nicht ein eine zu den von mit sich des auf für im dem wir sie auch es an werden oder bei',
+  fr: 'le la les et des est un une du en que pour dans qui pas sur au ce avec plus vous nous sont par ou aux',
+  es: 'el la los las de que y en un una es por con para del se no al lo como más su sus o nuestro este',
+  it: 'il la di che e un una per non sono del della con le gli più al nel si da dei anche come questo',
+  pt: 'o a os as de que e do da em um uma para com não no na por mais dos das se ao é nosso',
+  nl: 'de het een en van in is dat op te met voor zijn niet aan er ook als bij door wij u uw',
+  sv: 'och i att det som en på är av för med till den har inte om ett vi du men från',
+  pl: 'i w na z się nie do to że jest o jak po co ale od przez dla są oraz lub'
+};
+const STOPWORD_SETS = Object.fromEntries(Object.entries(STOPWORDS).map(([lang, words]) => [lang, new Set(words.split(' '))]));
+
+const VOWELS = {
+  en: 'aeiouy', de: 'aeiouyäöü', fr: 'aeiouyàâæèéêëîïôœùûü', es: 'aeiouáéíóúü', it: 'aeiouàèéìíîòóùú',
+  pt: 'aeiouáâãàéêíóôõú', nl: 'aeiouyëïéèö', sv: 'aeiouyåäö', pl: 'aeiouyąęó', ru: 'аеёиоуыэюя'
+};
+
+// score = a - b * words per sentence - c * syllables per word; every formula is on the 0-100 Flesch reading-ease scale
+const FORMULAS = {
+  en: { name: 'Flesch Reading Ease', a: 206.835, b: 1.015, c: 84.6 },
+  de: { name: 'Flesch-Amstad', a: 180, b: 1, c: 58.5 },
+  fr: { name: 'Kandel-Moles', a: 207, b: 1.015, c: 73.6 },
+  // Fernández-Huerta: 206.84 - 0.60 P - 1.02 F with P syllables and F sentences per 100 words
+  es: { name: 'Fernández-Huerta', a: 206.84, c: 60, perSentence: 102 },
+  it: { name: 'Franchina-Vacca', a: 206, b: 1, c: 65 },
+  pt: { name: 'Flesch (Martins et al.)', a: 248.835, b: 1.015, c: 84.6 },
+  nl: { name: 'Flesch-Douma', a: 206.835, b: 0.93, c: 77 },
+  ru: { name: 'Flesch (Oborneva)', a: 206.835, b: 1.3, c: 60.1 }
+};
+
+const primaryLang = tag => (String(tag || '').trim().toLowerCase().split(/[-_]/)[0] || null);
+
+function segmenter(cache, lang, granularity) {
+  const key = lang || 'und';
+  if (!cache.has(key)) {
+    let seg;
+    try { seg = new Intl.Segmenter(lang || undefined, { granularity }); } catch (e) { seg = new Intl.Segmenter(undefined, { granularity }); }
+    cache.set(key, seg);
+  }
+  return cache.get(key);
+}
+
+// words: word-like segments (CJK words come from the ICU dictionary), sentences: non-empty sentence segments
+function segmentText(text, lang = null) {
+  const value = String(text || '');
+  const words = Array.from(segmenter(WORD_CACHE, lang, 'word').segment(value)).filter(s => s.isWordLike).map(s => s.segment);
+  const sentences = Array.from(segmenter(SENTENCE_CACHE, lang, 'sentence').segment(value)).map(s => s.segment.trim()).filter(s => /[\p{L}\p{N}]/u.test(s));
+  return { words, sentences };
+}
+
+const CJK = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Thai}]/u;
+
+// whitespace counting unless the text is in a script written without spaces
+function countWords(text, lang = null) {
+  const value = String(text || '').trim();
+  if (!value) return 0;
+  if (!CJK.test(value)) return value.split(/\s+/).length;
+  return segmentText(value, lang).words.length;
+}
+
+// { lang, confidence }: the dominant distinctive script, else the Latin stopword profile with the most hits
+function detectFromContent(text) {
+  const sample = String(text || '').slice(0, SAMPLE_CHARS);
+  const letters = (sample.match(/\p{L}/gu) || []).length;
+  if (!letters) return { lang: null, confidence: 0 };
+  for (const [lang, re] of SCRIPTS) {
+    const share = (sample.match(re) || []).length / letters;
+    if (share >= 0.3) return { lang, confidence: Math.round(Math.min(1, share * 1.5) * 100) / 100 };
+  }
+  const tokens = sample.toLowerCase().match(/\p{L}+/gu) || [];
+  if (!tokens.length) return { lang: null, confidence: 0 };
+  const hits = Object.entries(STOPWORD_SETS).map(([lang, set]) => [lang, tokens.filter(t => set.has(t)).length / tokens.length]).sort((a, b) => b[1] - a[1]);
+  const [best, second] = hits;
+  if (best[1] < MIN_STOPWORD_SHARE) return { lang: null, confidence: 0 };
+  return { lang: best[0], confidence: Math.round(Math.min(1, (best[1] - (second ? second[1] : 0)) / best[1]) * 100) / 100 };
+}
+
+// declared <html lang> wins unless the content clearly reads as another language
+function detectLanguage(text, htmlLang = null) {
+  const declared = primaryLang(htmlLang);
+  const detected = detectFromContent(text);
+  const mismatch = Boolean(declared && detected.lang && detected.confidence >= 0.5 && detected.lang !== declared
+    // Han text is shared by Chinese and Japanese pages without kana
+    && !(detected.lang === 'zh' && declared === 'ja'));
+  let lang = declared || detected.lang;
+  if (mismatch || (!declared && detected.lang)) lang = detected.lang;
+  return { lang: lang || null, declared, detected: detected.lang, confidence: detected.confidence, source: lang && lang === declared && !mismatch ? 'html' : (lang ? 'content' : null), mismatch };
+}
+
+// vowel groups; English and French drop the silent final e
+function countSyllables(word, lang) {
+  const vowels = VOWELS[lang] || VOWELS.en;
+  const w = word.toLowerCase();
+  let syllables = 0;
+  let prev = false;
+  for (const ch of w) {
+    const isVowel = vowels.includes(ch);
+    if (isVowel && !prev) syllables++;
+    prev = isVowel;
+  }
+  if (lang === 'en' && /[^aeiouy]e$/.test(w) && !/[^aeiouy]le$/.test(w)) syllables--;
+  if (lang === 'fr' && /[^aeiouyéè]es?$/.test(w)) syllables--;
+  return Math.max(1, syllables);
+}
+
+function readabilityLabel(score) {
+  if (typeof score !== 'number') return 'n/a';
+  return score >= 60 ? 'Easy' : (score >= 50 ? 'Fairly easy' : (score >= 30 ? 'Difficult' : 'Very difficult'));
+}
+
+// text statistics and readability for a page's visible text; score is null for languages without a formula (CJK, Arabic…)
+function analyzeText(text, htmlLang = null) {
+  const language = detectLanguage(text, htmlLang);
+  const { words, sentences } = segmentText(text, language.lang);
+  const wordCount = words.length;
+  const sentenceCount = sentences.length || (wordCount ? 1 : 0);
+  const formula = FORMULAS[language.lang] || null;
+  let syllables = null;
+  let score = null;
+  if (formula && wordCount) {
+    syllables = words.reduce((s, w) => s + countSyllables(w, language.lang), 0);
+    const wordsPerSentence = wordCount / sentenceCount;
+    const syllablesPerWord = syllables / wordCount;
+    score = formula.perSentence
+      ? formula.a - formula.c * syllablesPerWord - formula.perSentence / wordsPerSentence
+      : formula.a - formula.b * wordsPerSentence - formula.c * syllablesPerWord;
+    score = Math.round(Math.max(0, Math.min(100, score)));
+  }
+  const chars = words.reduce((s, w) => s + w.length, 0);
+  return {
+    language,
+    words: wordCount,
+    sentences: sentenceCount,
+    syllables,
+    avgSentenceLength: sentenceCount ? Math.round((wordCount / sentenceCount) * 10) / 10 : 0,
+    avgWordLength: wordCount ? Math.round((chars / wordCount) * 10) / 10 : 0,
+    readability: { score, formula: formula ? formula.name : null, label: readabilityLabel(score) }
+  };
+}
+
+export { FORMULAS, CJK, primaryLang, segmentText, countWords, detectLanguage, analyzeText, readabilityLabel };
@@ -0,0 +1,170 @@
+// regions.js
+// Multi-region comparison: the same URLs are fetched through proxies in several countries and we diff what each
+// market receives (status, redirects, served language, currency/prices, phone numbers, hreflang, geo-blocking, content length).
+// hreflang targets for each country are fetched from that country too, to confirm localized versions reach their market.
+
+import { URL } from 'url';
+import { load } from 'cheerio';
+import { urlKey } from './sitemaps.js';
+
+const MAX_REGION_PAGES = 10;
+
+// currency symbols/codes; a bare $ is ambiguous and reported as "$" (US$, R$, C$, A$ count as their own currency)
+const CURRENCY_PATTERNS = [
+  ['EUR', /€|\bEUR\b/], ['GBP', /£|\bGBP\b/], ['USD', /US\$|\bUSD\b/], ['$', /(?<![A-Z])\$/], ['JPY', /¥|\bJPY\b/],
+  ['INR', /₹|\bINR\b/], ['CHF', /\bCHF\b/], ['SEK', /\bSEK\b/], ['NOK', /\bNOK\b/], ['DKK', /\bDKK\b/],
+  ['PLN', /zł|\bPLN\b/], ['BRL', /R\$|\bBRL\b/], ['CAD', /C\$|\bCAD\b/], ['AUD', /A\$|\bAUD\b/], ['KRW', /₩|\bKRW\b/], ['CNY', /\bCNY\b|\bRMB\b/]
+];
+const PRICE_RE = /(?:[€£¥₹₩$]|\b(?:USD|EUR|GBP|CHF|JPY|INR|SEK|NOK|DKK|PLN|BRL|CAD|AUD|KRW|CNY)\b|zł)\s?\d[\d.,\s]*\d?|\d[\d.,]*\s?(?:€|£|zł|\b(?:USD|EUR|GBP|CHF|SEK|NOK|DKK|PLN)\b)/g;
+const PHONE_RE = /\+\d[\d\s().-]{6,}\d/g;
+const GEO_BLOCK_RE = /not (?:yet )?available in your (?:country|region|location)|unavailable in your (?:country|region)|access denied|geo[- ]?(?:blocked|restricted)|this content is not available|verify you are (?:a )?human|captcha/i;
+
+// -------------------- Extraction --------------------
+function summarizeResponse(res) {
+  const out = {
+    status: res.status,
+    finalUrl: res.finalUrl || res.url,
+    redirected: Boolean(res.finalUrl && urlKey(res.finalUrl) !== urlKey(res.url)),
+    lang: null,
+    ogLocale: null,
+    currencies: [],
+    prices: [],
+    phones: [],
+    hreflang: [],
+    words: 0,
+    blocked: null,
+    error: res.error || null
+  };
+  if (res.status === 403 || res.status === 451) out.blocked = `HTTP ${res.status}`;
+  if (!res.html) return out;
+
+  const $ = load(res.html);
+  out.lang = ($('html').attr('lang') || '').trim() || null;
+  out.ogLocale = ($('meta[property="og:locale"]').attr('content') || '').trim() || null;
+  out.hreflang = $('link[rel="alternate"][hreflang]').toArray().map(el => ($(el).attr('hreflang') || '').trim()).filter(Boolean).sort();
+  $('script,style,noscript,template').remove();
+  const text = ($('body').text() || '').replace(/\s+/g, ' ').trim();
+  out.words = text ? text.split(' ').length : 0;
+  out.currencies = CURRENCY_PATTERNS.filter(([, re]) => re.test(text)).map(([code]) => code);
+  out.prices = Array.from(new Set((text.match(PRICE_RE) || []).map(p => p.trim()))).slice(0, 5);
+  const tel = $('a[href^="tel:"]').toArray().map(a => ($(a).attr('href') || '').slice(4));
+  out.phones = Array.from(new Set(tel.concat(text.match(PHONE_RE) || []).map(p => p.replace(/[^\d+]/g, '')).filter(p => p.length >= 8))).slice(0, 5);
+  if (!out.blocked && GEO_BLOCK_RE.test(text.slice(0, 5000)) && out.words < 400) out.blocked = 'Block / interstitial page';
+  return out;
+}
+
+function primaryLang(value) {
+  const m = String(value || '').match(/^([a-z]{2,3})/i);
+  return m ? m[1].toLowerCase() : null;
+}
+
+// -------------------- Comparison --------------------
+// fields whose value differs between the regions that got a response
+function differingFields(cells) {
+  const ok = Object.values(cells).filter(c => c.status > 0);
+  if (ok.length < 2) return [];
+  const fields = {
+    status: c => c.status,
+    finalUrl: c => urlKey(c.finalUrl),
+    lang: c => primaryLang(c.lang),
+    currencies: c => c.currencies.join(','),
+    // the same currency can still carry different amounts; spacing inside a price is not a difference
+    prices: c => c.prices.map(p => p.replace(/\s+/g, '')).sort().join(','),
+    phones: c => c.phones.join(','),
+    hreflang: c => c.hreflang.join(','),
+    blocked: c => Boolean(c.blocked)
+  };
+  const diffs = Object.entries(fields).filter(([, pick]) => new Set(ok.map(pick)).size > 1).map(([k]) => k);
+  // content length counts as different when the shortest version has less than 70% of the longest one
+  const words = ok.map(c => c.words);
+  if (Math.max(...words) > 0 && Math.min(...words) / Math.max(...words) < 0.7) diffs.push('words');
+  return diffs;
+}
+
+// hreflang targets meant for each country (en-GB -> GB), read from the crawled pages
+function marketTargets(pages, countries) {
+  const targets = [];
+  const seen = new Set();
+  pages.forEach(p => {
+    const $ = load(p.html || '');
+    $('link[rel="alternate"][hreflang]').each((i, el) => {
+      const code = ($(el).attr('hreflang') || '').trim();
+      const region = (code.split(/[-_]/)[1] || '').toUpperCase();
+      if (!countries.includes(region)) return;
+      let href;
+      try { href = new URL($(el).attr('href') || '', p.url).toString(); } catch (e) { return; }
+      const key = `${region} ${urlKey(href)}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      targets.push({ country: region, hreflang: code, url: href, lang: primaryLang(code) });
+    });
+  });
+  return targets;
+}
+
+async function compareRegions(pages, countries, { fetchFromCountry, maxPages = MAX_REGION_PAGES } = {}) {
+  const list = Array.from(new Set(countries.map(c => String(c).trim().toUpperCase()).filter(Boolean)));
+  const urls = pages.slice(0, maxPages).map(p => p.url);
+  const targets = marketTargets(pages, list);
+  const out = { countries: list, pagesChecked: urls.length, matrix: [], markets: [], summary: {}, issues: [], errors: {} };
+
+  const cells = {};
+  for (const country of list) {
+    const wanted = Array.from(new Set(urls.concat(targets.filter(t => t.country === country).map(t => t.url))));
+    let results = [];
+    try {
+      results = await fetchFromCountry(wanted, country);
+    } catch (e) {
+      out.errors[country] = String(e);
+      results = wanted.map(url => ({ url, finalUrl: url, html: null, status: 0, error: String(e) }));
+    }
+    cells[country] = new Map(results.map(r => [r.url, summarizeResponse(r)]));
+  }
+
+  out.matrix = urls.map(url => {
+    const row = {};
+    list.forEach(country => { row[country] = cells[country].get(url) || summarizeResponse({ url, status: 0, error: 'Not fetched' }); });
+    return { url, regions: row, differences: differingFields(row) };
+  });
+
+  // localized versions must answer in their own market, without redirecting away, in the declared language
+  out.markets = targets.map(t => {
+    const cell = cells[t.country].get(t.url) || summarizeResponse({ url: t.url, status: 0, error: 'Not fetched' });
+    const servedLang = primaryLang(cell.lang);
+    let problem = null;
+    if (cell.status === 0) problem = cell.error || 'No response';
+    else if (cell.blocked) problem = `Blocked (${cell.blocked})`;
+    else if (cell.status >= 400) problem = `HTTP ${cell.status}`;
+    else if (cell.redirected) problem = `Redirects to ${cell.finalUrl}`;
+    else if (servedLang && t.lang && servedLang !== t.lang) problem = `Serves "${cell.lang}" instead of "${t.hreflang}"`;
+    return { country: t.country, hreflang: t.hreflang, url: t.url, status: cell.status, finalUrl: cell.finalUrl, servedLang: cell.lang, currencies: cell.currencies, ok: !problem, problem };
+  });
+
+  list.forEach(country => {
+    const row = out.matrix.map(m => m.regions[country]);
+    out.summary[country] = {
+      pages: row.length,
+      ok: row.filter(c => c.status >= 200 && c.status < 400 && !c.blocked).length,
+      redirected: row.filter(c => c.redirected).length,
+      blocked: row.filter(c => c.blocked).length,
+      failed: row.filter(c => c.status === 0).length,
+      langs: Array.from(new Set(row.map(c => c.lang).filter(Boolean))),
+      currencies: Array.from(new Set(row.flatMap(c => c.currencies))),
+      avgWords: row.length ? Math.round(row.reduce((s, c) => s + c.words, 0) / row.length) : 0
+    };
+  });
+
+  Object.entries(out.errors).forEach(([country, err]) => out.issues.push(`${country}: regional fetch failed (${err})`));
+  list.forEach(country => {
+    const s = out.summary[country];
+    if (s.blocked) out.issues.push(`${country}: ${s.blocked} page(s) blocked or geo-fenced`);
+    if (s.redirected) out.issues.push(`${country}: ${s.redirected} page(s) redirect`);
+  });
+  const varying = out.matrix.filter(m => m.differences.length).length;
+  if (varying) out.issues.push(`${varying} page(s) differ between regions`);
+  const missed = out.markets.filter(m => !m.ok);
+  if (missed.length) out.issues.push(`${missed.length} localized version(s) do not reach their market`);
+  return out;
+}
+
+export { summarizeResponse, compareRegions };
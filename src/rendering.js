@@ -0,0 +1,239 @@
+// rendering.js
+// JavaScript rendering dependency: each page's raw server HTML (what non-rendering AI crawlers such as GPTBot or
+// ClaudeBot read) is diffed against its rendered DOM. Titles, meta descriptions, canonicals, robots directives, JSON-LD
+// blocks, headings, internal links and main text that only exist after JS execution are listed per page, and a page is
+// flagged as invisible to non-rendering crawlers when critical content is client-side only.
+
+import { URL } from 'url';
+import { load } from 'cheerio';
+import { urlKey } from './sitemaps.js';
+import { contentBlocks } from './passages.js';
+import { mapLimit, absolutize } from './util.js';
+import { browserMode, openBrowser, newPageFor } from './browser.js';
+
+const MAX_LISTED = 20;            // js-only headings / links / blocks kept per page
+const MIN_TEXT_WORDS = 50;        // rendered main text shorter than this is not judged
+const MIN_RAW_TEXT_SHARE = 0.5;   // below this share of the rendered text in the raw HTML, content is client-side
+const NAVIGATION_TIMEOUT = 30000;
+const RAW_SOURCES = ['directory', 'har', 'warc', 'urls'];
+
+const clean = t => String(t || '').replace(/\s+/g, ' ').trim();
+const words = text => clean(text).toLowerCase().match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || [];
+
+// key order is not meaningful in JSON-LD; compare blocks by their canonical serialization
+function stableJson(value) {
+  if (Array.isArray(value)) return `[${value.map(stableJson).join(',')}]`;
+  if (value && typeof value === 'object') return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableJson(value[k])}`).join(',')}}`;
+  return JSON.stringify(value);
+}
+
+function jsonLdTypes(node, out = new Set()) {
+  if (Array.isArray(node)) node.forEach(n => jsonLdTypes(n, out));
+  else if (node && typeof node === 'object') {
+    [].concat(node['@type'] || []).forEach(t => out.add(String(t)));
+    Object.values(node).forEach(v => { if (v && typeof v === 'object') jsonLdTypes(v, out); });
+  }
+  return out;
+}
+
+// what a crawler reads from one HTML document
+function extractSignals(html, url) {
+  const $ = load(html || '');
+  const host = (() => { try { return new URL(url).host; } catch (e) { return null; } })();
+  const canonicalEl = $('link[rel]').filter((i, el) => /(^|\s)canonical(\s|$)/i.test($(el).attr('rel') || '')).first();
+  const robots = $('meta[name="robots" i]').map((i, el) => $(el).attr('content') || '').get().join(', ');
+
+  const jsonLd = [];
+  $('script[type="application/ld+json"]').each((i, el) => {
+    const text = $(el).contents().text();
+    try {
+      const data = JSON.parse(text);
+      jsonLd.push({ key: stableJson(data), types: Array.from(jsonLdTypes(data)) });
+    } catch (e) {
+      if (clean(text)) jsonLd.push({ key: clean(text), types: [], invalid: true });
+    }
+  });
+
+  const headings = [];
+  $('h1, h2, h3, h4, h5, h6').each((i, el) => {
+    const text = clean($(el).text());
+    if (text) headings.push({ level: Number(el.tagName[1]), text });
+  });
+
+  const links = new Set();
+  $('a[href]').each((i, el) => {
+    const abs = absolutize($(el).attr('href'), url);
+    if (abs && new URL(abs).host === host) links.add(urlKey(abs));
+  });
+
+  const text = contentBlocks(html).map(b => b.text).join(' ');
+  return {
+    title: clean($('head title').first().text() || $('title').first().text()) || null,
+    description: clean($('meta[name="description" i]').attr('content')) || null,
+    canonical: canonicalEl.length ? absolutize(canonicalEl.attr('href') || '', url) : null,
+    noindex: /\bnoindex\b|\bnone\b/i.test(robots),
+    jsonLd,
+    headings,
+    links,
+    words: words(text)
+  };
+}
+
+// same | changed | js_only (rendered DOM only) | removed (raw HTML only) | missing (in neither)
+function compareField(raw, rendered) {
+  if (!raw && !rendered) return 'missing';
+  if (!raw) return 'js_only';
+  if (!rendered) return 'removed';
+  return raw === rendered ? 'same' : 'changed';
+}
+
+// share of the rendered main text already present in the raw HTML, as a word multiset overlap
+function textOverlap(rawWords, renderedWords) {
+  const counts = new Map();
+  rawWords.forEach(w => counts.set(w, (counts.get(w) || 0) + 1));
+  let matched = 0;
+  renderedWords.forEach(w => {
+    const n = counts.get(w) || 0;
+    if (n) { matched++; counts.set(w, n - 1); }
+  });
+  return matched;
+}
+
+// raw vs rendered signals of one page -> { fields, jsonLd, headings, links, text, critical, invisible }
+function diffRendering(raw, rendered) {
+  const fields = {
+    title: { status: compareField(raw.title, rendered.title), raw: raw.title, rendered: rendered.title },
+    description: { status: compareField(raw.description, rendered.description), raw: raw.description, rendered: rendered.description },
+    canonical: { status: compareField(raw.canonical, rendered.canonical), raw: raw.canonical, rendered: rendered.canonical },
+    robots: { status: raw.noindex === rendered.noindex ? 'same' : 'changed', rawNoindex: raw.noindex, renderedNoindex: rendered.noindex }
+  };
+
+  const rawBlocks = new Set(raw.jsonLd.map(b => b.key));
+  const jsOnlyBlocks = rendered.jsonLd.filter(b => !rawBlocks.has(b.key));
+  const rawTypes = new Set(raw.jsonLd.flatMap(b => b.types));
+  const jsOnlyTypes = Array.from(new Set(jsOnlyBlocks.flatMap(b => b.types))).filter(t => !rawTypes.has(t));
+
+  const headingKey = h => `${h.level}|${h.text.toLowerCase()}`;
+  const rawHeadings = new Set(raw.headings.map(headingKey));
+  const jsOnlyHeadings = rendered.headings.filter(h => !rawHeadings.has(headingKey(h)));
+  const jsOnlyH1 = rendered.headings.some(h => h.level === 1) && !raw.headings.some(h => h.level === 1);
+
+  const jsOnlyLinks = Array.from(rendered.links).filter(l => !raw.links.has(l));
+
+  const matched = textOverlap(raw.words, rendered.words);
+  const renderedWords = rendered.words.length;
+  const rawShare = renderedWords ? Math.round((matched / renderedWords) * 100) / 100 : 1;
+  const text = { rawWords: raw.words.length, renderedWords, jsOnlyWords: renderedWords - matched, rawShare };
+
+  // what a non-rendering crawler misses that decides whether the page can be understood, indexed or cited at all
+  const critical = [];
+  if (fields.title.status === 'js_only') critical.push('title');
+  if (fields.description.status === 'js_only') critical.push('description');
+  if (fields.canonical.status === 'js_only') critical.push('canonical');
+  if (jsOnlyTypes.length) critical.push('structured_data');
+  if (jsOnlyH1) critical.push('h1');
+  if (renderedWords >= MIN_TEXT_WORDS && rawShare < MIN_RAW_TEXT_SHARE) critical.push('main_content');
+
+  return {
+    fields,
+    jsonLd: { raw: raw.jsonLd.length, rendered: rendered.jsonLd.length, jsOnly: jsOnlyBlocks.length, jsOnlyTypes },
+    headings: { raw: raw.headings.length, rendered: rendered.headings.length, jsOnlyH1, jsOnly: jsOnlyHeadings.slice(0, MAX_LISTED), jsOnlyCount: jsOnlyHeadings.length },
+    links: { raw: raw.links.size, rendered: rendered.links.size, jsOnly: jsOnlyLinks.slice(0, MAX_LISTED), jsOnlyCount: jsOnlyLinks.length },
+    text,
+    critical,
+    invisible: critical.length > 0
+  };
+}
+
+// -------------------- Fetching both versions --------------------
+// the crawled page is rendered; its raw HTML is one plain HTTP request
+async function fetchRaw(url, fetchResource) {
+  const res = await fetchResource(url);
+  if (res.error || !res.status) throw new Error(res.error || 'no response');
+  if (res.status !== 200) throw new Error(`HTTP ${res.status}`);
+  return res.body.toString('utf8');
+}
+
+async function renderPage(browser, url, { siteUrl, sourceType, fetchResource }) {
+  const page = await newPageFor(browser, { siteUrl, sourceType, fetchResource });
+  try {
+    await page.goto(url, { waitUntil: 'networkidle0', timeout: NAVIGATION_TIMEOUT });
+    return await page.content();
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+// pages: [{ url, html }] of the source, in priority order; options: { siteUrl, sourceType, fetchResource, mode:
+// auto|browser, maxPages, concurrency, browser, apiKey, proxyCountry, chromePath, logger }
+async function analyzeRendering(pages, options = {}) {
+  const mode = options.mode || 'auto';
+  const rawSource = RAW_SOURCES.includes(options.sourceType);
+  const targets = pages.slice(0, options.maxPages || 50);
+  const result = { compared: false, renderedBy: null, reason: null, summary: null, errors: [], pages: {} };
+  if (rawSource && mode !== 'browser') return { ...result, reason: 'The source holds raw HTML only; run with --render-check browser to render it' };
+
+  const pairs = [];
+  const errors = [];
+  if (!rawSource) {
+    // Scrapeless crawl: the crawled HTML is the rendered DOM
+    result.renderedBy = 'crawl';
+    await mapLimit(targets, options.concurrency || 4, async p => {
+      try {
+        pairs.push({ url: p.url, raw: await fetchRaw(p.url, options.fetchResource), rendered: p.html });
+      } catch (e) {
+        errors.push({ url: p.url, error: `raw HTML: ${e.message}` });
+      }
+    });
+  } else {
+    const browserKind = browserMode(options.sourceType, options.browser, options.apiKey, options.logger);
+    result.renderedBy = `${browserKind} browser`;
+    const browser = await openBrowser({ mode: browserKind, apiKey: options.apiKey, proxyCountry: options.proxyCountry, chromePath: options.chromePath, sessionName: 'RenderCheck' });
+    try {
+      for (const p of targets) {
+        try {
+          pairs.push({ url: p.url, raw: p.html, rendered: await renderPage(browser, p.url, options) });
+        } catch (e) {
+          errors.push({ url: p.url, error: `render: ${e.message}` });
+        }
+      }
+    } finally {
+      await browser.close().catch(() => {});
+    }
+  }
+
+  const byPage = {};
+  pairs.forEach(({ url, raw, rendered }) => {
+    byPage[url] = diffRendering(extractSignals(raw, url), extractSignals(rendered, url));
+  });
+  const list = Object.values(byPage);
+  const count = pred => list.filter(pred).length;
+  const shares = list.filter(d => d.text.renderedWords >= MIN_TEXT_WORDS).map(d => d.text.rawShare);
+  const summary = {
+    pagesCompared: list.length,
+    pagesFailed: errors.length,
+    pagesInvisible: count(d => d.invisible),
+    jsOnly: {
+      title: count(d => d.fields.title.status === 'js_only'),
+      description: count(d => d.fields.description.status === 'js_only'),
+      canonical: count(d => d.fields.canonical.status === 'js_only'),
+      structuredData: count(d => d.jsonLd.jsOnlyTypes.length),
+      h1: count(d => d.headings.jsOnlyH1),
+      headings: count(d => d.headings.jsOnlyCount),
+      links: count(d => d.links.jsOnlyCount),
+      mainContent: count(d => d.critical.includes('main_content'))
+    },
+    changedByJs: {
+      title: count(d => d.fields.title.status === 'changed'),
+      description: count(d => d.fields.description.status === 'changed'),
+      canonical: count(d => d.fields.canonical.status === 'changed'),
+      robots: count(d => d.fields.robots.status === 'changed')
+    },
+    avgRawTextShare: shares.length ? Math.round((shares.reduce((s, v) => s + v, 0) / shares.length) * 100) / 100 : null,
+    jsOnlyWords: list.reduce((s, d) => s + d.text.jsOnlyWords, 0)
+  };
+  if (errors.length) (options.logger || console).warn(`Render check: ${errors.length} page(s) could not be compared (first: ${errors[0].url} — ${errors[0].error})`);
+  return { ...result, compared: true, summary, errors, pages: byPage };
+}
+
+export { extractSignals, diffRendering, analyzeRendering };
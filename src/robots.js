@@ -0,0 +1,189 @@
+// robots.js
+// robots.txt fetching, parsing (RFC 9309 + the Google extensions everyone relies on) and per-URL evaluation
+// for Googlebot and the AI crawlers that decide whether a site can show up in generative answers.
+
+import { URL } from 'url';
+
+// crawlers we always evaluate; engine is what the token controls, ai marks generative/training crawlers
+const ROBOTS_AGENTS = [
+  { token: 'Googlebot', engine: 'Google Search', ai: false },
+  { token: 'GPTBot', engine: 'OpenAI (ChatGPT / model training)', ai: true },
+  { token: 'ClaudeBot', engine: 'Anthropic (Claude)', ai: true },
+  { token: 'PerplexityBot', engine: 'Perplexity', ai: true },
+  { token: 'Google-Extended', engine: 'Google Gemini / AI training', ai: true },
+  { token: 'CCBot', engine: 'Common Crawl (LLM training corpora)', ai: true }
+];
+
+const MAX_ROBOTS_BYTES = 500 * 1024; // parsers must handle at least 500 KiB (RFC 9309 §2.5)
+
+// -------------------- Parsing --------------------
+// text: a string or the raw Buffer; the size limit counts UTF-8 bytes, not characters
+function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  const invalidLines = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  const bytes = Buffer.isBuffer(text) ? text : Buffer.from(String(text || ''), 'utf8');
+  const lines = bytes.subarray(0, MAX_ROBOTS_BYTES).toString('utf8').replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+  lines.forEach((rawLine, idx) => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) return;
+    const sep = line.indexOf(':');
+    if (sep === -1) { invalidLines.push({ line: idx + 1, text: rawLine.trim() }); return; }
+    const key = line.slice(0, sep).trim().toLowerCase();
+    const value = line.slice(sep + 1).trim();
+
+    if (key === 'user-agent') {
+      // consecutive user-agent lines share one group
+      if (!current || !lastWasAgent) { current = { userAgents: [], rules: [], crawlDelay: null }; groups.push(current); }
+      current.userAgents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+    lastWasAgent = false;
+    if (key === 'sitemap') { if (value) sitemaps.push(value); return; }
+    if (key === 'allow' || key === 'disallow') {
+      if (!current) { invalidLines.push({ line: idx + 1, text: rawLine.trim(), reason: 'Rule outside of a user-agent group' }); return; }
+      // an empty Disallow means "allow everything" and adds no rule
+      if (value) current.rules.push({ type: key, path: value, line: idx + 1 });
+      return;
+    }
+    if (key === 'crawl-delay') {
+      const n = parseFloat(value);
+      if (current && !Number.isNaN(n)) current.crawlDelay = n;
+      else invalidLines.push({ line: idx + 1, text: rawLine.trim(), reason: 'Invalid crawl-delay' });
+      return;
+    }
+    if (!['host', 'clean-param', 'request-rate', 'visit-time', 'noindex', 'content-signal'].includes(key)) {
+      invalidLines.push({ line: idx + 1, text: rawLine.trim(), reason: `Unknown directive "${key}"` });
+    }
+  });
+
+  return { groups, sitemaps, invalidLines };
+}
+
+// -------------------- Matching --------------------
+function escapeRegex(s) { return s.replace(/[.+?^${}()|[\]\\]/g, '\\$&'); }
+
+function normalizePath(p) {
+  try { return encodeURI(decodeURI(p)); } catch (e) { return p; }
+}
+
+function ruleMatches(rulePath, urlPath) {
+  const anchored = rulePath.endsWith('$');
+  const body = normalizePath(anchored ? rulePath.slice(0, -1) : rulePath);
+  const re = new RegExp('^' + body.split('*').map(escapeRegex).join('.*') + (anchored ? '$' : ''));
+  return re.test(urlPath);
+}
+
+// the group(s) that apply to a crawler: longest matching product token wins, "*" is the fallback
+function selectGroups(parsed, agentToken) {
+  const token = agentToken.toLowerCase();
+  let best = null;
+  for (const g of parsed.groups) {
+    for (const ua of g.userAgents) {
+      if (ua === '*' || !token.startsWith(ua)) continue;
+      if (!best || ua.length > best.length) best = ua;
+    }
+  }
+  const wanted = best || '*';
+  const groups = parsed.groups.filter(g => g.userAgents.includes(wanted));
+  return { matchedAgent: groups.length ? wanted : null, groups };
+}
+
+function evaluateUrl(parsed, agentToken, url) {
+  let u;
+  try { u = new URL(url); } catch (e) { return { allowed: true, rule: null }; }
+  const urlPath = normalizePath((u.pathname || '/') + (u.search || ''));
+  if (u.pathname === '/robots.txt') return { allowed: true, rule: null };
+
+  const { groups } = selectGroups(parsed, agentToken);
+  let winner = null;
+  for (const g of groups) {
+    for (const r of g.rules) {
+      if (!ruleMatches(r.path, urlPath)) continue;
+      // most specific (longest) rule wins; on a tie allow wins
+      const len = r.path.length;
+      if (!winner || len > winner.path.length || (len === winner.path.length && r.type === 'allow')) winner = r;
+    }
+  }
+  return { allowed: !winner || winner.type === 'allow', rule: winner ? `${winner.type === 'allow' ? 'Allow' : 'Disallow'}: ${winner.path}` : null };
+}
+
+// -------------------- Fetch + evaluate --------------------
+async function fetchRobotsTxt(siteUrl, fetchResource) {
+  const robotsUrl = new URL('/robots.txt', siteUrl).toString();
+  const res = await fetchResource(robotsUrl);
+  const text = res.body ? res.body.subarray(0, MAX_ROBOTS_BYTES).toString('utf8') : '';
+  // RFC 9309 §2.3.1: 4xx means no restrictions, 5xx/unreachable means "assume everything is disallowed"
+  let availability = 'ok';
+  if (res.status >= 400 && res.status < 500) availability = 'missing';
+  else if (res.status >= 500) availability = 'server-error';
+  else if (res.status === 0) availability = 'unreachable';
+  return { url: robotsUrl, finalUrl: res.finalUrl, status: res.status, availability, raw: availability === 'ok' ? text : null, error: res.error || null, looksLikeHtml: /^\s*</.test(text) };
+}
+
+function evaluateRobots(fetched, pageUrls, agents = ROBOTS_AGENTS) {
+  const parsed = parseRobotsTxt(fetched.raw || '');
+  const report = {
+    url: fetched.url,
+    status: fetched.status,
+    availability: fetched.availability,
+    error: fetched.error,
+    issues: [],
+    sitemaps: parsed.sitemaps,
+    groups: parsed.groups.map(g => ({
+      userAgents: g.userAgents,
+      allow: g.rules.filter(r => r.type === 'allow').map(r => r.path),
+      disallow: g.rules.filter(r => r.type === 'disallow').map(r => r.path),
+      crawlDelay: g.crawlDelay
+    })),
+    invalidLines: parsed.invalidLines.slice(0, 50),
+    agents: {},
+    pages: {},
+    aiBlocked: []
+  };
+
+  if (fetched.availability === 'missing') report.issues.push('robots.txt not found (all crawlers allowed, no sitemap hints)');
+  if (fetched.availability === 'server-error') report.issues.push(`robots.txt returned HTTP ${fetched.status}: crawlers treat the whole site as disallowed`);
+  if (fetched.availability === 'unreachable') report.issues.push(`robots.txt could not be fetched${fetched.error ? ` (${fetched.error})` : ''}`);
+  if (fetched.availability === 'ok' && fetched.looksLikeHtml) report.issues.push('robots.txt serves HTML instead of plain text');
+  if (parsed.invalidLines.length) report.issues.push(`${parsed.invalidLines.length} unrecognised robots.txt line(s)`);
+
+  // unreachable robots.txt gives us nothing to evaluate
+  const evaluable = fetched.availability !== 'unreachable';
+  const siteRoot = pageUrls.length ? new URL('/', pageUrls[0]).toString() : null;
+
+  for (const agent of agents) {
+    const { matchedAgent, groups } = selectGroups(parsed, agent.token);
+    const crawlDelay = groups.map(g => g.crawlDelay).find(d => d !== null) ?? null;
+    const blockedPages = [];
+    for (const pageUrl of pageUrls) {
+      const verdict = !evaluable ? { allowed: null, rule: null }
+        : fetched.availability === 'server-error' ? { allowed: false, rule: 'robots.txt 5xx' }
+          : evaluateUrl(parsed, agent.token, pageUrl);
+      if (!report.pages[pageUrl]) report.pages[pageUrl] = {};
+      report.pages[pageUrl][agent.token] = verdict.allowed;
+      if (verdict.allowed === false) blockedPages.push({ url: pageUrl, rule: verdict.rule });
+    }
+    const rootBlocked = evaluable && siteRoot ? (fetched.availability === 'server-error' || !evaluateUrl(parsed, agent.token, siteRoot).allowed) : false;
+    report.agents[agent.token] = {
+      engine: agent.engine,
+      ai: agent.ai,
+      matchedGroup: matchedAgent,
+      crawlDelay,
+      pagesBlocked: blockedPages.length,
+      pagesAllowed: evaluable ? pageUrls.length - blockedPages.length : null,
+      siteBlocked: rootBlocked,
+      blockedPaths: blockedPages.slice(0, 100)
+    };
+    if (agent.ai && (blockedPages.length || rootBlocked)) {
+      report.aiBlocked.push({ agent: agent.token, engine: agent.engine, siteBlocked: rootBlocked, pages: blockedPages.length, paths: blockedPages.slice(0, 20).map(b => ({ path: new URL(b.url).pathname, rule: b.rule })) });
+    }
+  }
+  return report;
+}
+
+export { ROBOTS_AGENTS, parseRobotsTxt, selectGroups, evaluateUrl, fetchRobotsTxt, evaluateRobots };
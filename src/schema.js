@@ -0,0 +1,346 @@
+// schema.js
+// Schema.org structured data extraction (JSON-LD incl. @graph, Microdata, RDFa Lite) and validation against the
+// required/recommended properties of the rich-result types that matter for GEO. Every problem carries a path
+// (jsonld[0].@graph[1].address, microdata[0].offers, ...) so it can be found in the page source.
+
+import { URL } from 'url';
+
+// the most specific rule wins: a Restaurant is validated as LocalBusiness, a BlogPosting as Article
+const RULES = {
+  LocalBusiness: { required: ['name', 'address'], recommended: ['telephone', 'url', 'geo', 'openingHoursSpecification|openingHours', 'image', 'priceRange'] },
+  Organization: { required: ['name'], recommended: ['url', 'logo', 'sameAs', 'contactPoint|telephone', 'address'] },
+  Product: { required: ['name', 'offers|review|aggregateRating'], recommended: ['image', 'description', 'brand', 'sku|gtin|gtin8|gtin12|gtin13|gtin14|mpn'] },
+  Offer: { required: ['price|priceSpecification', 'priceCurrency|priceSpecification'], recommended: ['availability', 'url'] },
+  AggregateOffer: { required: ['lowPrice', 'priceCurrency'], recommended: ['highPrice', 'offerCount'] },
+  AggregateRating: { required: ['ratingValue', 'ratingCount|reviewCount'], recommended: ['bestRating'] },
+  Review: { required: ['author', 'reviewRating'], recommended: ['datePublished'] },
+  FAQPage: { required: ['mainEntity'], recommended: [], children: { mainEntity: 'Question' } },
+  Question: { required: ['name', 'acceptedAnswer'], recommended: [] },
+  Answer: { required: ['text'], recommended: [] },
+  Article: { required: [], recommended: ['headline', 'image', 'datePublished', 'dateModified', 'author', 'publisher'] },
+  BreadcrumbList: { required: ['itemListElement'], recommended: [], children: { itemListElement: 'ListItem' } },
+  ListItem: { required: ['position', 'name|item'], recommended: [] },
+  Event: { required: ['name', 'startDate', 'location'], recommended: ['endDate', 'eventStatus', 'eventAttendanceMode', 'image', 'description', 'offers', 'organizer', 'performer'] },
+  Place: { required: [], recommended: ['address', 'geo'] },
+  PostalAddress: { required: [], recommended: ['streetAddress', 'addressLocality', 'postalCode', 'addressCountry'] },
+  GeoCoordinates: { required: ['latitude', 'longitude'], recommended: [] }
+};
+
+// rich-result types reported on their own (nested helper types like Offer or PostalAddress are only validated)
+const GEO_TYPES = ['LocalBusiness', 'Organization', 'Product', 'FAQPage', 'Article', 'BreadcrumbList', 'Event'];
+
+const SUBTYPES = {
+  LocalBusiness: 'AccountingService AnimalShelter Attorney AutoDealer AutoRepair AutomotiveBusiness Bakery BarOrPub BeautySalon BookStore Brewery CafeOrCoffeeShop ChildCare ClothingStore DaySpa Dentist DryCleaningOrLaundry Electrician ElectronicsStore EmergencyService EmploymentAgency EntertainmentBusiness FastFoodRestaurant FinancialService FoodEstablishment FurnitureStore GeneralContractor GovernmentOffice GroceryStore HairSalon HardwareStore HealthAndBeautyBusiness HomeAndConstructionBusiness Hotel HousePainter HVACBusiness IceCreamShop LegalService Locksmith LodgingBusiness MedicalBusiness MedicalClinic MovingCompany NailSalon Optician Pharmacy Physician Plumber ProfessionalService RealEstateAgent Restaurant RoofingContractor SelfStorage ShoppingCenter SportsActivityLocation Store TattooParlor TravelAgency Winery',
+  Organization: 'Airline Consortium Corporation EducationalOrganization FundingScheme GovernmentOrganization LibrarySystem MedicalOrganization NGO NewsMediaOrganization OnlineBusiness OnlineStore PerformingGroup Project ResearchOrganization SportsOrganization WorkersUnion',
+  Article: 'AdvertiserContentArticle AnalysisNewsArticle BlogPosting DiscussionForumPosting LiveBlogPosting NewsArticle OpinionNewsArticle Report ReviewNewsArticle SatiricalArticle ScholarlyArticle SocialMediaPosting TechArticle',
+  Event: 'BusinessEvent ChildrensEvent ComedyEvent CourseInstance DanceEvent DeliveryEvent EducationEvent ExhibitionEvent Festival FoodEvent Hackathon LiteraryEvent MusicEvent PublicationEvent SaleEvent ScreeningEvent SocialEvent SportsEvent TheaterEvent VisualArtsEvent',
+  Product: 'Car IndividualProduct ProductGroup ProductModel SomeProducts Vehicle',
+  Place: 'City Country Landform LandmarksOrHistoricalBuildings Residence TouristAttraction CivicStructure AdministrativeArea',
+  FAQPage: '',
+  Review: 'CriticReview EmployerReview UserReview'
+};
+const PARENT = {};
+Object.entries(SUBTYPES).forEach(([base, list]) => list.split(' ').filter(Boolean).forEach(t => { PARENT[t] = base; }));
+
+const DATE_PROPS = ['startDate', 'endDate', 'datePublished', 'dateModified', 'dateCreated', 'validFrom', 'validThrough', 'priceValidUntil', 'uploadDate'];
+const URL_PROPS = ['url', 'logo', 'image', 'sameAs', 'item', 'menu', 'hasMap'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// -------------------- Helpers --------------------
+// schema:Thing, https://schema.org/Thing and http://schema.org/Thing all mean Thing
+function shortName(v) {
+  return String(v || '').trim().replace(/^https?:\/\/schema\.org\//i, '').replace(/^schema:/i, '');
+}
+
+function typesOf(node) {
+  const t = node && (node['@type'] || node.type);
+  return (Array.isArray(t) ? t : (t ? [t] : [])).map(shortName).filter(Boolean);
+}
+
+// the rule that applies to a type: itself or its nearest ruled ancestor
+function ruleTypeFor(type) {
+  let t = type;
+  for (let i = 0; i < 3 && t; i++) {
+    if (RULES[t]) return t;
+    t = PARENT[t];
+  }
+  return null;
+}
+
+function hasValue(v) {
+  if (v === undefined || v === null) return false;
+  if (typeof v === 'string') return v.trim().length > 0;
+  if (Array.isArray(v)) return v.some(hasValue);
+  return true;
+}
+
+function getProp(node, name) {
+  if (Object.prototype.hasOwnProperty.call(node, name)) return node[name];
+  const key = Object.keys(node).find(k => shortName(k) === name);
+  return key ? node[key] : undefined;
+}
+
+function childPath(path, key) {
+  return typeof key === 'number' ? `${path}[${key}]` : `${path}.${key}`;
+}
+
+function addValue(node, name, value) {
+  if (node[name] === undefined) node[name] = value;
+  else if (Array.isArray(node[name])) node[name].push(value);
+  else node[name] = [node[name], value];
+}
+
+function absolute(href, base) {
+  try { return new URL(href, base).toString(); } catch (e) { return href; }
+}
+
+// -------------------- Extraction --------------------
+function parseJsonLd($) {
+  const blocks = [];
+  const errors = [];
+  $('script[type="application/ld+json"]').each((i, el) => {
+    const raw = $(el).contents().text();
+    if (!raw || !raw.trim()) { errors.push({ path: `jsonld[${i}]`, type: null, property: null, severity: 'error', message: 'Empty JSON-LD block' }); return; }
+    try {
+      blocks.push({ path: `jsonld[${i}]`, data: JSON.parse(raw) });
+    } catch (e) {
+      // some CMSs emit trailing commas or HTML comments; report the block instead of counting it
+      errors.push({ path: `jsonld[${i}]`, type: null, property: null, severity: 'error', message: `Invalid JSON: ${e.message}` });
+    }
+  });
+  return { blocks, errors };
+}
+
+const MICRODATA_SRC = ['audio', 'embed', 'iframe', 'img', 'source', 'track', 'video'];
+const MICRODATA_HREF = ['a', 'area', 'link'];
+
+function microdataValue($, el, base) {
+  const tag = (el.tagName || el.name || '').toLowerCase();
+  const $el = $(el);
+  if (tag === 'meta') return $el.attr('content') || '';
+  if (MICRODATA_SRC.includes(tag)) return absolute($el.attr('src') || '', base);
+  if (MICRODATA_HREF.includes(tag)) return absolute($el.attr('href') || '', base);
+  if (tag === 'object') return absolute($el.attr('data') || '', base);
+  if (tag === 'data' || tag === 'meter') return $el.attr('value') || '';
+  if (tag === 'time') return $el.attr('datetime') || $el.text().trim();
+  return $el.text().replace(/\s+/g, ' ').trim();
+}
+
+function readMicrodataItem($, el, base) {
+  const node = {};
+  const types = ($(el).attr('itemtype') || '').split(/\s+/).filter(Boolean).map(shortName);
+  if (types.length) node['@type'] = types.length === 1 ? types[0] : types;
+  if ($(el).attr('itemid')) node['@id'] = $(el).attr('itemid');
+  $(el).find('[itemprop]').each((i, p) => {
+    // a property belongs to the nearest enclosing itemscope
+    if ($(p).parent().closest('[itemscope]')[0] !== el) return;
+    const value = $(p).is('[itemscope]') ? readMicrodataItem($, p, base) : microdataValue($, p, base);
+    ($(p).attr('itemprop') || '').split(/\s+/).filter(Boolean).forEach(name => addValue(node, shortName(name), value));
+  });
+  return node;
+}
+
+function parseMicrodata($, base) {
+  return $('[itemscope]').toArray()
+    .filter(el => $(el).attr('itemprop') === undefined)
+    .map((el, i) => ({ path: `microdata[${i}]`, data: readMicrodataItem($, el, base) }));
+}
+
+function rdfaValue($, el, base) {
+  const $el = $(el);
+  if ($el.attr('content') !== undefined) return $el.attr('content');
+  const ref = $el.attr('resource') || $el.attr('href') || $el.attr('src');
+  if (ref) return absolute(ref, base);
+  if ((el.tagName || el.name) === 'time' && $el.attr('datetime')) return $el.attr('datetime');
+  return $el.text().replace(/\s+/g, ' ').trim();
+}
+
+function readRdfaItem($, el, base) {
+  const node = {};
+  const types = ($(el).attr('typeof') || '').split(/\s+/).filter(Boolean).map(shortName);
+  if (types.length) node['@type'] = types.length === 1 ? types[0] : types;
+  if ($(el).attr('resource')) node['@id'] = $(el).attr('resource');
+  $(el).find('[property]').each((i, p) => {
+    if ($(p).parent().closest('[typeof]')[0] !== el) return;
+    const value = $(p).is('[typeof]') ? readRdfaItem($, p, base) : rdfaValue($, p, base);
+    ($(p).attr('property') || '').split(/\s+/).filter(Boolean).forEach(name => addValue(node, shortName(name), value));
+  });
+  return node;
+}
+
+function parseRdfa($, base) {
+  return $('[typeof]').toArray()
+    .filter(el => $(el).parent().closest('[typeof]').length === 0)
+    .map((el, i) => ({ path: `rdfa[${i}]`, data: readRdfaItem($, el, base) }));
+}
+
+// -------------------- Validation --------------------
+function checkValue(name, value, path, type, push) {
+  if (typeof value !== 'string' && typeof value !== 'number') return;
+  const s = String(value).trim();
+  if (DATE_PROPS.includes(name) && !ISO_DATE.test(s)) push('error', type, name, path, `${name} "${s}" is not an ISO 8601 date`);
+  if (URL_PROPS.includes(name) && typeof value === 'string' && !/^https?:\/\//i.test(s)) push('warning', type, name, path, `${name} "${s}" is not an absolute URL`);
+  if ((name === 'price' || name === 'lowPrice' || name === 'highPrice') && !/^\d+(\.\d+)?$/.test(s)) push('error', type, name, path, `${name} "${s}" must be a plain number (use "." as decimal separator, currency goes in priceCurrency)`);
+  if (name === 'priceCurrency' && !/^[A-Z]{3}$/.test(s)) push('error', type, name, path, `priceCurrency "${s}" is not an ISO 4217 code`);
+  if (name === 'ratingValue' && Number.isNaN(parseFloat(s))) push('error', type, name, path, `ratingValue "${s}" is not a number`);
+  if (name === 'position' && !/^\d+$/.test(s)) push('error', type, name, path, `position "${s}" must be an integer`);
+  if (name === 'latitude' && !(Math.abs(parseFloat(s)) <= 90)) push('error', type, name, path, `latitude "${s}" is out of range`);
+  if (name === 'longitude' && !(Math.abs(parseFloat(s)) <= 180)) push('error', type, name, path, `longitude "${s}" is out of range`);
+  if (name === 'telephone' && !s.startsWith('+')) push('warning', type, name, path, `telephone "${s}" has no international prefix`);
+}
+
+function validateEntity(node, path, push) {
+  const types = typesOf(node);
+  const ruleTypes = Array.from(new Set(types.map(ruleTypeFor).filter(Boolean)));
+  ruleTypes.forEach(rt => {
+    const rule = RULES[rt];
+    rule.required.forEach(spec => {
+      const alts = spec.split('|');
+      if (!alts.some(p => hasValue(getProp(node, p)))) push('error', rt, alts[0], path, `${types.join('/')} is missing required ${alts.join(' or ')}`);
+    });
+    rule.recommended.forEach(spec => {
+      const alts = spec.split('|');
+      if (!alts.some(p => hasValue(getProp(node, p)))) push('warning', rt, alts[0], path, `${types.join('/')} is missing recommended ${alts.join(' or ')}`);
+    });
+    Object.entries(rule.children || {}).forEach(([prop, childType]) => {
+      const v = getProp(node, prop);
+      (Array.isArray(v) ? v : (v ? [v] : [])).forEach((c, i) => {
+        const cPath = Array.isArray(v) ? childPath(childPath(path, prop), i) : childPath(path, prop);
+        if (!c || typeof c !== 'object' || !typesOf(c).some(t => ruleTypeFor(t) === childType)) push('error', rt, prop, cPath, `${prop} must be a ${childType}`);
+      });
+    });
+  });
+
+  // type-specific rules that go beyond presence
+  if (ruleTypes.includes('Event')) {
+    const loc = getProp(node, 'location');
+    const locs = Array.isArray(loc) ? loc : (loc ? [loc] : []);
+    locs.forEach(l => {
+      if (!l || typeof l !== 'object') return;
+      const virtual = typesOf(l).includes('VirtualLocation');
+      if (virtual && !hasValue(getProp(l, 'url'))) push('error', 'Event', 'location', childPath(path, 'location'), 'VirtualLocation needs a url');
+      if (!virtual && !hasValue(getProp(l, 'address'))) push('error', 'Event', 'location', childPath(path, 'location'), 'Event location (Place) needs an address');
+    });
+  }
+  if (ruleTypes.includes('Article')) {
+    const headline = getProp(node, 'headline');
+    if (typeof headline === 'string' && headline.length > 110) push('warning', 'Article', 'headline', childPath(path, 'headline'), `headline is ${headline.length} characters (keep it under 110)`);
+  }
+  return { types, ruleTypes };
+}
+
+// walk a JSON-LD / converted item tree: every object with @type is an entity, @graph and arrays are expanded.
+// top marks entities that are not the value of another entity's property
+function walk(value, path, visit, top = true, depth = 0) {
+  if (depth > 12 || value === null || typeof value !== 'object') return;
+  if (Array.isArray(value)) { value.forEach((v, i) => walk(v, childPath(path, i), visit, top, depth + 1)); return; }
+  const typed = typesOf(value).length > 0;
+  if (typed) visit(value, path, top);
+  Object.entries(value).forEach(([k, v]) => {
+    if (k === '@context' || k === '@type') return;
+    const name = k === '@graph' ? k : shortName(k);
+    if (v && typeof v === 'object') walk(v, childPath(path, name), visit, k === '@graph' ? top : false, depth + 1);
+    else if (typed) visit.value(name, v, childPath(path, name), value);
+  });
+}
+
+function validateStructuredData($, pageUrl) {
+  const { blocks, errors: parseErrors } = parseJsonLd($);
+  const sources = [
+    ...blocks.map(b => ({ ...b, format: 'json-ld' })),
+    ...parseMicrodata($, pageUrl).map(b => ({ ...b, format: 'microdata' })),
+    ...parseRdfa($, pageUrl).map(b => ({ ...b, format: 'rdfa' }))
+  ];
+
+  const problems = parseErrors.map(e => ({ ...e, format: 'json-ld' }));
+  const items = [];
+  sources.forEach(src => {
+    const push = (severity, type, property, path, message) => problems.push({ format: src.format, severity, type, property, path, message });
+    if (src.format === 'json-ld') {
+      const roots = Array.isArray(src.data) ? src.data : [src.data];
+      roots.forEach((root, i) => {
+        const rootPath = Array.isArray(src.data) ? childPath(src.path, i) : src.path;
+        if (!root || typeof root !== 'object') { push('error', null, null, rootPath, 'JSON-LD value is not an object'); return; }
+        const ctx = JSON.stringify(root['@context'] || '');
+        if (!root['@context']) push('error', null, '@context', rootPath, 'Missing @context (use "https://schema.org")');
+        else if (!/schema\.org/i.test(ctx)) push('warning', null, '@context', rootPath, `@context ${ctx} does not reference schema.org`);
+        if (!typesOf(root).length && !Array.isArray(root['@graph'])) push('warning', null, '@type', rootPath, 'Top-level node without @type');
+      });
+    }
+    const visit = (node, path, topLevel) => {
+      const { types, ruleTypes } = validateEntity(node, path, push);
+      items.push({ format: src.format, path, types, ruleTypes, topLevel, id: node['@id'] || null, node });
+    };
+    visit.value = (name, value, path, owner) => {
+      if (typeof value === 'string' && !value.trim()) push('warning', typesOf(owner)[0] || null, name, path, `${name} is empty`);
+      checkValue(name, value, path, typesOf(owner)[0] || null, push);
+    };
+    walk(src.data, src.path, visit);
+  });
+
+  const errors = problems.filter(p => p.severity === 'error');
+  const warnings = problems.filter(p => p.severity === 'warning');
+  // per rich-result type: present, and whether any instance of it validates without errors
+  const geoTypes = {};
+  GEO_TYPES.forEach(t => {
+    const matching = items.filter(i => i.ruleTypes.includes(t));
+    if (!matching.length) return;
+    const valid = matching.filter(i => !errors.some(e => e.path === i.path || e.path.startsWith(`${i.path}.`) || e.path.startsWith(`${i.path}[`)));
+    geoTypes[t] = { count: matching.length, valid: valid.length, formats: Array.from(new Set(matching.map(i => i.format))) };
+  });
+
+  const localItems = items.filter(i => i.ruleTypes.includes('LocalBusiness') || i.ruleTypes.includes('Organization'));
+  const local = localItems.map(i => ({
+    path: i.path,
+    types: i.types,
+    hasAddress: hasValue(getProp(i.node, 'address')),
+    hasTelephone: hasValue(getProp(i.node, 'telephone')) || hasValue(getProp(i.node, 'contactPoint')),
+    errors: errors.filter(e => e.path === i.path || e.path.startsWith(`${i.path}.`)).length
+  }));
+
+  return {
+    count: items.filter(i => i.topLevel).length,
+    entities: items.length,
+    formats: { 'json-ld': blocks.length, microdata: sources.filter(s => s.format === 'microdata').length, rdfa: sources.filter(s => s.format === 'rdfa').length },
+    invalidBlocks: parseErrors.length,
+    types: Array.from(new Set(items.flatMap(i => i.types))),
+    geoTypes,
+    local,
+    errors: errors.length,
+    warnings: warnings.length,
+    problems: errors.concat(warnings).slice(0, 100).map(({ severity, format, type, property, path, message }) => ({ severity, format, type, property, path, message })),
+    nodes: items.filter(i => i.topLevel).slice(0, 50).map(i => i.node)
+  };
+}
+
+// site-level rollup of the per-page validator results
+function summarizeStructuredData(pages) {
+  const withData = pages.filter(p => p.data && p.data.count > 0);
+  const geoTypes = {};
+  pages.forEach(p => Object.entries(p.data?.geoTypes || {}).forEach(([t, v]) => {
+    if (!geoTypes[t]) geoTypes[t] = { pages: 0, count: 0, valid: 0 };
+    geoTypes[t].pages += 1;
+    geoTypes[t].count += v.count;
+    geoTypes[t].valid += v.valid;
+  }));
+  const byMessage = {};
+  pages.forEach(p => (p.data?.problems || []).forEach(pr => {
+    const key = `${pr.severity}|${pr.message.replace(/"[^"]*"/g, '"…"')}`;
+    if (!byMessage[key]) byMessage[key] = { severity: pr.severity, message: pr.message, pages: 0, urls: [] };
+    if (!byMessage[key].urls.includes(p.url)) { byMessage[key].pages += 1; byMessage[key].urls.push(p.url); }
+  }));
+  return {
+    pagesWithData: withData.length,
+    pagesTotal: pages.length,
+    pagesWithErrors: pages.filter(p => p.data && p.data.errors > 0).length,
+    items: pages.reduce((s, p) => s + (p.data?.count || 0), 0),
+    invalidBlocks: pages.reduce((s, p) => s + (p.data?.invalidBlocks || 0), 0),
+    formats: ['json-ld', 'microdata', 'rdfa'].reduce((o, f) => ({ ...o, [f]: pages.filter(p => p.data?.formats?.[f] > 0).length }), {}),
+    geoTypes,
+    errors: pages.reduce((s, p) => s + (p.data?.errors || 0), 0),
+    warnings: pages.reduce((s, p) => s + (p.data?.warnings || 0), 0),
+    topProblems: Object.values(byMessage).sort((a, b) => (a.severity === b.severity ? b.pages - a.pages : (a.severity === 'error' ? -1 : 1))).slice(0, 30).map(p => ({ ...p, urls: p.urls.slice(0, 10) }))
+  };
+}
+
+export { GEO_TYPES, typesOf, ruleTypeFor, validateStructuredData, summarizeStructuredData };
@@ -0,0 +1,249 @@
+// sitemaps.js
+// XML sitemap discovery (robots.txt Sitemap lines + /sitemap.xml), sitemap index traversal, gzip handling,
+// entry parsing (lastmod, hreflang alternates, image/news extensions) and sitemap <-> crawl coverage diffing.
+
+import zlib from 'zlib';
+import { URL } from 'url';
+import { load } from 'cheerio';
+
+const MAX_SITEMAPS = 50;          // sitemap files fetched per run (index children included)
+const MAX_SITEMAP_URLS = 50000;   // per-file limit from the sitemaps.org protocol
+const MAX_STATUS_CHECKS = 200;    // sitemap URLs not in the crawl that we request to verify status
+const W3C_DATETIME = /^\d{4}(-\d{2}(-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?)?)?$/;
+
+// -------------------- Helpers --------------------
+// element local name without namespace prefix (xhtml:link -> link)
+function localName(el) {
+  return String(el.name || el.tagName || '').toLowerCase().replace(/^.*:/, '');
+}
+
+function childText($, el, name) {
+  const child = $(el).children().toArray().find(c => localName(c) === name);
+  return child ? $(child).text().trim() : null;
+}
+
+// comparison key for URLs: no fragment, lowercase host, no trailing slash (except root)
+function urlKey(u) {
+  try {
+    const x = new URL(u);
+    x.hash = '';
+    let p = x.pathname;
+    if (p.length > 1 && p.endsWith('/')) p = p.slice(0, -1);
+    return `${x.protocol}//${x.host.toLowerCase()}${p}${x.search}`;
+  } catch (e) { return u; }
+}
+
+function isNoindex(html, headers = {}) {
+  const header = String(headers['x-robots-tag'] || '').toLowerCase();
+  if (/noindex|none/.test(header)) return 'X-Robots-Tag header';
+  if (!html) return null;
+  const $ = load(html);
+  const meta = $('meta[name="robots"], meta[name="googlebot"]').toArray().map(m => ($(m).attr('content') || '').toLowerCase()).join(',');
+  return /noindex|none/.test(meta) ? 'meta robots' : null;
+}
+
+// -------------------- Parsing --------------------
+function parseSitemapXml(xml) {
+  const $ = load(xml, { xmlMode: true });
+  const root = $.root().children().toArray().find(el => el.type === 'tag');
+  const rootName = root ? localName(root) : null;
+
+  if (rootName === 'sitemapindex') {
+    const children = $(root).children().toArray().filter(el => localName(el) === 'sitemap').map(el => ({ loc: childText($, el, 'loc'), lastmod: childText($, el, 'lastmod') })).filter(c => c.loc);
+    return { type: 'index', children, entries: [] };
+  }
+  if (rootName !== 'urlset') return { type: 'invalid', children: [], entries: [], error: rootName ? `Unexpected root element <${rootName}>` : 'Not an XML sitemap' };
+
+  const entries = $(root).children().toArray().filter(el => localName(el) === 'url').map(el => {
+    const kids = $(el).children().toArray();
+    const entry = {
+      loc: childText($, el, 'loc'),
+      lastmod: childText($, el, 'lastmod'),
+      changefreq: childText($, el, 'changefreq'),
+      priority: childText($, el, 'priority'),
+      alternates: [],
+      images: [],
+      news: null
+    };
+    kids.forEach(k => {
+      const name = localName(k);
+      if (name === 'link' && ($(k).attr('rel') || '').toLowerCase() === 'alternate' && $(k).attr('hreflang')) {
+        entry.alternates.push({ hreflang: $(k).attr('hreflang'), href: $(k).attr('href') });
+      } else if (name === 'image') {
+        entry.images.push({ loc: childText($, k, 'loc'), title: childText($, k, 'title'), caption: childText($, k, 'caption') });
+      } else if (name === 'news') {
+        const pub = $(k).children().toArray().find(c => localName(c) === 'publication');
+        entry.news = {
+          title: childText($, k, 'title'),
+          publicationDate: childText($, k, 'publication_date'),
+          name: pub ? childText($, pub, 'name') : null,
+          language: pub ? childText($, pub, 'language') : null
+        };
+      }
+    });
+    return entry;
+  }).filter(e => e.loc);
+  return { type: 'urlset', children: [], entries };
+}
+
+function validateEntry(entry, siteHost) {
+  const problems = [];
+  let u = null;
+  try { u = new URL(entry.loc); } catch (e) { problems.push('loc is not an absolute URL'); }
+  if (u && siteHost && u.hostname.replace(/^www\./, '') !== siteHost.replace(/^www\./, '')) problems.push(`loc on another host (${u.hostname})`);
+  if (entry.lastmod) {
+    if (!W3C_DATETIME.test(entry.lastmod)) problems.push(`lastmod "${entry.lastmod}" is not W3C datetime`);
+    else if (Date.parse(entry.lastmod) > Date.now() + 86400000) problems.push(`lastmod ${entry.lastmod} is in the future`);
+  }
+  if (entry.news && !entry.news.publicationDate) problems.push('news entry without publication_date');
+  entry.images.forEach(img => { if (!img.loc) problems.push('image entry without loc'); });
+  return problems;
+}
+
+// -------------------- Discovery + fetch --------------------
+async function fetchSitemapFile(url, fetchResource) {
+  const res = await fetchResource(url);
+  const file = { url, finalUrl: res.finalUrl, status: res.status, redirected: !!res.redirected, gzipped: false, type: null, urlCount: 0, errors: [] };
+  if (res.status !== 200) {
+    file.type = 'error';
+    file.errors.push(res.error || `HTTP ${res.status}`);
+    return { file, parsed: null };
+  }
+  let body = res.body;
+  if (body.length > 1 && body[0] === 0x1f && body[1] === 0x8b) {
+    try { body = zlib.gunzipSync(body); file.gzipped = true; } catch (e) { file.type = 'error'; file.errors.push(`Invalid gzip: ${e.message}`); return { file, parsed: null }; }
+  }
+  if (body.length > 50 * 1024 * 1024) file.errors.push('Uncompressed sitemap exceeds 50 MB');
+  const parsed = parseSitemapXml(body.toString('utf8'));
+  file.type = parsed.type;
+  if (parsed.error) file.errors.push(parsed.error);
+  file.urlCount = parsed.type === 'index' ? parsed.children.length : parsed.entries.length;
+  if (parsed.entries.length > MAX_SITEMAP_URLS) file.errors.push(`More than ${MAX_SITEMAP_URLS} URLs in one sitemap`);
+  return { file, parsed };
+}
+
+async function collectSitemaps(siteUrl, { robotsSitemaps = [], sourceSitemaps = [], fetchResource }) {
+  const queue = [];
+  const seen = new Set();
+  function enqueue(url, via) {
+    let abs;
+    try { abs = new URL(url, siteUrl).toString(); } catch (e) { return; }
+    if (seen.has(abs)) return;
+    seen.add(abs);
+    queue.push({ url: abs, via });
+  }
+  robotsSitemaps.forEach(u => enqueue(u, 'robots.txt'));
+  sourceSitemaps.forEach(u => enqueue(u, 'crawl'));
+  enqueue('/sitemap.xml', 'default location');
+
+  const files = [];
+  const entries = [];
+  while (queue.length && files.length < MAX_SITEMAPS) {
+    const item = queue.shift();
+    const { file, parsed } = await fetchSitemapFile(item.url, fetchResource);
+    file.via = item.via;
+    files.push(file);
+    if (!parsed) continue;
+    if (parsed.type === 'index') parsed.children.forEach(c => enqueue(c.loc, `index ${item.url}`));
+    parsed.entries.forEach(e => entries.push({ ...e, sitemap: item.url }));
+  }
+  if (queue.length) files.push({ url: null, type: 'skipped', errors: [`${queue.length} more sitemap(s) not fetched (limit ${MAX_SITEMAPS})`] });
+  return { files, entries };
+}
+
+// -------------------- Coverage --------------------
+async function checkStatuses(urls, fetchResource, concurrency = 4) {
+  const results = [];
+  let next = 0;
+  async function worker() {
+    while (next < urls.length) {
+      const url = urls[next++];
+      const res = await fetchResource(url);
+      results.push({ url, status: res.status, finalUrl: res.finalUrl, redirected: !!res.redirected, noindex: res.status === 200 ? isNoindex(/html/i.test(res.headers['content-type'] || '') ? res.body.toString('utf8') : null, res.headers) : null, error: res.error || null });
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, urls.length) }, worker));
+  return results;
+}
+
+async function analyzeSitemaps(siteUrl, pages, { robotsSitemaps = [], sourceSitemaps = [], fetchResource, checkStatus = true } = {}) {
+  const { files, entries } = await collectSitemaps(siteUrl, { robotsSitemaps, sourceSitemaps, fetchResource });
+  const siteHost = (() => { try { return new URL(siteUrl).hostname; } catch (e) { return null; } })();
+  const found = files.filter(f => f.status === 200 && (f.type === 'urlset' || f.type === 'index'));
+
+  const entryProblems = [];
+  entries.forEach(e => { const p = validateEntry(e, siteHost); if (p.length) entryProblems.push({ loc: e.loc, problems: p }); });
+
+  const sitemapKeys = new Map();
+  entries.forEach(e => { const k = urlKey(e.loc); if (!sitemapKeys.has(k)) sitemapKeys.set(k, e); });
+  const duplicates = entries.length - sitemapKeys.size;
+  const crawled = new Map(pages.map(p => [urlKey(p.url), p]));
+
+  // crawled, indexable pages that no sitemap lists
+  const orphanPages = [];
+  const noindexed = [];
+  const broken = [];
+  const redirected = [];
+  for (const [k, p] of crawled) {
+    if (p.redirected && p.requestedUrl && sitemapKeys.has(urlKey(p.requestedUrl))) redirected.push({ url: p.requestedUrl, finalUrl: p.url, status: p.status });
+    const noindex = isNoindex(p.html, p.headers);
+    if (sitemapKeys.has(k)) {
+      if (noindex) noindexed.push({ url: p.url, reason: noindex });
+      if (p.status && p.status >= 400) broken.push({ url: p.url, status: p.status });
+    } else if (!noindex && (!p.status || p.status < 300)) {
+      orphanPages.push(p.url);
+    }
+  }
+
+  // sitemap URLs the crawl never reached: request them to catch 404s, redirects and noindex
+  const notCrawled = Array.from(sitemapKeys.entries()).filter(([k]) => !crawled.has(k)).map(([, e]) => e.loc);
+  let checked = [];
+  if (checkStatus && fetchResource) checked = await checkStatuses(notCrawled.slice(0, MAX_STATUS_CHECKS), fetchResource);
+  checked.forEach(c => {
+    if (c.status >= 400) broken.push({ url: c.url, status: c.status });
+    else if (c.redirected) redirected.push({ url: c.url, finalUrl: c.finalUrl, status: c.status });
+    else if (c.noindex) noindexed.push({ url: c.url, reason: c.noindex });
+  });
+  const unreachable = checked.filter(c => c.status === 0).length;
+
+  const issues = [];
+  if (!found.length) issues.push('No XML sitemap found (robots.txt Sitemap lines and /sitemap.xml checked)');
+  if (robotsSitemaps.length === 0 && found.length) issues.push('Sitemap is not referenced from robots.txt');
+  // a missing /sitemap.xml only matters when no other sitemap was found
+  files.filter(f => f.errors && f.errors.length && f.url && !(f.via === 'default location' && f.type === 'error' && found.length)).forEach(f => issues.push(`${f.url}: ${f.errors.join('; ')}`));
+  if (orphanPages.length) issues.push(`${orphanPages.length} crawled page(s) missing from the sitemap`);
+  if (broken.length) issues.push(`${broken.length} sitemap URL(s) return an error status`);
+  if (redirected.length) issues.push(`${redirected.length} sitemap URL(s) redirect`);
+  if (noindexed.length) issues.push(`${noindexed.length} noindexed URL(s) listed in the sitemap`);
+  if (duplicates) issues.push(`${duplicates} duplicate sitemap entr${duplicates === 1 ? 'y' : 'ies'}`);
+  if (entryProblems.length) issues.push(`${entryProblems.length} sitemap entr${entryProblems.length === 1 ? 'y has' : 'ies have'} invalid fields`);
+
+  return {
+    files,
+    found: found.map(f => f.url),
+    urlCount: sitemapKeys.size,
+    stats: {
+      withLastmod: entries.filter(e => e.lastmod).length,
+      withAlternates: entries.filter(e => e.alternates.length).length,
+      images: entries.reduce((s, e) => s + e.images.length, 0),
+      news: entries.filter(e => e.news).length,
+      duplicates
+    },
+    coverage: {
+      crawledInSitemap: Array.from(crawled.keys()).filter(k => sitemapKeys.has(k)).length,
+      crawledPages: crawled.size,
+      notCrawled: notCrawled.length,
+      statusChecked: checked.length,
+      unreachable,
+      orphanPages,
+      broken,
+      redirected,
+      noindexed
+    },
+    entryProblems: entryProblems.slice(0, 100),
+    issues,
+    entries
+  };
+}
+
+export { parseSitemapXml, collectSitemaps, analyzeSitemaps, urlKey, isNoindex };
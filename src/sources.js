@@ -0,0 +1,441 @@
+// sources.js
+// Page sources for the auditor. Every source resolves to the same shape:
+//   { type, siteUrl, pages: [{ url, html, status?, headers? }], robotsRaw, sitemaps, raw, fetchResource(url) }
+// so the analyzers never care whether pages came from the Scrapeless crawler, a static export
+// directory, a HAR/WARC capture or a plain list of URLs fetched over HTTP.
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { URL } from 'url';
+
+const FETCH_USER_AGENT = 'Mozilla/5.0 (compatible; GeoAuditBot/1.0; +https://github.com/scrapelesshq/GEO-Ready-Website)';
+
+// -------------------- Helpers --------------------
+function extractHtmlFromResponse(resp) {
+  if (!resp) return null;
+  if (typeof resp === 'string' && resp.trim().startsWith('<')) return resp;
+  const tryPaths = [
+    resp?.html,
+    resp?.data?.html,
+    resp?.data?.body,
+    resp?.data,
+    resp?.results?.[0]?.html,
+    resp?.results?.[0]?.payload?.html,
+    resp?.output?.html,
+    resp?.payload?.html
+  ];
+  for (const c of tryPaths) {
+    if (!c) continue;
+    if (typeof c === 'string' && c.trim().startsWith('<')) return c;
+    if (typeof c === 'object' && c.html && typeof c.html === 'string' && c.html.trim().startsWith('<')) return c.html;
+  }
+  try {
+    const s = JSON.stringify(resp);
+    const idx = s.indexOf('<!DOCTYPE') !== -1 ? s.indexOf('<!DOCTYPE') : s.indexOf('<html');
+    if (idx !== -1) {
+      return s.slice(idx).replace(/\\"/g, '"').replace(/\\n/g, '\n');
+    }
+  } catch (e) {}
+  return null;
+}
+
+function isHtmlContentType(ct) {
+  return /text\/html|application\/xhtml\+xml/i.test(ct || '');
+}
+
+function originOf(u) {
+  try { return new URL(u).origin + '/'; } catch (e) { return null; }
+}
+
+function applyLimit(pages, limit) {
+  return limit ? pages.slice(0, limit) : pages;
+}
+
+// decode a body according to its Content-Encoding (gzip/deflate/br), leaving it untouched on failure
+function decodeBody(buf, encoding) {
+  const enc = String(encoding || '').toLowerCase().trim();
+  try {
+    if (enc === 'gzip' || enc === 'x-gzip') return zlib.gunzipSync(buf);
+    if (enc === 'deflate') return zlib.inflateSync(buf);
+    if (enc === 'br') return zlib.brotliDecompressSync(buf);
+  } catch (e) {}
+  return buf;
+}
+
+function dechunk(buf) {
+  const out = [];
+  let pos = 0;
+  while (pos < buf.length) {
+    const lineEnd = buf.indexOf('\r\n', pos);
+    if (lineEnd === -1) break;
+    const size = parseInt(buf.slice(pos, lineEnd).toString('latin1').split(';')[0].trim(), 16);
+    if (!size || Number.isNaN(size)) break;
+    out.push(buf.slice(lineEnd + 2, lineEnd + 2 + size));
+    pos = lineEnd + 2 + size + 2;
+  }
+  return Buffer.concat(out);
+}
+
+function parseHeaderLines(lines) {
+  const headers = {};
+  for (const line of lines) {
+    const idx = line.indexOf(':');
+    if (idx <= 0) continue;
+    const name = line.slice(0, idx).trim().toLowerCase();
+    const value = line.slice(idx + 1).trim();
+    headers[name] = headers[name] ? `${headers[name]}, ${value}` : value;
+  }
+  return headers;
+}
+
+// -------------------- Resource fetchers (robots.txt, sitemaps, llms.txt, ...) --------------------
+// Each source exposes fetchResource(url, { redirect }) -> { url, finalUrl, status, headers, body: Buffer, redirected, error? }.
+// redirect: 'manual' returns the first hop (a 3xx and its Location header) instead of following redirects.
+// Live sources go over HTTP; offline sources answer from their files/capture and never touch the network.
+function emptyResource(url, status, error) {
+  return { url, finalUrl: url, status, headers: {}, body: Buffer.alloc(0), redirected: false, error };
+}
+
+async function httpFetchResource(url, options = {}) {
+  try {
+    const res = await fetch(url, { redirect: options.redirect === 'manual' ? 'manual' : 'follow', headers: { 'User-Agent': options.userAgent || FETCH_USER_AGENT }, signal: AbortSignal.timeout(options.timeout || 15000) });
+    const headers = {};
+    res.headers.forEach((v, k) => { headers[k] = v; });
+    const body = Buffer.from(await res.arrayBuffer());
+    return { url, finalUrl: res.url || url, status: res.status, headers, body, redirected: res.redirected };
+  } catch (e) {
+    return emptyResource(url, 0, String(e));
+  }
+}
+
+function directoryResourceFetcher(rootDir, siteUrl) {
+  const origin = new URL(siteUrl).origin;
+  return async function fetchResource(url) {
+    let u;
+    try { u = new URL(url, siteUrl); } catch (e) { return emptyResource(url, 0, String(e)); }
+    if (u.origin !== origin) return emptyResource(url, 0, 'Offline source: external URL not available');
+    let rel;
+    try { rel = decodeURIComponent(u.pathname).replace(/^\/+/, ''); } catch (e) { return emptyResource(url, 400, `Malformed URL path: ${e.message}`); }
+    const candidates = rel === '' || rel.endsWith('/') ? [path.join(rel, 'index.html')] : [rel, `${rel}.html`, path.join(rel, 'index.html')];
+    for (const c of candidates) {
+      const full = path.resolve(rootDir, c);
+      // inside the root only: a bare prefix check would also accept sibling directories (dist-private for dist)
+      if (!full.startsWith(rootDir + path.sep)) continue;
+      if (fs.existsSync(full) && fs.statSync(full).isFile()) {
+        const contentType = /\.html?$/i.test(full) ? 'text/html' : (/\.xml$/i.test(full) ? 'application/xml' : (/\.gz$/i.test(full) ? 'application/gzip' : 'text/plain'));
+        return { url, finalUrl: u.toString(), status: 200, headers: { 'content-type': contentType }, body: fs.readFileSync(full), redirected: false };
+      }
+    }
+    return emptyResource(url, 404, null);
+  };
+}
+
+// answers from a captured url -> { status, headers, body } map, following captured redirects
+function captureResourceFetcher(captured, type) {
+  return async function fetchResource(url, { redirect = 'follow' } = {}) {
+    let current = url;
+    for (let hop = 0; hop < 5; hop++) {
+      const hit = captured.get(current);
+      if (!hit) return emptyResource(url, 0, `Not present in ${type} capture`);
+      const location = hit.headers.location;
+      if (hit.status >= 300 && hit.status < 400 && location && redirect !== 'manual') { current = new URL(location, current).toString(); continue; }
+      return { url, finalUrl: current, status: hit.status, headers: hit.headers, body: hit.body, redirected: current !== url };
+    }
+    return emptyResource(url, 0, 'Too many redirects in capture');
+  };
+}
+
+// -------------------- Scrapeless cloud crawl --------------------
+// the SDK is loaded on demand, so offline sources work without it installed
+async function scrapelessCrawler(apiKey) {
+  const { ScrapingCrawl } = await import('@scrapeless-ai/sdk');
+  return new ScrapingCrawl({ apiKey: apiKey || '' });
+}
+
+async function crawlWithScrapeless(targetUrl, options = {}) {
+  const client = await scrapelessCrawler(options.apiKey);
+  const crawlOptions = {
+    allowBackwardLinks: true,
+    scrapeOptions: {
+      formats: ['html'],
+      onlyMainContent: false,
+      timeout: 30000
+    },
+    browserOptions: {
+      proxyCountry: options.proxyCountry || 'ANY',
+      sessionName: 'FullsiteCrawl',
+      sessionRecording: true,
+      sessionTTL: 3000
+    }
+  };
+  if (options.limit) crawlOptions.limit = options.limit;
+  const crawlResponse = await client.crawlUrl(targetUrl, crawlOptions);
+
+  // Collect HTML pieces from all results, and collect sitemap/robots info
+  let results = [crawlResponse];
+  if (Array.isArray(crawlResponse?.results) && crawlResponse.results.length > 0) results = crawlResponse.results;
+  else if (Array.isArray(crawlResponse?.data) && crawlResponse.data.length > 0) results = crawlResponse.data;
+  const pages = [];
+  const sitemapUrls = new Set();
+  let robotsRaw = crawlResponse?.robots || crawlResponse?.robots_txt || crawlResponse?.data?.robots || null;
+
+  for (let i = 0; i < results.length; i++) {
+    const r = results[i];
+    // attempt to capture sitemaps/robots if present in result metadata
+    if (r?.sitemap) {
+      if (Array.isArray(r.sitemap)) r.sitemap.forEach(u => sitemapUrls.add(u));
+      else sitemapUrls.add(r.sitemap);
+    }
+    if (r?.payload?.sitemaps) {
+      (r.payload.sitemaps || []).forEach(u => sitemapUrls.add(u));
+    }
+    if (!robotsRaw && (r?.robots || r?.robots_txt)) robotsRaw = r.robots || r.robots_txt;
+
+    const htmlCandidate = extractHtmlFromResponse(r) || extractHtmlFromResponse(r?.payload) || extractHtmlFromResponse(r?.html);
+    if (!htmlCandidate) continue;
+    const pageUrl = r?.url || (r?.payload && r.payload.url) || r?.metadata?.sourceURL || `${targetUrl}#result-${i}`;
+    const page = { url: pageUrl, html: htmlCandidate };
+    if (r?.metadata?.statusCode) page.status = r.metadata.statusCode;
+    pages.push(page);
+  }
+
+  return { type: 'scrapeless', siteUrl: targetUrl, pages, robotsRaw, sitemaps: Array.from(sitemapUrls), raw: crawlResponse, fetchResource: (url, fetchOptions = {}) => httpFetchResource(url, { ...options, ...fetchOptions }) };
+}
+
+// fetch the given URLs through a Scrapeless proxy in one country (multi-region comparison, see regions.js)
+// -> [{ url, finalUrl, html, status, error }] in input order
+async function scrapeUrlsFromCountry(urls, country, options = {}) {
+  const client = await scrapelessCrawler(options.apiKey);
+  const response = await client.batchScrapeUrls(urls, {
+    formats: ['html'],
+    onlyMainContent: false,
+    timeout: options.timeout || 30000,
+    browserOptions: {
+      proxyCountry: country,
+      sessionName: `RegionCheck-${country}`,
+      sessionTTL: 900
+    }
+  });
+  const docs = Array.isArray(response?.data) ? response.data : [];
+  const bySource = new Map(docs.filter(d => d?.metadata?.sourceURL).map(d => [d.metadata.sourceURL, d]));
+  return urls.map((url, i) => {
+    const doc = bySource.get(url) || (bySource.size ? null : docs[i]);
+    if (!doc) return { url, finalUrl: url, html: null, status: 0, error: response?.error || 'No result returned for this URL' };
+    const meta = doc.metadata || {};
+    return { url, finalUrl: meta.url || meta.finalURL || meta.sourceURL || url, html: extractHtmlFromResponse(doc), status: meta.statusCode || 0, error: meta.error || null };
+  });
+}
+
+// -------------------- Local directory (static export, saved fixtures) --------------------
+function walkDir(dir) {
+  const out = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) out.push(...walkDir(full));
+    else out.push(full);
+  }
+  return out;
+}
+
+// map a file path inside the export to the URL it would be served at (index.html -> directory URL)
+function fileToUrl(rootDir, file, siteUrl) {
+  const rel = path.relative(rootDir, file).split(path.sep).join('/');
+  const urlPath = rel.replace(/(^|\/)index\.html?$/i, '$1');
+  return new URL(urlPath, siteUrl).toString();
+}
+
+async function readDirectory(dir, options = {}) {
+  const rootDir = path.resolve(dir);
+  const siteUrl = options.siteUrl || 'http://localhost/';
+  const files = walkDir(rootDir).sort();
+  const pages = files
+    .filter(f => /\.html?$/i.test(f))
+    .map(f => ({ url: fileToUrl(rootDir, f, siteUrl), html: fs.readFileSync(f, 'utf8'), status: 200 }));
+
+  const robotsPath = path.join(rootDir, 'robots.txt');
+  const robotsRaw = fs.existsSync(robotsPath) ? fs.readFileSync(robotsPath, 'utf8') : null;
+  const sitemaps = files.filter(f => /sitemap[^/\\]*\.xml(\.gz)?$/i.test(f)).map(f => fileToUrl(rootDir, f, siteUrl));
+
+  return { type: 'directory', siteUrl, pages: applyLimit(pages, options.limit), robotsRaw, sitemaps, raw: null, fetchResource: directoryResourceFetcher(rootDir, siteUrl) };
+}
+
+// captures also hold redirects, error pages and third-party HTML (embeds, ad frames): those stay available to
+// fetchResource, but only the site's own 2xx documents are audited
+function captureSite(documents, robotsByOrigin, options) {
+  const ok = d => d.status >= 200 && d.status < 300;
+  const siteUrl = options.siteUrl || originOf(documents.find(ok)?.url) || 'http://localhost/';
+  const origin = originOf(siteUrl);
+  const pages = documents.filter(d => ok(d) && originOf(d.url) === origin);
+  return { siteUrl, pages: applyLimit(pages, options.limit), robotsRaw: robotsByOrigin.get(origin) ?? null };
+}
+
+// -------------------- HAR capture --------------------
+async function readHar(file, options = {}) {
+  const har = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const entries = har?.log?.entries || [];
+  const documents = [];
+  const seen = new Set();
+  const captured = new Map();
+  const robotsByOrigin = new Map();
+
+  for (const entry of entries) {
+    const url = entry?.request?.url;
+    const response = entry?.response || {};
+    const content = response.content || {};
+    if (!url) continue;
+    let pathname;
+    try { pathname = new URL(url).pathname; } catch (e) { continue; }
+    const headers = parseHeaderLines((response.headers || []).map(h => `${h.name}: ${h.value}`));
+    if (!headers.location && response.redirectURL) headers.location = response.redirectURL;
+    const body = typeof content.text === 'string' ? Buffer.from(content.text, content.encoding === 'base64' ? 'base64' : 'utf8') : Buffer.alloc(0);
+    if (!captured.has(url)) captured.set(url, { status: response.status, headers, body });
+    if (typeof content.text !== 'string') continue;
+    const text = body.toString('utf8');
+
+    if (/\/robots\.txt$/i.test(pathname)) {
+      if (response.status === 200) robotsByOrigin.set(originOf(url), text);
+      continue;
+    }
+    if (!isHtmlContentType(content.mimeType || headers['content-type'])) continue;
+    if (seen.has(url)) continue;
+    seen.add(url);
+    documents.push({ url, html: text, status: response.status, headers });
+  }
+
+  const { siteUrl, pages, robotsRaw } = captureSite(documents, robotsByOrigin, options);
+  return { type: 'har', siteUrl, pages, robotsRaw, sitemaps: [], raw: null, fetchResource: captureResourceFetcher(captured, 'har') };
+}
+
+// -------------------- WARC archive (.warc / .warc.gz) --------------------
+function parseWarcRecords(buf) {
+  const records = [];
+  let pos = 0;
+  while (pos < buf.length) {
+    const start = buf.indexOf('WARC/', pos);
+    if (start === -1) break;
+    const headerEnd = buf.indexOf('\r\n\r\n', start);
+    if (headerEnd === -1) break;
+    const headerLines = buf.slice(start, headerEnd).toString('utf8').split('\r\n').slice(1);
+    const headers = parseHeaderLines(headerLines);
+    const length = parseInt(headers['content-length'] || '0', 10);
+    const blockStart = headerEnd + 4;
+    records.push({ headers, block: buf.slice(blockStart, blockStart + length) });
+    pos = blockStart + length;
+  }
+  return records;
+}
+
+function parseHttpResponse(block) {
+  const headerEnd = block.indexOf('\r\n\r\n');
+  if (headerEnd === -1) return null;
+  const lines = block.slice(0, headerEnd).toString('latin1').split('\r\n');
+  const statusMatch = (lines[0] || '').match(/^HTTP\/[\d.]+\s+(\d{3})/);
+  if (!statusMatch) return null;
+  const headers = parseHeaderLines(lines.slice(1));
+  let body = block.slice(headerEnd + 4);
+  if (/chunked/i.test(headers['transfer-encoding'] || '')) body = dechunk(body);
+  body = decodeBody(body, headers['content-encoding']);
+  return { status: parseInt(statusMatch[1], 10), headers, body };
+}
+
+async function readWarc(file, options = {}) {
+  let buf = fs.readFileSync(file);
+  // .warc.gz is a series of gzip members, one per record; gunzip decodes all members
+  if (buf[0] === 0x1f && buf[1] === 0x8b) buf = zlib.gunzipSync(buf);
+
+  const documents = [];
+  const seen = new Set();
+  const captured = new Map();
+  const robotsByOrigin = new Map();
+  for (const rec of parseWarcRecords(buf)) {
+    if ((rec.headers['warc-type'] || '').toLowerCase() !== 'response') continue;
+    const url = (rec.headers['warc-target-uri'] || '').replace(/^<|>$/g, '');
+    if (!url) continue;
+    let pathname;
+    try { pathname = new URL(url).pathname; } catch (e) { continue; }
+    const http = parseHttpResponse(rec.block);
+    if (!http) continue;
+    if (!captured.has(url)) captured.set(url, http);
+    if (/\/robots\.txt$/i.test(pathname)) {
+      if (http.status === 200) robotsByOrigin.set(originOf(url), http.body.toString('utf8'));
+      continue;
+    }
+    if (!isHtmlContentType(http.headers['content-type'])) continue;
+    if (seen.has(url)) continue;
+    seen.add(url);
+    documents.push({ url, html: http.body.toString('utf8'), status: http.status, headers: http.headers });
+  }
+
+  const { siteUrl, pages, robotsRaw } = captureSite(documents, robotsByOrigin, options);
+  return { type: 'warc', siteUrl, pages, robotsRaw, sitemaps: [], raw: null, fetchResource: captureResourceFetcher(captured, 'warc') };
+}
+
+// -------------------- Plain URL list fetched over HTTP --------------------
+async function fetchPage(url, timeoutMs) {
+  const res = await fetch(url, { redirect: 'follow', headers: { 'User-Agent': FETCH_USER_AGENT, 'Accept': 'text/html,application/xhtml+xml' }, signal: AbortSignal.timeout(timeoutMs) });
+  const headers = {};
+  res.headers.forEach((v, k) => { headers[k] = v; });
+  const html = await res.text();
+  return { url: res.url || url, requestedUrl: url, html, status: res.status, headers, redirected: res.redirected };
+}
+
+async function fetchUrlList(file, options = {}) {
+  const urls = fs.readFileSync(file, 'utf8').split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+  const wanted = applyLimit(Array.from(new Set(urls)), options.limit);
+  const timeoutMs = options.timeout || 30000;
+  const concurrency = options.concurrency || 4;
+  const pages = [];
+  const failures = [];
+
+  let next = 0;
+  async function worker() {
+    while (next < wanted.length) {
+      const url = wanted[next++];
+      try {
+        const page = await fetchPage(url, timeoutMs);
+        // error pages are not content: they are reported with the other failures instead of being audited
+        if (page.status < 200 || page.status >= 300) { failures.push({ url, error: `HTTP ${page.status}` }); continue; }
+        if (isHtmlContentType(page.headers['content-type']) || page.html.trim().startsWith('<')) pages.push(page);
+      } catch (e) {
+        failures.push({ url, error: String(e) });
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, wanted.length) }, worker));
+  if (failures.length) (options.logger || console).warn(`Failed to fetch ${failures.length} of ${wanted.length} URLs (first: ${failures[0].url} — ${failures[0].error})`);
+
+  // keep the order of the input list
+  pages.sort((a, b) => wanted.indexOf(a.requestedUrl) - wanted.indexOf(b.requestedUrl));
+  const siteUrl = options.siteUrl || originOf(wanted[0]) || 'http://localhost/';
+  return { type: 'urls', siteUrl, pages, robotsRaw: null, sitemaps: [], raw: failures.length ? { failures } : null, fetchResource: (url, fetchOptions = {}) => httpFetchResource(url, { ...options, ...fetchOptions }) };
+}
+
+// -------------------- Source selection --------------------
+// http(s) URL -> Scrapeless crawl; directory -> static export; .har / .warc(.gz) -> captures; any other file -> URL list
+function detectSourceType(target) {
+  if (/^https?:\/\//i.test(target)) return 'scrapeless';
+  if (!fs.existsSync(target)) return null;
+  if (fs.statSync(target).isDirectory()) return 'directory';
+  if (/\.har$/i.test(target)) return 'har';
+  if (/\.warc(\.gz)?$/i.test(target)) return 'warc';
+  return 'urls';
+}
+
+const SOURCE_LOADERS = {
+  scrapeless: crawlWithScrapeless,
+  directory: readDirectory,
+  har: readHar,
+  warc: readWarc,
+  urls: fetchUrlList
+};
+
+async function loadPages(target, options = {}) {
+  const type = options.type || detectSourceType(target);
+  const loader = SOURCE_LOADERS[type];
+  if (!loader) throw new Error(`Unknown page source "${target}": expected an http(s) URL, a directory of HTML files, a .har/.warc file or a URL list file`);
+  return loader(target, options);
+}
+
+export { loadPages, detectSourceType, crawlWithScrapeless, scrapeUrlsFromCountry, readDirectory, readHar, readWarc, fetchUrlList, httpFetchResource, decodeBody, FETCH_USER_AGENT };
@@ -0,0 +1,34 @@
+// util.js
+// Small helpers shared by the site analyzers: bounded concurrency, URL resolution and the redirect map of a crawl.
+
+import { URL } from 'url';
+import { urlKey } from './sitemaps.js';
+
+// fn over items with at most `concurrency` calls in flight; results keep the input order
+async function mapLimit(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
+
+// href resolved against base; null unless it is a usable http(s) URL
+function absolutize(href, base) {
+  try {
+    const u = new URL(href, base);
+    return /^https?:$/.test(u.protocol) ? u.toString() : null;
+  } catch (e) { return null; }
+}
+
+// crawled pages reached through a redirect: urlKey of the requested URL -> the page's final URL
+function redirectedFrom(pages) {
+  return new Map(pages.filter(p => p.redirected && p.requestedUrl).map(p => [urlKey(p.requestedUrl), p.url]));
+}
+
+export { mapLimit, absolutize, redirectedFrom };
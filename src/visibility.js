@@ -0,0 +1,199 @@
+// visibility.js
+// Answer-engine visibility simulation ("would an LLM cite this page?"). Likely user questions are generated from each
+// page's content and entities, answered by the configured LLM with only the crawled corpus as retrieval context (BM25
+// over passages), and we measure which pages get retrieved and cited, and which questions the site cannot answer.
+
+import { splitPassages } from './passages.js';
+import { requestStructured } from './aiaudit.js';
+import { mapLimit } from './util.js';
+import { estimateCost } from './llm.js';
+import { CJK, segmentText } from './readability.js';
+
+const INTENTS = ['informational', 'local', 'transactional', 'navigational', 'comparison'];
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const EXCERPT_CHARS = 3000;
+
+const QUESTIONS_SCHEMA = {
+  name: 'ai_page_questions',
+  description: 'Questions real users would ask an answer engine that this page should be able to answer',
+  parameters: {
+    type: 'object',
+    required: ['questions'],
+    additionalProperties: false,
+    properties: {
+      questions: {
+        type: 'array',
+        maxItems: 10,
+        items: {
+          type: 'object',
+          required: ['question', 'intent'],
+          additionalProperties: false,
+          properties: {
+            question: { type: 'string', minLength: 8, maxLength: 200, description: 'Phrased the way a user would ask, without naming this website unless users would' },
+            intent: { type: 'string', enum: INTENTS },
+            entity: { type: 'string', description: 'The main entity the question is about, if any' }
+          }
+        }
+      }
+    }
+  }
+};
+
+const ANSWER_SCHEMA = {
+  name: 'ai_grounded_answer',
+  description: 'Answer built only from the provided passages, with the passage ids it relies on',
+  parameters: {
+    type: 'object',
+    required: ['answerable', 'answer', 'citations'],
+    additionalProperties: false,
+    properties: {
+      answerable: { type: 'boolean', description: 'false when the passages do not contain the answer' },
+      answer: { type: 'string', maxLength: 1200 },
+      citations: { type: 'array', items: { type: 'string' }, description: 'Ids of the passages the answer is based on, most important first' }
+    }
+  }
+};
+
+const QUESTION_SYSTEM = 'You simulate the users of a generative search engine. From the page below, write the questions people would realistically type into ChatGPT, Perplexity or Google AI Overviews that this page is a good source for. Cover the page\'s main entities, facts, products/services and local details. Return the ai_page_questions result.';
+const ANSWER_SYSTEM = 'You are an answer engine. Answer the question using ONLY the numbered passages; do not use outside knowledge. Cite the ids of the passages you used. If the passages do not answer the question, set answerable to false, give a one-sentence reason as the answer and cite nothing. Return the ai_grounded_answer result.';
+
+// -------------------- retrieval (BM25 over passages) --------------------
+// scripts written without spaces are split into words with Intl.Segmenter, where single characters are words too
+function tokenize(text) {
+  const value = String(text || '').toLowerCase();
+  if (CJK.test(value)) return segmentText(value).words;
+  return (value.match(/[\p{L}\p{N}]+/gu) || []).filter(t => t.length > 1);
+}
+
+function buildIndex(docs) {
+  const df = new Map();
+  const entries = docs.map(d => {
+    const tf = new Map();
+    const tokens = tokenize(`${d.heading || ''} ${d.text}`);
+    tokens.forEach(t => tf.set(t, (tf.get(t) || 0) + 1));
+    tf.forEach((v, t) => df.set(t, (df.get(t) || 0) + 1));
+    return { doc: d, tf, length: tokens.length };
+  });
+  const avgLength = entries.reduce((s, e) => s + e.length, 0) / (entries.length || 1);
+  return { entries, df, avgLength, n: entries.length };
+}
+
+function search(index, query, k) {
+  const terms = Array.from(new Set(tokenize(query)));
+  return index.entries.map(e => {
+    let score = 0;
+    terms.forEach(t => {
+      const f = e.tf.get(t);
+      if (!f) return;
+      const df = index.df.get(t);
+      const idf = Math.log(1 + (index.n - df + 0.5) / (df + 0.5));
+      score += idf * (f * (BM25_K1 + 1)) / (f + BM25_K1 * (1 - BM25_B + BM25_B * e.length / (index.avgLength || 1)));
+    });
+    return { doc: e.doc, score };
+  }).filter(r => r.score > 0).sort((a, b) => b.score - a.score).slice(0, k);
+}
+
+// -------------------- simulation --------------------
+function pagePrompt(page, passages) {
+  const adv = page.advanced || {};
+  const entities = (adv.entityRecognition && adv.entityRecognition.topEntities) || [];
+  const quality = adv.contentQualityForAI || {};
+  const excerpt = passages.map(p => (p.heading ? `## ${p.heading}\n${p.text}` : p.text)).join('\n\n').slice(0, EXCERPT_CHARS);
+  return `URL: ${page.url}\nEntities: ${entities.join(', ') || 'none detected'}\nStructured data: ${((page.prelim && page.prelim.structuredData && page.prelim.structuredData.types) || []).join(', ') || 'none'}\nContent: ${quality.words || 0} words in ${quality.paraCount || 0} paragraphs\n\n${excerpt}`;
+}
+
+// pages: report pages (url, advanced, prelim) with their html
+// options: { questionsPerPage, topK, maxPages, concurrency, pricing }
+async function simulateVisibility(client, { pages }, options = {}) {
+  const { questionsPerPage = 3, topK = 5, maxPages = 20, concurrency = 2, pricing = null } = options;
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  const track = result => { usage.inputTokens += result.usage.inputTokens; usage.outputTokens += result.usage.outputTokens; return result; };
+
+  // the retrieval corpus is every crawled page; questions come from the first maxPages pages with content
+  const passagesByUrl = {};
+  const corpus = [];
+  pages.forEach(p => {
+    const passages = splitPassages(p.html);
+    passagesByUrl[p.url] = passages;
+    passages.forEach(ps => corpus.push({ ...ps, id: `${corpus.length}`, url: p.url }));
+  });
+  const index = buildIndex(corpus);
+  const sources = pages.filter(p => passagesByUrl[p.url].length).slice(0, maxPages);
+
+  const generated = await mapLimit(sources, concurrency, async page => {
+    try {
+      const result = track(await requestStructured(client, QUESTIONS_SCHEMA, {
+        system: QUESTION_SYSTEM,
+        messages: [{ role: 'user', content: `Write ${questionsPerPage} questions.\n\n${pagePrompt(page, passagesByUrl[page.url])}` }],
+        maxTokens: 600
+      }));
+      return result.valid ? result.data.questions.slice(0, questionsPerPage).map(q => ({ ...q, sourceUrl: page.url })) : [];
+    } catch (e) {
+      (client.logger || console).warn(`Visibility: no questions for ${page.url}: ${e.message || e}`);
+      return [];
+    }
+  });
+  const questions = generated.flat();
+
+  const answered = await mapLimit(questions, concurrency, async q => {
+    const hits = search(index, `${q.question} ${q.entity || ''}`, topK);
+    const retrieved = Array.from(new Set(hits.map(h => h.doc.url)));
+    const base = { ...q, retrieved, sourceRetrieved: retrieved.includes(q.sourceUrl), sourceRank: retrieved.indexOf(q.sourceUrl) + 1 || null };
+    if (!hits.length) return { ...base, answerable: false, answer: 'No passage of the site matches the question.', cited: [], citedPassages: [] };
+    const ids = new Set(hits.map(h => h.doc.id));
+    const context = hits.map(h => `[${h.doc.id}] (${h.doc.url}${h.doc.heading ? ` — ${h.doc.heading}` : ''})\n${h.doc.text}`).join('\n\n');
+    try {
+      const result = track(await requestStructured(client, ANSWER_SCHEMA, {
+        system: ANSWER_SYSTEM,
+        messages: [{ role: 'user', content: `Question: ${q.question}\n\nPassages:\n${context}` }],
+        maxTokens: 500,
+        check: data => data.citations.filter(c => !ids.has(c)).map(c => `$.citations: "${c}" is not one of the passage ids ${Array.from(ids).join(', ')}`)
+      }));
+      if (!result.valid) return { ...base, answerable: null, answer: null, cited: [], citedPassages: [], errors: result.errors };
+      const citedPassages = result.data.answerable ? result.data.citations : [];
+      const cited = Array.from(new Set(citedPassages.map(id => corpus[Number(id)].url)));
+      return { ...base, answerable: result.data.answerable, answer: result.data.answer, cited, citedPassages, sourceCited: cited.includes(q.sourceUrl) };
+    } catch (e) {
+      return { ...base, answerable: null, answer: null, cited: [], citedPassages: [], errors: [String(e.message || e)] };
+    }
+  });
+
+  const byPage = {};
+  pages.forEach(p => { byPage[p.url] = { questions: 0, answered: 0, sourceCited: 0, retrieved: 0, cited: 0, passages: passagesByUrl[p.url].length }; });
+  answered.forEach(a => {
+    const src = byPage[a.sourceUrl];
+    src.questions++;
+    if (a.answerable) src.answered++;
+    if (a.sourceCited) src.sourceCited++;
+    a.retrieved.forEach(u => { byPage[u].retrieved++; });
+    a.cited.forEach(u => { byPage[u].cited++; });
+  });
+  Object.values(byPage).forEach(v => { v.citationRate = v.questions ? Math.round((v.sourceCited / v.questions) * 100) : null; });
+
+  const evaluated = answered.filter(a => a.answerable !== null);
+  const answerable = evaluated.filter(a => a.answerable);
+  const sourceCited = evaluated.filter(a => a.sourceCited);
+  const percent = (n, d) => (d ? Math.round((n / d) * 1000) / 10 : null);
+  usage.totalTokens = usage.inputTokens + usage.outputTokens;
+  return {
+    summary: {
+      questions: questions.length, evaluated: evaluated.length, answerable: answerable.length,
+      answerableRate: percent(answerable.length, evaluated.length),
+      sourceRetrievedRate: percent(evaluated.filter(a => a.sourceRetrieved).length, evaluated.length),
+      sourceCitedRate: percent(sourceCited.length, evaluated.length),
+      pagesCited: Object.values(byPage).filter(v => v.cited).length, pagesTotal: pages.length,
+      // questions a page prompts, answered with a citation of that page
+      score: evaluated.length ? Math.round((sourceCited.length / evaluated.length) * 100) : null
+    },
+    unanswered: evaluated.filter(a => !a.answerable).map(a => ({ question: a.question, intent: a.intent, sourceUrl: a.sourceUrl, reason: a.answer })),
+    neverCited: Object.entries(byPage).filter(([, v]) => v.passages && !v.cited).map(([url]) => url),
+    questions: answered,
+    pages: byPage,
+    settings: { questionsPerPage, topK, maxPages, model: client.model, provider: client.provider },
+    usage,
+    cost: estimateCost(client.provider, client.model, usage, pricing)
+  };
+}
+
+export { buildIndex, search, simulateVisibility };
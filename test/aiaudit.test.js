@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { AI_AUDIT_SCHEMA, PAGE_FINDINGS_SCHEMA, validateAiAudit, aiScores, requestStructured } from '../src/aiaudit.js';
+
+const suggestion = { key: 'missing_canonical', priority: 'high', title: 'Add canonicals', fix: 'Add <link rel="canonical"> to every page', pages: ['https://acme.test/'] };
+const result = (extra = {}) => ({ seo_score: 72, geo_score: 40, accessibility_score: 88, crawlability_score: 65, ai_suggestions: [suggestion], ...extra });
+const SILENT = { log() {}, warn() {}, error() {} };
+
+test('a complete ai_audit_result validates', () => {
+  assert.deepEqual(validateAiAudit(result({ kg_readiness_score: 30, ai_score_breakdown: { entities: 20 } })), { valid: true, errors: [] });
+});
+
+test('errors carry the JSON path of the offending value', () => {
+  const { valid, errors } = validateAiAudit(result({ seo_score: 140, geo_score: '40', extra: true, ai_suggestions: [{ ...suggestion, priority: 'urgent', key: 'Missing Canonical', pages: [] }] }));
+  assert.equal(valid, false);
+  assert.deepEqual(errors.sort(), [
+    '$.ai_suggestions[0].key: "Missing Canonical" does not match ^[a-z0-9][a-z0-9_:.-]*$',
+    '$.ai_suggestions[0].pages: fewer than 1 items',
+    '$.ai_suggestions[0].priority: "urgent" is not one of high, medium, low',
+    '$.geo_score: expected number, got string',
+    '$.seo_score: 140 is above the maximum 100',
+    '$: unexpected property "extra"'
+  ].sort());
+});
+
+test('missing required properties and additionalProperties schemas are checked', () => {
+  const { errors } = validateAiAudit({ seo_score: 50, ai_score_breakdown: { entities: -1 } });
+  assert.ok(errors.includes('$: missing required property "ai_suggestions"'));
+  assert.ok(errors.includes('$.ai_score_breakdown.entities: -1 is below the minimum 0'));
+});
+
+test('validates against another schema when one is given', () => {
+  assert.equal(validateAiAudit({ summary: 'Home page of a bakery', findings: [] }, PAGE_FINDINGS_SCHEMA.parameters).valid, true);
+  assert.equal(validateAiAudit({ summary: 'Home page of a bakery' }, PAGE_FINDINGS_SCHEMA.parameters).valid, false);
+});
+
+test('aiScores is null without a valid result', () => {
+  assert.equal(aiScores(null), null);
+  assert.deepEqual(aiScores(result()), { seo: 72, geo: 40, crawlability: 65, accessibility: 88, kgReadiness: null });
+});
+
+test('an invalid response is sent back with its errors until it conforms', async () => {
+  const replies = [result({ seo_score: 140 }), result()];
+  const seen = [];
+  const client = {
+    logger: SILENT,
+    async structured({ messages }) {
+      seen.push(messages.length);
+      return { data: replies.shift(), text: null, provider: 'mock', model: 'mock', attempts: 1, usage: { inputTokens: 100, outputTokens: 20 } };
+    }
+  };
+  const out = await requestStructured(client, AI_AUDIT_SCHEMA, { system: 's', messages: [{ role: 'user', content: 'audit' }] });
+  assert.equal(out.valid, true);
+  assert.equal(out.attempts, 2);
+  assert.deepEqual(out.usage, { inputTokens: 200, outputTokens: 40 });
+  // the second request carries the rejected answer and the validation errors
+  assert.deepEqual(seen, [1, 3]);
+});
+
+test('gives up after the allowed repairs and keeps the rejected text', async () => {
+  const client = { logger: SILENT, structured: async () => ({ data: null, text: 'not json', parseError: 'Unexpected token', attempts: 1 }) };
+  const out = await requestStructured(client, AI_AUDIT_SCHEMA, { system: 's', messages: [{ role: 'user', content: 'audit' }], repairs: 1 });
+  assert.equal(out.valid, false);
+  assert.equal(out.data, null);
+  assert.equal(out.attempts, 2);
+  assert.equal(out.rejected, 'not json');
+  assert.match(out.errors[0], /not valid JSON/);
+});
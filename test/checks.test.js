@@ -0,0 +1,36 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_WEIGHTS, resolveChecks } from '../src/checks.js';
+
+const recorder = () => {
+  const warnings = [];
+  return { warnings, logger: { log() {}, warn: m => warnings.push(m), error() {} } };
+};
+
+test('weights override the defaults by check key', () => {
+  const { weights } = resolveChecks({ weights: { canonical: 0, title: 20 } });
+  assert.equal(weights.canonical, 0);
+  assert.equal(weights.title, 20);
+  assert.equal(weights.lang, DEFAULT_WEIGHTS.lang);
+});
+
+test('the renamed json_ld weight applies to structured_data with a warning', () => {
+  const { warnings, logger } = recorder();
+  const { weights } = resolveChecks({ weights: { json_ld: 4 }, logger });
+  assert.equal(weights.structured_data, 4);
+  assert.equal('json_ld' in weights, false);
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /json_ld.*structured_data/);
+});
+
+test('structured_data wins over json_ld when both are set', () => {
+  const { warnings, logger } = recorder();
+  const { weights } = resolveChecks({ weights: { json_ld: 4, structured_data: 9 }, logger });
+  assert.equal(weights.structured_data, 9);
+  assert.equal(warnings.length, 1);
+});
+
+test('unknown weight keys and negative weights are E_CONFIG errors', () => {
+  assert.throws(() => resolveChecks({ weights: { nope: 1 } }), { code: 'E_CONFIG' });
+  assert.throws(() => resolveChecks({ weights: { title: -1 } }), { code: 'E_CONFIG' });
+});
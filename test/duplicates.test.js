@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeDuplicates, simhash, hammingDistance } from '../src/duplicates.js';
+import { analyzeHtml } from '../src/geoaudit.js';
+
+// deterministic vocabulary words, so the similarity of the pair below is fixed
+function wordList(count, seed) {
+  let state = seed;
+  const next = () => { state = (Math.imul(state, 1103515245) + 12345) >>> 0; return state; };
+  return Array.from({ length: count }, () => `w${next() % 5000}`);
+}
+
+const page = (url, words) => ({ url, status: 200, headers: {}, html: `<html><head><title>${url}</title></head><body><main><p>${words.join(' ')}</p></main></body></html>` });
+
+// every 36th word replaced: each replacement breaks the 5 shingles that cover it, about 0.75 shingle Jaccard
+function similarPair() {
+  const base = wordList(400, 7);
+  const variant = base.map((w, i) => (i % 36 === 18 ? `x${i}` : w));
+  return [base, variant];
+}
+
+test('clusters a 0.75-similar pair as near duplicates', async () => {
+  const [base, variant] = similarPair();
+  const result = await analyzeDuplicates([page('https://acme.test/a', base), page('https://acme.test/b', variant)], 'https://acme.test/', { checkStatus: false });
+  assert.equal(result.clusters.length, 1);
+  const [cluster] = result.clusters;
+  assert.equal(cluster.exact, false);
+  assert.ok(cluster.similarity >= 72 && cluster.similarity <= 78, `similarity ${cluster.similarity}`);
+  assert.deepEqual(cluster.pages.map(p => p.url).sort(), ['https://acme.test/a', 'https://acme.test/b']);
+});
+
+test('keeps pages below the similarity threshold apart', async () => {
+  const result = await analyzeDuplicates([page('https://acme.test/a', wordList(400, 7)), page('https://acme.test/b', wordList(400, 8))], 'https://acme.test/', { checkStatus: false });
+  assert.equal(result.clusters.length, 0);
+});
+
+test('hammingDistance of identical fingerprints is 0', () => {
+  const fp = simhash(new Set(['a b c d e', 'b c d e f']));
+  assert.equal(hammingDistance(fp, fp), 0);
+});
+
+test('a canonical pointing at a 404 fails the per-page canonical check', async () => {
+  const html = '<html><head><title>Bread and cakes</title><link rel="canonical" href="https://acme.test/gone"></head><body><main><p>Fresh bread.</p></main></body></html>';
+  const fetchResource = async () => ({ status: 404, headers: {}, body: Buffer.from('') });
+  const result = await analyzeDuplicates([{ url: 'https://acme.test/a', status: 200, headers: {}, html }], 'https://acme.test/', { fetchResource });
+  const verdict = result.pages['https://acme.test/a'];
+  assert.ok(verdict.canonicalErrors.length);
+  const check = analyzeHtml(html, 'https://acme.test/a', undefined, verdict).checks.canonical;
+  assert.equal(check.ok, false);
+  assert.equal(check.points, 0);
+  assert.deepEqual(check.detail.errors, verdict.canonicalErrors);
+  assert.equal(analyzeHtml(html, 'https://acme.test/a').checks.canonical.ok, true);
+});
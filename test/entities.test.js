@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeEntities } from '../src/entities.js';
+
+const org = (extra = {}) => ({ name: 'Acme Bakery', kind: 'organization', id: null, sameAs: [], ...extra });
+const entityPage = (url, markup, text = []) => ({ url, entities: { markup, text, nodes: [], relations: [], missingFromMarkup: [] } });
+
+test('every affected page lists its issues, not only the first 20', () => {
+  const pages = Array.from({ length: 30 }, (_, i) => entityPage(`https://acme.test/p${i}`, [org()]));
+  const result = analyzeEntities(pages, 'https://acme.test/');
+  const withoutId = result.issues.find(i => i.type === 'entity_without_id');
+  assert.equal(withoutId.pages, 30);
+  assert.equal(withoutId.urls.length, 20);
+  assert.ok(result.pages['https://acme.test/p29'].issues.some(i => i.type === 'entity_without_id'));
+});
+
+test('an entity named in text on many pages is flagged on each of them', () => {
+  const pages = Array.from({ length: 15 }, (_, i) => entityPage(`https://acme.test/p${i}`, [], [{ name: 'Springfield Mills', kind: 'organization', mentions: 1 }]));
+  const result = analyzeEntities(pages, 'https://acme.test/');
+  const issue = result.issues.find(i => i.type === 'entity_not_in_markup');
+  assert.equal(issue.pages, 15);
+  assert.ok(result.pages['https://acme.test/p14'].issues.some(i => i.type === 'entity_not_in_markup'));
+});
+
+test('different profiles on one network are a sameAs conflict', () => {
+  const pages = [
+    entityPage('https://acme.test/', [org({ id: 'https://acme.test/#org', sameAs: ['https://www.facebook.com/acme'] })]),
+    entityPage('https://acme.test/about', [org({ id: 'https://acme.test/#org', sameAs: ['https://facebook.com/acmebakery'] })])
+  ];
+  const result = analyzeEntities(pages, 'https://acme.test/');
+  assert.ok(result.issues.some(i => i.type === 'sameas_conflict' && i.severity === 'error'));
+  assert.ok(result.issues.some(i => i.type === 'sameas_inconsistent'));
+});
@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateGate, toJUnit } from '../src/gate.js';
+import { snapshotOf } from '../src/history.js';
+
+const pageCheck = (ok, advice = null) => ({ ok, points: ok ? 8 : 0, max_points: 8, detail: null, advice, priority: 'high' });
+
+function report({ seo = 80, topIssues = [] } = {}) {
+  return {
+    url: 'https://acme.test/',
+    scrapedAt: '2026-10-19T00:00:00.000Z',
+    prelim: { summary: { score: seo }, checks: { canonical: { priority: 'high' } } },
+    advanced: { crawlability: { crawlScore: 70 }, accessibility: { score: 90 } },
+    geo: { GEO_SCORE: 55 },
+    topIssues,
+    pages: [
+      { url: 'https://acme.test/', seoScore: 90, geoScore: 60, crawlScore: 80, accessibilityScore: 95, prelim: { checks: { canonical: pageCheck(true) } } },
+      { url: 'https://acme.test/about', seoScore: 60, geoScore: 50, crawlScore: 60, accessibilityScore: 85, prelim: { checks: { canonical: pageCheck(false, 'Add canonical link') } } }
+    ]
+  };
+}
+
+test('site score thresholds pass and fail on the deterministic scores', () => {
+  const result = evaluateGate(report(), { scores: { seo: 80, geo: 60 } });
+  assert.equal(result.passed, false);
+  assert.deepEqual(result.rules.map(r => [r.id, r.passed]), [['score.seo', true], ['score.geo', false]]);
+  assert.deepEqual(result.violations, ['Site geo score 55 is below 60']);
+});
+
+test('an unmeasured score fails its threshold', () => {
+  const result = evaluateGate(report(), { scores: { performance: 50 } });
+  assert.equal(result.passed, false);
+  assert.match(result.violations[0], /n\/a/);
+});
+
+test('page score thresholds list every failing page', () => {
+  const result = evaluateGate(report(), { pageScores: { seo: 70 } });
+  const [rule] = result.rules;
+  assert.equal(rule.passed, false);
+  assert.deepEqual(rule.failures.map(f => f.url), ['https://acme.test/about']);
+  assert.equal(rule.actual, '1/2 pages');
+});
+
+test('check budgets allow a number of failing pages', () => {
+  assert.equal(evaluateGate(report(), { checks: { canonical: 0 } }).passed, false);
+  assert.equal(evaluateGate(report(), { checks: { canonical: 1 } }).passed, true);
+  const unknown = evaluateGate(report(), { checks: { nope: 5 } });
+  assert.equal(unknown.passed, false);
+  assert.match(unknown.violations[0], /not part of this report/);
+});
+
+test('new issues are compared with the baseline by priority', () => {
+  const baseline = snapshotOf(report({ topIssues: [{ issue: 'sitemap_missing', count: 1 }] }));
+  const current = report({ topIssues: [{ issue: 'sitemap_missing', count: 1 }, { issue: 'links_broken', count: 3 }, { issue: 'llms_txt_missing', count: 1 }] });
+  const high = evaluateGate(current, { newIssues: 'high' }, baseline);
+  assert.equal(high.passed, false);
+  assert.deepEqual(high.rules[0].failures.map(f => f.issue), ['links_broken']);
+  assert.equal(evaluateGate(current, { newIssues: 'any' }, baseline).rules[0].failures.length, 2);
+  const skipped = evaluateGate(current, { newIssues: 'high' }, null);
+  assert.equal(skipped.passed, true);
+  assert.ok(skipped.rules[0].skipped);
+});
+
+test('JUnit output has one testcase per page for page rules', () => {
+  const r = report();
+  const xml = toJUnit(r, evaluateGate(r, { checks: { canonical: 0 } }));
+  assert.equal((xml.match(/<testcase /g) || []).length, 2);
+  assert.equal((xml.match(/<failure /g) || []).length, 1);
+  assert.match(xml, /name="https:\/\/acme\.test\/about"><failure message="Add canonical link"/);
+});
@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { load } from 'cheerio';
+import { normalizePhone, extractNap, analyzeNap } from '../src/nap.js';
+
+const BUSINESS = { '@type': 'LocalBusiness', name: 'Acme Bakery', telephone: '+1 217-555-0100', address: { '@type': 'PostalAddress', streetAddress: '12 Main Street', postalCode: '62701', addressCountry: 'US' } };
+
+const napPage = (url, footer, nodes = [BUSINESS]) => ({
+  url,
+  nap: extractNap(load(`<html lang="en-US"><body><main><p>Acme Bakery: fresh bread daily.</p><a href="tel:+12175550100">Call us</a></main><footer>${footer}</footer></body></html>`), url, nodes)
+});
+
+test('normalizePhone turns national and international formats into E.164', () => {
+  assert.equal(normalizePhone('(217) 555-0100', 'US').e164, '+12175550100');
+  assert.equal(normalizePhone('tel:+44 (0)20 7946 0018').e164, '+442079460018');
+  assert.equal(normalizePhone('020 7946 0018', 'GB').e164, '+442079460018');
+  assert.equal(normalizePhone('0044 20 7946 0018').e164, '+442079460018');
+  assert.equal(normalizePhone('+1 217-555-0100 ext. 12').e164, '+12175550100');
+});
+
+test('normalizePhone rejects dates, national numbers without a region and wrong lengths', () => {
+  assert.equal(normalizePhone('2024-05-17', 'US').reason, 'looks like a date');
+  assert.equal(normalizePhone('217 555 0100').valid, false);
+  assert.equal(normalizePhone('555 0100', 'US').valid, false);
+  assert.equal(normalizePhone('000 000 0000', 'US').valid, false);
+});
+
+test('flags a footer number that differs from the primary number next to it', () => {
+  const pages = [
+    napPage('https://acme.test/', 'Call 217-555-0100, 12 Main Street, Springfield IL 62701'),
+    napPage('https://acme.test/about', 'Call 217-555-0100, 12 Main Street, Springfield IL 62701'),
+    napPage('https://acme.test/contact', 'Phone: 217-555-0199, 12 Main Street, Springfield IL 62701')
+  ];
+  const result = analyzeNap(pages);
+  assert.equal(result.canonical.phone, '+12175550100');
+  const mismatch = result.issues.filter(i => i.type === 'phone_mismatch');
+  assert.equal(mismatch.length, 1);
+  assert.deepEqual(mismatch[0].urls, ['https://acme.test/contact']);
+  assert.match(mismatch[0].message, /\+12175550199/);
+  assert.equal(result.consistency.phone, 67);
+  assert.equal(result.pages['https://acme.test/'].warnings, 0);
+});
+
+test('flags a marked-up telephone that is not the visible number', () => {
+  const other = { ...BUSINESS, telephone: '+1 217-555-0142' };
+  const result = analyzeNap([napPage('https://acme.test/', 'Call 217-555-0100', [other])]);
+  assert.ok(result.issues.some(i => i.type === 'phone_markup_text_mismatch'));
+});
@@ -0,0 +1,61 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeText, detectLanguage, countWords } from '../src/readability.js';
+
+const EN = 'The cat sat on the mat. It was a warm day and the sun was out. We went to the park with our dog.';
+const DE = 'Der Hund ist nicht im Garten. Wir gehen mit dem Hund in den Park und die Kinder spielen auch. Es ist ein schöner Tag.';
+
+test('scores English with Flesch Reading Ease', () => {
+  const text = 'Our family bakery opens every morning at seven. We prepare traditional bread, delicate pastries and seasonal cakes with organic flour from local farmers.';
+  const result = analyzeText(text, 'en');
+  assert.equal(result.language.lang, 'en');
+  assert.equal(result.language.source, 'html');
+  assert.equal(result.words, 23);
+  assert.equal(result.sentences, 2);
+  assert.equal(result.syllables, 46);
+  // 206.835 - 1.015 * 23 / 2 - 84.6 * 46 / 23
+  assert.equal(result.readability.score, 26);
+  assert.equal(result.readability.formula, 'Flesch Reading Ease');
+  assert.equal(result.readability.label, 'Very difficult');
+});
+
+test('scores are clamped to 0-100', () => {
+  const result = analyzeText(EN, 'en');
+  assert.equal(result.words, 24);
+  assert.equal(result.syllables, 24);
+  assert.equal(result.readability.score, 100);
+  assert.equal(result.readability.label, 'Easy');
+});
+
+test('uses the formula of the detected language', () => {
+  const result = analyzeText(DE);
+  assert.equal(result.language.lang, 'de');
+  assert.equal(result.language.source, 'content');
+  assert.equal(result.readability.formula, 'Flesch-Amstad');
+  assert.ok(result.readability.score >= 0 && result.readability.score <= 100);
+});
+
+test('content in another language overrides a wrong <html lang>', () => {
+  const language = detectLanguage(DE, 'en-US');
+  assert.equal(language.lang, 'de');
+  assert.equal(language.declared, 'en');
+  assert.equal(language.mismatch, true);
+});
+
+test('Japanese text is segmented into words and has no readability score', () => {
+  const text = '東京の天気は晴れです。明日は雨が降るでしょう。';
+  const result = analyzeText(text, 'ja');
+  assert.equal(result.language.lang, 'ja');
+  assert.equal(result.sentences, 2);
+  assert.ok(result.words > 4, `${result.words} words`);
+  assert.equal(countWords(text, 'ja'), result.words);
+  assert.equal(result.readability.score, null);
+  assert.equal(result.readability.label, 'n/a');
+});
+
+test('empty text', () => {
+  const result = analyzeText('', null);
+  assert.equal(result.words, 0);
+  assert.equal(result.sentences, 0);
+  assert.equal(result.readability.score, null);
+});
@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { extractSignals, diffRendering, analyzeRendering } from '../src/rendering.js';
+
+const URL = 'https://acme.test/menu';
+const paragraph = n => `<p>${Array.from({ length: n }, (_, i) => `word${i}`).join(' ')} fresh bread and seasonal cakes baked every morning.</p>`;
+
+const RAW = `<html><head><title>Menu | Acme Bakery</title><link rel="canonical" href="/menu"></head>
+<body><div id="app"><h2>Loading</h2><a href="/">Home</a></div></body></html>`;
+const RENDERED = `<html><head><title>Menu | Acme Bakery</title><link rel="canonical" href="/menu">
+<meta name="description" content="Bread, cakes and pastries baked every morning in Springfield.">
+<script type="application/ld+json">{"@context":"https://schema.org","@type":"Bakery","name":"Acme Bakery"}</script></head>
+<body><div id="app"><h1>Our menu</h1><h2>Loading</h2><a href="/">Home</a><a href="/cakes">Cakes</a><a href="https://other.test/">Elsewhere</a>
+<main>${paragraph(60)}</main></div></body></html>`;
+
+const diff = () => diffRendering(extractSignals(RAW, URL), extractSignals(RENDERED, URL));
+
+test('fields that only exist after JavaScript are js_only', () => {
+  const d = diff();
+  assert.equal(d.fields.title.status, 'same');
+  assert.equal(d.fields.canonical.status, 'same');
+  assert.equal(d.fields.canonical.raw, 'https://acme.test/menu');
+  assert.equal(d.fields.description.status, 'js_only');
+  assert.equal(d.fields.robots.status, 'same');
+});
+
+test('JSON-LD types, the H1 and same-host links added by JavaScript are listed', () => {
+  const d = diff();
+  assert.deepEqual(d.jsonLd.jsOnlyTypes, ['Bakery']);
+  assert.equal(d.headings.jsOnlyH1, true);
+  assert.deepEqual(d.headings.jsOnly, [{ level: 1, text: 'Our menu' }]);
+  assert.equal(d.links.jsOnlyCount, 1);
+  assert.match(d.links.jsOnly[0], /\/cakes$/);
+});
+
+test('a page whose critical content is client-side only is invisible to non-rendering crawlers', () => {
+  const d = diff();
+  assert.deepEqual(d.critical, ['description', 'structured_data', 'h1', 'main_content']);
+  assert.equal(d.invisible, true);
+  assert.ok(d.text.rawShare < 0.5);
+});
+
+test('identical raw and rendered HTML is not flagged', () => {
+  const signals = extractSignals(RENDERED, URL);
+  const d = diffRendering(signals, extractSignals(RENDERED, URL));
+  assert.deepEqual(d.critical, []);
+  assert.equal(d.invisible, false);
+  assert.equal(d.text.rawShare, 1);
+  assert.equal(d.text.jsOnlyWords, 0);
+});
+
+test('a noindex added by JavaScript is a changed robots directive', () => {
+  const withNoindex = RAW.replace('</head>', '<meta name="robots" content="noindex"></head>');
+  const d = diffRendering(extractSignals(RAW, URL), extractSignals(withNoindex, URL));
+  assert.equal(d.fields.robots.status, 'changed');
+  assert.equal(d.fields.robots.renderedNoindex, true);
+});
+
+test('raw-HTML sources are only compared in browser mode', async () => {
+  const result = await analyzeRendering([{ url: URL, html: RAW }], { sourceType: 'directory' });
+  assert.equal(result.compared, false);
+  assert.match(result.reason, /--render-check browser/);
+});
@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRobotsTxt, selectGroups, evaluateUrl, fetchRobotsTxt, evaluateRobots } from '../src/robots.js';
+
+const ROBOTS = `User-agent: *
+Disallow: /private/
+Allow: /private/press/
+
+User-agent: Googlebot
+User-agent: Googlebot-Image
+Disallow: /search
+Crawl-delay: 2
+
+User-agent: GPTBot
+Disallow: /
+
+Sitemap: https://acme.test/sitemap.xml
+`;
+
+test('consecutive user-agent lines share one group', () => {
+  const parsed = parseRobotsTxt(ROBOTS);
+  assert.equal(parsed.groups.length, 3);
+  assert.deepEqual(parsed.groups[1].userAgents, ['googlebot', 'googlebot-image']);
+  assert.equal(parsed.groups[1].crawlDelay, 2);
+  assert.deepEqual(parsed.sitemaps, ['https://acme.test/sitemap.xml']);
+});
+
+test('the longest matching product token picks the group, "*" is the fallback', () => {
+  const parsed = parseRobotsTxt(ROBOTS);
+  assert.equal(selectGroups(parsed, 'Googlebot').matchedAgent, 'googlebot');
+  assert.equal(selectGroups(parsed, 'Googlebot-Image').matchedAgent, 'googlebot-image');
+  assert.equal(selectGroups(parsed, 'ClaudeBot').matchedAgent, '*');
+  // a specific group replaces "*": Googlebot may crawl /private/
+  assert.equal(evaluateUrl(parsed, 'Googlebot', 'https://acme.test/private/x').allowed, true);
+  assert.equal(evaluateUrl(parsed, 'Googlebot', 'https://acme.test/search?q=bread').allowed, false);
+  assert.equal(evaluateUrl(parsed, 'GPTBot', 'https://acme.test/').allowed, false);
+});
+
+test('the longest rule wins and allow wins a tie', () => {
+  const parsed = parseRobotsTxt(ROBOTS);
+  assert.equal(evaluateUrl(parsed, 'ClaudeBot', 'https://acme.test/private/x').allowed, false);
+  assert.deepEqual(evaluateUrl(parsed, 'ClaudeBot', 'https://acme.test/private/press/kit'), { allowed: true, rule: 'Allow: /private/press/' });
+  const tie = parseRobotsTxt('User-agent: *\nDisallow: /page\nAllow: /page\n');
+  assert.equal(evaluateUrl(tie, 'ClaudeBot', 'https://acme.test/page').allowed, true);
+});
+
+test('wildcards and $ anchors', () => {
+  const parsed = parseRobotsTxt('User-agent: *\nDisallow: /*.pdf$\nDisallow: /tmp*/cache\n');
+  assert.equal(evaluateUrl(parsed, 'GPTBot', 'https://acme.test/files/menu.pdf').allowed, false);
+  assert.equal(evaluateUrl(parsed, 'GPTBot', 'https://acme.test/files/menu.pdf?v=2').allowed, true);
+  assert.equal(evaluateUrl(parsed, 'GPTBot', 'https://acme.test/tmp-1/cache/a').allowed, false);
+});
+
+test('rules outside a group and unknown directives are reported', () => {
+  const parsed = parseRobotsTxt('Disallow: /x\nUser-agent: *\nNoarchive: /y\n');
+  assert.deepEqual(parsed.invalidLines.map(l => l.line), [1, 3]);
+});
+
+test('the size limit counts bytes', () => {
+  // 200,000 three-byte characters are 600,000 bytes: the rule after them is past the 500 KiB limit
+  const padding = `# ${'€'.repeat(200000)}\n`;
+  assert.equal(parseRobotsTxt(`User-agent: *\n${padding}Disallow: /late\n`).groups[0].rules.length, 0);
+  assert.equal(parseRobotsTxt(Buffer.from(`User-agent: *\nDisallow: /early\n${padding}`)).groups[0].rules.length, 1);
+});
+
+test('4xx allows everything, 5xx blocks everything', async () => {
+  const pages = ['https://acme.test/', 'https://acme.test/menu'];
+  const fetchWith = status => fetchRobotsTxt('https://acme.test/', async () => ({ status, body: Buffer.from('') }));
+  const missing = evaluateRobots(await fetchWith(404), pages);
+  assert.equal(missing.agents.GPTBot.pagesBlocked, 0);
+  const down = evaluateRobots(await fetchWith(503), pages);
+  assert.equal(down.agents.Googlebot.pagesBlocked, 2);
+  assert.equal(down.agents.GPTBot.siteBlocked, true);
+  assert.ok(down.aiBlocked.length);
+});
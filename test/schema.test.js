@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { load } from 'cheerio';
+import { validateStructuredData } from '../src/schema.js';
+
+const URL = 'https://acme.test/';
+const jsonLd = data => load(`<html><head><script type="application/ld+json">${JSON.stringify(data)}</script></head><body></body></html>`);
+const problem = (result, property) => result.problems.find(p => p.property === property);
+
+test('a complete LocalBusiness validates without errors', () => {
+  const result = validateStructuredData(jsonLd({
+    '@context': 'https://schema.org', '@type': 'Bakery', name: 'Acme Bakery', telephone: '+12175550100', url: 'https://acme.test/',
+    address: { '@type': 'PostalAddress', streetAddress: '12 Main Street', addressLocality: 'Springfield', postalCode: '62701', addressCountry: 'US' }
+  }), URL);
+  assert.equal(result.count, 1);
+  assert.equal(result.errors, 0);
+  assert.deepEqual(result.geoTypes.LocalBusiness, { count: 1, valid: 1, formats: ['json-ld'] });
+  assert.equal(result.local[0].hasAddress, true);
+  assert.equal(result.local[0].hasTelephone, true);
+});
+
+test('missing required properties and bad values are errors with a JSON path', () => {
+  const result = validateStructuredData(jsonLd({
+    '@context': 'https://schema.org',
+    '@graph': [
+      { '@type': 'Product', name: 'Loaf', offers: { '@type': 'Offer', price: '3,50', priceCurrency: 'euro' } },
+      { '@type': 'Event', name: 'Tasting', startDate: '17/05/2024', location: { '@type': 'Place', name: 'Shop' } }
+    ]
+  }), URL);
+  assert.equal(problem(result, 'price').severity, 'error');
+  assert.equal(problem(result, 'price').path, 'jsonld[0].@graph[0].offers.price');
+  assert.equal(problem(result, 'priceCurrency').severity, 'error');
+  assert.match(problem(result, 'startDate').message, /ISO 8601/);
+  assert.match(problem(result, 'location').message, /needs an address/);
+  assert.equal(result.geoTypes.Product.valid, 0);
+  assert.equal(result.geoTypes.Event.valid, 0);
+});
+
+test('recommended properties and relative URLs are warnings', () => {
+  const result = validateStructuredData(jsonLd({ '@context': 'https://schema.org', '@type': 'Organization', name: 'Acme', logo: '/logo.png' }), URL);
+  assert.equal(result.errors, 0);
+  assert.ok(result.warnings > 0);
+  assert.equal(problem(result, 'logo').severity, 'warning');
+  assert.equal(result.geoTypes.Organization.valid, 1);
+});
+
+test('invalid JSON is reported instead of being counted', () => {
+  const $ = load('<html><head><script type="application/ld+json">{"@type": "Organization",</script></head></html>');
+  const result = validateStructuredData($, URL);
+  assert.equal(result.count, 0);
+  assert.equal(result.invalidBlocks, 1);
+  assert.equal(result.problems[0].severity, 'error');
+});
+
+test('Microdata is read and validated like JSON-LD', () => {
+  const $ = load(`<div itemscope itemtype="https://schema.org/LocalBusiness"><span itemprop="name">Acme Bakery</span>
+    <div itemprop="address" itemscope itemtype="https://schema.org/PostalAddress"><span itemprop="postalCode">62701</span></div></div>`);
+  const result = validateStructuredData($, URL);
+  assert.equal(result.formats.microdata, 1);
+  assert.equal(result.geoTypes.LocalBusiness.valid, 1);
+  assert.deepEqual(result.geoTypes.LocalBusiness.formats, ['microdata']);
+});